@@ -1,4 +1,5 @@
 const Activity = require('../models/Activity');
+const recommendationService = require('../services/recommendationService');
 
 // Get all activities
 exports.getAllActivities = async (req, res) => {
@@ -171,9 +172,10 @@ exports.searchActivities = async (req, res) => {
     const { query, category, minPrice, maxPrice } = req.query;
     const filters = {};
 
-    if (query) filters.title = { $regex: query, $options: 'i' };
+    // Activities inherit `name` from Service; the query is matched literally
+    if (query) filters.name = { $regex: query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
     if (category) filters.category = category;
-    if (minPrice || maxPrice) filters.price = { $gte: minPrice || 0, $lte: maxPrice || Infinity };
+    if (minPrice || maxPrice) filters.price = { $gte: Number(minPrice) || 0, $lte: Number(maxPrice) || Infinity };
 
     const activities = await Activity.find(filters);
     res.json({ success: true, data: activities });
@@ -182,11 +184,22 @@ exports.searchActivities = async (req, res) => {
   }
 };
 
+// Recommended activities as full documents, in recommendation order
+const findRecommendedActivities = async (req, filters = {}) => {
+  const { data } = await recommendationService.getRecommendations(req.user?._id || null, {
+    serviceType: 'Activity',
+    limit: 10,
+    ...filters
+  });
+  const activities = await Activity.find({ _id: { $in: data.map(item => item._id) } });
+  const byId = new Map(activities.map(activity => [activity._id.toString(), activity]));
+  return data.map(item => byId.get(item._id.toString())).filter(Boolean);
+};
+
 // Fetch recommended activities
 exports.getRecommended = async (req, res) => {
   try {
-    const activities = await Activity.find();
-    const recommended = activities.sort(() => 0.5 - Math.random()).slice(0, 10);
+    const recommended = await findRecommendedActivities(req);
     res.json({ success: true, data: recommended });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -197,7 +210,7 @@ exports.getRecommended = async (req, res) => {
 exports.getRecommendedByCategory = async (req, res) => {
   try {
     const { category } = req.params;
-    const activities = await Activity.find({ category }).sort(() => 0.5 - Math.random()).slice(0, 10);
+    const activities = await findRecommendedActivities(req, { category });
     res.json({ success: true, data: activities });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -5,7 +5,11 @@ const Dining = require('../models/Dining');
 const Activity = require('../models/Activity');
 const Transportation = require('../models/Transportation');
 const AuditLog = require('../models/AuditLog');
+const refundService = require('../services/refundService');
+const creditService = require('../services/creditService');
+const { afterBookingStatusChange } = require('../middleware/analyticsHooks');
 const { sendBusinessApprovalEmail } = require('./emailService');
+const { logAuditAction } = require('../utils/auditLogger');
 
 // Dashboard Statistics
 // Dashboard Stats
@@ -673,25 +677,6 @@ async function checkDatabaseHealth() {
   }
 }
 
-async function logAuditAction(userId, action, resource, details, req) {
-  try {
-    const auditLog = new AuditLog({
-      userId,
-      userName: req.user?.name || 'Unknown',
-      action,
-      resource,
-      details,
-      ipAddress: req.ip || req.connection?.remoteAddress || 'Unknown',
-      userAgent: req.get('User-Agent') || 'Unknown',
-      timestamp: new Date()
-    });
-    
-    await auditLog.save();
-  } catch (error) {
-    console.error('Error logging audit action:', error);
-  }
-}
-
 // Delete User Controller
 exports.deleteUser = async (req, res) => {
   try {
@@ -940,23 +925,47 @@ exports.updateBookingStatus = async (req, res) => {
       return res.status(400).json({ message: 'Invalid booking status' });
     }
 
-    const booking = await Booking.findByIdAndUpdate(
-      bookingId,
-      { 
-        status, 
-        adminNotes,
-        updatedAt: new Date() 
-      },
-      { new: true }
-    ).populate('user', 'name email');
+    const oldBooking = await Booking.findById(bookingId).lean();
+    if (!oldBooking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    let booking;
+    if (status === 'cancelled') {
+      // Refunded by the cancellation policy with credits, gift card and deposits given back,
+      // like the admin cancel endpoint (req.body.refundAmount overrides the refund)
+      booking = await Booking.findById(bookingId);
+      await refundService.cancelBookingWithRefund(booking, {
+        cancelledBy: req.user.id,
+        initiatedBy: 'admin',
+        reason: 'Canceled by admin',
+        refundAmount: req.body.refundAmount,
+        weather: req.body.weather === true
+      });
+    } else {
+      booking = await Booking.findByIdAndUpdate(
+        bookingId,
+        { 
+          status, 
+          adminNotes,
+          updatedAt: new Date() 
+        },
+        { new: true }
+      ).populate('user', 'name email');
+    }
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
+    if (status === 'completed') {
+      await creditService.awardBookingCredits(booking);
+    }
+    afterBookingStatusChange(oldBooking, booking);
+
     await logAuditAction(req.user.id, 'booking_status_update', 'booking_management', {
       bookingId: bookingId,
-      oldStatus: booking.status,
+      oldStatus: oldBooking.status,
       newStatus: status,
       customerEmail: booking.user?.email
     }, req);
@@ -964,7 +973,9 @@ exports.updateBookingStatus = async (req, res) => {
     res.json({ message: 'Booking status updated successfully', booking });
   } catch (error) {
     console.error('Error updating booking status:', error);
-    res.status(500).json({ message: 'Error updating booking status' });
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Error updating booking status'
+    });
   }
 };
 
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const creditService = require('../services/creditService');
+const { logAuditAction } = require('../utils/auditLogger');
+
+/**
+ * Get a user's Caicos Credits wallet
+ * GET /api/admin/users/:userId/credits?page=&limit=
+ */
+exports.getUserCredits = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+    }
+
+    const wallet = await creditService.getWallet(userId, { page, limit });
+
+    res.json({ success: true, data: wallet });
+  } catch (error) {
+    console.error('Error in getUserCredits:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching credits',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grant or revoke Caicos Credits
+ * POST /api/admin/users/:userId/credits/grant  { credits, reason }
+ * POST /api/admin/users/:userId/credits/revoke { credits, reason }
+ */
+const adjustUserCredits = (direction) => async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { credits, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+    }
+
+    const amount = Math.floor(Number(credits));
+    if (!(amount > 0)) {
+      return res.status(400).json({ success: false, message: 'Credits must be a positive whole number.' });
+    }
+
+    const transaction = await creditService.adjustCredits(
+      userId,
+      direction === 'grant' ? amount : -amount,
+      reason,
+      req.user.id
+    );
+
+    await logAuditAction(req.user.id, direction === 'grant' ? 'credits_grant' : 'credits_revoke', 'user_management', {
+      targetUserId: userId,
+      credits: amount,
+      reason,
+      balanceAfter: transaction.balanceAfter
+    }, req);
+
+    res.json({
+      success: true,
+      message: direction === 'grant' ? 'Credits granted successfully' : 'Credits revoked successfully',
+      data: transaction
+    });
+  } catch (error) {
+    console.error(`Error in ${direction}Credits:`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating credits',
+      error: error.message
+    });
+  }
+};
+
+exports.grantCredits = adjustUserCredits('grant');
+exports.revokeCredits = adjustUserCredits('revoke');
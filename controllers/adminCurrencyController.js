@@ -0,0 +1,64 @@
+const currencyService = require('../services/currencyService');
+const { logAuditAction } = require('../utils/auditLogger');
+
+/**
+ * Exchange rate table, including currencies no longer offered
+ * GET /api/admin/currencies
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const rates = await currencyService.getRates({ includeInactive: true });
+
+    res.json({ success: true, data: rates });
+  } catch (error) {
+    console.error('Error in getExchangeRates:', error);
+    res.status(500).json({ success: false, message: 'Error fetching exchange rates', error: error.message });
+  }
+};
+
+/**
+ * Set one or more rates. New rates apply to checkouts from now on; paid bookings keep theirs.
+ * PUT /api/admin/currencies
+ * Body: { rates: [{ currency, rate, active? }] } or { rates: { CAD: 1.37, GBP: 0.79 } }
+ */
+exports.updateExchangeRates = async (req, res) => {
+  try {
+    const saved = await currencyService.setRates(req.body.rates, { source: 'manual', userId: req.user.id });
+
+    await logAuditAction(req.user.id, 'exchange_rate_update', 'currencies', {
+      rates: saved.map(row => ({ currency: row.currency, rate: row.rate, active: row.active }))
+    }, req);
+
+    res.json({ success: true, message: 'Exchange rates updated successfully', data: saved });
+  } catch (error) {
+    console.error('Error in updateExchangeRates:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Stop offering a currency at checkout
+ * DELETE /api/admin/currencies/:currency
+ */
+exports.deactivateExchangeRate = async (req, res) => {
+  try {
+    const rate = await currencyService.deactivateRate(req.params.currency);
+
+    await logAuditAction(req.user.id, 'exchange_rate_deactivate', 'currencies', {
+      currency: rate.currency
+    }, req);
+
+    res.json({ success: true, message: 'Currency deactivated successfully', data: rate });
+  } catch (error) {
+    console.error('Error in deactivateExchangeRate:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error deactivating currency',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,131 @@
+const disputeService = require('../services/disputeService');
+const { logAuditAction } = require('../utils/auditLogger');
+
+/**
+ * Card disputes, most urgent evidence deadline first
+ * GET /api/admin/disputes?status=open|all|needs_response|...&page=1&limit=20
+ */
+exports.getDisputes = async (req, res) => {
+  try {
+    const { disputes, pagination } = await disputeService.getDisputes(req.query);
+
+    res.json({ success: true, data: disputes, pagination });
+  } catch (error) {
+    console.error('Error in getDisputes:', error);
+    res.status(500).json({ success: false, message: 'Error fetching disputes', error: error.message });
+  }
+};
+
+/**
+ * A dispute with its evidence and the bundle it was assembled from
+ * GET /api/admin/disputes/:disputeId
+ */
+exports.getDisputeDetails = async (req, res) => {
+  try {
+    const dispute = await disputeService.getDispute(req.params.disputeId);
+
+    res.json({ success: true, data: dispute, evidenceFields: disputeService.EVIDENCE_FIELDS });
+  } catch (error) {
+    console.error('Error in getDisputeDetails:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching dispute',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Edit evidence before it is submitted
+ * PUT /api/admin/disputes/:disputeId/evidence
+ * Body: { evidence: { product_description: '...', cancellation_rebuttal: '' } }
+ */
+exports.updateDisputeEvidence = async (req, res) => {
+  try {
+    const dispute = await disputeService.updateEvidence(req.params.disputeId, req.body.evidence);
+
+    await logAuditAction(req.user.id, 'dispute_evidence_update', 'disputes', {
+      disputeId: dispute._id,
+      stripeDisputeId: dispute.stripeDisputeId,
+      fields: Object.keys(req.body.evidence || {})
+    }, req);
+
+    res.json({ success: true, message: 'Evidence updated successfully', data: dispute });
+  } catch (error) {
+    console.error('Error in updateDisputeEvidence:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating evidence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rebuild the evidence from the booking's current records (discards edits)
+ * POST /api/admin/disputes/:disputeId/evidence/refresh
+ */
+exports.refreshDisputeEvidence = async (req, res) => {
+  try {
+    const dispute = await disputeService.reassembleEvidence(req.params.disputeId);
+
+    res.json({ success: true, message: 'Evidence reassembled successfully', data: dispute });
+  } catch (error) {
+    console.error('Error in refreshDisputeEvidence:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error reassembling evidence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Submit the evidence to Stripe. Evidence can't be changed afterwards.
+ * POST /api/admin/disputes/:disputeId/submit
+ */
+exports.submitDisputeEvidence = async (req, res) => {
+  try {
+    const dispute = await disputeService.submitEvidence(req.params.disputeId, req.user.id);
+
+    await logAuditAction(req.user.id, 'dispute_evidence_submit', 'disputes', {
+      disputeId: dispute._id,
+      stripeDisputeId: dispute.stripeDisputeId,
+      amount: dispute.amount
+    }, req);
+
+    res.json({ success: true, message: 'Evidence submitted successfully', data: dispute });
+  } catch (error) {
+    console.error('Error in submitDisputeEvidence:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error submitting evidence',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept the dispute without contesting it
+ * POST /api/admin/disputes/:disputeId/accept
+ */
+exports.acceptDispute = async (req, res) => {
+  try {
+    const dispute = await disputeService.acceptDispute(req.params.disputeId);
+
+    await logAuditAction(req.user.id, 'dispute_accept', 'disputes', {
+      disputeId: dispute._id,
+      stripeDisputeId: dispute.stripeDisputeId,
+      amount: dispute.amount
+    }, req);
+
+    res.json({ success: true, message: 'Dispute accepted', data: dispute });
+  } catch (error) {
+    console.error('Error in acceptDispute:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error accepting dispute',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const ledgerService = require('../services/ledgerService');
+
+/**
+ * Account balances from the ledger
+ * GET /api/admin/ledger/accounts?account=&accountId=
+ */
+exports.getLedgerAccounts = async (req, res) => {
+  try {
+    const { account, accountId } = req.query;
+
+    if (account && !LedgerEntry.ACCOUNT_TYPES.includes(account)) {
+      return res.status(400).json({ success: false, message: 'Invalid account type.' });
+    }
+    if (accountId && !mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({ success: false, message: 'Invalid account ID.' });
+    }
+
+    const balances = await ledgerService.getAccountBalances({ account, accountId });
+
+    res.json({ success: true, data: balances });
+  } catch (error) {
+    console.error('Error in getLedgerAccounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ledger balances',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List journal entries
+ * GET /api/admin/ledger/entries?type=&account=&accountId=&bookingId=&startDate=&endDate=&page=&limit=
+ */
+exports.getLedgerEntries = async (req, res) => {
+  try {
+    const { type, account, accountId, bookingId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (account) query['postings.account'] = account;
+    if (accountId && mongoose.Types.ObjectId.isValid(accountId)) query['postings.accountId'] = accountId;
+    if (bookingId && mongoose.Types.ObjectId.isValid(bookingId)) query.booking = bookingId;
+    if (startDate || endDate) {
+      query.occurredAt = {};
+      if (startDate) query.occurredAt.$gte = new Date(startDate);
+      if (endDate) query.occurredAt.$lte = new Date(endDate);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .sort({ occurredAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('booking', 'bookingId serviceType status'),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getLedgerEntries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ledger entries',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reconcile the ledger against RevenueAnalytics (defaults to the last 7 days)
+ * GET /api/admin/ledger/reconciliation?startDate=&endDate=
+ */
+exports.getReconciliationReport = async (req, res) => {
+  try {
+    const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+    const startDate = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(endDate.getTime() - 6 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+      return res.status(400).json({ success: false, message: 'Invalid date range.' });
+    }
+
+    const report = await ledgerService.getReconciliationReport(startDate, endDate);
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error in getReconciliationReport:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating reconciliation report',
+      error: error.message
+    });
+  }
+};
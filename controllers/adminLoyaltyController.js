@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Loyalty = require('../models/Loyalty');
+const LoyaltyReward = require('../models/LoyaltyReward');
+const loyaltyService = require('../services/loyaltyService');
+const { logAuditAction } = require('../utils/auditLogger');
+
+const REWARD_FIELDS = ['title', 'description', 'image', 'pointsRequired', 'type', 'value', 'minTier', 'stock', 'isActive'];
+
+const pickRewardFields = (body) => REWARD_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * List loyalty members
+ * GET /api/loyalty/admin/members?tier=&page=&limit=
+ */
+exports.getMembers = async (req, res) => {
+  try {
+    const { tier, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (tier && tier !== 'all') {
+      query.tier = tier;
+    }
+
+    const [members, total] = await Promise.all([
+      Loyalty.find(query)
+        .populate('user', 'name email')
+        .select('-rewards -tierHistory')
+        .sort({ rollingSpend: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Loyalty.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: members,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMembers:', error);
+    res.status(500).json({ success: false, message: 'Error fetching loyalty members', error: error.message });
+  }
+};
+
+/**
+ * A member's loyalty account with tier history
+ * GET /api/loyalty/admin/members/:userId?page=&limit=
+ */
+exports.getMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+    }
+
+    const [account, loyalty] = await Promise.all([
+      loyaltyService.getAccount(userId, { page, limit }),
+      Loyalty.findOne({ user: userId }).populate('user', 'name email').select('user tierHistory')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...account,
+        user: loyalty?.user,
+        tierHistory: loyalty?.tierHistory || []
+      }
+    });
+  } catch (error) {
+    console.error('Error in getMember:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching loyalty member',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Grant or deduct points
+ * POST /api/loyalty/admin/members/:userId/points { points, reason }
+ */
+exports.adjustPoints = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { points, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+    }
+
+    const transaction = await loyaltyService.adjustPoints(userId, points, reason, req.user.id);
+
+    await logAuditAction(req.user.id, 'loyalty_points_adjust', 'user_management', {
+      targetUserId: userId,
+      points: transaction.points,
+      reason,
+      balanceAfter: transaction.balanceAfter
+    }, req);
+
+    res.json({ success: true, message: 'Points updated successfully', data: transaction });
+  } catch (error) {
+    console.error('Error in adjustPoints:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating points',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-evaluate a member's tier now
+ * POST /api/loyalty/admin/members/:userId/evaluate
+ */
+exports.evaluateMemberTier = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID.' });
+    }
+
+    const account = await loyaltyService.evaluateTier(userId);
+
+    res.json({ success: true, data: account });
+  } catch (error) {
+    console.error('Error in evaluateMemberTier:', error);
+    res.status(500).json({ success: false, message: 'Error evaluating loyalty tier', error: error.message });
+  }
+};
+
+/**
+ * Full rewards catalog, including inactive rewards
+ * GET /api/loyalty/admin/rewards
+ */
+exports.getAllRewards = async (req, res) => {
+  try {
+    const rewards = await LoyaltyReward.find().sort({ isActive: -1, pointsRequired: 1 });
+
+    res.json({ success: true, data: rewards });
+  } catch (error) {
+    console.error('Error in getAllRewards:', error);
+    res.status(500).json({ success: false, message: 'Error fetching rewards', error: error.message });
+  }
+};
+
+/**
+ * Add a reward to the catalog
+ * POST /api/loyalty/admin/rewards
+ */
+exports.createReward = async (req, res) => {
+  try {
+    const reward = await LoyaltyReward.create({
+      ...pickRewardFields(req.body),
+      createdBy: req.user.id
+    });
+
+    await logAuditAction(req.user.id, 'loyalty_reward_create', 'loyalty', {
+      rewardId: reward._id,
+      title: reward.title,
+      pointsRequired: reward.pointsRequired
+    }, req);
+
+    res.status(201).json({ success: true, message: 'Reward created successfully', data: reward });
+  } catch (error) {
+    console.error('Error in createReward:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating reward',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a reward
+ * PUT /api/loyalty/admin/rewards/:rewardId
+ */
+exports.updateReward = async (req, res) => {
+  try {
+    const reward = await LoyaltyReward.findByIdAndUpdate(
+      req.params.rewardId,
+      pickRewardFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!reward) {
+      return res.status(404).json({ success: false, message: 'Reward not found' });
+    }
+
+    await logAuditAction(req.user.id, 'loyalty_reward_update', 'loyalty', {
+      rewardId: reward._id,
+      changes: pickRewardFields(req.body)
+    }, req);
+
+    res.json({ success: true, message: 'Reward updated successfully', data: reward });
+  } catch (error) {
+    console.error('Error in updateReward:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating reward',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retire a reward (kept for redemption history)
+ * DELETE /api/loyalty/admin/rewards/:rewardId
+ */
+exports.deactivateReward = async (req, res) => {
+  try {
+    const reward = await LoyaltyReward.findByIdAndUpdate(
+      req.params.rewardId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!reward) {
+      return res.status(404).json({ success: false, message: 'Reward not found' });
+    }
+
+    await logAuditAction(req.user.id, 'loyalty_reward_deactivate', 'loyalty', {
+      rewardId: reward._id,
+      title: reward.title
+    }, req);
+
+    res.json({ success: true, message: 'Reward deactivated successfully', data: reward });
+  } catch (error) {
+    console.error('Error in deactivateReward:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating reward', error: error.message });
+  }
+};
@@ -0,0 +1,176 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { logAuditAction } = require('../utils/auditLogger');
+
+const PROMOTION_FIELDS = [
+  'code', 'name', 'description', 'trigger', 'vendor', 'discountType', 'discountValue', 'maxDiscount',
+  'applicableTo', 'listings', 'minOrderValue', 'conditions', 'startDate', 'endDate',
+  'usageLimit', 'perCustomerLimit', 'stackable', 'active'
+];
+
+const pickPromotionFields = (body) => PROMOTION_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * List platform promotions
+ * GET /api/promotions/admin?active=&trigger=&page=&limit=
+ */
+exports.getPromotions = async (req, res) => {
+  try {
+    const { active, trigger, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (active && active !== 'all') query.active = active === 'true';
+    if (trigger && trigger !== 'all') query.trigger = trigger;
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Promotion.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: promotions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPromotions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching promotions', error: error.message });
+  }
+};
+
+/**
+ * Create a promotion
+ * POST /api/promotions/admin
+ */
+exports.createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      createdBy: req.user.id
+    });
+
+    await logAuditAction(req.user.id, 'promotion_create', 'promotions', {
+      promotionId: promotion._id,
+      code: promotion.code,
+      discountType: promotion.discountType,
+      discountValue: promotion.discountValue
+    }, req);
+
+    res.status(201).json({ success: true, message: 'Promotion created successfully', data: promotion });
+  } catch (error) {
+    console.error('Error in createPromotion:', error);
+    const statusCode = error.name === 'ValidationError' || error.code === 11000 ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.code === 11000 ? 'Promo code already exists' : 'Error creating promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a promotion
+ * PUT /api/promotions/admin/:promotionId
+ */
+exports.updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+
+    const changes = pickPromotionFields(req.body);
+    promotion.set(changes);
+    await promotion.save();
+
+    await logAuditAction(req.user.id, 'promotion_update', 'promotions', {
+      promotionId: promotion._id,
+      changes
+    }, req);
+
+    res.json({ success: true, message: 'Promotion updated successfully', data: promotion });
+  } catch (error) {
+    console.error('Error in updatePromotion:', error);
+    const statusCode = error.name === 'ValidationError' || error.code === 11000 ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.code === 11000 ? 'Promo code already exists' : 'Error updating promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a promotion (kept for redemption history)
+ * DELETE /api/promotions/admin/:promotionId
+ */
+exports.deactivatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.promotionId,
+      { active: false },
+      { new: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+
+    await logAuditAction(req.user.id, 'promotion_deactivate', 'promotions', {
+      promotionId: promotion._id,
+      code: promotion.code
+    }, req);
+
+    res.json({ success: true, message: 'Promotion deactivated successfully', data: promotion });
+  } catch (error) {
+    console.error('Error in deactivatePromotion:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating promotion', error: error.message });
+  }
+};
+
+/**
+ * Redemptions of a promotion
+ * GET /api/promotions/admin/:promotionId/redemptions?status=&page=&limit=
+ */
+exports.getPromotionRedemptions = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { rule: req.params.promotionId };
+    if (status && status !== 'all') query.status = status;
+
+    const [redemptions, total] = await Promise.all([
+      PromotionRedemption.find(query)
+        .populate('customer', 'name email')
+        .populate('bookings', 'bookingId status pricing.totalAmount')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PromotionRedemption.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: redemptions,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPromotionRedemptions:', error);
+    res.status(500).json({ success: false, message: 'Error fetching redemptions', error: error.message });
+  }
+};
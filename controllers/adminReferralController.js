@@ -2,6 +2,7 @@ const ReferralPartner = require('../models/ReferralPartner');
 const ReferralCommission = require('../models/ReferralCommission');
 const ReferralPayout = require('../models/ReferralPayout');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const ledgerService = require('../services/ledgerService');
 
 /**
  * Get all referral partner signup requests
@@ -399,6 +400,7 @@ exports.completePayout = async (req, res) => {
     payout.notes = notes || null;
     
     await payout.save();
+    await ledgerService.recordReferralPayout(payout);
 
     // Update commission statuses to 'paid'
     await ReferralCommission.updateMany(
@@ -0,0 +1,116 @@
+const SearchSynonym = require('../models/SearchSynonym');
+const suggestionService = require('../services/suggestionService');
+const { logAuditAction } = require('../utils/auditLogger');
+const { normalize } = require('../utils/textSearch');
+
+/**
+ * Synonym groups used by search bar autocomplete
+ * GET /api/admin/search/synonyms?active=&term=
+ */
+exports.getSynonyms = async (req, res) => {
+  try {
+    const { active, term } = req.query;
+
+    const query = {};
+    if (active && active !== 'all') query.active = active === 'true';
+    if (term) query.terms = normalize(term);
+
+    const synonyms = await SearchSynonym.find(query).sort({ terms: 1 });
+
+    res.json({ success: true, data: synonyms });
+  } catch (error) {
+    console.error('Error in getSynonyms:', error);
+    res.status(500).json({ success: false, message: 'Error fetching synonyms', error: error.message });
+  }
+};
+
+/**
+ * Add a synonym group
+ * POST /api/admin/search/synonyms
+ * Body: { terms: ['provo', 'providenciales'], active? }
+ */
+exports.createSynonym = async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.create({
+      terms: req.body.terms,
+      active: req.body.active,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    suggestionService.clearSynonymCache();
+
+    await logAuditAction(req.user.id, 'search_synonym_create', 'search', {
+      synonymId: synonym._id,
+      terms: synonym.terms
+    }, req);
+
+    res.status(201).json({ success: true, message: 'Synonym group created successfully', data: synonym });
+  } catch (error) {
+    console.error('Error in createSynonym:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating synonym group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change the terms of a synonym group or switch it on/off
+ * PUT /api/admin/search/synonyms/:synonymId
+ */
+exports.updateSynonym = async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findById(req.params.synonymId);
+    if (!synonym) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+
+    const previousTerms = synonym.terms;
+    if (req.body.terms !== undefined) synonym.terms = req.body.terms;
+    if (req.body.active !== undefined) synonym.active = req.body.active;
+    synonym.updatedBy = req.user.id;
+    await synonym.save();
+    suggestionService.clearSynonymCache();
+
+    await logAuditAction(req.user.id, 'search_synonym_update', 'search', {
+      synonymId: synonym._id,
+      previousTerms,
+      terms: synonym.terms,
+      active: synonym.active
+    }, req);
+
+    res.json({ success: true, message: 'Synonym group updated successfully', data: synonym });
+  } catch (error) {
+    console.error('Error in updateSynonym:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating synonym group',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a synonym group
+ * DELETE /api/admin/search/synonyms/:synonymId
+ */
+exports.deleteSynonym = async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.synonymId);
+    if (!synonym) {
+      return res.status(404).json({ success: false, message: 'Synonym group not found' });
+    }
+    suggestionService.clearSynonymCache();
+
+    await logAuditAction(req.user.id, 'search_synonym_delete', 'search', {
+      synonymId: synonym._id,
+      terms: synonym.terms
+    }, req);
+
+    res.json({ success: true, message: 'Synonym group deleted successfully' });
+  } catch (error) {
+    console.error('Error in deleteSynonym:', error);
+    res.status(500).json({ success: false, message: 'Error deleting synonym group', error: error.message });
+  }
+};
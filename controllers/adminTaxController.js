@@ -0,0 +1,142 @@
+const TaxRule = require('../models/TaxRule');
+const taxService = require('../services/taxService');
+const { logAuditAction } = require('../utils/auditLogger');
+
+const TAX_RULE_FIELDS = [
+  'name', 'code', 'kind', 'serviceTypes', 'islands', 'calculation', 'rate', 'inclusive',
+  'effectiveFrom', 'effectiveTo', 'active'
+];
+
+const pickTaxRuleFields = (body) => TAX_RULE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+/**
+ * List tax and service charge rules
+ * GET /api/admin/taxes/rules?active=&serviceType=&island=
+ */
+exports.getTaxRules = async (req, res) => {
+  try {
+    const { active, serviceType, island } = req.query;
+
+    const query = {};
+    if (active && active !== 'all') query.active = active === 'true';
+    if (serviceType) query.serviceTypes = serviceType;
+    if (island) query.$or = [{ islands: island }, { islands: { $size: 0 } }];
+
+    const rules = await TaxRule.find(query).sort({ code: 1, effectiveFrom: -1 });
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error in getTaxRules:', error);
+    res.status(500).json({ success: false, message: 'Error fetching tax rules', error: error.message });
+  }
+};
+
+/**
+ * Create a tax rule
+ * POST /api/admin/taxes/rules
+ */
+exports.createTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.create({
+      ...pickTaxRuleFields(req.body),
+      createdBy: req.user.id
+    });
+
+    await logAuditAction(req.user.id, 'tax_rule_create', 'taxes', {
+      taxRuleId: rule._id,
+      code: rule.code,
+      rate: rule.rate,
+      calculation: rule.calculation,
+      effectiveFrom: rule.effectiveFrom
+    }, req);
+
+    res.status(201).json({ success: true, message: 'Tax rule created successfully', data: rule });
+  } catch (error) {
+    console.error('Error in createTaxRule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error creating tax rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a tax rule. To change a rate from a date, end the old rule and create a new one
+ * so quotes and reports for earlier dates keep the old rate.
+ * PUT /api/admin/taxes/rules/:ruleId
+ */
+exports.updateTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Tax rule not found' });
+    }
+
+    const changes = pickTaxRuleFields(req.body);
+    rule.set(changes);
+    await rule.save();
+
+    await logAuditAction(req.user.id, 'tax_rule_update', 'taxes', {
+      taxRuleId: rule._id,
+      changes
+    }, req);
+
+    res.json({ success: true, message: 'Tax rule updated successfully', data: rule });
+  } catch (error) {
+    console.error('Error in updateTaxRule:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Error updating tax rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate a tax rule (kept so past bookings still reference it)
+ * DELETE /api/admin/taxes/rules/:ruleId
+ */
+exports.deactivateTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndUpdate(req.params.ruleId, { active: false }, { new: true });
+
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Tax rule not found' });
+    }
+
+    await logAuditAction(req.user.id, 'tax_rule_deactivate', 'taxes', {
+      taxRuleId: rule._id,
+      code: rule.code
+    }, req);
+
+    res.json({ success: true, message: 'Tax rule deactivated successfully', data: rule });
+  } catch (error) {
+    console.error('Error in deactivateTaxRule:', error);
+    res.status(500).json({ success: false, message: 'Error deactivating tax rule', error: error.message });
+  }
+};
+
+/**
+ * Tax liability on paid bookings for a period
+ * GET /api/admin/taxes/report?startDate=&endDate=&groupBy=day|month|year&serviceType=
+ */
+exports.getTaxLiabilityReport = async (req, res) => {
+  try {
+    const { startDate, endDate, groupBy, serviceType } = req.query;
+
+    const report = await taxService.getLiabilityReport({ startDate, endDate, groupBy, serviceType });
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Error in getTaxLiabilityReport:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating tax report',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,118 @@
+const ProcessedWebhookEvent = require('../models/ProcessedWebhookEvent');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const { logAuditAction } = require('../utils/auditLogger');
+
+/**
+ * List Stripe webhook events from the ledger (defaults to the dead-letter queue)
+ * GET /api/admin/webhook-events?status=failed&type=&page=&limit=
+ */
+exports.getWebhookEvents = async (req, res) => {
+  try {
+    const { status = 'failed', type, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+    if (type) {
+      query.type = type;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const events = await ProcessedWebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-payload');
+
+    const total = await ProcessedWebhookEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getWebhookEvents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook events',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single webhook event including its stored payload
+ * GET /api/admin/webhook-events/:eventId
+ */
+exports.getWebhookEventDetails = async (req, res) => {
+  try {
+    const event = await ProcessedWebhookEvent.findOne({ eventId: req.params.eventId })
+      .populate('replays.replayedBy', 'name email');
+
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found.' });
+    }
+
+    res.json({ success: true, data: event });
+  } catch (error) {
+    console.error('Error in getWebhookEventDetails:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook event',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replay a failed (dead-lettered) webhook event
+ * POST /api/admin/webhook-events/:eventId/replay
+ */
+exports.replayWebhookEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    const outcome = await stripeWebhookService.replayEvent(eventId, req.user.id);
+
+    await logAuditAction(req.user.id, 'webhook_event_replay', 'payments', {
+      eventId,
+      succeeded: !outcome.failed,
+      error: outcome.error
+    }, req);
+
+    if (outcome.failed) {
+      return res.status(422).json({
+        success: false,
+        message: 'Replay failed. The event remains in the dead-letter queue.',
+        error: outcome.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook event replayed successfully.',
+      data: outcome.result
+    });
+  } catch (error) {
+    if (error.message === 'Webhook event not found') {
+      return res.status(404).json({ success: false, message: 'Webhook event not found.' });
+    }
+    if (error.message.startsWith('Only failed events')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error in replayWebhookEvent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying webhook event',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,154 @@
+const bookingChangeService = require('../services/bookingChangeService');
+
+/**
+ * Price difference and availability of a change before requesting it
+ * POST /api/bookings/:id/changes/quote
+ * Body: { date?, time?, timeSlot?, startDate?, endDate?, numPeople?, optionId? }
+ */
+exports.quoteBookingChange = async (req, res) => {
+  try {
+    const quote = await bookingChangeService.quoteChange(req.params.id, req.user.id, req.body);
+
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    console.error('Error in quoteBookingChange:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error quoting booking change',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Request a new date/time or party size. Applied at once (charging or refunding the difference)
+ * unless the listing needs the vendor's approval.
+ * POST /api/bookings/:id/changes
+ * Body: { date?, time?, timeSlot?, startDate?, endDate?, numPeople?, optionId?, reason?, paymentMethodId? }
+ */
+exports.requestBookingChange = async (req, res) => {
+  try {
+    const { change, booking } = await bookingChangeService.requestChange(req.params.id, req.user.id, req.body);
+    const applied = change.status === 'applied';
+
+    res.status(applied ? 200 : 202).json({
+      success: true,
+      message: applied ? 'Booking changed successfully' : 'Change requested; waiting for the vendor to approve it',
+      data: { change, booking }
+    });
+  } catch (error) {
+    console.error('Error in requestBookingChange:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error changing booking',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Changes requested for a booking (its customer or vendor)
+ * GET /api/bookings/:id/changes
+ */
+exports.getBookingChanges = async (req, res) => {
+  try {
+    const changes = await bookingChangeService.getBookingChanges(req.params.id, req.user.id);
+
+    res.json({ success: true, data: changes });
+  } catch (error) {
+    console.error('Error in getBookingChanges:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching booking changes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Withdraw a change still waiting for approval
+ * POST /api/bookings/:id/changes/:changeId/cancel
+ */
+exports.cancelBookingChange = async (req, res) => {
+  try {
+    const change = await bookingChangeService.cancelChange(req.params.id, req.params.changeId, req.user.id);
+
+    res.json({ success: true, message: 'Change request withdrawn', data: change });
+  } catch (error) {
+    console.error('Error in cancelBookingChange:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error withdrawing booking change',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * The vendor's booking change requests
+ * GET /api/vendor/booking-changes?status=pending_approval|applying|applied|declined|cancelled|failed|all&page=1&limit=20
+ */
+exports.getVendorBookingChanges = async (req, res) => {
+  try {
+    const { changes, pagination } = await bookingChangeService.getVendorChanges(req.user.id, req.query);
+
+    res.json({ success: true, data: changes, pagination });
+  } catch (error) {
+    console.error('Error in getVendorBookingChanges:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching booking changes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve a change; the booking is moved and the difference charged or refunded now
+ * POST /api/vendor/bookings/:bookingId/changes/:changeId/approve
+ * Body: { note? }
+ */
+exports.approveBookingChange = async (req, res) => {
+  try {
+    const { change, booking } = await bookingChangeService.approveChange(
+      req.params.bookingId,
+      req.params.changeId,
+      req.user.id,
+      req.body.note
+    );
+
+    res.json({ success: true, message: 'Booking change approved', data: { change, booking } });
+  } catch (error) {
+    console.error('Error in approveBookingChange:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error approving booking change',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Decline a change; the booking stays as it was
+ * POST /api/vendor/bookings/:bookingId/changes/:changeId/decline
+ * Body: { note? }
+ */
+exports.declineBookingChange = async (req, res) => {
+  try {
+    const change = await bookingChangeService.declineChange(
+      req.params.bookingId,
+      req.params.changeId,
+      req.user.id,
+      req.body.note
+    );
+
+    res.json({ success: true, message: 'Booking change declined', data: change });
+  } catch (error) {
+    console.error('Error in declineBookingChange:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error declining booking change',
+      error: error.message
+    });
+  }
+};
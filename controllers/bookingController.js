@@ -1,4 +1,9 @@
 const Booking = require('../models/Booking');
+const availabilityService = require('../services/availabilityService');
+const refundService = require('../services/refundService');
+const ledgerService = require('../services/ledgerService');
+const pricingService = require('../services/pricingService');
+const depositService = require('../services/depositService');
 const { 
   afterBookingCreate, 
   afterBookingUpdate, 
@@ -69,6 +74,12 @@ exports.createBookingFromPayment = async (req, res) => {
             'spa': 'Activity' // Map spa to Activity if not in enum
         };
 
+        // Fees, taxes and listing discounts as quoted when the payment intent was created
+        const listingPricing = pricingService.toBookingPricing(
+            bookingDetails.priceBreakdown || { basePrice: bookingDetails.basePrice },
+            bookingDetails.totalPrice
+        );
+
         // Create booking data matching the ACTUAL schema
         const bookingData = {
             // Required: customer, service, vendor
@@ -81,7 +92,7 @@ exports.createBookingFromPayment = async (req, res) => {
             
             // Optional: category (only for Transportation)
             ...(bookingDetails.category === 'transportation' && {
-                category: bookingDetails.transportationCategory || 'Airport Transfer'
+                category: bookingDetails.transportationCategory || serviceDoc.category || 'Airport Transfer'
             }),
             
             // Status
@@ -97,9 +108,19 @@ exports.createBookingFromPayment = async (req, res) => {
             
             // Required: Pricing
             pricing: {
-                basePrice: bookingDetails.basePrice || bookingDetails.totalPrice,
-                subtotal: bookingDetails.basePrice || bookingDetails.totalPrice,
-                totalAmount: bookingDetails.totalPrice
+                ...listingPricing,
+                discounts: [
+                    ...listingPricing.discounts,
+                    ...(bookingDetails.promotionDiscounts || []),
+                    ...(bookingDetails.loyaltyDiscount > 0 ? [{
+                        name: `${bookingDetails.loyaltyTier} tier`,
+                        amount: bookingDetails.loyaltyDiscount,
+                        type: 'loyalty'
+                    }] : [])
+                ],
+                totalAmount: Math.round((bookingDetails.totalPrice
+                    - (bookingDetails.promotionDiscounts || []).reduce((sum, line) => sum + line.amount, 0)
+                    - (bookingDetails.loyaltyDiscount || 0)) * 100) / 100
             },
             
             // Required: Payment
@@ -107,8 +128,23 @@ exports.createBookingFromPayment = async (req, res) => {
                 method: 'credit-card',
                 status: 'completed',
                 transactionId: paymentIntentId,
-                paidAt: new Date()
+                paidAt: new Date(),
+                creditsApplied: bookingDetails.creditsApplied || 0,
+                creditAmount: bookingDetails.creditAmount || 0,
+                ...(bookingDetails.giftCardAmount > 0 && {
+                    giftCard: bookingDetails.giftCard,
+                    giftCardAmount: bookingDetails.giftCardAmount
+                }),
+                currency: bookingDetails.currency || 'USD',
+                exchangeRate: bookingDetails.exchangeRate || 1,
+                chargedAmount: bookingDetails.chargedAmount,
+                ...depositService.toBookingPayment(bookingDetails)
             },
+
+            // Checkout context, kept as evidence in case the charge is disputed
+            customerIP: bookingDetails.customerIP,
+            userAgent: bookingDetails.userAgent,
+            waiverAcceptedAt: bookingDetails.waiverAcceptedAt,
             
             // Transportation details (if applicable)
             ...(bookingDetails.category === 'transportation' && {
@@ -166,47 +202,43 @@ exports.createBookingFromPayment = async (req, res) => {
             bookingDate: new Date()
         };
 
+        // Reserve capacity atomically before the booking is written
+        const allocations = await availabilityService.reserve(serviceDoc, {
+            optionId: bookingDetails.option || bookingDetails.service,
+            serviceName: bookingDetails.serviceName,
+            date: bookingDetails.date,
+            startDate: bookingDetails.startDate,
+            endDate: bookingDetails.endDate,
+            time: bookingDetails.time,
+            timeSlot: bookingDetails.timeSlot,
+            numPeople: bookingDetails.numOfPeople
+        });
+        bookingData.inventory = { allocations };
+
         console.log('Creating booking with data:', JSON.stringify(bookingData, null, 2));
 
-        const newBooking = await Booking.create(bookingData);
+        let newBooking;
+        try {
+            newBooking = await Booking.create(bookingData);
+        } catch (createError) {
+            await availabilityService.releaseAllocations(allocations);
+            throw createError;
+        }
         
         console.log('Booking created successfully:', newBooking._id);
+        await ledgerService.recordBookingCapture(newBooking);
                 await newBooking.populate([
             { path: 'vendor', select: 'businessProfile.businessName' },
             { path: 'service' }
         ]);
         afterBookingCreate(newBooking);
 
-        // --- ADD CAICOS CREDITS: 1 point per dollar spent ---
-        try {
-            const User = require('../models/User');
-            const amountPaid = bookingDetails.totalPrice;
-            const creditsToAward = Math.floor(amountPaid); // 1 point per dollar, rounded down
-            
-            if (creditsToAward > 0 && bookingDetails.user) {
-                const updateResult = await User.findByIdAndUpdate(
-                    bookingDetails.user,
-                    { 
-                        $inc: { caicosCredits: creditsToAward } // FIXED: caicosCredits not loyaltyPoints
-                    },
-                    { new: true } // Return updated document
-                );
-                
-                console.log(`✅ Awarded ${creditsToAward} CaicosCredits to user ${bookingDetails.user} ($${amountPaid} spent)`);
-                console.log(`   New balance: ${updateResult?.caicosCredits || 'unknown'} credits`);
-            }
-        } catch (creditsError) {
-            // Log error but don't fail the booking
-            console.error('❌ Error awarding CaicosCredits:', creditsError.message);
-            console.error('Full error:', creditsError);
-        }
-
         res.status(201).json({ success: true, data: newBooking });
 
     } catch (error) {
         console.error('Error creating booking from payment:', error.message);
         console.error('Full error:', error);
-        res.status(500).json({ 
+        res.status(error.statusCode || 500).json({ 
             success: false, 
             message: 'Error creating booking.', 
             error: error.message 
@@ -335,8 +367,43 @@ exports.createBooking = async (req, res) => {
         });
     }
 
+    // Reserve capacity atomically before the booking is written
+    const serviceId = bookingData.activity || bookingData.stay || bookingData.transportation ||
+      bookingData.dining || bookingData.spa;
+
+    // Price the booking server-side; client-sent totals in paymentDetails are replaced
+    const quote = await pricingService.quoteItem(serviceId, pricingService.toQuoteRequest({
+      ...req.body,
+      option: optionId || option || service,
+      numPeople: bookingData.numOfPeople
+    }));
+    bookingData.pricing = pricingService.toBookingPricing(quote.priceBreakdown, quote.totalPrice);
+    bookingData.paymentDetails = {
+      ...paymentDetails,
+      totalAmount: quote.totalPrice,
+      remainingBalance: Math.round((quote.totalPrice - (paymentDetails?.amountPaid || 0)) * 100) / 100
+    };
+
+    const allocations = await availabilityService.reserve(serviceId, {
+      optionId: optionId || option || service,
+      serviceName,
+      date,
+      startDate,
+      endDate,
+      time,
+      timeSlot,
+      numPeople: bookingData.numOfPeople
+    });
+    bookingData.inventory = { allocations };
+
     // Create the booking using the booking schema
-    const newBooking = await Booking.create(bookingData);
+    let newBooking;
+    try {
+      newBooking = await Booking.create(bookingData);
+    } catch (createError) {
+      await availabilityService.releaseAllocations(allocations);
+      throw createError;
+    }
     
     // Populate references for complete response
     await newBooking.populate([
@@ -354,7 +421,7 @@ exports.createBooking = async (req, res) => {
     res.status(201).json({ success: true, data: newBooking });
   } catch (error) {
     console.error('Error creating booking:', error.message);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
       message: 'Error creating booking.', 
       error: error.message 
@@ -362,6 +429,11 @@ exports.createBooking = async (req, res) => {
   }
 };
 
+// Fields a customer can edit directly; the date/time and party size change through
+// services/bookingChangeService.js so they are re-quoted and their capacity checked
+const EDITABLE_BOOKING_FIELDS = ['preferences', 'notifications', 'emergency'];
+const CHANGE_REQUEST_FIELDS = ['scheduledDateTime', 'date', 'time', 'timeSlot', 'startDate', 'endDate', 'passengers', 'numPeople', 'transportationDetails'];
+
 // Update an existing booking
 exports.updateBooking = async (req, res) => {
   try {
@@ -371,27 +443,39 @@ exports.updateBooking = async (req, res) => {
     }
 
     // Check if user owns this booking or is admin
-    if (booking.user.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (booking.customer.toString() !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({ 
         success: false, 
         message: 'Unauthorized to update this booking.' 
       });
     }
 
-    const oldBooking = booking.toObject();
+    if (CHANGE_REQUEST_FIELDS.some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'To change the date, time or party size, request a booking change (POST /api/bookings/:id/changes).'
+      });
+    }
+
+    const update = {};
+    EDITABLE_BOOKING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Editable fields: ${EDITABLE_BOOKING_FIELDS.join(', ')}.`
+      });
+    }
+
     const updatedBooking = await Booking.findByIdAndUpdate(
       req.params.id, 
-      req.body, 
+      { $set: update }, 
       { new: true, runValidators: true }
     ).populate([
-      { path: 'user', select: 'firstName lastName email' },
-      { path: 'vendor', select: 'businessProfile.businessName' }, // ✨ ADD THIS
-      { path: 'service' }, // ✨ ADD THIS
-      { path: 'activity', select: 'name images location' },
-      { path: 'stay', select: 'name images location' },
-      { path: 'transportation', select: 'name vehicleType' },
-      { path: 'dining', select: 'name images location' },
-      { path: 'spa', select: 'name images location spaType' }
+      { path: 'customer', select: 'name email' },
+      { path: 'vendor', select: 'businessProfile.businessName' },
+      { path: 'service' }
     ]);
 
     res.status(200).json({ success: true, data: updatedBooking });
@@ -413,43 +497,33 @@ exports.cancelBooking = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found.' });
     }
 
-    if (booking.user.toString() !== req.user.id) {
+    if (booking.customer.toString() !== req.user.id) {
       return res.status(403).json({ 
         success: false, 
         message: 'Unauthorized to cancel this booking.' 
       });
     }
 
-    if (booking.status === 'canceled') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Booking is already canceled.' 
-      });
-    }
-
-        const oldBooking = booking.toObject();
+    const oldBooking = booking.toObject();
 
-    booking.status = 'canceled';
-    booking.cancellation = {
-      isCanceled: true,
-      canceledBy: req.user.id,
-      cancellationDate: new Date(),
+    const { refund } = await refundService.cancelBookingWithRefund(booking, {
+      cancelledBy: req.user.id,
+      initiatedBy: 'customer',
       reason: req.body.reason || 'Canceled by user'
-    };
-
-    await booking.save();
-        afterBookingUpdate(oldBooking, booking);
+    });
+    afterBookingUpdate(oldBooking, booking);
 
     res.status(200).json({ 
       success: true, 
       message: 'Booking canceled successfully.', 
-      data: booking 
+      data: booking,
+      refund
     });
   } catch (error) {
     console.error('Error canceling booking:', error.message);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Error canceling booking.', 
+      message: error.statusCode ? error.message : 'Error canceling booking.', 
       error: error.message 
     });
   }
@@ -602,31 +676,30 @@ exports.adminCancelBooking = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found.' });
     }
 
-    // ✨ ADD THIS LINE
     const oldBooking = booking.toObject();
-    booking.status = 'canceled';
-    booking.cancellation = {
-      isCanceled: true,
-      canceledBy: req.user.id,
-      cancellationDate: new Date(),
-      refundAmount: req.body.refundAmount || booking.paymentDetails?.remainingBalance || 0,
-      refundStatus: 'pending',
-      reason: req.body.reason || 'Canceled by admin'
-    };
 
-    await booking.save();
-        // ✨ ADD THIS LINE
+    // Admins may override the policy refund with req.body.refundAmount, or apply the
+    // listing's weather refund with req.body.weather
+    const { refund } = await refundService.cancelBookingWithRefund(booking, {
+      cancelledBy: req.user.id,
+      initiatedBy: 'admin',
+      reason: req.body.reason || 'Canceled by admin',
+      refundAmount: req.body.refundAmount,
+      weather: req.body.weather === true
+    });
     afterBookingUpdate(oldBooking, booking);
+
     res.status(200).json({ 
       success: true, 
       message: 'Booking canceled by admin.', 
-      data: booking 
+      data: booking,
+      refund
     });
   } catch (error) {
     console.error('Error canceling booking:', error.message);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Error canceling booking.', 
+      message: error.statusCode ? error.message : 'Error canceling booking.', 
       error: error.message 
     });
   }
@@ -645,31 +718,27 @@ exports.managerCancelBooking = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found.' });
     }
 
-    // ✨ ADD THIS LINE
     const oldBooking = booking.toObject();
-    booking.status = 'canceled';
-    booking.cancellation = {
-      isCanceled: true,
-      canceledBy: req.user.id,
-      cancellationDate: new Date(),
-      refundAmount: req.body.refundAmount || booking.paymentDetails?.remainingBalance || 0,
-      refundStatus: 'pending',
-      reason: req.body.reason || 'Canceled by business manager'
-    };
 
-    await booking.save();
-        // ✨ ADD THIS LINE
+    // Vendor-initiated cancellations are refunded in full
+    const { refund } = await refundService.cancelBookingWithRefund(booking, {
+      cancelledBy: req.user.id,
+      initiatedBy: 'vendor',
+      reason: req.body.reason || 'Canceled by business manager'
+    });
     afterBookingUpdate(oldBooking, booking);
+
     res.status(200).json({ 
       success: true, 
       message: 'Booking canceled by business manager.', 
-      data: booking 
+      data: booking,
+      refund
     });
   } catch (error) {
     console.error('Error canceling booking:', error.message);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Error canceling booking.', 
+      message: error.statusCode ? error.message : 'Error canceling booking.', 
       error: error.message 
     });
   }
@@ -781,34 +850,66 @@ exports.initiateCancellation = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found.' });
     }
 
-    if (booking.user.toString() !== req.user.id) {
+    if (booking.customer.toString() !== req.user.id) {
       return res.status(403).json({ 
         success: false, 
         message: 'Unauthorized to cancel this booking.' 
       });
     }
 
-    booking.cancellation = {
-      isCanceled: true,
-      canceledBy: req.user.id,
-      cancellationDate: new Date(),
-      refundAmount: booking.paymentDetails?.remainingBalance || 0,
-      refundStatus: 'pending',
+    const oldBooking = booking.toObject();
+
+    const { refund } = await refundService.cancelBookingWithRefund(booking, {
+      cancelledBy: req.user.id,
+      initiatedBy: 'customer',
       reason: reason || 'Canceled by user'
-    };
-    booking.status = 'canceled';
+    });
+    afterBookingUpdate(oldBooking, booking);
 
-    await booking.save();
     res.status(200).json({ 
       success: true, 
       message: 'Cancellation initiated.', 
-      data: booking 
+      data: booking,
+      refund
     });
   } catch (error) {
     console.error('Error initiating cancellation:', error.message);
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : 'Error initiating cancellation.', 
+      error: error.message 
+    });
+  }
+};
+
+// Preview the refund the customer would get if they cancelled now
+exports.getRefundQuote = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('service');
+    if (!booking) {
+      return res.status(404).json({ success: false, message: 'Booking not found.' });
+    }
+
+    if (booking.customer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Unauthorized to view this booking.' 
+      });
+    }
+
+    // Only admins cancel for weather; customers are quoted the listing's policy
+    const weather = req.user.role === 'admin' && req.query.weather === 'true';
+    const quote = refundService.calculateRefund(booking, booking.service, {
+      initiatedBy: weather ? 'admin' : 'customer',
+      weather
+    });
+
+    res.status(200).json({ success: true, data: quote });
+  } catch (error) {
+    console.error('Error calculating refund quote:', error.message);
     res.status(500).json({ 
       success: false, 
-      message: 'Error initiating cancellation.', 
+      message: 'Error calculating refund quote.', 
       error: error.message 
     });
   }
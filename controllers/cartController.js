@@ -5,6 +5,8 @@ const Transportation = require('../models/Transportation');
 const Dining = require('../models/Dining');
 const Shopping = require('../models/Shopping');
 const mongoose = require('mongoose');
+const pricingService = require('../services/pricingService');
+const currencyService = require('../services/currencyService');
 
 // Add item to cart (Enhanced for all service types)
 // Add item to cart (Enhanced for all service types)
@@ -31,20 +33,24 @@ exports.addToCart = async (req, res) => {
       timeSlot,
       numPeople,
       multiUser = false,
-      totalPrice,
-      priceBreakdown,
       discount,
       notes,
       pickupLocation,
       dropoffLocation,
+      vehicleId,
+      routeId,
+      hours,
+      passengerAges,
+      menuItems,
       serviceName,
+      programId,
       productDetails
     } = req.body;
 
-    // Validation
-    if (!serviceId || !serviceType || !totalPrice) {
+    // Validation (prices are computed server-side; any client totalPrice is ignored)
+    if (!serviceId || !serviceType) {
       return res.status(400).json({ 
-        message: "Missing required fields: serviceId, serviceType, and totalPrice" 
+        message: "Missing required fields: serviceId and serviceType" 
       });
     }
 
@@ -63,8 +69,6 @@ exports.addToCart = async (req, res) => {
       quantity,
       numPeople: numPeople || 1,
       multiUser,
-      totalPrice,
-      priceBreakdown,
       discount,
       notes,
       status: 'reserved',
@@ -111,6 +115,7 @@ exports.addToCart = async (req, res) => {
         cartItem.selectedTime = selectedTime;
         cartItem.serviceName = serviceName;
         if (optionId) cartItem.option = optionId;
+        if (programId) cartItem.programId = programId;
         break;
       
       case 'shopping':
@@ -123,6 +128,17 @@ exports.addToCart = async (req, res) => {
         cartItem.selectedTime = selectedTime;
     }
 
+    // Inputs the pricing engine needs to re-quote this item later
+    if (startDate && !cartItem.startDate) cartItem.startDate = startDate;
+    if (endDate && !cartItem.endDate) cartItem.endDate = endDate;
+    if (optionId && !cartItem.option) cartItem.option = optionId;
+    if (vehicleId) cartItem.vehicleId = vehicleId;
+    if (routeId) cartItem.routeId = routeId;
+    if (hours) cartItem.hours = hours;
+    if (Array.isArray(passengerAges)) cartItem.passengerAges = passengerAges;
+    if (Array.isArray(menuItems)) cartItem.menuItems = menuItems;
+    if (programId) cartItem.programId = programId;
+
     // Check if similar item already exists
     const existingItemIndex = cart.items.findIndex(item => {
       const sameService = item.service.toString() === serviceId;
@@ -135,15 +151,25 @@ exports.addToCart = async (req, res) => {
 
     if (existingItemIndex > -1) {
       console.log("Updating existing cart item");
-      cart.items[existingItemIndex].quantity += quantity;
-      cart.items[existingItemIndex].totalPrice += totalPrice;
-      cart.items[existingItemIndex].audit.push({
+      const existingItem = cart.items[existingItemIndex];
+      existingItem.quantity += quantity;
+      const quote = await pricingService.quoteItem(
+        serviceId,
+        pricingService.toQuoteRequest({ ...existingItem.toObject(), quantity: existingItem.quantity })
+      );
+      existingItem.totalPrice = quote.totalPrice;
+      existingItem.priceBreakdown = quote.priceBreakdown;
+      existingItem.priceLastUpdated = new Date();
+      existingItem.audit.push({
         action: 'Updated',
         timestamp: new Date(),
         performedBy: req.user.id
       });
     } else {
       console.log("Adding new item to cart");
+      const quote = await pricingService.quoteItem(serviceId, pricingService.toQuoteRequest(cartItem));
+      cartItem.totalPrice = quote.totalPrice;
+      cartItem.priceBreakdown = quote.priceBreakdown;
       cart.items.push(cartItem);
     }
 
@@ -164,9 +190,9 @@ exports.addToCart = async (req, res) => {
 
   } catch (error) {
     console.error("❌ Error adding to cart:", error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      message: 'Error adding item to cart', 
+      message: error.statusCode ? error.message : 'Error adding item to cart', 
       error: error.message 
     });
   }
@@ -268,16 +294,32 @@ exports.getCart = async (req, res) => {
 
     await cart.save();
 
+    // ?currency=CAD adds the prices converted at the stored rate; the cart itself stays in USD
+    let display = null;
+    if (req.query.currency) {
+      const fx = await currencyService.getRate(req.query.currency);
+      display = {
+        currency: fx.currency,
+        exchangeRate: fx.rate,
+        totalCartPrice: currencyService.convertFromUSD(cart.totalCartPrice, fx.rate),
+        items: cart.items.map(item => ({
+          _id: item._id,
+          totalPrice: currencyService.convertFromUSD(item.totalPrice, fx.rate)
+        }))
+      };
+    }
+
     res.status(200).json({
       success: true,
-      cart
+      cart,
+      ...(display && { display })
     });
 
   } catch (error) {
     console.error("Error fetching cart:", error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      message: 'Error retrieving cart', 
+      message: error.statusCode ? error.message : 'Error retrieving cart', 
       error: error.message 
     });
   }
@@ -296,6 +338,12 @@ exports.removeFromCart = async (req, res) => {
     }
 
     const itemId = req.params.id;
+    if (cart.items.some(item => item._id.toString() === itemId && item.multiUser)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This item is being paid as a group. Cancel the split payment first.'
+      });
+    }
     cart.items = cart.items.filter(item => item._id.toString() !== itemId);
     cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
 
@@ -320,7 +368,7 @@ exports.removeFromCart = async (req, res) => {
 // Update cart item
 exports.updateCartItem = async (req, res) => {
   try {
-    const { quantity, selectedDate, selectedTime, numPeople, notes, totalPrice } = req.body;
+    const { quantity, selectedDate, startDate, endDate, selectedTime, numPeople, hours, notes } = req.body;
     
     const cart = await Cart.findOne({ user: req.user.id });
     
@@ -340,13 +388,31 @@ exports.updateCartItem = async (req, res) => {
       });
     }
 
+    if (cart.items[itemIndex].multiUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'This item is being paid as a group. Cancel the split payment before changing it.'
+      });
+    }
+
     // Update fields
     if (quantity !== undefined) cart.items[itemIndex].quantity = quantity;
     if (selectedDate) cart.items[itemIndex].selectedDate = selectedDate;
     if (selectedTime) cart.items[itemIndex].selectedTime = selectedTime;
+    if (startDate) cart.items[itemIndex].startDate = startDate;
+    if (endDate) cart.items[itemIndex].endDate = endDate;
     if (numPeople !== undefined) cart.items[itemIndex].numPeople = numPeople;
+    if (hours !== undefined) cart.items[itemIndex].hours = hours;
     if (notes !== undefined) cart.items[itemIndex].notes = notes;
-    if (totalPrice !== undefined) cart.items[itemIndex].totalPrice = totalPrice;
+
+    // Re-price with the new dates / party size
+    const quote = await pricingService.quoteItem(
+      cart.items[itemIndex].service,
+      pricingService.toQuoteRequest(cart.items[itemIndex].toObject())
+    );
+    cart.items[itemIndex].totalPrice = quote.totalPrice;
+    cart.items[itemIndex].priceBreakdown = quote.priceBreakdown;
+    cart.items[itemIndex].priceLastUpdated = new Date();
 
     // Add audit entry
     cart.items[itemIndex].audit.push({
@@ -368,9 +434,9 @@ exports.updateCartItem = async (req, res) => {
 
   } catch (error) {
     console.error("Error updating cart item:", error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      message: 'Error updating cart item', 
+      message: error.statusCode ? error.message : 'Error updating cart item', 
       error: error.message 
     });
   }
@@ -388,8 +454,9 @@ exports.clearCart = async (req, res) => {
       });
     }
 
-    cart.items = [];
-    cart.totalCartPrice = 0;
+    // Items being paid as a group stay until their split payment is funded or cancelled
+    cart.items = cart.items.filter(item => item.multiUser);
+    cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
     await cart.save();
 
     res.status(200).json({
@@ -429,15 +496,21 @@ exports.checkout = async (req, res) => {
     // Create booking for each cart item
     for (const item of cart.items) {
       try {
+        const quote = await pricingService.quoteItem(
+          item.service._id,
+          pricingService.toQuoteRequest({ ...item.toObject(), service: item.service._id })
+        );
+
         const bookingData = {
           user: req.user.id,
           category: item.category || item.serviceType,
           numOfPeople: item.numPeople,
           status: 'pending',
+          pricing: pricingService.toBookingPricing(quote.priceBreakdown, quote.totalPrice),
           paymentDetails: {
-            totalAmount: item.totalPrice,
+            totalAmount: quote.totalPrice,
             amountPaid: 0,
-            remainingBalance: item.totalPrice
+            remainingBalance: quote.totalPrice
           },
           requirements: {
             specialNotes: item.notes
@@ -0,0 +1,54 @@
+const creditService = require('../services/creditService');
+
+/**
+ * Caicos Credits wallet: balance, credits expiring soon and transaction history
+ * GET /api/users/caicos-credits/history?page=&limit=
+ */
+exports.getWallet = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const wallet = await creditService.getWallet(req.user.id, { page, limit });
+
+    res.json({ success: true, data: wallet });
+  } catch (error) {
+    console.error('Error in getWallet:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching Caicos Credits wallet',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * How many credits can be applied to a checkout total, and what they are worth
+ * GET /api/users/caicos-credits/quote?credits=&total=
+ */
+exports.getCheckoutQuote = async (req, res) => {
+  try {
+    const credits = Number(req.query.credits) || 0;
+    const total = Number(req.query.total);
+
+    if (!(total > 0)) {
+      return res.status(400).json({ success: false, message: 'A checkout total is required.' });
+    }
+
+    const quote = await creditService.quoteCheckoutCredits(req.user.id, credits, total);
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        amountDue: Math.round((total - quote.amount) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCheckoutQuote:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error quoting Caicos Credits',
+      error: error.message
+    });
+  }
+};
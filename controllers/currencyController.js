@@ -0,0 +1,16 @@
+const currencyService = require('../services/currencyService');
+
+/**
+ * Currencies guests can view prices and pay in, with the rate per 1 USD
+ * GET /api/currencies
+ */
+exports.getRates = async (req, res) => {
+  try {
+    const rates = await currencyService.getRates();
+
+    res.json({ success: true, data: rates });
+  } catch (error) {
+    console.error('Error in getRates:', error);
+    res.status(500).json({ success: false, message: 'Error fetching exchange rates', error: error.message });
+  }
+};
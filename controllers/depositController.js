@@ -0,0 +1,90 @@
+const depositService = require('../services/depositService');
+
+/**
+ * Deposit, installments and security deposit of one of the customer's bookings
+ * GET /api/bookings/:id/payment-schedule
+ */
+exports.getPaymentSchedule = async (req, res) => {
+  try {
+    const schedule = await depositService.getPaymentSchedule(req.params.id, req.user.id);
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Error in getPaymentSchedule:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching payment schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pay an installment now (an overdue one, or ahead of its due date)
+ * POST /api/bookings/:id/installments/:installmentId/pay
+ */
+exports.payInstallment = async (req, res) => {
+  try {
+    const payment = await depositService.createInstallmentPaymentIntent(
+      req.params.id,
+      req.params.installmentId,
+      req.user.id
+    );
+
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    console.error('Error in payInstallment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating installment payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Keep part or all of a rental's held security deposit
+ * POST /api/vendor/bookings/:bookingId/security-deposit/capture
+ * Body: { amount, reason }
+ */
+exports.captureSecurityDeposit = async (req, res) => {
+  try {
+    const booking = await depositService.captureSecurityDeposit(req.params.bookingId, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Security deposit captured',
+      data: booking.payment.securityDeposit
+    });
+  } catch (error) {
+    console.error('Error in captureSecurityDeposit:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error capturing security deposit',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Release a rental's held security deposit in full
+ * POST /api/vendor/bookings/:bookingId/security-deposit/release
+ */
+exports.releaseSecurityDeposit = async (req, res) => {
+  try {
+    const booking = await depositService.releaseVendorSecurityDeposit(req.params.bookingId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Security deposit released',
+      data: booking.payment.securityDeposit
+    });
+  } catch (error) {
+    console.error('Error in releaseSecurityDeposit:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error releasing security deposit',
+      error: error.message
+    });
+  }
+};
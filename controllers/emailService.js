@@ -647,9 +647,501 @@ const sendPasswordResetEmail = async (recipientEmail, resetLink) => {
   }
 };
 
+const sendSplitPaymentInviteEmail = async (recipientEmail, { payeeName, organizerName, serviceName, shareAmount, totalAmount, deadline, paymentLink }) => {
+  try {
+    SibApiV3Sdk.ApiClient.instance.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
+    const emailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sender = {
+      email: process.env.BREVO_SENDER_EMAIL,
+      name: "CaicosCompass Team"
+    };
+
+    const receivers = [{ email: recipientEmail, ...(payeeName && { name: payeeName }) }];
+    const deadlineText = new Date(deadline).toUTCString();
+
+    const mailOptions = {
+      sender,
+      to: receivers,
+      subject: `🌴 ${organizerName} invited you to split ${serviceName}`,
+      htmlContent: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Pay Your Share</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa;">
+            <tr>
+              <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+
+                  <!-- Header -->
+                  <tr>
+                    <td style="background: linear-gradient(135deg, #0d6efd 0%, #0a58ca 100%); padding: 40px 20px; text-align: center;">
+                      <img src="https://i.imgur.com/jjYqLQJ.png" alt="CaicosCompass" style="width: 120px; height: auto; margin-bottom: 20px;">
+                      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 300;">CaicosCompass</h1>
+                      <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">Group Booking</p>
+                    </td>
+                  </tr>
+
+                  <!-- Main Content -->
+                  <tr>
+                    <td style="padding: 40px 30px;">
+                      <table width="100%" cellpadding="0" cellspacing="0">
+                        <tr>
+                          <td style="text-align: center; padding-bottom: 30px;">
+                            <h2 style="color: #333333; font-size: 24px; margin: 0 0 10px 0;">Hi${payeeName ? ` ${payeeName}` : ''}! 👋</h2>
+                            <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0;">${organizerName} is booking <strong>${serviceName}</strong> for the group and has split the $${totalAmount.toFixed(2)} total.</p>
+                          </td>
+                        </tr>
+
+                        <tr>
+                          <td style="text-align: center; padding: 10px 0;">
+                            <p style="color: #333333; font-size: 20px; margin: 0;">Your share: <strong>$${shareAmount.toFixed(2)}</strong></p>
+                          </td>
+                        </tr>
+
+                        <!-- Pay Button -->
+                        <tr>
+                          <td style="text-align: center; padding: 20px 0;">
+                            <a href="${paymentLink}"
+                               style="display: inline-block; background: linear-gradient(135deg, #0d6efd 0%, #0a58ca 100%);
+                                      color: white; padding: 16px 32px; text-decoration: none; border-radius: 8px;
+                                      font-weight: 600; font-size: 16px;">
+                              💳 Pay My Share
+                            </a>
+                          </td>
+                        </tr>
+
+                        <!-- Deadline Notice -->
+                        <tr>
+                          <td style="background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 16px;">
+                            <p style="color: #856404; font-size: 14px; margin: 0; font-weight: 500;">⏰ Every share must be paid by ${deadlineText}. If the booking is not fully paid by then it is cancelled and any shares already paid are refunded.</p>
+                          </td>
+                        </tr>
+                      </table>
+                    </td>
+                  </tr>
+
+                  <!-- Footer -->
+                  <tr>
+                    <td style="background-color: #333333; padding: 30px 20px; text-align: center;">
+                      <p style="color: rgba(255,255,255,0.6); font-size: 11px; margin: 0;">© ${new Date().getFullYear()} CaicosCompass. All rights reserved.</p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `
+    };
+
+    await emailApi.sendTransacEmail(mailOptions);
+    console.log(`🎉 Split payment invite sent successfully to ${recipientEmail}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending split payment invite email:', error);
+    throw new Error('Unable to send split payment invite email.');
+  }
+};
+
+const sendSplitPaymentCancelledEmail = async (recipientEmail, { payeeName, serviceName, refundAmount, reason }) => {
+  try {
+    SibApiV3Sdk.ApiClient.instance.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
+    const emailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sender = {
+      email: process.env.BREVO_SENDER_EMAIL,
+      name: "CaicosCompass Team"
+    };
+
+    const receivers = [{ email: recipientEmail, ...(payeeName && { name: payeeName }) }];
+
+    const mailOptions = {
+      sender,
+      to: receivers,
+      subject: `Group booking cancelled: ${serviceName}`,
+      htmlContent: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Group Booking Cancelled</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa;">
+            <tr>
+              <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+                  <tr>
+                    <td style="padding: 40px 30px; text-align: center;">
+                      <h2 style="color: #333333; font-size: 24px; margin: 0 0 10px 0;">The group booking for ${serviceName} was cancelled</h2>
+                      <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">${reason}</p>
+                      ${refundAmount > 0
+                        ? `<p style="color: #333333; font-size: 16px; margin: 0;">Your payment of <strong>$${refundAmount.toFixed(2)}</strong> has been refunded to your card. Refunds usually appear within 5-10 business days.</p>`
+                        : `<p style="color: #333333; font-size: 16px; margin: 0;">You have not been charged.</p>`}
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #333333; padding: 30px 20px; text-align: center;">
+                      <p style="color: rgba(255,255,255,0.6); font-size: 11px; margin: 0;">© ${new Date().getFullYear()} CaicosCompass. All rights reserved.</p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `
+    };
+
+    await emailApi.sendTransacEmail(mailOptions);
+    console.log(`Split payment cancellation email sent to ${recipientEmail}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending split payment cancellation email:', error);
+    throw new Error('Unable to send split payment cancellation email.');
+  }
+};
+
+const sendInstallmentOverdueEmail = async (recipientEmail, { customerName, serviceName, amount, dueDate, reason, paymentLink }) => {
+  try {
+    SibApiV3Sdk.ApiClient.instance.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
+    const emailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sender = {
+      email: process.env.BREVO_SENDER_EMAIL,
+      name: "CaicosCompass Team"
+    };
+
+    const receivers = [{ email: recipientEmail, ...(customerName && { name: customerName }) }];
+    const due = new Date(dueDate).toLocaleDateString('en-US', { dateStyle: 'long' });
+
+    const mailOptions = {
+      sender,
+      to: receivers,
+      subject: `Payment overdue: ${serviceName}`,
+      htmlContent: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Payment Overdue</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa;">
+            <tr>
+              <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+                  <tr>
+                    <td style="padding: 40px 30px; text-align: center;">
+                      <h2 style="color: #333333; font-size: 24px; margin: 0 0 10px 0;">We couldn't charge your card for ${serviceName}</h2>
+                      <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                        The installment of <strong>$${amount.toFixed(2)}</strong> due on ${due} could not be charged to your saved card${reason ? ` (${reason})` : ''}.
+                        Please pay it to keep your booking.
+                      </p>
+                      <a href="${paymentLink}" style="display: inline-block; background: linear-gradient(135deg, #0d6efd 0%, #0a58ca 100%); color: white; padding: 16px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">💳 Pay Now</a>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #333333; padding: 30px 20px; text-align: center;">
+                      <p style="color: rgba(255,255,255,0.6); font-size: 11px; margin: 0;">© ${new Date().getFullYear()} CaicosCompass. All rights reserved.</p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `
+    };
+
+    await emailApi.sendTransacEmail(mailOptions);
+    console.log(`Installment overdue email sent to ${recipientEmail}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending installment overdue email:', error);
+    throw new Error('Unable to send installment overdue email.');
+  }
+};
+
+const sendDisputeClawbackEmail = async (recipientEmail, { vendorName, bookingId, amount, reinstated = false }) => {
+  try {
+    SibApiV3Sdk.ApiClient.instance.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
+    const emailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sender = {
+      email: process.env.BREVO_SENDER_EMAIL,
+      name: "CaicosCompass Team"
+    };
+
+    const receivers = [{ email: recipientEmail, ...(vendorName && { name: vendorName }) }];
+    const title = reinstated ? 'Dispute won' : 'Payment disputed';
+
+    const mailOptions = {
+      sender,
+      to: receivers,
+      subject: `${title}: booking ${bookingId}`,
+      htmlContent: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title}</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa;">
+            <tr>
+              <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+                  <tr>
+                    <td style="padding: 40px 30px; text-align: center;">
+                      <h2 style="color: #333333; font-size: 24px; margin: 0 0 10px 0;">${reinstated ? `The dispute on booking ${bookingId} was resolved in your favour` : `A customer disputed the payment for booking ${bookingId}`}</h2>
+                      <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                        ${reinstated
+                          ? `The card network returned the disputed funds. <strong>$${amount.toFixed(2)}</strong> will be added back to your next payout.`
+                          : `The card network has withdrawn the disputed funds. <strong>$${amount.toFixed(2)}</strong> will be deducted from your next payout. Our team is responding to the dispute with the booking records; if it is won, the amount will be returned to you.`}
+                      </p>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #333333; padding: 30px 20px; text-align: center;">
+                      <p style="color: rgba(255,255,255,0.6); font-size: 11px; margin: 0;">© ${new Date().getFullYear()} CaicosCompass. All rights reserved.</p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `
+    };
+
+    await emailApi.sendTransacEmail(mailOptions);
+    console.log(`Dispute email sent to ${recipientEmail}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending dispute email:', error);
+    throw new Error('Unable to send dispute email.');
+  }
+};
+
+const sendBookingConfirmationEmail = async (recipientEmail, { customerName, bookings, total, invoiceNumber, invoicePdf, bookingUrl }) => {
+  try {
+    SibApiV3Sdk.ApiClient.instance.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
+    const emailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sender = {
+      email: process.env.BREVO_SENDER_EMAIL,
+      name: "CaicosCompass Team"
+    };
+
+    const receivers = [{ email: recipientEmail, ...(customerName && { name: customerName }) }];
+    const rows = bookings.map(booking => `
+                        <tr>
+                          <td style="padding: 8px 0; color: #333333; font-size: 14px; text-align: left;">
+                            ${booking.serviceName}<br>
+                            <span style="color: #999999; font-size: 12px;">${booking.bookingId} &middot; ${new Date(booking.date).toLocaleDateString('en-US', { dateStyle: 'long' })}</span>
+                          </td>
+                          <td style="padding: 8px 0; color: #333333; font-size: 14px; text-align: right;">$${booking.amount.toFixed(2)}</td>
+                        </tr>`).join('');
+
+    const mailOptions = {
+      sender,
+      to: receivers,
+      subject: `Booking confirmed - invoice ${invoiceNumber}`,
+      htmlContent: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Booking Confirmed</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa;">
+            <tr>
+              <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+                  <tr>
+                    <td style="padding: 40px 30px; text-align: center;">
+                      <h2 style="color: #333333; font-size: 24px; margin: 0 0 10px 0;">Your booking is confirmed${customerName ? `, ${customerName}` : ''}!</h2>
+                      <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
+                        Thank you for booking with CaicosCompass. Your invoice <strong>${invoiceNumber}</strong> is attached for your records.
+                      </p>
+                      <table width="100%" cellpadding="0" cellspacing="0" style="border-top: 1px solid #eeeeee; border-bottom: 1px solid #eeeeee; margin: 0 0 20px 0;">
+                        ${rows}
+                        <tr>
+                          <td style="padding: 8px 0; color: #333333; font-size: 14px; font-weight: 600; text-align: left;">Total</td>
+                          <td style="padding: 8px 0; color: #333333; font-size: 14px; font-weight: 600; text-align: right;">$${total.toFixed(2)}</td>
+                        </tr>
+                      </table>
+                      <a href="${bookingUrl}" style="display: inline-block; background: linear-gradient(135deg, #0d6efd 0%, #0a58ca 100%); color: white; padding: 16px 32px; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 16px;">📄 View Booking</a>
+                    </td>
+                  </tr>
+                  <tr>
+                    <td style="background-color: #333333; padding: 30px 20px; text-align: center;">
+                      <p style="color: rgba(255,255,255,0.6); font-size: 11px; margin: 0;">© ${new Date().getFullYear()} CaicosCompass. All rights reserved.</p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `,
+      ...(invoicePdf && { attachment: [{ name: `${invoiceNumber}.pdf`, content: invoicePdf.toString('base64') }] })
+    };
+
+    await emailApi.sendTransacEmail(mailOptions);
+    console.log(`Booking confirmation email sent to ${recipientEmail}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending booking confirmation email:', error);
+    throw new Error('Unable to send booking confirmation email.');
+  }
+};
+
+const sendGiftCardEmail = async (recipientEmail, { recipientName, senderName, code, amount, experience, message, expiresAt }) => {
+  try {
+    SibApiV3Sdk.ApiClient.instance.authentications['api-key'].apiKey = process.env.BREVO_API_KEY;
+    const emailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+    const sender = {
+      email: process.env.BREVO_SENDER_EMAIL,
+      name: "CaicosCompass Team"
+    };
+
+    const receivers = [{ email: recipientEmail, ...(recipientName && { name: recipientName }) }];
+    // The personal message is typed by the purchaser
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+    ));
+    const from = senderName ? escapeHtml(senderName) : 'Someone';
+    const valueText = experience
+      ? `a voucher for <strong>${escapeHtml(experience)}</strong>`
+      : `a <strong>$${amount.toFixed(2)}</strong> gift card`;
+    const expiresText = new Date(expiresAt).toDateString();
+    const balanceLink = `${process.env.FRONTEND_URL}/gift-cards?code=${encodeURIComponent(code)}`;
+
+    const mailOptions = {
+      sender,
+      to: receivers,
+      subject: `🎁 ${senderName || 'Someone'} sent you a CaicosCompass gift`,
+      htmlContent: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Gift Card</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f8f9fa;">
+          <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8f9fa;">
+            <tr>
+              <td align="center" style="padding: 20px 0;">
+                <table width="600" cellpadding="0" cellspacing="0" style="background-color: white; border-radius: 12px; overflow: hidden; box-shadow: 0 4px 12px rgba(0,0,0,0.1);">
+
+                  <!-- Header -->
+                  <tr>
+                    <td style="background: linear-gradient(135deg, #0d6efd 0%, #0a58ca 100%); padding: 40px 20px; text-align: center;">
+                      <img src="https://i.imgur.com/jjYqLQJ.png" alt="CaicosCompass" style="width: 120px; height: auto; margin-bottom: 20px;">
+                      <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 300;">CaicosCompass</h1>
+                      <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">Gift Card</p>
+                    </td>
+                  </tr>
+
+                  <!-- Main Content -->
+                  <tr>
+                    <td style="padding: 40px 30px;">
+                      <table width="100%" cellpadding="0" cellspacing="0">
+                        <tr>
+                          <td style="text-align: center; padding-bottom: 30px;">
+                            <h2 style="color: #333333; font-size: 24px; margin: 0 0 10px 0;">Hi${recipientName ? ` ${escapeHtml(recipientName)}` : ''}! 🎁</h2>
+                            <p style="color: #666666; font-size: 16px; line-height: 1.6; margin: 0;">${from} sent you ${valueText} to spend on experiences in Turks and Caicos.</p>
+                          </td>
+                        </tr>
+
+                        ${message ? `
+                        <tr>
+                          <td style="background-color: #f8f9fa; border-left: 4px solid #0d6efd; padding: 16px;">
+                            <p style="color: #333333; font-size: 15px; font-style: italic; margin: 0; white-space: pre-line;">${escapeHtml(message)}</p>
+                          </td>
+                        </tr>` : ''}
+
+                        <!-- Code -->
+                        <tr>
+                          <td style="text-align: center; padding: 30px 0 10px 0;">
+                            <p style="color: #666666; font-size: 14px; margin: 0 0 8px 0;">Your gift card code</p>
+                            <p style="color: #333333; font-size: 26px; letter-spacing: 3px; font-family: monospace; margin: 0;"><strong>${code}</strong></p>
+                          </td>
+                        </tr>
+
+                        <tr>
+                          <td style="text-align: center; padding: 20px 0;">
+                            <a href="${balanceLink}"
+                               style="display: inline-block; background: linear-gradient(135deg, #0d6efd 0%, #0a58ca 100%);
+                                      color: white; padding: 16px 32px; text-decoration: none; border-radius: 8px;
+                                      font-weight: 600; font-size: 16px;">
+                              🌴 Check Balance &amp; Book
+                            </a>
+                          </td>
+                        </tr>
+
+                        <tr>
+                          <td style="background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 16px;">
+                            <p style="color: #856404; font-size: 14px; margin: 0; font-weight: 500;">Enter the code at checkout. It can be used over several bookings until the balance runs out, and is valid until ${expiresText}.</p>
+                          </td>
+                        </tr>
+                      </table>
+                    </td>
+                  </tr>
+
+                  <!-- Footer -->
+                  <tr>
+                    <td style="background-color: #333333; padding: 30px 20px; text-align: center;">
+                      <p style="color: rgba(255,255,255,0.6); font-size: 11px; margin: 0;">© ${new Date().getFullYear()} CaicosCompass. All rights reserved.</p>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </body>
+        </html>
+      `
+    };
+
+    await emailApi.sendTransacEmail(mailOptions);
+    console.log(`Gift card email sent to ${recipientEmail}`);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error sending gift card email:', error);
+    throw new Error('Unable to send gift card email.');
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendBusinessApplicationEmail,  // NEW
-  sendBusinessApprovalEmail      // NEW
+  sendBusinessApprovalEmail,     // NEW
+  sendSplitPaymentInviteEmail,
+  sendSplitPaymentCancelledEmail,
+  sendInstallmentOverdueEmail,
+  sendDisputeClawbackEmail,
+  sendBookingConfirmationEmail,
+  sendGiftCardEmail
 };
\ No newline at end of file
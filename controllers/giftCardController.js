@@ -0,0 +1,57 @@
+const giftCardService = require('../services/giftCardService');
+
+/**
+ * Buy a gift card (custom amount) or an experience voucher (Activity option) and get the
+ * payment intent to confirm. The card is emailed once the payment succeeds, on deliverAt if set.
+ * POST /api/gift-cards
+ * Body: { amount } | { activityId, optionId, numPeople },
+ *       recipientName, recipientEmail, message?, deliverAt?, purchaserName?, purchaserEmail?, currency?
+ */
+exports.purchaseGiftCard = async (req, res) => {
+  try {
+    const purchase = await giftCardService.startPurchase(req.body, req.user || null);
+
+    res.status(201).json({ success: true, data: purchase });
+  } catch (error) {
+    console.error('Error in purchaseGiftCard:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting gift card purchase',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remaining balance and expiry of a gift card. The code is the credential.
+ * GET /api/gift-cards/:code/balance
+ */
+exports.getGiftCardBalance = async (req, res) => {
+  try {
+    const balance = await giftCardService.getBalance(req.params.code);
+
+    res.json({ success: true, data: balance });
+  } catch (error) {
+    console.error('Error in getGiftCardBalance:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching gift card balance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Gift cards the signed-in user has bought, with delivery status
+ * GET /api/gift-cards/purchased
+ */
+exports.getPurchasedGiftCards = async (req, res) => {
+  try {
+    const giftCards = await giftCardService.getPurchasedGiftCards(req.user.id);
+
+    res.json({ success: true, data: giftCards });
+  } catch (error) {
+    console.error('Error in getPurchasedGiftCards:', error);
+    res.status(500).json({ success: false, message: 'Error fetching gift cards', error: error.message });
+  }
+};
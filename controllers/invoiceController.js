@@ -0,0 +1,25 @@
+const invoiceService = require('../services/invoiceService');
+
+/**
+ * Download the PDF invoice of a booking, or one of its credit notes with ?number=CN-...
+ * GET /api/bookings/:id/invoice
+ */
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const { invoice, pdf } = await invoiceService.getInvoicePdf(req.params.id, req.user, req.query.number);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error in downloadInvoice:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error generating invoice',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,103 @@
+const loyaltyService = require('../services/loyaltyService');
+
+/**
+ * Tier thresholds and benefits
+ * GET /api/loyalty/tiers
+ */
+exports.getTiers = async (req, res) => {
+  res.json({ success: true, data: loyaltyService.TIERS });
+};
+
+/**
+ * Loyalty account: points, tier, progress to the next tier and points history
+ * GET /api/loyalty/me?page=&limit=
+ */
+exports.getMyLoyalty = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const account = await loyaltyService.getAccount(req.user.id, { page, limit });
+
+    res.json({ success: true, data: account });
+  } catch (error) {
+    console.error('Error in getMyLoyalty:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching loyalty account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Active rewards catalog
+ * GET /api/loyalty/rewards
+ */
+exports.getRewards = async (req, res) => {
+  try {
+    const rewards = await loyaltyService.getRewardsCatalog(req.user?.id);
+
+    res.json({ success: true, data: rewards });
+  } catch (error) {
+    console.error('Error in getRewards:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching rewards',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exchange points for a reward
+ * POST /api/loyalty/rewards/:rewardId/redeem
+ */
+exports.redeemReward = async (req, res) => {
+  try {
+    const result = await loyaltyService.redeemReward(req.user.id, req.params.rewardId);
+
+    res.json({
+      success: true,
+      message: 'Reward redeemed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in redeemReward:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error redeeming reward',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Tier discount that would apply to a checkout total
+ * GET /api/loyalty/checkout-benefit?total=
+ */
+exports.getCheckoutBenefit = async (req, res) => {
+  try {
+    const total = Number(req.query.total);
+
+    if (!(total > 0)) {
+      return res.status(400).json({ success: false, message: 'A checkout total is required.' });
+    }
+
+    const benefit = await loyaltyService.getCheckoutBenefit(req.user.id, total);
+
+    res.json({
+      success: true,
+      data: {
+        ...benefit,
+        amountDue: Math.round((total - benefit.amount) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Error in getCheckoutBenefit:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching checkout benefit',
+      error: error.message
+    });
+  }
+};
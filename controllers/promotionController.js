@@ -0,0 +1,39 @@
+const promotionService = require('../services/promotionService');
+
+/**
+ * Price promo codes and automatic promotions against a cart or single booking
+ * without reserving them (checkout reserves them when the payment intent is created)
+ * POST /api/promotions/validate { items | bookingData, promoCodes, user, guestEmail }
+ */
+exports.validatePromotions = async (req, res) => {
+  try {
+    const { items, bookingData, promoCodes = [], promoCode, user, guestEmail } = req.body;
+
+    const checkoutItems = Array.isArray(items) && items.length > 0
+      ? items
+      : bookingData ? [{
+        ...bookingData,
+        service: bookingData.serviceId || bookingData[(bookingData.serviceType || '').toLowerCase()]
+      }] : [];
+
+    if (checkoutItems.length === 0) {
+      return res.status(400).json({ success: false, message: 'Cart items or booking data are required.' });
+    }
+
+    const evaluation = await promotionService.evaluate({
+      items: checkoutItems,
+      codes: [].concat(promoCodes, promoCode || []),
+      customerId: user || null,
+      guestEmail: guestEmail || bookingData?.guestEmail || null
+    });
+
+    res.json({ success: true, data: evaluation });
+  } catch (error) {
+    console.error('Error in validatePromotions:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error validating promotions',
+      error: error.message
+    });
+  }
+};
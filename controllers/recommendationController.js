@@ -0,0 +1,25 @@
+const recommendationService = require('../services/recommendationService');
+
+/**
+ * Listings picked for the traveler: scored against their profile, saved and booked listings and reviews,
+ * with anything their party can't use (age, accessibility, diet, group size, pets) left out.
+ * Guests get the best rated listings.
+ * GET /api/recommendations?context=home|stay|checkout&stayId=&serviceType=Activity,Dining&category=&limit=12
+ */
+exports.getRecommendations = async (req, res) => {
+  try {
+    const { context, stay, personalized, data } = await recommendationService.getRecommendations(
+      req.user?._id || null,
+      req.query
+    );
+
+    res.json({ success: true, context, ...(stay && { stay }), personalized, count: data.length, data });
+  } catch (error) {
+    console.error('Error in getRecommendations:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching recommendations',
+      error: error.message
+    });
+  }
+};
@@ -3,6 +3,7 @@ const Review = require('../models/Review');
 const Booking = require('../models/Booking');
 const Service = require('../models/Service');
 const User = require('../models/User');
+const creditService = require('../services/creditService');
 
 /**
  * @desc    Create a new review
@@ -116,6 +117,9 @@ exports.createReview = async (req, res) => {
       totalReviews: serviceRating.totalReviews
     });
 
+    // Step 8: Reward the review with Caicos Credits
+    await creditService.awardReviewCredits(userId, review);
+
     res.status(201).json({
       success: true,
       message: 'Review created successfully',
@@ -0,0 +1,84 @@
+const searchService = require('../services/searchService');
+const suggestionService = require('../services/suggestionService');
+
+/**
+ * Search active listings of every type, with facet counts for the current filters
+ * GET /api/search?q=snorkel&serviceType=Activity,Dining&island=Providenciales&priceBand=budget,moderate
+ *   &minPrice=&maxPrice=&ratingTier=excellent&minRating=&amenities=pool,wifi&cuisine=Seafood&category=Water Sports
+ *   &lat=21.77&lng=-72.27&sort=relevance|price_asc|price_desc|rating|distance&page=1&limit=20
+ *   &date=2025-03-10&endDate=2025-03-14&time=10:00 AM&guests=4 (only bookable listings, with their free units;
+ *   truncated is set when there were too many listings to check them all)
+ */
+exports.search = async (req, res) => {
+  try {
+    const { results, facets, pagination, sort, truncated } = await searchService.search(req.query);
+
+    res.json({ success: true, data: results, facets, pagination, sort, truncated });
+  } catch (error) {
+    console.error('Error in search:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error searching listings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Active listings within a radius of a point or of a stay ("near my villa"), nearest first
+ * GET /api/search/nearby?lat=21.77&lng=-72.27 | ?stayId=...&radiusKm=10&serviceType=Dining,Activity&island=&page=1&limit=20
+ *   &date=&endDate=&time=&guests=
+ */
+exports.getNearby = async (req, res) => {
+  try {
+    const { results, origin, radiusKm, pagination, truncated } = await searchService.findNearby(req.query);
+
+    res.json({ success: true, data: results, origin, radiusKm, pagination, truncated });
+  } catch (error) {
+    console.error('Error in getNearby:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching nearby listings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Active listings inside a map viewport
+ * GET /api/search/bounds?swLat=21.70&swLng=-72.35&neLat=21.85&neLng=-72.10&serviceType=&island=&limit=100
+ *   &date=&endDate=&time=&guests=
+ */
+exports.getWithinBounds = async (req, res) => {
+  try {
+    const { results, total, truncated } = await searchService.findWithinBounds(req.query);
+
+    res.json({ success: true, data: results, total, truncated });
+  } catch (error) {
+    console.error('Error in getWithinBounds:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching listings in map area',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Suggest-as-you-type for the search bar, grouped by type, tolerant of typos and synonyms ("provo")
+ * GET /api/search/suggest?q=grace ba&types=listing,vendor,island,category,cuisine,info-page&limit=5
+ */
+exports.suggest = async (req, res) => {
+  try {
+    const { query, groups, total } = await suggestionService.suggest(req.query);
+
+    res.json({ success: true, query, data: groups, total });
+  } catch (error) {
+    console.error('Error in suggest:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching suggestions',
+      error: error.message
+    });
+  }
+};
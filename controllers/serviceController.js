@@ -6,6 +6,8 @@ const Transportation = require('../models/Transportation');
 const mongoose = require('mongoose');
 const Shopping = require('../models/Shopping');
 const WellnessSpa = require('../models/WellnessSpa');
+const availabilityService = require('../services/availabilityService');
+const rateCalendarService = require('../services/rateCalendarService');
 
 // Model mapping to link service types to Mongoose models
 const modelMap = {
@@ -93,6 +95,59 @@ exports.getServiceByIdAndOption = async (req, res) => {
   }
 };
 
+// Get remaining capacity for a service between two dates
+exports.getServiceAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid service ID' });
+    }
+
+    const availability = await availabilityService.getAvailability(id, from, to);
+    res.status(200).json(availability);
+  } catch (error) {
+    if (error.message === 'Service not found') {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error fetching service availability:', error);
+    res.status(500).json({ message: 'Error fetching service availability', error: error.message });
+  }
+};
+
+// Get day-by-day rates, minimum stays and closed-to-arrival days (?from=&to=&unitKey=)
+exports.getServiceRates = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, unitKey } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: 'Invalid service ID' });
+    }
+
+    const service = await Service.findById(id).lean();
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+    if (!['Stay', 'Activity'].includes(service.serviceType)) {
+      return res.status(400).json({ message: 'Rate calendars are available for stays and activities' });
+    }
+
+    const calendar = await rateCalendarService.getCalendar(service, { from, to, unitKey });
+    res.status(200).json(calendar);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching service rates:', error);
+    res.status(500).json({ message: 'Error fetching service rates', error: error.message });
+  }
+};
+
 // Create a new service (dynamic by type)
 exports.createService = async (req, res) => {
   try {
@@ -228,28 +283,30 @@ exports.getFilteredStays = async (req, res) => {
     }
 
     if (filters.bedrooms) {
-      query['rooms.bedrooms'] = { $gte: Number(filters.bedrooms) };
+      query.bedrooms = { $gte: Number(filters.bedrooms) };
     }
 
     if (filters.beds) {
-      query['rooms.beds'] = { $gte: Number(filters.beds) };
+      query.beds = { $gte: Number(filters.beds) };
     }
 
     if (filters.bathrooms) {
-      query['rooms.bathrooms'] = { $gte: Number(filters.bathrooms) };
+      query.bathrooms = { $gte: Number(filters.bathrooms) };
     }
 
     if (filters.petsAllowed) {
-      query.petsAllowed = filters.petsAllowed === 'true';
+      query['bookingOptions.allowPets'] = filters.petsAllowed === 'true';
     }
 
     if (filters.selfCheckIn) {
-      query.selfCheckIn = filters.selfCheckIn === 'true';
+      query['bookingOptions.selfCheckIn'] = filters.selfCheckIn === 'true';
     }
 
     if (filters.amenities) {
-      const amenitiesArray = filters.amenities.split(',');
-      query.amenities = { $all: amenitiesArray };
+      // Amenities are boolean flags on the stay
+      filters.amenities.split(',').forEach(amenity => {
+        query[`amenities.${amenity.trim()}`] = true;
+      });
     }
 
     if (filters.island) {
@@ -266,21 +323,13 @@ exports.getFilteredStays = async (req, res) => {
 
 exports.getStayPriceRange = async (req, res) => {
   try {
-    // Fetch all stays and extract room prices
-    const stays = await Stay.find().select('pricePerNight rooms');
-
-    // Collect all price values from rooms and overall stays
-    const allPrices = stays.flatMap(stay => 
-      stay.rooms && stay.rooms.length > 0 
-        ? stay.rooms.map(room => room.pricePerNight) 
-        : [stay.pricePerNight]
-    ).filter(price => price !== undefined && price !== null);
-
-    // Determine highest and lowest prices
-    const highestPrice = allPrices.length > 0 ? Math.max(...allPrices) : null;
-    const lowestPrice = allPrices.length > 0 ? Math.min(...allPrices) : null;
+    // Base nightly prices plus seasonal rates in force from today (or within ?startDate=&endDate=)
+    const { minPrice, maxPrice } = await rateCalendarService.getStayPriceRange({
+      from: req.query.startDate,
+      to: req.query.endDate
+    });
 
-    res.status(200).json({ highestPrice, lowestPrice });
+    res.status(200).json({ highestPrice: maxPrice, lowestPrice: minPrice });
   } catch (error) {
     console.error('Error fetching price range:', error);
     res.status(500).json({ message: 'Error fetching price range', error });
@@ -0,0 +1,102 @@
+const splitPaymentService = require('../services/splitPaymentService');
+
+/**
+ * Start a split payment for a cart item and email each payee their payment link
+ * POST /api/split-payments
+ * Body: { cartItemId, payees: [{ email, name, amount? }], organizerAmount?, deadline? }
+ */
+exports.createSplitPayment = async (req, res) => {
+  try {
+    const split = await splitPaymentService.createSplitPayment(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Split payment started and invites sent',
+      data: splitPaymentService.toOrganizerView(split)
+    });
+  } catch (error) {
+    console.error('Error in createSplitPayment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error starting split payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * The organizer's split payments with each share's status and payment link
+ * GET /api/split-payments?status=collecting|funded|cancelled|expired
+ */
+exports.getMySplitPayments = async (req, res) => {
+  try {
+    const splits = await splitPaymentService.getOrganizerSplits(req.user.id, { status: req.query.status });
+
+    res.json({ success: true, data: splits });
+  } catch (error) {
+    console.error('Error in getMySplitPayments:', error);
+    res.status(500).json({ success: false, message: 'Error fetching split payments', error: error.message });
+  }
+};
+
+/**
+ * Cancel a split payment before it is funded; shares already paid are refunded
+ * POST /api/split-payments/:id/cancel
+ */
+exports.cancelSplitPayment = async (req, res) => {
+  try {
+    const split = await splitPaymentService.cancelByOrganizer(req.user.id, req.params.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Split payment cancelled',
+      data: splitPaymentService.toOrganizerView(split)
+    });
+  } catch (error) {
+    console.error('Error in cancelSplitPayment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error cancelling split payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * A payee's share, reached through their payment link
+ * GET /api/split-payments/share/:token
+ */
+exports.getShare = async (req, res) => {
+  try {
+    const share = await splitPaymentService.getShare(req.params.token);
+
+    res.json({ success: true, data: share });
+  } catch (error) {
+    console.error('Error in getShare:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching share',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Payment intent for a payee's share
+ * POST /api/split-payments/share/:token/payment-intent
+ * Body: { currency? }
+ */
+exports.createSharePaymentIntent = async (req, res) => {
+  try {
+    const payment = await splitPaymentService.createSharePaymentIntent(req.params.token, { currency: req.body.currency });
+
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    console.error('Error in createSharePaymentIntent:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error creating payment intent',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,6 @@
 const Stay = require('../models/Stay');
+const rateCalendarService = require('../services/rateCalendarService');
+const availabilityService = require('../services/availabilityService');
 
 // Get all stays
 exports.getStays = async (req, res) => {
@@ -11,19 +13,14 @@ exports.getStays = async (req, res) => {
   }
 };
 
-// Get price range for stays
+// Get price range for stays, seasonal rates included (?startDate=&endDate= to limit the seasons)
 exports.getPrices = async (req, res) => {
   try {
-    const prices = await Stay.aggregate([
-      {
-        $group: {
-          _id: null,
-          minPrice: { $min: '$pricePerNight' },
-          maxPrice: { $max: '$pricePerNight' },
-        },
-      },
-    ]);
-    res.status(200).json({ success: true, data: prices[0] });
+    const prices = await rateCalendarService.getStayPriceRange({
+      from: req.query.startDate,
+      to: req.query.endDate
+    });
+    res.status(200).json({ success: true, data: prices });
   } catch (error) {
     console.error('Error fetching price range:', error.message);
     res.status(500).json({ success: false, message: 'Error fetching price range.', error: error.message });
@@ -42,20 +39,27 @@ exports.filterAvailablePlaces = async (req, res) => {
   }
 };
 
-// Filter available stays by date range
+// Filter stays with every night of the date range free (unavailable dates and booked nights),
+// sleeping at least ?guests= (?startDate=&endDate=&guests=)
 exports.filterAvailableByDate = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, guests } = req.query;
 
-    const stays = await Stay.find({
-      $and: [
-        { 'blockedDates.startDate': { $not: { $lte: new Date(endDate) } } },
-        { 'blockedDates.endDate': { $not: { $gte: new Date(startDate) } } },
-      ],
-    });
+    if (!startDate || !endDate) {
+      return res.status(400).json({ success: false, message: 'startDate and endDate are required.' });
+    }
+    if (new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({ success: false, message: 'endDate must be after startDate.' });
+    }
 
-    res.status(200).json({ success: true, data: stays });
+    const stays = await Stay.find({ status: 'active' });
+    const bookable = await availabilityService.findBookableUnits(stays, { startDate, endDate, numPeople: guests });
+
+    res.status(200).json({ success: true, data: stays.filter(stay => bookable.has(stay._id.toString())) });
   } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Error filtering stays by date range:', error.message);
     res.status(500).json({ success: false, message: 'Error filtering stays by date range.', error: error.message });
   }
@@ -256,7 +260,8 @@ exports.updateAccessibilityFeatures = async (req, res) => {
     const stay = await Stay.findById(req.params.id);
     if (!stay) return res.status(404).json({ message: 'Stay not found.' });
 
-    stay.accessibility = req.body;
+    // Body: ['wheelchair accessible', ...] or { accessibility: [...] }
+    stay.accessibility = Array.isArray(req.body) ? req.body : req.body.accessibility;
     await stay.save();
 
     res.status(200).json({ success: true, data: stay });
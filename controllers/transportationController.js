@@ -1,5 +1,6 @@
 const Transportation = require('../models/Transportation');
 const Booking = require('../models/Booking'); // Assuming you have a separate Booking model
+const availabilityService = require('../services/availabilityService');
 
 // Get all transportation services
 exports.getAllTransportation = async (req, res) => {
@@ -12,29 +13,40 @@ exports.getAllTransportation = async (req, res) => {
   }
 };
 
-// Filter available transportation
+// Filter transportation with capacity left on a day (blocked dates, schedules and booked vehicles/seats)
+// ?startDate=&time=&passengers=&pickupSpot=&dropoffSpot= (spots are preset location names)
 exports.filterAvailableTransportation = async (req, res) => {
   try {
-    const { startDate, endDate, pickupSpot, dropoffSpot } = req.query;
-
-    const query = {
-      blockedDates: {
-        $not: {
-          $elemMatch: {
-            $or: [
-              { startDate: { $lte: new Date(endDate) }, endDate: { $gte: new Date(startDate) } },
-            ],
-          },
-        },
-      },
-    };
-
-    if (pickupSpot) query.pickupSpots = pickupSpot;
-    if (dropoffSpot) query.dropoffSpots = dropoffSpot;
-
-    const availableTransportation = await Transportation.find(query);
+    const { startDate, endDate, time, passengers, pickupSpot, dropoffSpot } = req.query;
+
+    if (!startDate) {
+      return res.status(400).json({ success: false, message: 'startDate is required.' });
+    }
+
+    const query = { status: 'active' };
+    const spotFilters = [];
+    if (pickupSpot) {
+      spotFilters.push({ presetLocations: { $elemMatch: { name: pickupSpot, type: { $in: ['pickup', 'both'] } } } });
+    }
+    if (dropoffSpot) {
+      spotFilters.push({ presetLocations: { $elemMatch: { name: dropoffSpot, type: { $in: ['dropoff', 'both'] } } } });
+    }
+    if (spotFilters.length > 0) query.$and = spotFilters;
+
+    const transportation = await Transportation.find(query);
+    const bookable = await availabilityService.findBookableUnits(transportation, {
+      startDate,
+      endDate,
+      time,
+      numPeople: passengers
+    });
+
+    const availableTransportation = transportation.filter(service => bookable.has(service._id.toString()));
     res.status(200).json({ success: true, data: availableTransportation });
   } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Error filtering transportation:', error.message);
     res.status(500).json({ success: false, message: 'Error filtering transportation.' });
   }
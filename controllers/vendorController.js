@@ -5,6 +5,9 @@ const Activity = require('../models/Activity');
 const Transportation = require('../models/Transportation');
 const Booking = require('../models/Booking');
 const Discount = require('../models/Discount');
+const creditService = require('../services/creditService');
+const refundService = require('../services/refundService');
+const { afterBookingStatusChange } = require('../middleware/analyticsHooks');
 
 // Enhanced business dashboard with comprehensive stats
 exports.getBusinessDashboard = async (req, res) => {
@@ -392,13 +395,28 @@ exports.updateBookingStatus = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    booking.status = status;
+    const oldBooking = booking.toObject();
     if (notes) {
       booking.vendorNotes = notes;
     }
     booking.updatedAt = new Date();
-    
-    await booking.save();
+
+    if (status === 'cancelled') {
+      // Refunded in full with credits, gift card and deposits given back, like the cancel endpoint
+      await refundService.cancelBookingWithRefund(booking, {
+        cancelledBy: vendorId,
+        initiatedBy: 'vendor',
+        reason: 'Canceled by business manager'
+      });
+    } else {
+      booking.status = status;
+      await booking.save();
+    }
+
+    if (status === 'completed') {
+      await creditService.awardBookingCredits(booking);
+    }
+    afterBookingStatusChange(oldBooking, booking);
 
     // Send notification to user about status change
     const user = await User.findById(booking.user);
@@ -416,7 +434,9 @@ exports.updateBookingStatus = async (req, res) => {
     res.json({ message: 'Booking status updated successfully', booking });
   } catch (error) {
     console.error('Error updating booking status:', error);
-    res.status(500).json({ message: 'Error updating booking status' });
+    res.status(error.statusCode || 500).json({
+      message: error.statusCode ? error.message : 'Error updating booking status'
+    });
   }
 };
 
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const VendorPayout = require('../models/VendorPayout');
+const payoutService = require('../services/payoutService');
+
+/**
+ * List the vendor's payouts and the balance waiting for the next payout
+ * GET /api/vendor/payouts?status=&page=&limit=
+ */
+exports.getPayouts = async (req, res) => {
+  try {
+    const vendorId = req.user.id;
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = { vendor: vendorId };
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [payouts, total, balance] = await Promise.all([
+      VendorPayout.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-lines'),
+      VendorPayout.countDocuments(query),
+      payoutService.getVendorBalance(new mongoose.Types.ObjectId(vendorId))
+    ]);
+
+    res.json({
+      success: true,
+      data: payouts,
+      pendingBalance: {
+        ...balance.totals,
+        bookings: balance.lines.length,
+        commissionRate: balance.commissionRate
+      },
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPayouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payouts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Settlement statement for a period, listing every booking included in its payouts
+ * GET /api/vendor/payouts/statement?startDate=&endDate=
+ */
+exports.getPayoutStatement = async (req, res) => {
+  try {
+    const vendorId = req.user.id;
+    const now = new Date();
+
+    const from = req.query.startDate
+      ? new Date(req.query.startDate)
+      : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.endDate ? new Date(req.query.endDate) : now;
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({ success: false, message: 'Invalid statement period.' });
+    }
+
+    const statement = await payoutService.getStatement(new mongoose.Types.ObjectId(vendorId), from, to);
+
+    res.json({ success: true, data: statement });
+  } catch (error) {
+    console.error('Error in getPayoutStatement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating payout statement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single payout with its booking lines
+ * GET /api/vendor/payouts/:payoutId
+ */
+exports.getPayoutDetails = async (req, res) => {
+  try {
+    const { payoutId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(payoutId)) {
+      return res.status(400).json({ success: false, message: 'Invalid payout ID.' });
+    }
+
+    const payout = await VendorPayout.findOne({ _id: payoutId, vendor: req.user.id })
+      .populate('lines.booking', 'bookingId status serviceType scheduledDateTime customer');
+
+    if (!payout) {
+      return res.status(404).json({ success: false, message: 'Payout not found.' });
+    }
+
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    console.error('Error in getPayoutDetails:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching payout',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const rateCalendarService = require('../services/rateCalendarService');
+
+const findVendorListing = async (req) => {
+  const { listingId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(listingId)) {
+    return null;
+  }
+  return Service.findOne({ _id: listingId, vendor: req.user.id }).lean();
+};
+
+/**
+ * A listing's seasons and its resolved day-by-day rates
+ * GET /api/vendor/listings/:listingId/rate-calendar?from=&to=&unitKey=
+ */
+exports.getRateCalendar = async (req, res) => {
+  try {
+    const listing = await findVendorListing(req);
+    if (!listing) {
+      return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+    if (!['Stay', 'Activity'].includes(listing.serviceType)) {
+      return res.status(400).json({ success: false, message: 'Rate calendars are available for stays and activities.' });
+    }
+
+    const { from, to, unitKey } = req.query;
+    const [seasons, calendar] = await Promise.all([
+      rateCalendarService.getSeasons(listing._id, { includeInactive: true }),
+      rateCalendarService.getCalendar(listing, { from, to, unitKey })
+    ]);
+
+    res.json({ success: true, data: { seasons, ...calendar } });
+  } catch (error) {
+    console.error('Error in getRateCalendar:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error fetching rate calendar',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Bulk edit a listing's seasons: create/update the ones sent, delete the ones in `remove`
+ * PUT /api/vendor/listings/:listingId/rate-calendar
+ * { seasons: [{ _id?, name, unitKey, startDate, endDate, rate, weekendRate, weekendDays, minNights, closedToArrival, priority, isActive }], remove: [seasonId] }
+ */
+exports.updateRateCalendar = async (req, res) => {
+  try {
+    const listing = await findVendorListing(req);
+    if (!listing) {
+      return res.status(404).json({ success: false, message: 'Listing not found' });
+    }
+
+    const { seasons = [], remove = [] } = req.body;
+    if (!Array.isArray(seasons) || !Array.isArray(remove)) {
+      return res.status(400).json({ success: false, message: 'seasons and remove must be arrays.' });
+    }
+
+    const updated = await rateCalendarService.bulkUpdateSeasons(listing, req.user.id, { seasons, remove });
+
+    res.json({ success: true, message: 'Rate calendar updated successfully', data: updated });
+  } catch (error) {
+    console.error('Error in updateRateCalendar:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error updating rate calendar',
+      error: error.message
+    });
+  }
+};
@@ -1,7 +1,12 @@
 // controllers/vendorTransportationController.js
 const Transportation = require('../models/Transportation');
 const Booking = require('../models/Booking');
+const creditService = require('../services/creditService');
+const refundService = require('../services/refundService');
+const surgePricingService = require('../services/surgePricingService');
+const { afterBookingStatusChange } = require('../middleware/analyticsHooks');
 const { validationResult } = require('express-validator');
+const { distanceMiles } = require('../utils/geo');
 const mongoose = require('mongoose');
 
 // Helper function to check vendor ownership
@@ -1020,26 +1025,9 @@ exports.calculateRoutePrice = async (req, res) => {
     }
 
     const transportation = await checkVendorOwnership(req.params.id, req.user._id);
-    const { startCoordinates, endCoordinates, passengers = 1, vehicleType } = req.body;
-
-    // Calculate distance using Haversine formula
-    const calculateDistance = (lat1, lon1, lat2, lon2) => {
-      const R = 3959; // Earth's radius in miles
-      const dLat = (lat2 - lat1) * Math.PI / 180;
-      const dLon = (lon2 - lon1) * Math.PI / 180;
-      const a = Math.sin(dLat/2) * Math.sin(dLat/2) + 
-                Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                Math.sin(dLon/2) * Math.sin(dLon/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      return R * c;
-    };
+    const { startCoordinates, endCoordinates, passengers = 1, vehicleType, pickupDate, pickupTime } = req.body;
 
-    const distance = calculateDistance(
-      startCoordinates.latitude,
-      startCoordinates.longitude,
-      endCoordinates.latitude,
-      endCoordinates.longitude
-    );
+    const distance = distanceMiles(startCoordinates, endCoordinates);
 
     // Calculate price based on transportation pricing model
     let price = 0;
@@ -1059,19 +1047,29 @@ exports.calculateRoutePrice = async (req, res) => {
 
     const estimatedDuration = Math.ceil(distance / 30 * 60); // Assuming average speed of 30 mph
 
+    // Surge, night and weekend surcharges for the pickup time (defaults to now)
+    const pickupAt = pickupDate ? new Date(pickupDate) : new Date();
+    const surcharges = await surgePricingService.getSurchargeLines(transportation, {
+      date: pickupAt,
+      time: pickupTime || `${String(pickupAt.getHours()).padStart(2, '0')}:${String(pickupAt.getMinutes()).padStart(2, '0')}`
+    }, price * passengers);
+    const surchargeTotal = surcharges.reduce((sum, line) => sum + line.amount, 0);
+    const surge = surcharges.find(line => line.surchargeType === 'peak');
+
     res.json({
       success: true,
       data: {
         distance: Math.round(distance * 100) / 100,
         estimatedDuration,
         basePrice: price,
-        totalPrice: price * passengers,
+        totalPrice: Math.round((price * passengers + surchargeTotal) * 100) / 100,
         breakdown: {
           baseRate: transportation.distancePricing?.baseRate || transportation.basePrice,
           distanceCharge: transportation.distancePricing?.enabled ? 
             Math.max(0, distance - (transportation.distancePricing.baseMileage || 0)) * 
             (transportation.distancePricing.perMileRate || 0) : 0,
-          surgeMultiplier: transportation.distancePricing?.surgeMultiplier || 1,
+          surgeMultiplier: surge ? surge.rate : 1,
+          surcharges: surcharges.map(line => ({ name: line.label, amount: line.amount, type: line.surchargeType })),
           passengers
         }
       }
@@ -1085,6 +1083,108 @@ exports.calculateRoutePrice = async (req, res) => {
   }
 };
 
+// SURGE PRICING
+// =============
+
+const SURGE_SETTINGS = ['enabled', 'windowMinutes', 'demandTiers', 'flightPeaks', 'nightStartTime', 'nightEndTime', 'weekendDays', 'maxMultiplier', 'maxSurcharge'];
+
+// @desc    Get surge pricing rules
+// @route   GET /api/vendor/transportation/:id/surge-pricing
+// @access  Private (Business Manager)
+exports.getSurgePricing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transportation = await checkVendorOwnership(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        surgePricing: transportation.surgePricing,
+        nightSurcharge: transportation.distancePricing?.nightSurcharge || 0,
+        weekendSurcharge: transportation.distancePricing?.weekendSurcharge || 0,
+        surgeMultiplier: transportation.distancePricing?.surgeMultiplier || 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching surge pricing:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+// @desc    Update surge pricing rules and night/weekend surcharges
+// @route   PUT /api/vendor/transportation/:id/surge-pricing
+// @access  Private (Business Manager)
+exports.updateSurgePricing = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transportation = await checkVendorOwnership(req.params.id, req.user._id);
+
+    SURGE_SETTINGS.filter(key => req.body[key] !== undefined).forEach(key => {
+      transportation.surgePricing[key] = req.body[key];
+    });
+    ['nightSurcharge', 'weekendSurcharge', 'surgeMultiplier'].filter(key => req.body[key] !== undefined).forEach(key => {
+      transportation.distancePricing[key] = req.body[key];
+    });
+
+    await transportation.save();
+
+    res.json({
+      success: true,
+      message: 'Surge pricing updated successfully',
+      data: {
+        surgePricing: transportation.surgePricing,
+        nightSurcharge: transportation.distancePricing.nightSurcharge,
+        weekendSurcharge: transportation.distancePricing.weekendSurcharge,
+        surgeMultiplier: transportation.distancePricing.surgeMultiplier
+      }
+    });
+  } catch (error) {
+    console.error('Error updating surge pricing:', error);
+    const status = error.name === 'ValidationError' ? 400 : (error.message.includes('not found') ? 404 : 500);
+    res.status(status).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
+// @desc    Preview the surge multiplier for a pickup date/time
+// @route   GET /api/vendor/transportation/:id/surge-pricing/preview?date=&time=
+// @access  Private (Business Manager)
+exports.previewSurge = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transportation = await checkVendorOwnership(req.params.id, req.user._id);
+    const surge = await surgePricingService.evaluateSurge(transportation, {
+      date: req.query.date,
+      time: req.query.time
+    });
+
+    res.json({ success: true, data: surge });
+  } catch (error) {
+    console.error('Error previewing surge pricing:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+};
+
 // AVAILABILITY MANAGEMENT
 // ======================
 
@@ -1639,20 +1739,41 @@ exports.updateBookingStatus = async (req, res) => {
     await checkVendorOwnership(req.params.id, req.user._id);
     
     const { status, reason } = req.body;
-    const booking = await Booking.findOneAndUpdate(
-      { _id: req.params.bookingId, service: req.params.id },
-      { 
-        status,
-        ...(reason && { statusReason: reason }),
-        updatedAt: new Date()
-      },
-      { new: true }
-    ).populate('customer', 'name email');
+    const oldBooking = await Booking.findOne({ _id: req.params.bookingId, service: req.params.id }).lean();
+    if (!oldBooking) {
+      return res.status(404).json({ success: false, message: 'Booking not found' });
+    }
+
+    let booking;
+    if (status === 'cancelled') {
+      // Refunded in full with credits, gift card and deposits given back, like the cancel endpoint
+      booking = await Booking.findById(oldBooking._id).populate('customer', 'name email');
+      await refundService.cancelBookingWithRefund(booking, {
+        cancelledBy: req.user._id,
+        initiatedBy: 'vendor',
+        reason: reason || 'Canceled by business manager'
+      });
+    } else {
+      booking = await Booking.findOneAndUpdate(
+        { _id: req.params.bookingId, service: req.params.id },
+        { 
+          status,
+          ...(reason && { statusReason: reason }),
+          updatedAt: new Date()
+        },
+        { new: true }
+      ).populate('customer', 'name email');
+    }
 
     if (!booking) {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
 
+    if (status === 'completed') {
+      await creditService.awardBookingCredits(booking);
+    }
+    afterBookingStatusChange(oldBooking, booking);
+
     res.json({
       success: true,
       message: 'Booking status updated successfully',
@@ -1660,7 +1781,7 @@ exports.updateBookingStatus = async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating booking status:', error);
-    res.status(error.message.includes('not found') ? 404 : 500).json({ 
+    res.status(error.statusCode || (error.message.includes('not found') ? 404 : 500)).json({ 
       success: false, 
       message: error.message 
     });
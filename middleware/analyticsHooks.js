@@ -1,5 +1,6 @@
 // middleware/analyticsHooks.js
 const { updateRevenueAnalytics } = require('../services/revenueAnalyticsService');
+const loyaltyService = require('../services/loyaltyService');
 
 /**
  * Middleware to update analytics after a booking is created
@@ -60,7 +61,8 @@ const afterBookingDelete = async (booking) => {
 
 /**
  * Middleware to update analytics when booking status changes
- * This is important because status changes affect revenue calculations
+ * This is important because status changes affect revenue calculations.
+ * Loyalty points are accrued (or reversed) here too.
  */
 const afterBookingStatusChange = async (oldBooking, newBooking) => {
   try {
@@ -72,6 +74,11 @@ const afterBookingStatusChange = async (oldBooking, newBooking) => {
         } catch (error) {
           console.error('Error in afterBookingStatusChange analytics hook:', error);
         }
+        try {
+          await loyaltyService.handleBookingStatusChange(oldBooking, newBooking);
+        } catch (error) {
+          console.error('Error in afterBookingStatusChange loyalty hook:', error);
+        }
       });
     }
   } catch (error) {
@@ -59,7 +59,15 @@ const BookingSchema = new mongoose.Schema({
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    // Booking changes (date/time, party size, price): old and new value of each field
+    changes: [{
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+      _id: false
+    }],
+    bookingChange: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingChange' }
   }],
 
   // Transportation-specific booking details
@@ -184,6 +192,28 @@ const BookingSchema = new mongoose.Schema({
     }
   },
 
+  // Stay, activity and dining details (moved along by booking changes)
+  stayDetails: {
+    checkIn: Date,
+    checkOut: Date,
+    nights: Number,
+    roomType: String
+  },
+  activityDetails: {
+    date: Date,
+    time: String,
+    duration: String
+  },
+  diningDetails: {
+    reservationDate: Date,
+    reservationTime: String,
+    partySize: Number
+  },
+  timeSlot: {
+    startTime: String,
+    endTime: String
+  },
+
   // Passenger information
   passengers: {
     adults: { type: Number, default: 1, min: 1 },
@@ -216,18 +246,20 @@ referralPartner: {
     surcharges: [{
       name: String,
       amount: Number,
-      type: String // 'night', 'weekend', 'holiday', 'peak', 'other'
+      type: { type: String } // 'night', 'weekend', 'holiday', 'peak', 'other'
     }],
     discounts: [{
       name: String,
       amount: Number,
-      type: String, // 'promo', 'loyalty', 'bulk', 'early-bird'
+      type: { type: String }, // 'promo', 'loyalty', 'bulk', 'early-bird'
       code: String
     }],
     taxes: [{
       name: String,
+      code: String, // TaxRule code, groups the tax-liability report
       rate: Number, // percentage
-      amount: Number
+      amount: Number,
+      inclusive: { type: Boolean, default: false } // Part of the listed price rather than added to it
     }],
     tips: { type: Number, default: 0 },
     subtotal: { type: Number, required: true },
@@ -243,26 +275,117 @@ referralPartner: {
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'partially-refunded'],
+      // partially-paid: deposit taken, installments still to be charged (see services/depositService.js)
+      enum: ['pending', 'processing', 'partially-paid', 'completed', 'failed', 'refunded', 'partially-refunded'],
       default: 'pending'
     },
     transactionId: String,
     paymentGateway: String,
     paidAt: Date,
+    // Part of the total paid with Caicos Credits (the card was charged the rest)
+    creditsApplied: { type: Number, default: 0 },
+    creditAmount: { type: Number, default: 0 },
+    // Part of the total paid with a gift card
+    giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard', default: null },
+    giftCardAmount: { type: Number, default: 0 },
+    // Card charge in the guest's currency; pricing and the refund amounts here stay in USD
+    currency: { type: String, uppercase: true, default: 'USD' },
+    exchangeRate: { type: Number, default: 1 }, // Units of `currency` per 1 USD at checkout
+    chargedAmount: Number, // Card portion of pricing.totalAmount, in `currency`
     refundAmount: { type: Number, default: 0 },
     refundReason: String,
     refundedAt: Date,
+    refunds: [{
+      stripeRefundId: String,
+      amount: Number,
+      chargedAmount: Number, // Refunded in payment.currency
+      paymentIntentId: String, // Charge refunded (transactionId or an installment's)
+      reason: String,
+      status: String,
+      createdAt: { type: Date, default: Date.now }
+    }],
     receiptUrl: String,
+    // Deposit bookings: the checkout charged depositAmount and the rest is charged
+    // off-session to savedPaymentMethod on each installment's due date
+    depositAmount: Number,
+    savedPaymentMethod: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentMethod',
+      default: null
+    },
     installments: [{
-      amount: Number,
+      amount: Number, // USD
       dueDate: Date,
       status: {
         type: String,
-        enum: ['pending', 'paid', 'overdue'],
+        enum: ['pending', 'paid', 'overdue', 'cancelled'],
         default: 'pending'
       },
+      paidAt: Date,
+      paymentIntentId: String,
+      chargedAmount: Number, // In payment.currency
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: Date,
+      lastError: String
+    }],
+    // Price increases from booking changes, charged off-session to the saved card.
+    // Price decreases are entered as negative amounts without a charge (the refund is in refunds).
+    extraCharges: [{
+      amount: Number, // USD
+      paymentIntentId: String,
+      chargedAmount: Number, // In payment.currency
+      bookingChange: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingChange' },
       paidAt: Date
-    }]
+    }],
+    // Rentals: pre-authorized on the saved card before pickup, captured for damages or released
+    securityDeposit: {
+      amount: Number, // USD
+      status: {
+        type: String,
+        enum: ['scheduled', 'authorized', 'captured', 'released', 'failed', 'cancelled']
+      },
+      paymentIntentId: String,
+      authorizedAt: Date,
+      capturedAmount: { type: Number, default: 0 },
+      captureReason: String,
+      capturedAt: Date,
+      releasedAt: Date,
+      lastError: String
+    }
+  },
+
+  // Capacity consumed in InventorySlot (see services/availabilityService.js)
+  inventory: {
+    allocations: [{
+      slot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InventorySlot'
+      },
+      quantity: { type: Number, default: 1 }
+    }],
+    releasedAt: { type: Date, default: null }
+  },
+
+  // Cart item this booking was created from (cart checkouts only)
+  cartItem: { type: String, default: null },
+
+  // Group booking paid in shares (see services/splitPaymentService.js); refunds go back to each payer
+  splitPayment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SplitPayment',
+    default: null
+  },
+
+  // Vendor settlement (see services/payoutService.js)
+  settlement: {
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VendorPayout',
+      default: null
+    },
+    settledAt: Date,
+    // Refunds already deducted from the vendor; later refunds become adjustments
+    settledRefundAmount: { type: Number, default: 0 }
   },
 
   // Communication and notifications
@@ -374,6 +497,8 @@ referralPartner: {
   
   customerIP: String,
   userAgent: String,
+  // When the customer accepted the listing's waivers at checkout
+  waiverAcceptedAt: Date,
   referralSource: String,
   marketingCampaign: String,
   
@@ -405,6 +530,10 @@ BookingSchema.index({ bookingId: 1 }, { unique: true });
 BookingSchema.index({ 'transportationDetails.pickup.date': 1 });
 BookingSchema.index({ status: 1, scheduledDateTime: 1 });
 BookingSchema.index({ 'payment.status': 1 });
+BookingSchema.index({ 'payment.transactionId': 1, cartItem: 1 });
+BookingSchema.index({ vendor: 1, 'settlement.payout': 1, status: 1 });
+BookingSchema.index({ 'payment.installments.status': 1, 'payment.installments.dueDate': 1 });
+BookingSchema.index({ 'payment.securityDeposit.status': 1, scheduledDateTime: 1 });
 
 // Virtual for booking duration
 BookingSchema.virtual('duration').get(function() {
@@ -428,8 +557,9 @@ BookingSchema.virtual('bookingAge').get(function() {
 BookingSchema.pre('save', function(next) {
   this.lastModified = new Date();
   
-  // Update status history
-  if (this.isModified('status') && this.status !== this.constructor.findOne({ _id: this._id })?.status) {
+  // Update status history (unless the caller already recorded this change with a reason)
+  const lastHistoryEntry = this.statusHistory[this.statusHistory.length - 1];
+  if (this.isModified('status') && (!lastHistoryEntry || lastHistoryEntry.status !== this.status)) {
     this.statusHistory.push({
       status: this.status,
       timestamp: new Date()
@@ -461,25 +591,15 @@ BookingSchema.methods.canBeCancelled = function() {
   return hoursBeforeTrip >= 2;
 };
 
-BookingSchema.methods.calculateRefund = function() {
-  if (!this.canBeCancelled()) {
+// Refund due if the customer cancelled now, per the service's cancellation policy
+// (pass the service, or populate booking.service, to use vendor-specific rules)
+BookingSchema.methods.calculateRefund = function(service = null) {
+  if (['completed', 'cancelled'].includes(this.status)) {
     return 0;
   }
-  
-  const scheduledTime = new Date(this.scheduledDateTime);
-  const now = new Date();
-  const hoursBeforeTrip = (scheduledTime - now) / (1000 * 60 * 60);
-  
-  // Refund calculation based on cancellation policy
-  if (hoursBeforeTrip >= 24) {
-    return this.totalAmount; // Full refund
-  } else if (hoursBeforeTrip >= 12) {
-    return this.totalAmount * 0.5; // 50% refund
-  } else if (hoursBeforeTrip >= 2) {
-    return this.totalAmount * 0.25; // 25% refund
-  } else {
-    return 0; // No refund
-  }
+
+  const { calculateRefund } = require('../services/refundService');
+  return calculateRefund(this, service).refundAmount;
 };
 
 BookingSchema.methods.isUpcoming = function() {
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A customer's request to move a booking to another date/time or party size
+// (see services/bookingChangeService.js). The new request is re-quoted and its capacity checked
+// when proposed; listings that require it wait for the vendor's approval. Applying the change
+// swaps the booking's inventory and charges or refunds the price difference.
+const BookingChangeSchema = new mongoose.Schema(
+  {
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, index: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    service: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    status: {
+      type: String,
+      // applying: claimed by the customer's request or the vendor's approval and being applied now
+      // failed: approved but the capacity was gone or the difference couldn't be charged
+      enum: ['pending_approval', 'applying', 'applied', 'declined', 'cancelled', 'failed'],
+      default: 'pending_approval'
+    },
+
+    // Reservation request the booking moves to (same shape as a checkout item)
+    request: {
+      optionId: String,
+      serviceName: String,
+      date: String,
+      time: String,
+      timeSlot: { startTime: String, endTime: String },
+      startDate: String,
+      endDate: String,
+      numPeople: Number
+    },
+    // Booking values before the change
+    previous: {
+      scheduledDateTime: Date,
+      numPeople: Number
+    },
+
+    quote: {
+      totalPrice: Number,
+      priceBreakdown: mongoose.Schema.Types.Mixed
+    },
+    // Booking price (after promotion and loyalty discounts) before and after, USD.
+    // difference > 0 is charged to the saved card, < 0 refunded.
+    amountBefore: { type: Number, required: true },
+    amountAfter: { type: Number, required: true },
+    difference: { type: Number, required: true },
+    paymentMethod: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMethod', default: null },
+    chargePaymentIntentId: String,
+    chargedAmount: Number, // In the booking's payment.currency
+    refundAmount: { type: Number, default: 0 },
+    stripeRefundId: String,
+
+    reason: { type: String, maxlength: 500 },
+    vendorResponse: {
+      respondedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      respondedAt: Date,
+      note: { type: String, maxlength: 500 }
+    },
+    appliedAt: Date,
+    failureReason: String
+  },
+  { timestamps: true }
+);
+
+BookingChangeSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BookingChange', BookingChangeSchema);
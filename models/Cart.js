@@ -45,7 +45,19 @@ const CartSchema = new mongoose.Schema(
           basePrice: Number,
           fees: Number,
           taxes: Number,
-          discounts: Number
+          discounts: Number,
+          subtotal: Number,
+          // Itemized quote from services/pricingService.js
+          lines: [{
+            _id: false,
+            label: String,
+            type: { type: String, enum: ['base', 'fee', 'discount', 'tax'] },
+            rate: Number,
+            amount: Number,
+            surchargeType: String, // 'peak', 'night', 'weekend' for transportation surcharges
+            code: String, // Tax rule code for tax / service charge lines
+            inclusive: Boolean // Already included in the price; listed for reporting only
+          }]
         },
         userPayments: { type: Map, of: Number, default: {} },
         discount: {
@@ -56,9 +68,22 @@ const CartSchema = new mongoose.Schema(
         // Transportation specific
         pickupLocation: { type: String },
         dropoffLocation: { type: String },
+        vehicleId: { type: String },
+        routeId: { type: mongoose.Schema.Types.ObjectId },
+        hours: { type: Number },
+        passengerAges: [{ type: Number }],
+
+        // Dining specific (pre-ordered menu items)
+        menuItems: [{
+          _id: false,
+          menuItemId: mongoose.Schema.Types.ObjectId,
+          quantity: { type: Number, default: 1, min: 1 },
+          sides: [mongoose.Schema.Types.ObjectId]
+        }],
         
         // Spa specific
         serviceName: { type: String },
+        programId: { type: mongoose.Schema.Types.ObjectId },
         
         // Shopping specific
         productDetails: {
@@ -75,10 +100,12 @@ const CartSchema = new mongoose.Schema(
         // Status and expiration
         status: { 
           type: String, 
-          enum: ['reserved', 'purchased', 'pending', 'expired'], 
+          enum: ['reserved', 'held', 'purchased', 'pending', 'expired'], 
           default: 'reserved', 
         },
         reservedUntil: { type: Date },
+        // Set while capacity is held for an in-progress checkout (see services/holdService.js)
+        heldUntil: { type: Date, default: null },
         
         // Audit trail
         audit: [
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Caicos Credits wallet history. Positive amounts add credits, negative amounts remove them.
+// Earning transactions are also the "lots" that expire: `remaining` tracks how much
+// of the lot is still unspent (spends consume the oldest-expiring lots first).
+const CreditTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  type: {
+    type: String,
+    enum: ['earn', 'spend', 'restore', 'expire', 'admin_grant', 'admin_revoke'],
+    required: true
+  },
+
+  source: {
+    type: String,
+    enum: ['booking', 'referral', 'review', 'checkout', 'admin', 'expiry', 'loyalty'],
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  balanceAfter: Number,
+
+  // Idempotency key, e.g. "booking:<id>", "review:<id>", "checkout:<paymentIntentId>"
+  key: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // Lot tracking (credit-adding transactions only)
+  remaining: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: null },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  paymentIntentId: { type: String, default: null },
+
+  // Checkout spends only: pending until the payment succeeds or the credits are given back
+  checkoutStatus: {
+    type: String,
+    enum: ['pending', 'confirmed', 'restored']
+  },
+
+  reference: mongoose.Schema.Types.ObjectId, // Review, referred user, ...
+
+  description: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+CreditTransactionSchema.index({ user: 1, createdAt: -1 });
+CreditTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+CreditTransactionSchema.index({ expiresAt: 1, remaining: 1 });
+CreditTransactionSchema.index({ paymentIntentId: 1, type: 1 });
+CreditTransactionSchema.index({ checkoutStatus: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CreditTransaction', CreditTransactionSchema);
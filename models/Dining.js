@@ -52,6 +52,11 @@ const DiningSchema = new mongoose.Schema({
     required: true
   }],
   priceRange: { type: String, enum: ['$', '$$', '$$$', '$$$$'], default: '$$' },
+  // Diets the kitchen caters for (matched against the traveler's dietaryRestrictions)
+  dietaryOptions: [{
+    type: String,
+    enum: ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'halal', 'kosher', 'low-carb', 'low-sodium']
+  }],
   menuItems: [MenuItemSchema],
   operatingHours: [OperatingHoursSchema],
   customClosures: [CustomClosureSchema],
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A Stripe dispute (chargeback or inquiry) on a booking's card payment, kept in sync from
+// the charge.dispute.* webhooks (see services/disputeService.js). Amounts are USD unless noted.
+const DisputeSchema = new mongoose.Schema(
+  {
+    stripeDisputeId: { type: String, required: true, unique: true },
+    chargeId: String,
+    paymentIntentId: { type: String, index: true },
+
+    // First booking paid by the disputed charge; a cart checkout pays several (see allocations)
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null, index: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    // Disputed amount split across the bookings the charge paid for, in proportion to their card amounts.
+    // Each vendor's part is taken back from their settlement when Stripe withdraws the funds
+    // and given back if the dispute is won (services/payoutService.js).
+    allocations: [{
+      booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+      vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      amount: { type: Number, required: true }, // USD
+      clawbackPayout: { type: mongoose.Schema.Types.ObjectId, ref: 'VendorPayout', default: null },
+      reinstatementPayout: { type: mongoose.Schema.Types.ObjectId, ref: 'VendorPayout', default: null }
+    }],
+
+    amount: { type: Number, required: true }, // USD at the booking's exchange rate
+    currency: { type: String, uppercase: true, default: 'USD' },
+    disputedAmount: Number, // In `currency`, as reported by Stripe
+    reason: String,
+    status: {
+      type: String,
+      enum: [
+        'warning_needs_response',
+        'warning_under_review',
+        'warning_closed',
+        'needs_response',
+        'under_review',
+        'won',
+        'lost'
+      ],
+      required: true
+    },
+    evidenceDueBy: Date,
+
+    // Evidence assembled from the booking, in Stripe's evidence field names; admins edit it before submitting
+    evidence: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Everything the evidence was built from (bookings, status history, waivers, communications)
+    bundle: { type: mongoose.Schema.Types.Mixed, default: {} },
+    evidenceAssembledAt: Date,
+    evidenceSubmittedAt: Date,
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    fundsWithdrawnAt: Date,
+    fundsReinstatedAt: Date,
+    disputeFee: { type: Number, default: 0 }, // Stripe's fee, borne by the platform
+
+    closedAt: Date
+  },
+  { timestamps: true }
+);
+
+DisputeSchema.index({ status: 1, evidenceDueBy: 1 });
+DisputeSchema.index({ 'allocations.vendor': 1, fundsWithdrawnAt: 1 });
+
+module.exports = mongoose.model('Dispute', DisputeSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Guest-facing currencies Stripe can charge in. Prices, bookings and analytics stay in USD;
+// these rates convert USD amounts for display and for the payment intent.
+const PRESENTMENT_CURRENCIES = ['CAD', 'GBP', 'EUR'];
+
+// One row of the FX rate table used by services/currencyService.js
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      enum: PRESENTMENT_CURRENCIES,
+      unique: true
+    },
+    rate: { type: Number, required: true, min: 0.000001 }, // Units of `currency` per 1 USD
+    source: { type: String, enum: ['manual', 'file'], default: 'manual' },
+    active: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+ExchangeRateSchema.statics.PRESENTMENT_CURRENCIES = PRESENTMENT_CURRENCIES;
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
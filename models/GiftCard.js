@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A gift card or experience voucher bought through Stripe (see services/giftCardService.js).
+// The code is the credential: anyone holding it can check the balance and spend it at checkout,
+// in part or in full. Experience vouchers were bought for an Activity option and can only be
+// spent on that activity. Amounts are USD.
+const GiftCardSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true }, // XXXX-XXXX-XXXX-XXXX
+
+    kind: { type: String, enum: ['amount', 'experience'], default: 'amount' },
+    experience: {
+      activity: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', default: null },
+      optionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      title: String, // Activity and option name at purchase
+      numPeople: Number
+    },
+
+    initialAmount: { type: Number, required: true, min: 0 },
+    balance: { type: Number, required: true, min: 0 },
+
+    status: {
+      type: String,
+      // pending: bought but not paid yet
+      enum: ['pending', 'active', 'expired', 'cancelled'],
+      default: 'pending'
+    },
+    expiresAt: { type: Date, required: true },
+
+    purchaser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    purchaserName: String,
+    purchaserEmail: { type: String, lowercase: true, trim: true },
+    paymentIntentId: { type: String, index: true },
+    currency: { type: String, uppercase: true, default: 'USD' },
+    exchangeRate: { type: Number, default: 1 },
+    chargedAmount: Number, // In `currency`
+    paidAt: Date,
+
+    // Emailed to the recipient on deliverAt (at once when not set)
+    recipientName: String,
+    recipientEmail: { type: String, lowercase: true, trim: true },
+    message: { type: String, maxlength: 1000 },
+    deliverAt: Date,
+    deliveredAt: Date,
+    deliveryAttempts: { type: Number, default: 0 },
+    lastDeliveryError: String,
+
+    // Balance history. `key` makes each change apply once (e.g. restore:<transaction id>).
+    transactions: [{
+      type: {
+        type: String,
+        enum: ['purchase', 'redeem', 'restore', 'expire'],
+        required: true
+      },
+      amount: { type: Number, required: true }, // Negative when taken from the balance
+      balanceAfter: Number,
+      key: String,
+      paymentIntentId: String,
+      booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+      // Checkout redemptions only: pending until the payment succeeds or the balance is given back
+      checkoutStatus: { type: String, enum: ['pending', 'confirmed', 'restored'] },
+      description: String,
+      createdAt: { type: Date, default: Date.now }
+    }]
+  },
+  { timestamps: true }
+);
+
+GiftCardSchema.index({ 'transactions.paymentIntentId': 1 });
+GiftCardSchema.index({ 'transactions.checkoutStatus': 1, 'transactions.createdAt': 1 });
+GiftCardSchema.index({ status: 1, deliveredAt: 1, deliverAt: 1 });
+GiftCardSchema.index({ status: 1, expiresAt: 1 });
+GiftCardSchema.index({ purchaser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GiftCard', GiftCardSchema);
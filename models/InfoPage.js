@@ -1,6 +1,7 @@
 // File Path: models/InfoPage.js
 
 const mongoose = require('mongoose');
+const SearchSuggestion = require('./SearchSuggestion');
 
 const InfoPageSchema = new mongoose.Schema(
   {
@@ -234,6 +235,47 @@ InfoPageSchema.pre('save', function(next) {
   next();
 });
 
+// Page titles in the search bar autocomplete (view counts alone don't touch the index)
+const SUGGESTION_FIELDS = ['title', 'slug', 'tags', 'isActive', 'featured', 'priority'];
+
+InfoPageSchema.pre('save', function(next) {
+  this.$locals.syncSuggestion = this.isNew || SUGGESTION_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+InfoPageSchema.post('save', async function(doc) {
+  try {
+    if (doc.$locals.syncSuggestion) await SearchSuggestion.indexInfoPage(doc);
+  } catch (error) {
+    console.error('[Post-Save Hook] Error updating info page search suggestion:', error);
+  }
+});
+
+InfoPageSchema.post('findOneAndUpdate', async function(doc) {
+  try {
+    const page = doc && await this.model.findById(doc._id).lean();
+    if (page) await SearchSuggestion.indexInfoPage(page);
+  } catch (error) {
+    console.error('[Post-FindOneAndUpdate Hook] Error updating info page search suggestion:', error);
+  }
+});
+
+InfoPageSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  try {
+    await SearchSuggestion.removeEntry(`info-page:${doc._id}`);
+  } catch (error) {
+    console.error('[Post-DeleteOne Hook] Error updating info page search suggestion:', error);
+  }
+});
+
+InfoPageSchema.post('findOneAndDelete', async function(doc) {
+  try {
+    if (doc) await SearchSuggestion.removeEntry(`info-page:${doc._id}`);
+  } catch (error) {
+    console.error('[Post-FindOneAndDelete Hook] Error updating info page search suggestion:', error);
+  }
+});
+
 // Instance method to increment views
 InfoPageSchema.methods.incrementViews = function() {
   this.views += 1;
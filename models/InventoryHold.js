@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const InventoryHoldSchema = new mongoose.Schema({
+  // Stripe payment intent the hold was created for
+  paymentIntentId: {
+    type: String,
+    index: true
+  },
+
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    default: null
+  },
+
+  // Cart item _id (guest carts use the id sent by the client)
+  cartItem: {
+    type: String,
+    required: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+
+  // Units held in InventorySlot (counted in `held`, not `booked`)
+  allocations: [{
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InventorySlot'
+    },
+    quantity: { type: Number, default: 1 }
+  }],
+
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+
+  convertedAt: Date,
+  releasedAt: Date
+}, { timestamps: true });
+
+InventoryHoldSchema.index({ status: 1, expiresAt: 1 });
+InventoryHoldSchema.index({ cart: 1, status: 1 });
+InventoryHoldSchema.index({ paymentIntentId: 1, cartItem: 1 });
+
+module.exports = mongoose.model('InventoryHold', InventoryHoldSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One document per bookable unit per day (and time slot, where the listing has them).
+// `booked` and `held` are only ever changed with conditional $inc updates so that two concurrent
+// checkouts can never push a slot past its capacity.
+const InventorySlotSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+
+  serviceType: {
+    type: String,
+    enum: ['Activity', 'Stay', 'Transportation', 'Dining', 'WellnessSpa', 'Shopping'],
+    required: true
+  },
+
+  // Activity option id, spa treatment id, stay room id or 'default' for the whole listing
+  unitKey: {
+    type: String,
+    default: 'default'
+  },
+
+  // UTC midnight of the service day (the night, for stays)
+  date: {
+    type: Date,
+    required: true
+  },
+
+  // 24h "HH:mm"; empty for day-level capacity
+  startTime: { type: String, default: '' },
+  endTime: { type: String, default: '' },
+
+  // Capacity as configured by the vendor when the slot was last touched
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Units consumed by bookings
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Units reserved by checkouts that have not been paid yet (see models/InventoryHold.js)
+  held: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { timestamps: true });
+
+InventorySlotSchema.index({ service: 1, unitKey: 1, date: 1, startTime: 1 }, { unique: true });
+InventorySlotSchema.index({ service: 1, date: 1 });
+
+InventorySlotSchema.virtual('remaining').get(function() {
+  return Math.max(0, this.capacity - this.booked - this.held);
+});
+
+module.exports = mongoose.model('InventorySlot', InventorySlotSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Numbered invoice issued for a paid checkout (one per cart checkout, covering all its bookings),
+// or a credit note for a refund against one of its bookings. Rendered to PDF by services/invoiceService.js.
+// Amounts are USD; the card charge in the guest's currency is shown alongside.
+const InvoiceLineSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  bookingId: String,
+  type: {
+    type: String,
+    enum: ['item', 'fee', 'discount', 'tax', 'adjustment', 'refund'],
+    required: true
+  },
+  description: { type: String, required: true },
+  amount: { type: Number, required: true }, // Negative for discounts and refunds
+  included: { type: Boolean, default: false } // Tax already part of the price; shown, not added
+}, { _id: false });
+
+const InvoiceSchema = new mongoose.Schema(
+  {
+    number: { type: String, required: true, unique: true },
+    type: { type: String, enum: ['invoice', 'credit_note'], default: 'invoice' },
+    // Idempotency key: 'invoice:<paymentIntentId|booking:id>' or 'credit_note:<refund id>'
+    key: { type: String, required: true, unique: true },
+
+    bookings: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    billTo: {
+      name: String,
+      email: String
+    },
+    paymentIntentId: String,
+    // Credit notes: the invoice they correct
+    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+
+    lines: [InvoiceLineSchema],
+    subtotal: { type: Number, default: 0 },
+    discountTotal: { type: Number, default: 0 },
+    taxTotal: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    creditAmount: { type: Number, default: 0 }, // Paid with Caicos Credits
+    giftCardAmount: { type: Number, default: 0 }, // Paid with a gift card
+    amountPaid: { type: Number, default: 0 }, // Paid by card
+    balanceDue: { type: Number, default: 0 }, // Installments still to be charged
+
+    currency: { type: String, uppercase: true, default: 'USD' },
+    exchangeRate: { type: Number, default: 1 },
+    chargedAmount: Number, // Card amount in `currency`
+
+    filename: String,
+    url: String,
+    issuedAt: { type: Date, default: Date.now }
+  },
+  { timestamps: true }
+);
+
+InvoiceSchema.index({ bookings: 1, type: 1 });
+InvoiceSchema.index({ customer: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// receivable: balances of deposit bookings still to be charged, per customer
+// gift_card: unspent gift card balances the platform owes, per GiftCard
+const ACCOUNT_TYPES = ['stripe_clearing', 'customer', 'vendor', 'platform', 'referral_partner', 'receivable', 'gift_card'];
+
+const PostingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNT_TYPES,
+    required: true
+  },
+  // Owner of the account (customer/vendor User, ReferralPartner, GiftCard); null for platform-wide accounts
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Append-only double-entry journal. Every entry's debits equal its credits;
+// corrections are posted as new (reversing) entries, never as edits.
+const LedgerEntrySchema = new mongoose.Schema({
+  // Idempotency key, e.g. "capture:<bookingId>" or "refund:<stripeRefundId>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'capture',
+      'installment',
+      'installment_writeoff',
+      'booking_change',
+      'security_deposit',
+      'refund',
+      'chargeback',
+      'chargeback_reversal',
+      'dispute_fee',
+      'commission',
+      'commission_reversal',
+      'referral_commission',
+      'referral_commission_reversal',
+      'referral_payout',
+      'vendor_payout',
+      'credit_grant',
+      'credit_redemption',
+      'credit_restore',
+      'credit_expiry',
+      'gift_card_sale',
+      'gift_card_restore',
+      'gift_card_expiry'
+    ],
+    required: true,
+    index: true
+  },
+
+  postings: {
+    type: [PostingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2,
+      message: 'A ledger entry needs at least two postings'
+    }
+  },
+
+  currency: { type: String, default: 'usd' },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null,
+    index: true
+  },
+
+  description: String,
+  metadata: mongoose.Schema.Types.Mixed,
+
+  // When the money moved (captures use the booking's creation time so they line up with RevenueAnalytics)
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, { timestamps: true });
+
+LedgerEntrySchema.index({ 'postings.account': 1, 'postings.accountId': 1 });
+LedgerEntrySchema.index({ type: 1, occurredAt: 1 });
+
+LedgerEntrySchema.pre('validate', function(next) {
+  const totals = this.postings.reduce((sum, posting) => {
+    sum[posting.direction] += Math.round(posting.amount * 100);
+    return sum;
+  }, { debit: 0, credit: 0 });
+
+  if (totals.debit !== totals.credit) {
+    return next(new Error(`Unbalanced ledger entry: debits ${totals.debit / 100} != credits ${totals.credit / 100}`));
+  }
+  next();
+});
+
+LedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries are append-only'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  LedgerEntrySchema.pre(operation, function(next) {
+    next(new Error('Ledger entries are append-only'));
+  });
+});
+
+LedgerEntrySchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
@@ -1,21 +1,44 @@
 const mongoose = require('mongoose');
 
+const TIERS = ['Bronze', 'Silver', 'Gold', 'Platinum'];
+
 const LoyaltySchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    points: { type: Number, default: 0 },
-    tier: { type: String, enum: ['Bronze', 'Silver', 'Gold', 'Platinum'], default: 'Bronze' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    // Redeemable balance
+    points: { type: Number, default: 0, min: 0 },
+    lifetimePoints: { type: Number, default: 0 },
+    tier: { type: String, enum: TIERS, default: 'Bronze' },
+    // Completed-booking spend over the last 12 months, as of tierEvaluatedAt
+    rollingSpend: { type: Number, default: 0 },
+    tierEvaluatedAt: { type: Date },
+    tierHistory: [
+      {
+        from: { type: String, enum: TIERS },
+        to: { type: String, enum: TIERS },
+        rollingSpend: { type: Number },
+        changedAt: { type: Date, default: Date.now },
+      }
+    ],
+    // Redeemed rewards
     rewards: [
       {
+        reward: { type: mongoose.Schema.Types.ObjectId, ref: 'LoyaltyReward' },
         title: { type: String },
         description: { type: String },
         pointsRequired: { type: Number },
         redeemed: { type: Boolean, default: false },
         redeemedAt: { type: Date },
+        // Voucher code shown to the vendor for perks
+        code: { type: String },
       }
     ],
   },
   { timestamps: true }
 );
 
+LoyaltySchema.index({ tier: 1, tierEvaluatedAt: 1 });
+
+LoyaltySchema.statics.TIERS = TIERS;
+
 module.exports = mongoose.model('Loyalty', LoyaltySchema);
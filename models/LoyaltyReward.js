@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Rewards catalog: what loyalty points can be exchanged for
+const LoyaltyRewardSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  image: String,
+
+  pointsRequired: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // caicos_credits: `value` credits are added to the wallet on redemption
+  // perk: fulfilled by the vendor/concierge against the voucher code
+  type: {
+    type: String,
+    enum: ['caicos_credits', 'perk'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Lowest tier that can redeem this reward
+  minTier: {
+    type: String,
+    enum: ['Bronze', 'Silver', 'Gold', 'Platinum'],
+    default: 'Bronze'
+  },
+
+  stock: {
+    type: Number,
+    default: null // null means unlimited
+  },
+  redeemedCount: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+LoyaltyRewardSchema.index({ isActive: 1, pointsRequired: 1 });
+
+module.exports = mongoose.model('LoyaltyReward', LoyaltyRewardSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Loyalty points history. Positive points are earned/granted, negative points are redeemed/reversed.
+const LoyaltyTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'reversal', 'admin_adjust'],
+    required: true
+  },
+
+  points: {
+    type: Number,
+    required: true
+  },
+
+  balanceAfter: Number,
+
+  // Idempotency key, e.g. "booking:<id>", "reversal:<bookingId>"
+  key: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  reward: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoyaltyReward',
+    default: null
+  },
+
+  // Tier and multiplier the points were earned at
+  tier: String,
+  multiplier: Number,
+
+  description: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+LoyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoyaltyTransaction', LoyaltyTransactionSchema);
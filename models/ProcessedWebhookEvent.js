@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Ledger of Stripe webhook events, keyed on the Stripe event id.
+// Guarantees each event is handled once; events whose handler threw stay
+// in the 'failed' (dead-letter) state until an admin replays them.
+const ProcessedWebhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing',
+    index: true
+  },
+
+  attempts: { type: Number, default: 0 },
+
+  // Full Stripe event, used for replays
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Handler summary (bookings created, holds released, ...)
+  result: mongoose.Schema.Types.Mixed,
+
+  lastError: { type: String, default: null },
+
+  lockedAt: Date,
+  processedAt: Date,
+  failedAt: Date,
+
+  replays: [{
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    replayedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+ProcessedWebhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProcessedWebhookEvent', ProcessedWebhookEventSchema);
@@ -1,18 +1,48 @@
 const mongoose = require('mongoose');
 
+// Canonical promotion rule used by services/promotionService.js. Vendor Discounts,
+// Transportation.promotions and Stay.discounts.specials are read through the same engine.
 const PromotionSchema = new mongoose.Schema(
   {
-    code: { type: String, unique: true, required: true },
+    // Code-triggered promotions only; automatic promotions apply without one
+    code: { type: String, unique: true, sparse: true, uppercase: true, trim: true },
+    name: { type: String, trim: true },
+    description: { type: String },
+    trigger: { type: String, enum: ['code', 'automatic'], default: 'code' },
+    // Platform-funded, or funded by a single vendor (scoped to their listings)
+    vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     discountType: { type: String, enum: ['percentage', 'fixed'], required: true }, // E.g., 10% off or $10 off
     discountValue: { type: Number, required: true },
-    applicableTo: { type: String, enum: ['activity', 'stay', 'dining', 'transportation', 'all'], default: 'all' }, // Scope of the promotion
+    maxDiscount: { type: Number, default: null }, // Cap for percentage discounts
+    applicableTo: { type: String, enum: ['activity', 'stay', 'dining', 'transportation', 'spa', 'all'], default: 'all' }, // Scope of the promotion
+    listings: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }], // Empty means every listing in scope
+    minOrderValue: { type: Number, default: 0 },
+    conditions: {
+      minAdvanceDays: { type: Number, default: null },
+      minNights: { type: Number, default: null },
+      minGroupSize: { type: Number, default: null },
+      daysOfWeek: [{ type: String, enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'] }],
+    },
     startDate: { type: Date, required: true },
     endDate: { type: Date, required: true },
-    usageLimit: { type: Number, default: 0 }, // Max usage count
+    usageLimit: { type: Number, default: 0 }, // Max usage count (0 = unlimited)
     usageCount: { type: Number, default: 0 }, // Track current usage
+    perCustomerLimit: { type: Number, default: 0 }, // 0 = unlimited
+    // Stackable promotions combine with others; otherwise only the best non-stackable one applies
+    stackable: { type: Boolean, default: false },
     active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   },
   { timestamps: true }
 );
 
+PromotionSchema.index({ trigger: 1, active: 1, startDate: 1, endDate: 1 });
+
+PromotionSchema.pre('validate', function(next) {
+  if (this.trigger === 'code' && !this.code) {
+    return next(new Error('A code is required for code-triggered promotions'));
+  }
+  next();
+});
+
 module.exports = mongoose.model('Promotion', PromotionSchema);
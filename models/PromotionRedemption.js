@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One row per promotion applied to a checkout. Reserved when the payment intent is
+// created, redeemed when the payment succeeds, released if it fails, is cancelled,
+// is replaced by a retried checkout or is left unpaid past the hold TTL.
+// Per-customer limits count reserved and redeemed rows.
+const PromotionRedemptionSchema = new mongoose.Schema({
+  // Where the rule lives: Promotion, vendor Discount, Transportation.promotions, Stay.discounts.specials
+  source: {
+    type: String,
+    enum: ['promotion', 'discount', 'transportation_promotion', 'stay_special'],
+    required: true
+  },
+  // Rule id (subdocument id for embedded promotions) and the listing that embeds it
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    default: null
+  },
+  code: String,
+  name: String,
+
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  guestEmail: String,
+
+  paymentIntentId: {
+    type: String,
+    index: true
+  },
+
+  // Discount line items, one per cart item the rule applied to
+  lines: [{
+    itemIndex: Number,
+    cartItem: String,
+    amount: Number
+  }],
+  amount: {
+    type: Number,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }],
+  redeemedAt: Date,
+  releasedAt: Date
+}, { timestamps: true });
+
+PromotionRedemptionSchema.index({ rule: 1, customer: 1, status: 1 });
+PromotionRedemptionSchema.index({ rule: 1, guestEmail: 1, status: 1 });
+PromotionRedemptionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', PromotionRedemptionSchema);
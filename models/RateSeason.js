@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// A dated rate rule on a listing's rate calendar. Days no season covers use the listing's own
+// price (Stay.pricePerNight, Activity option cost / price). Overlapping seasons are resolved in
+// services/rateCalendarService.js: a room/option season beats a listing-wide one, then the
+// higher priority wins.
+const RateSeasonSchema = new mongoose.Schema({
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  serviceType: {
+    type: String,
+    enum: ['Stay', 'Activity'],
+    required: true
+  },
+
+  // Activity option id, stay room id or 'default' for the whole listing (same keys as InventorySlot)
+  unitKey: {
+    type: String,
+    default: 'default'
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // UTC midnight, both inclusive (nights, for stays)
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+
+  // Nightly rate for stays, the per-unit price (per person / hour / trip...) for activities.
+  // Empty keeps the listing's own price and only applies the restrictions below.
+  rate: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  // Rate for the weekend days below; falls back to `rate`
+  weekendRate: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // 0 = Sunday; by default Friday and Saturday nights
+  weekendDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [5, 6]
+  },
+
+  // Stays only: shortest stay allowed when arriving in this season
+  minNights: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Days of the week (0 = Sunday) guests cannot arrive / book on
+  closedToArrival: [{ type: Number, min: 0, max: 6 }],
+
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+RateSeasonSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'endDate must be on or after startDate');
+  }
+  next();
+});
+
+RateSeasonSchema.index({ service: 1, isActive: 1, startDate: 1, endDate: 1 });
+RateSeasonSchema.index({ serviceType: 1, isActive: 1, endDate: 1 });
+
+module.exports = mongoose.model('RateSeason', RateSeasonSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { normalize, prefixGrams, trigrams } = require('../utils/textSearch');
+
+// One entry of the search bar autocomplete index (services/suggestionService.js).
+// Listing, vendor and info page entries are written by the save/update hooks on those models;
+// islands, activity categories and cuisines are added as listings using them are saved.
+// scripts/buildSearchSuggestions.js rebuilds the whole index.
+const SUGGESTION_TYPES = ['listing', 'vendor', 'island', 'category', 'cuisine', 'info-page'];
+
+const SearchSuggestionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // e.g. "listing:<serviceId>", "island:providenciales"
+    type: { type: String, enum: SUGGESTION_TYPES, required: true },
+    label: { type: String, required: true },
+    subtitle: { type: String },
+    // What the client opens when the suggestion is picked
+    target: {
+      id: { type: mongoose.Schema.Types.ObjectId },
+      serviceType: { type: String },
+      slug: { type: String },
+      value: { type: String } // Filter value for islands, categories and cuisines
+    },
+    normalized: { type: String, required: true }, // Normalised label, matched first
+    keywords: { type: String }, // Normalised extra text that also matches (listing location/category/cuisines, page tags)
+    prefixes: [{ type: String }], // Edge n-grams of label and keywords
+    trigrams: [{ type: String }], // For misspellings
+    weight: { type: Number, default: 0 }, // Popularity tie-breaker
+    active: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+SearchSuggestionSchema.index({ prefixes: 1, active: 1 });
+SearchSuggestionSchema.index({ trigrams: 1, active: 1 });
+SearchSuggestionSchema.index({ type: 1, active: 1 });
+
+const ISLANDS = ['Providenciales', 'Grand Turk', 'North Caicos', 'Middle Caicos', 'South Caicos', 'Salt Cay'];
+
+// Listing popularity: rating, trusted more as reviews add up
+const listingWeight = (service) =>
+  Math.round((service.averageRating || 0) * Math.log10((service.totalReviews || 0) + 10) * 10) / 10;
+
+const buildEntry = ({ key, type, label, subtitle, target, keywords, weight = 0, active = true }) => {
+  const normalizedKeywords = normalize(keywords);
+  return {
+    key,
+    type,
+    label,
+    subtitle,
+    target,
+    normalized: normalize(label),
+    keywords: normalizedKeywords,
+    prefixes: prefixGrams(`${label} ${normalizedKeywords}`),
+    trigrams: trigrams(`${label} ${normalizedKeywords}`),
+    weight,
+    active
+  };
+};
+
+// ============================================================
+// STATIC METHODS
+// ============================================================
+
+SearchSuggestionSchema.statics.ISLANDS = ISLANDS;
+SearchSuggestionSchema.statics.SUGGESTION_TYPES = SUGGESTION_TYPES;
+
+SearchSuggestionSchema.statics.upsertEntry = function(entry) {
+  return this.updateOne({ key: entry.key }, { $set: buildEntry(entry) }, { upsert: true });
+};
+
+// Islands, activity categories and cuisines: added once, never rewritten
+SearchSuggestionSchema.statics.ensureTerm = function(type, value, subtitle) {
+  if (!value) return null;
+  const key = `${type}:${normalize(value)}`;
+  return this.updateOne(
+    { key },
+    { $setOnInsert: buildEntry({ key, type, label: value, subtitle, target: { value }, weight: 5 }) },
+    { upsert: true }
+  );
+};
+
+SearchSuggestionSchema.statics.removeEntry = function(key) {
+  return this.deleteOne({ key });
+};
+
+/**
+ * Index a listing (removed while it is not active) and the island/category/cuisines it uses
+ */
+SearchSuggestionSchema.statics.indexListing = async function(service) {
+  const key = `listing:${service._id}`;
+  if (service.status !== 'active') {
+    await this.removeEntry(key);
+    return;
+  }
+
+  await this.upsertEntry({
+    key,
+    type: 'listing',
+    label: service.name,
+    subtitle: [service.serviceType, service.location || service.island].filter(Boolean).join(' · '),
+    target: { id: service._id, serviceType: service.serviceType },
+    keywords: [service.location, service.island, service.category, ...(service.cuisineTypes || [])].filter(Boolean).join(' '),
+    weight: listingWeight(service)
+  });
+
+  await this.ensureTerm('island', service.island, 'Island');
+  if (service.serviceType === 'Activity') await this.ensureTerm('category', service.category, 'Activity category');
+  for (const cuisine of service.cuisineTypes || []) {
+    await this.ensureTerm('cuisine', cuisine, 'Cuisine');
+  }
+};
+
+// Re-read a listing after an update query (the hook may only have the filter or the old document)
+SearchSuggestionSchema.statics.syncListing = async function(serviceId) {
+  const service = await mongoose.model('Service').findById(serviceId).lean();
+  if (!service) return this.removeEntry(`listing:${serviceId}`);
+  return this.indexListing(service);
+};
+
+/**
+ * Index an approved vendor under their business name
+ */
+SearchSuggestionSchema.statics.indexVendor = async function(user) {
+  const key = `vendor:${user._id}`;
+  const profile = user.businessProfile || {};
+  const listed = user.role === 'business-manager' && profile.isApproved && profile.businessName &&
+    user.accountStatus !== 'deactivated';
+  if (!listed) {
+    await this.removeEntry(key);
+    return;
+  }
+
+  await this.upsertEntry({
+    key,
+    type: 'vendor',
+    label: profile.businessName,
+    subtitle: profile.businessAddress?.island || 'Local business',
+    target: { id: user._id },
+    keywords: profile.businessAddress?.island,
+    weight: 2
+  });
+};
+
+SearchSuggestionSchema.statics.syncVendor = async function(userId) {
+  const user = await mongoose.model('User').findById(userId).select('role accountStatus businessProfile').lean();
+  if (!user) return this.removeEntry(`vendor:${userId}`);
+  return this.indexVendor(user);
+};
+
+/**
+ * Index an info page title (removed while the page is inactive)
+ */
+SearchSuggestionSchema.statics.indexInfoPage = async function(page) {
+  const key = `info-page:${page._id}`;
+  if (page.isActive === false) {
+    await this.removeEntry(key);
+    return;
+  }
+
+  await this.upsertEntry({
+    key,
+    type: 'info-page',
+    label: page.title,
+    subtitle: 'Travel guide',
+    target: { id: page._id, slug: page.slug },
+    keywords: (page.tags || []).join(' '),
+    weight: (page.featured ? 3 : 0) + (page.priority || 0) / 50
+  });
+};
+
+module.exports = mongoose.model('SearchSuggestion', SearchSuggestionSchema);
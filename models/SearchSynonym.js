@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { normalize } = require('../utils/textSearch');
+
+// A group of interchangeable search terms managed by admins, e.g. ["provo", "providenciales"].
+// Autocomplete (services/suggestionService.js) also tries the query with each term swapped for the others.
+const SearchSynonymSchema = new mongoose.Schema(
+  {
+    terms: [{ type: String, trim: true }], // Stored normalised (lowercase, no punctuation)
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+SearchSynonymSchema.index({ terms: 1 });
+SearchSynonymSchema.index({ active: 1 });
+
+SearchSynonymSchema.pre('validate', function(next) {
+  this.terms = [...new Set((this.terms || []).map(normalize).filter(Boolean))];
+  if (this.terms.length < 2) {
+    this.invalidate('terms', 'A synonym group needs at least two different terms');
+  }
+  next();
+});
+
+module.exports = mongoose.model('SearchSynonym', SearchSynonymSchema);
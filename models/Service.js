@@ -1,5 +1,7 @@
 // models/Service.js (Base Model - Updated)
 const mongoose = require('mongoose');
+const { toGeoPoint, syncGeoPointOnUpdate } = require('../utils/geo');
+const SearchSuggestion = require('./SearchSuggestion');
 
 const BaseServiceSchema = new mongoose.Schema(
   {
@@ -25,6 +27,11 @@ const BaseServiceSchema = new mongoose.Schema(
         required: true 
       },
     },
+    // GeoJSON copy of `coordinates` for 2dsphere queries, kept in sync by the hooks below
+    geoLocation: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    },
     images: [
       {
         url: { 
@@ -108,6 +115,19 @@ const BaseServiceSchema = new mongoose.Schema(
       index: true
     },
 
+    // Declared by the vendor; matched against the traveler's groupDetails.accessibilityNeeds
+    accessibility: [{
+      type: String,
+      enum: ['wheelchair accessible', 'visual assistance', 'hearing assistance', 'cognitive support']
+    }],
+
+    // Date/time and party size changes requested by customers (services/bookingChangeService.js)
+    changePolicy: {
+      allowChanges: { type: Boolean, default: true },
+      requiresApproval: { type: Boolean, default: false },
+      cutoffHours: { type: Number, min: 0 } // Platform default when not set
+    },
+
     // Legacy reviews array - kept for backward compatibility
     // New reviews should use the separate Review model
     reviews: [
@@ -151,6 +171,15 @@ BaseServiceSchema.index({ averageRating: -1, totalReviews: -1 }); // For sorting
 BaseServiceSchema.index({ createdAt: -1 }); // For sorting by newest
 BaseServiceSchema.index({ status: 1, averageRating: -1 }); // For filtering and sorting
 
+// Near-me, radius and map-bounds queries
+BaseServiceSchema.index({ geoLocation: '2dsphere' });
+
+// Full-text search across every listing type (services/searchService.js)
+BaseServiceSchema.index(
+  { name: 'text', location: 'text', description: 'text' },
+  { name: 'service_text_search', weights: { name: 10, location: 5, description: 1 } }
+);
+
 // ============================================================
 // VIRTUALS
 // ============================================================
@@ -257,6 +286,20 @@ BaseServiceSchema.statics.getLowRatedServices = function(maxRating = 2.5, minRev
 // HOOKS
 // ============================================================
 
+// Keep geoLocation in sync with coordinates (cleared when they are missing or out of range)
+BaseServiceSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('coordinates')) {
+    this.geoLocation = toGeoPoint(this.coordinates) || undefined;
+  }
+  next();
+});
+
+// Same for findByIdAndUpdate / updateOne bodies that set coordinates
+BaseServiceSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  syncGeoPointOnUpdate(this, 'coordinates', 'geoLocation');
+  next();
+});
+
 // Pre-save middleware to update analyticsUpdatedAt
 BaseServiceSchema.pre('save', function(next) {
   if (this.isModified('averageRating') || this.isModified('totalReviews')) {
@@ -265,6 +308,48 @@ BaseServiceSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the search bar autocomplete entry in step with the listing (never blocks the write)
+BaseServiceSchema.post('save', async function(doc) {
+  try {
+    await SearchSuggestion.indexListing(doc);
+  } catch (error) {
+    console.error('[Post-Save Hook] Error updating search suggestions:', error);
+  }
+});
+
+BaseServiceSchema.post('findOneAndUpdate', async function(doc) {
+  try {
+    if (doc) await SearchSuggestion.syncListing(doc._id);
+  } catch (error) {
+    console.error('[Post-FindOneAndUpdate Hook] Error updating search suggestions:', error);
+  }
+});
+
+BaseServiceSchema.post('updateOne', async function() {
+  try {
+    const filter = this.getFilter();
+    if (mongoose.isValidObjectId(filter._id)) await SearchSuggestion.syncListing(filter._id);
+  } catch (error) {
+    console.error('[Post-UpdateOne Hook] Error updating search suggestions:', error);
+  }
+});
+
+BaseServiceSchema.post('findOneAndDelete', async function(doc) {
+  try {
+    if (doc) await SearchSuggestion.removeEntry(`listing:${doc._id}`);
+  } catch (error) {
+    console.error('[Post-FindOneAndDelete Hook] Error updating search suggestions:', error);
+  }
+});
+
+BaseServiceSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  try {
+    await SearchSuggestion.removeEntry(`listing:${doc._id}`);
+  } catch (error) {
+    console.error('[Post-DeleteOne Hook] Error updating search suggestions:', error);
+  }
+});
+
 const Service = mongoose.model('Service', BaseServiceSchema);
 
 module.exports = Service;
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A group booking paid in shares (see services/splitPaymentService.js). The cart item stays in the
+// organizer's cart (multiUser, with userPayments keyed by share id) until every share is paid,
+// then the booking is created. Shares left unpaid at the deadline cancel the group and the shares
+// already paid are refunded.
+const SplitPaymentSchema = new mongoose.Schema(
+  {
+    organizer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true },
+    cartItem: { type: String, required: true },
+
+    // Snapshot of the cart item when the split started, booked once fully funded
+    item: { type: mongoose.Schema.Types.Mixed, required: true },
+    service: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+    serviceName: String,
+
+    totalAmount: { type: Number, required: true, min: 0 },
+    amountPaid: { type: Number, default: 0 },
+
+    shares: [{
+      name: String,
+      email: { type: String, required: true, lowercase: true, trim: true },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      amount: { type: Number, required: true, min: 0.5 },
+      // Payment link secret; the share page and its payment intent are reached with it alone
+      token: { type: String, required: true },
+      status: {
+        type: String,
+        enum: ['invited', 'paid', 'refunded', 'cancelled'],
+        default: 'invited'
+      },
+      paymentIntentId: String,
+      currency: { type: String, default: 'USD' },
+      exchangeRate: { type: Number, default: 1 },
+      chargedAmount: Number, // In `currency`
+      paidAt: Date,
+      stripeRefundId: String,
+      refundedAmount: { type: Number, default: 0 }, // USD
+      invitedAt: { type: Date, default: Date.now }
+    }],
+
+    status: {
+      type: String,
+      enum: ['collecting', 'funded', 'cancelled', 'expired'],
+      default: 'collecting'
+    },
+    deadline: { type: Date, required: true },
+
+    // Capacity held until the deadline (services/holdService.js)
+    hold: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryHold', default: null },
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+
+    fundedAt: Date,
+    cancelledAt: Date,
+    cancelReason: String
+  },
+  { timestamps: true }
+);
+
+SplitPaymentSchema.index({ 'shares.token': 1 }, { unique: true });
+SplitPaymentSchema.index({ 'shares.paymentIntentId': 1 });
+SplitPaymentSchema.index({ status: 1, deadline: 1 });
+
+module.exports = mongoose.model('SplitPayment', SplitPaymentSchema);
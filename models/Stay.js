@@ -1,6 +1,7 @@
 // Stay.js
 const mongoose = require('mongoose');
 const Service = require('./Service');
+const { toGeoPoint, syncGeoPointOnUpdate } = require('../utils/geo');
 
 const StaySchema = new mongoose.Schema({
   type: { type: String, enum: ['Villa', 'Airbnb'], required: true },
@@ -89,6 +90,11 @@ const StaySchema = new mongoose.Schema({
     coordinates: {
       latitude: { type: Number },
       longitude: { type: Number }
+    },
+    // GeoJSON copy of the street address coordinates ("distance from my villa")
+    geoLocation: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
     }
   },
   
@@ -120,4 +126,18 @@ const StaySchema = new mongoose.Schema({
   // Removed host field - vendor is inherited from Service base model
 });
 
+StaySchema.index({ 'addressDetails.geoLocation': '2dsphere' });
+
+StaySchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('addressDetails.coordinates')) {
+    this.set('addressDetails.geoLocation', toGeoPoint(this.addressDetails?.coordinates) || undefined);
+  }
+  next();
+});
+
+StaySchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function(next) {
+  syncGeoPointOnUpdate(this, 'addressDetails.coordinates', 'addressDetails.geoLocation');
+  next();
+});
+
 module.exports = Service.discriminator('Stay', StaySchema);
\ No newline at end of file
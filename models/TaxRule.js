@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One row of the tax rate table applied by services/taxService.js to every quote.
+// Rules match on service type, island and the date of service, so a rate change is a new rule
+// with a later effectiveFrom rather than an edit of the old one.
+const TaxRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // Shown on quotes and receipts, e.g. "Accommodation Tax"
+    code: { type: String, required: true, uppercase: true, trim: true }, // Groups the liability report, e.g. "ACCOMMODATION_TAX"
+    // 'tax' is owed to government (reported as liability); 'fee' is a service charge added before taxes
+    kind: { type: String, enum: ['tax', 'fee'], default: 'tax' },
+    serviceTypes: [{
+      type: String,
+      enum: ['Activity', 'Stay', 'Transportation', 'Dining', 'WellnessSpa', 'Shopping'],
+      required: true
+    }],
+    islands: [{ type: String, trim: true }], // Empty means every island
+    calculation: {
+      type: String,
+      enum: ['percentage', 'per_booking', 'per_night', 'per_person'],
+      default: 'percentage'
+    },
+    rate: { type: Number, required: true, min: 0 }, // Percent, or a fixed amount for the other calculations
+    // Inclusive rules are already part of the listing price: the tax share is reported, not added
+    inclusive: { type: Boolean, default: false },
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo: { type: Date, default: null }, // Open-ended when empty
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+TaxRuleSchema.index({ active: 1, serviceTypes: 1, effectiveFrom: 1 });
+
+TaxRuleSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'effectiveTo must be on or after effectiveFrom');
+  }
+  if (!this.serviceTypes || this.serviceTypes.length === 0) {
+    this.invalidate('serviceTypes', 'At least one service type is required');
+  }
+  next();
+});
+
+module.exports = mongoose.model('TaxRule', TaxRuleSchema);
@@ -213,6 +213,41 @@ const TransportationSchema = new mongoose.Schema({
     weekendSurcharge: { type: Number, default: 0 }
   },
 
+  // Demand-based surge rules for taxis and airport transfers (see services/surgePricingService.js)
+  surgePricing: {
+    enabled: { type: Boolean, default: false },
+    // Minutes either side of the pickup time counted as the same demand window
+    windowMinutes: { type: Number, default: 60, min: 5 },
+    // Booked rides / available drivers in the window at or above `utilization` (0-1) apply `multiplier`
+    demandTiers: {
+      type: [{
+        _id: false,
+        utilization: { type: Number, required: true, min: 0 },
+        multiplier: { type: Number, required: true, min: 1 }
+      }],
+      default: [
+        { utilization: 0.7, multiplier: 1.25 },
+        { utilization: 0.85, multiplier: 1.5 },
+        { utilization: 1, multiplier: 2 }
+      ]
+    },
+    // Known flight arrival banks, e.g. Saturday 11:00-15:00 at PLS
+    flightPeaks: [{
+      name: { type: String, required: true },
+      daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday; empty = every day
+      startTime: { type: String, required: true }, // "HH:mm"
+      endTime: { type: String, required: true },
+      multiplier: { type: Number, required: true, min: 1 }
+    }],
+    // When distancePricing.nightSurcharge / weekendSurcharge apply
+    nightStartTime: { type: String, default: '22:00' },
+    nightEndTime: { type: String, default: '06:00' },
+    weekendDays: { type: [{ type: Number, min: 0, max: 6 }], default: [0, 6] },
+    // Vendor caps: the multiplier never exceeds maxMultiplier, nor the surge amount maxSurcharge
+    maxMultiplier: { type: Number, default: 2, min: 1 },
+    maxSurcharge: { type: Number, default: null, min: 0 }
+  },
+
   // Enhanced rental-specific features
   rentalDetails: {
     insuranceIncluded: { type: Boolean, default: false },
@@ -263,7 +298,9 @@ const TransportationSchema = new mongoose.Schema({
     installmentOptions: [{
       duration: { type: String }, // e.g., '3-months', '6-months'
       interestRate: { type: Number, default: 0 }
-    }]
+    }],
+    // Deposit bookings: the (last) installment is charged this many days before the service
+    balanceDueDaysBefore: { type: Number, default: 7, min: 1 }
   },
 
   // Service areas and zones
@@ -407,13 +444,13 @@ TransportationSchema.virtual('availableFleetCount').get(function() {
   return this.fleet.filter(vehicle => vehicle.status === 'available').length;
 });
 
-// Method to calculate price based on distance
+// Method to calculate price based on distance (before surge; see services/surgePricingService.js)
 TransportationSchema.methods.calculateDistancePrice = function(distance) {
   if (!this.distancePricing.enabled) {
     return this.basePrice;
   }
 
-  const { baseRate, baseMileage, perMileRate, minimumFare, maximumFare, surgeMultiplier } = this.distancePricing;
+  const { baseRate, baseMileage, perMileRate, minimumFare, maximumFare } = this.distancePricing;
   
   let price = baseRate;
   
@@ -421,8 +458,6 @@ TransportationSchema.methods.calculateDistancePrice = function(distance) {
     price += (distance - baseMileage) * perMileRate;
   }
   
-  price *= surgeMultiplier;
-  
   if (minimumFare && price < minimumFare) price = minimumFare;
   if (maximumFare && price > maximumFare) price = maximumFare;
   
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const { encrypt, decrypt, isEncrypted, maskAccountNumber, maskRoutingNumber } = require('../utils/encryption');
+const SearchSuggestion = require('./SearchSuggestion');
 
 const UserSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -69,6 +70,8 @@ phoneNumber: {
   providerId: { type: String },
   resetPasswordToken: { type: String },
   resetPasswordExpires: { type: Date },
+  // Stripe customer holding the saved cards (models/PaymentMethod.js), charged off-session for installments
+  stripeCustomerId: { type: String, default: null },
 
   // NEW: Vendor/Business Profile
   businessProfile: {
@@ -129,7 +132,9 @@ phoneNumber: {
       bankName: { type: String },
       accountNumber: { type: String },
       routingNumber: { type: String },
-      accountHolderName: { type: String }
+      accountHolderName: { type: String },
+      // Stripe Connect account used for automatic payouts
+      stripeConnectId: { type: String, default: null }
     },
     // Business documents
     documents: [{
@@ -447,4 +452,42 @@ UserSchema.methods.getMaskedPaymentInfo = function() {
 };
 
 
+// Vendor business names in the search bar autocomplete (only approved, active business managers)
+const VENDOR_SUGGESTION_FIELDS = ['role', 'accountStatus', 'businessProfile'];
+
+UserSchema.pre('save', function(next) {
+  this.$locals.syncVendorSuggestion = this.isNew
+    ? this.role === 'business-manager'
+    : VENDOR_SUGGESTION_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+UserSchema.post('save', async function(doc) {
+  try {
+    if (doc.$locals.syncVendorSuggestion) await SearchSuggestion.indexVendor(doc);
+  } catch (error) {
+    console.error('[Post-Save Hook] Error updating vendor search suggestion:', error);
+  }
+});
+
+UserSchema.post('findOneAndUpdate', async function(doc) {
+  try {
+    const update = this.getUpdate() || {};
+    const fields = Object.keys({ ...update, ...update.$set, ...update.$unset });
+    if (doc && fields.some(field => VENDOR_SUGGESTION_FIELDS.some(name => field.startsWith(name)))) {
+      await SearchSuggestion.syncVendor(doc._id);
+    }
+  } catch (error) {
+    console.error('[Post-FindOneAndUpdate Hook] Error updating vendor search suggestion:', error);
+  }
+});
+
+UserSchema.post('findOneAndDelete', async function(doc) {
+  try {
+    if (doc) await SearchSuggestion.removeEntry(`vendor:${doc._id}`);
+  } catch (error) {
+    console.error('[Post-FindOneAndDelete Hook] Error updating vendor search suggestion:', error);
+  }
+});
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// One line per booking settled in a payout. 'earning' lines pay out a completed
+// booking; 'adjustment' lines claw back refunds issued after the booking was settled;
+// 'chargeback' lines take back funds lost to a card dispute and 'chargeback_reversal'
+// lines return them when the dispute is won.
+const PayoutLineSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  bookingId: String,
+  serviceType: String,
+  scheduledDateTime: Date,
+  type: {
+    type: String,
+    enum: ['earning', 'adjustment', 'chargeback', 'chargeback_reversal'],
+    default: 'earning'
+  },
+  dispute: { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute', default: null },
+  grossAmount: { type: Number, default: 0 },
+  securityDepositAmount: { type: Number, default: 0 }, // Part of grossAmount, not commissioned
+  refundAmount: { type: Number, default: 0 },
+  commissionAmount: { type: Number, default: 0 },
+  netAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+const VendorPayoutSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Settlement period covered by this payout
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+
+  currency: { type: String, default: 'usd' },
+
+  // Totals
+  grossAmount: { type: Number, default: 0 },
+  refundAmount: { type: Number, default: 0 },
+  commissionRate: { type: Number, required: true }, // percentage
+  commissionAmount: { type: Number, default: 0 },
+  netAmount: { type: Number, default: 0 },
+
+  lines: [PayoutLineSchema],
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  payoutMethod: {
+    type: String,
+    enum: ['stripe_connect', 'bank_transfer'],
+    required: true
+  },
+
+  // Stripe details (stripe_connect payouts)
+  stripeTransferId: { type: String, default: null },
+  mock: { type: Boolean, default: false },
+
+  attempts: { type: Number, default: 0 },
+  failureReason: { type: String, default: null },
+
+  processedAt: Date,
+  paidAt: Date,
+  failedAt: Date
+}, { timestamps: true });
+
+VendorPayoutSchema.index({ vendor: 1, createdAt: -1 });
+VendorPayoutSchema.index({ vendor: 1, periodEnd: -1 });
+
+module.exports = mongoose.model('VendorPayout', VendorPayoutSchema);
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const adminWebhookController = require('../controllers/adminWebhookController');
+const adminLedgerController = require('../controllers/adminLedgerController');
+const adminCreditController = require('../controllers/adminCreditController');
+const adminTaxController = require('../controllers/adminTaxController');
+const adminCurrencyController = require('../controllers/adminCurrencyController');
+const adminDisputeController = require('../controllers/adminDisputeController');
+const adminSearchController = require('../controllers/adminSearchController');
 const { protect, adminProtect } = require('../middleware/authMiddleware');
 
 // Apply protection middleware to all routes
@@ -18,6 +25,11 @@ router.delete('/users/:userId', adminController.deleteUser);
 router.put('/users/:userId/status', adminController.toggleUserStatus);
 router.put('/users/:userId/role', adminController.updateUserRole);
 
+// Caicos Credits
+router.get('/users/:userId/credits', adminCreditController.getUserCredits);
+router.post('/users/:userId/credits/grant', adminCreditController.grantCredits);
+router.post('/users/:userId/credits/revoke', adminCreditController.revokeCredits);
+
 // Booking management routes
 router.get('/bookings', adminController.getBookings);
 router.get('/bookings/:bookingId', adminController.getBookingDetails);
@@ -43,6 +55,42 @@ router.get('/system/backups', adminController.getBackups);
 // Audit routes
 router.get('/audit-logs', adminController.getAuditLogs);
 
+// Stripe webhook ledger / dead-letter queue
+router.get('/webhook-events', adminWebhookController.getWebhookEvents);
+router.get('/webhook-events/:eventId', adminWebhookController.getWebhookEventDetails);
+router.post('/webhook-events/:eventId/replay', adminWebhookController.replayWebhookEvent);
+
+// Financial ledger
+router.get('/ledger/accounts', adminLedgerController.getLedgerAccounts);
+router.get('/ledger/entries', adminLedgerController.getLedgerEntries);
+router.get('/ledger/reconciliation', adminLedgerController.getReconciliationReport);
+
+// Tax rules and liability report
+router.get('/taxes/rules', adminTaxController.getTaxRules);
+router.post('/taxes/rules', adminTaxController.createTaxRule);
+router.put('/taxes/rules/:ruleId', adminTaxController.updateTaxRule);
+router.delete('/taxes/rules/:ruleId', adminTaxController.deactivateTaxRule);
+router.get('/taxes/report', adminTaxController.getTaxLiabilityReport);
+
+// Exchange rates for guest currencies
+router.get('/currencies', adminCurrencyController.getExchangeRates);
+router.put('/currencies', adminCurrencyController.updateExchangeRates);
+router.delete('/currencies/:currency', adminCurrencyController.deactivateExchangeRate);
+
+// Card disputes (chargebacks)
+router.get('/disputes', adminDisputeController.getDisputes);
+router.get('/disputes/:disputeId', adminDisputeController.getDisputeDetails);
+router.put('/disputes/:disputeId/evidence', adminDisputeController.updateDisputeEvidence);
+router.post('/disputes/:disputeId/evidence/refresh', adminDisputeController.refreshDisputeEvidence);
+router.post('/disputes/:disputeId/submit', adminDisputeController.submitDisputeEvidence);
+router.post('/disputes/:disputeId/accept', adminDisputeController.acceptDispute);
+
+// Search bar autocomplete synonyms
+router.get('/search/synonyms', adminSearchController.getSynonyms);
+router.post('/search/synonyms', adminSearchController.createSynonym);
+router.put('/search/synonyms/:synonymId', adminSearchController.updateSynonym);
+router.delete('/search/synonyms/:synonymId', adminSearchController.deleteSynonym);
+
 // Settings routes
 router.get('/settings', adminController.getSystemSettings);
 router.put('/settings', adminController.updateSystemSettings);
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
 const authMiddleware = require('../middleware/authMiddleware');
+const depositController = require('../controllers/depositController');
+const invoiceController = require('../controllers/invoiceController');
+const bookingChangeController = require('../controllers/bookingChangeController');
 const { createBooking, getBookingByPaymentIntent } = require('../controllers/bookingController');
 
 // Basic CRUD Operations
@@ -19,15 +22,24 @@ router.get('/user/stats', authMiddleware.protect, bookingController.getUserBooki
 // Get specific booking by ID
 router.get('/:id', authMiddleware.protect, bookingController.getBookingById);
 
-// Update an existing booking
+// Update an existing booking (preferences and contact details; dates and party size go through /changes)
 router.put('/:id', authMiddleware.protect, bookingController.updateBooking);
 
+// Change the date/time or party size: preview the price difference, request it, list or withdraw requests
+router.post('/:id/changes/quote', authMiddleware.protect, bookingChangeController.quoteBookingChange);
+router.post('/:id/changes', authMiddleware.protect, bookingChangeController.requestBookingChange);
+router.get('/:id/changes', authMiddleware.protect, bookingChangeController.getBookingChanges);
+router.post('/:id/changes/:changeId/cancel', authMiddleware.protect, bookingChangeController.cancelBookingChange);
+
 // User cancel their own booking
 router.delete('/:id', authMiddleware.protect, bookingController.cancelBooking);
 
 // Alternative cancellation endpoint
 router.post('/:id/cancel', authMiddleware.protect, bookingController.initiateCancellation);
 
+// Preview the refund for cancelling now (admins: ?weather=true for weather cancellations)
+router.get('/:id/refund-quote', authMiddleware.protect, bookingController.getRefundQuote);
+
 // Payment Operations
 // Process payment for a booking
 router.post('/:id/pay', authMiddleware.protect, bookingController.payForBooking);
@@ -35,6 +47,13 @@ router.post('/:id/pay', authMiddleware.protect, bookingController.payForBooking)
 // Update payment status for a specific payee
 router.put('/:id/payees/:payeeId', authMiddleware.protect, bookingController.updatePayeePayment);
 
+// Deposit bookings: installment schedule, and paying an (overdue) installment now
+router.get('/:id/payment-schedule', authMiddleware.protect, depositController.getPaymentSchedule);
+router.post('/:id/installments/:installmentId/pay', authMiddleware.protect, depositController.payInstallment);
+
+// PDF invoice for the booking's checkout (?number= for one of its credit notes)
+router.get('/:id/invoice', authMiddleware.protect, invoiceController.downloadInvoice);
+
 // Admin Operations (require admin role)
 // Admin cancel a booking
 router.post(
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('../controllers/currencyController');
+
+/**
+ * GET /currencies
+ * Supported guest currencies and their rate per 1 USD
+ */
+router.get('/', currencyController.getRates);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const giftCardController = require('../controllers/giftCardController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Guests can buy gift cards; signed-in purchasers get them listed on their account
+const optionalProtect = (req, res, next) => {
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+  next();
+};
+
+// ============================================================
+// PUBLIC ROUTES - No authentication required
+// ============================================================
+
+/**
+ * POST /gift-cards
+ * Buy a gift card or experience voucher
+ */
+router.post('/', optionalProtect, giftCardController.purchaseGiftCard);
+
+/**
+ * GET /gift-cards/:code/balance
+ * Balance lookup by code
+ */
+router.get('/:code/balance', giftCardController.getGiftCardBalance);
+
+// ============================================================
+// PURCHASER ROUTES - Authentication required
+// ============================================================
+
+/**
+ * GET /gift-cards/purchased
+ * Gift cards bought by the signed-in user
+ */
+router.get('/purchased', protect, giftCardController.getPurchasedGiftCards);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const loyaltyController = require('../controllers/loyaltyController');
+const adminLoyaltyController = require('../controllers/adminLoyaltyController');
+const { protect, adminProtect } = require('../middleware/authMiddleware');
+
+// ============================================================
+// PUBLIC ROUTES - No authentication required
+// ============================================================
+
+/**
+ * GET /loyalty/tiers
+ * Tier thresholds (rolling 12-month spend) and benefits
+ */
+router.get('/tiers', loyaltyController.getTiers);
+
+/**
+ * GET /loyalty/rewards
+ * Active rewards catalog
+ */
+router.get('/rewards', loyaltyController.getRewards);
+
+// ============================================================
+// MEMBER ROUTES - Authentication required
+// ============================================================
+
+/**
+ * GET /loyalty/me?page=1&limit=20
+ * Points balance, tier, next-tier progress and points history
+ */
+router.get('/me', protect, loyaltyController.getMyLoyalty);
+
+/**
+ * GET /loyalty/me/rewards
+ * Rewards catalog flagged with what the member can redeem
+ */
+router.get('/me/rewards', protect, loyaltyController.getRewards);
+
+/**
+ * POST /loyalty/rewards/:rewardId/redeem
+ * Exchange points for a reward
+ */
+router.post('/rewards/:rewardId/redeem', protect, loyaltyController.redeemReward);
+
+/**
+ * GET /loyalty/checkout-benefit?total=250
+ * Tier discount that would apply to a checkout total
+ */
+router.get('/checkout-benefit', protect, loyaltyController.getCheckoutBenefit);
+
+// ============================================================
+// ADMIN ROUTES - Admin authentication required
+// ============================================================
+
+/**
+ * GET /loyalty/admin/members?tier=Gold&page=1&limit=20
+ * List loyalty members, highest spend first
+ */
+router.get('/admin/members', protect, adminProtect, adminLoyaltyController.getMembers);
+
+/**
+ * GET /loyalty/admin/members/:userId
+ * A member's account, points history and tier history
+ */
+router.get('/admin/members/:userId', protect, adminProtect, adminLoyaltyController.getMember);
+
+/**
+ * POST /loyalty/admin/members/:userId/points
+ * Grant (positive) or deduct (negative) points
+ */
+router.post('/admin/members/:userId/points', protect, adminProtect, adminLoyaltyController.adjustPoints);
+
+/**
+ * POST /loyalty/admin/members/:userId/evaluate
+ * Re-evaluate a member's tier now
+ */
+router.post('/admin/members/:userId/evaluate', protect, adminProtect, adminLoyaltyController.evaluateMemberTier);
+
+/**
+ * GET /loyalty/admin/rewards
+ * Full rewards catalog, including inactive rewards
+ */
+router.get('/admin/rewards', protect, adminProtect, adminLoyaltyController.getAllRewards);
+
+/**
+ * POST /loyalty/admin/rewards
+ * Add a reward to the catalog
+ */
+router.post('/admin/rewards', protect, adminProtect, adminLoyaltyController.createReward);
+
+/**
+ * PUT /loyalty/admin/rewards/:rewardId
+ * Update a reward
+ */
+router.put('/admin/rewards/:rewardId', protect, adminProtect, adminLoyaltyController.updateReward);
+
+/**
+ * DELETE /loyalty/admin/rewards/:rewardId
+ * Retire a reward
+ */
+router.delete('/admin/rewards/:rewardId', protect, adminProtect, adminLoyaltyController.deactivateReward);
+
+module.exports = router;
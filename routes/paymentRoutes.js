@@ -1,21 +1,197 @@
 const express = require('express');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { createBookingFromPayment } = require('../controllers/bookingController');
-const referralService = require('../services/referralService');
+const holdService = require('../services/holdService');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const creditService = require('../services/creditService');
+const giftCardService = require('../services/giftCardService');
+const loyaltyService = require('../services/loyaltyService');
+const promotionService = require('../services/promotionService');
+const pricingService = require('../services/pricingService');
+const currencyService = require('../services/currencyService');
+const depositService = require('../services/depositService');
+const checkoutService = require('../services/checkoutService');
+const Service = require('../models/Service');
+const { protect } = require('../middleware/authMiddleware');
 
 const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
+// Checkout is open to guests, but spending Caicos Credits needs a signed-in wallet owner.
+// Signed-in members who send their token also get their loyalty tier discount.
+const authenticateCheckout = (req, res, next) => {
+    if (Number(req.body?.creditsToApply) > 0 || req.headers.authorization?.startsWith('Bearer')) {
+        return protect(req, res, next);
+    }
+    next();
+};
+
+/**
+ * Who the checkout counts against for per-customer promotion limits: the signed-in
+ * customer, otherwise the guest's email (never a user id sent in the body)
+ * @returns {Object} { customerId, guestEmail }
+ */
+const checkoutOwner = (req, guestEmail) => (req.user
+    ? { customerId: req.user.id, guestEmail: null }
+    : { customerId: null, guestEmail: guestEmail || null });
+
+/**
+ * A signed-in customer starting checkout again cancels their earlier unpaid payment intents
+ * (found by customer or gift card), giving back what those attempts took. Guests retry on the
+ * same payment intent; expired ones are swept by the scheduler.
+ */
+const abandonEarlierCheckouts = async (req) => {
+    if (!req.user) return;
+    try {
+        await checkoutService.abandonOpenCheckouts({
+            customerId: req.user.id,
+            giftCardCode: req.body.giftCardCode || req.body.bookingData?.giftCardCode || null
+        });
+    } catch (error) {
+        console.error('Error abandoning earlier checkouts:', error.message);
+    }
+};
+
+/**
+ * Validate the checkout's promo codes and automatic promotions, and reserve their uses
+ * @param {Array} items - Cart items, or a one-item array for a single booking
+ * @param {Object} owner - { customerId, guestEmail }
+ * @returns {Object} { evaluation, redemptions }
+ */
+const applyPromotions = async (req, items, owner) => {
+    const codes = [].concat(req.body.promoCodes || [], req.body.promoCode || [], req.body.bookingData?.promoCode || []);
+    const evaluation = await promotionService.evaluate({ items, codes, ...owner });
+
+    const invalid = evaluation.rejected.filter(rejection => !rejection.superseded);
+    if (invalid.length > 0) {
+        const error = new Error(invalid.map(rejection => `${rejection.code}: ${rejection.reason}`).join('; '));
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const redemptions = await promotionService.reserve(evaluation, owner);
+    return { evaluation, redemptions };
+};
+
+/**
+ * Loyalty tier discount for the signed-in member's own checkout
+ * @param {String} ownerId - User the checkout is for
+ * @returns {Object} { tier, discountPercent, amount }
+ */
+const applyLoyaltyDiscount = async (req, totalAmount, ownerId) => {
+    if (!req.user || !ownerId || ownerId.toString() !== req.user.id) {
+        return { tier: null, discountPercent: 0, amount: 0 };
+    }
+    return loyaltyService.getCheckoutBenefit(req.user.id, totalAmount);
+};
+
+/**
+ * Take the requested credits off the signed-in user's wallet for this checkout
+ * @param {String} ownerId - User the checkout is for; must be the signed-in user
+ * @returns {Object} { transaction, credits, amount }
+ */
+const applyCheckoutCredits = async (req, totalAmount, ownerId) => {
+    const requested = Number(req.body.creditsToApply) || 0;
+    if (requested <= 0 || !req.user) {
+        return { transaction: null, credits: 0, amount: 0 };
+    }
+    if (ownerId && ownerId.toString() !== req.user.id) {
+        const error = new Error('Credits can only be applied to your own checkout');
+        error.statusCode = 403;
+        throw error;
+    }
+    return creditService.spendForCheckout(req.user.id, requested, totalAmount);
+};
+
+/**
+ * Take the gift card entered at checkout (giftCardCode) as a tender, after every discount and credit.
+ * Anyone holding the code can spend it, so no sign-in is needed.
+ * @param {Array} items - [{ service, amount }] with what is left to pay on each item (USD)
+ * @returns {Object} { giftCard, transaction, amount, shares }
+ */
+const applyGiftCard = async (req, items) => {
+    const code = req.body.giftCardCode || req.body.bookingData?.giftCardCode;
+    if (!code) {
+        return { giftCard: null, transaction: null, amount: 0, shares: items.map(() => 0) };
+    }
+    return giftCardService.redeemForCheckout(code, items);
+};
+
+/**
+ * Pay-by-deposit plan and rental security deposit of a single transportation checkout.
+ * Both are charged to the signed-in customer's saved card later, off-session.
+ * @param {Number} chargeAmount - Card amount after discounts and credits (USD)
+ * @returns {Object} { plan, securityDeposit, metadata }
+ */
+const preparePaymentPlan = async (req, bookingData, essentialData, chargeAmount) => {
+    const none = { plan: null, securityDeposit: 0, metadata: {} };
+    if (essentialData.category !== 'transportation') return none;
+
+    const listing = await Service.findById(essentialData.transportation).lean();
+    const payByDeposit = (req.body.paymentPlan || bookingData.paymentPlan) === 'deposit';
+    const securityDeposit = depositService.getSecurityDepositAmount(listing, essentialData.vehicleId);
+    if (!payByDeposit && securityDeposit <= 0) return none;
+
+    if (!req.user) {
+        const error = new Error(payByDeposit
+            ? 'Sign in to pay by deposit'
+            : `Sign in to book this rental; a $${securityDeposit.toFixed(2)} security deposit is held on your saved card before pickup`);
+        error.statusCode = 401;
+        throw error;
+    }
+    if (bookingData.user && bookingData.user.toString() !== req.user.id) {
+        const error = new Error('Deposits and security holds can only be charged to your own card');
+        error.statusCode = 403;
+        throw error;
+    }
+    essentialData.user = req.user.id;
+
+    const savedMethod = await depositService.resolveSavedPaymentMethod(req.user.id, req.body.paymentMethodId);
+    const plan = payByDeposit
+        ? depositService.buildPaymentPlan(listing, {
+            amount: chargeAmount,
+            serviceDate: essentialData.date,
+            installmentOption: req.body.installmentOption || bookingData.installmentOption
+        })
+        : null;
+
+    return {
+        plan,
+        securityDeposit,
+        metadata: {
+            savedPaymentMethod: savedMethod._id.toString(),
+            ...(plan && { paymentPlan: depositService.encodePaymentPlan(plan) }),
+            ...(securityDeposit > 0 && { securityDeposit: securityDeposit.toString() })
+        }
+    };
+};
+
+/**
+ * Where the checkout came from and whether the customer accepted the listing's waivers,
+ * kept on the booking as evidence if the charge is later disputed
+ * @returns {Object} Payment intent metadata
+ */
+const checkoutContext = (req) => ({
+    customerIP: req.ip || '',
+    userAgent: (req.headers['user-agent'] || '').substring(0, 400),
+    ...(req.body.waiversAccepted && { waiversAcceptedAt: new Date().toISOString() })
+});
+
 // --- PAYMENT INTENT ROUTE (with JSON middleware) ---
-router.post('/create-payment-intent', express.json(), async (req, res) => {
+router.post('/create-payment-intent', express.json(), authenticateCheckout, async (req, res) => {
+    let creditSpend = null;
+    let giftCardRedemption = null;
+    let promotions = null;
     try {
         const { bookingData } = req.body;
-        if (!bookingData || !bookingData.totalPrice) {
+        if (!bookingData || !bookingData.serviceType) {
             return res.status(400).json({ error: 'Invalid booking data.' });
         }
         console.log("\n--- 3. [Server] Received Request to Create Payment Intent ---");
         console.log("INCOMING DATA:", JSON.stringify(bookingData, null, 2));
 
+        const owner = checkoutOwner(req, bookingData.guestEmail || bookingData.contactInfo?.email);
+        await abandonEarlierCheckouts(req);
+
         // --- Fix guestName issue ---
         const guestName = bookingData.guestName && bookingData.guestName !== 'undefined undefined' 
             ? bookingData.guestName 
@@ -78,6 +254,7 @@ switch (essentialData.category) {
         essentialData.time = bookingData.time;
         essentialData.pickupLocation = bookingData.pickupLocation;
         essentialData.dropoffLocation = bookingData.dropoffLocation;
+        essentialData.vehicleId = bookingData.vehicleId;
         break;
 
     default:
@@ -86,6 +263,70 @@ switch (essentialData.category) {
         });
 }
 
+        // Price the booking server-side; the client's totalPrice is never charged
+        const quote = await pricingService.quoteItem(essentialData[essentialData.category], pricingService.toQuoteRequest({
+            ...bookingData,
+            option: essentialData.option || essentialData.service,
+            numPeople: essentialData.numOfPeople
+        }));
+        if (bookingData.totalPrice && Math.abs(quote.totalPrice - Number(bookingData.totalPrice)) >= 0.01) {
+            console.warn(`Client total ${bookingData.totalPrice} differs from quoted ${quote.totalPrice}; charging the quote`);
+        }
+        if (quote.totalPrice === 0) {
+            return res.status(400).json({ error: 'There is nothing to pay for this reservation. Book it without checkout.' });
+        }
+        essentialData.totalPrice = quote.totalPrice;
+        essentialData.basePrice = quote.priceBreakdown.basePrice;
+
+        // Promotions come off first, then the loyalty tier discount, then Caicos Credits and a gift card pay part of the rest
+        promotions = await applyPromotions(req, [{
+            serviceType: essentialData.category,
+            service: essentialData[essentialData.category],
+            totalPrice: quote.totalPrice,
+            date: bookingData.startDate || bookingData.date,
+            endDate: bookingData.endDate,
+            numPeople: essentialData.numOfPeople
+        }], owner);
+        const promotionDiscount = promotions.evaluation.totalDiscount;
+        const loyaltyDiscount = await applyLoyaltyDiscount(req, quote.totalPrice - promotionDiscount, bookingData.user);
+        const discountedTotal = quote.totalPrice - promotionDiscount - loyaltyDiscount.amount;
+        creditSpend = await applyCheckoutCredits(req, discountedTotal, bookingData.user);
+        giftCardRedemption = await applyGiftCard(req, [{
+            service: essentialData[essentialData.category],
+            amount: discountedTotal - creditSpend.amount
+        }]);
+        const chargeAmount = Math.round((discountedTotal - creditSpend.amount - giftCardRedemption.amount) * 100) / 100;
+        const discountMetadata = creditSpend.credits > 0
+            ? { creditsApplied: creditSpend.credits.toString(), creditAmount: creditSpend.amount.toString() }
+            : {};
+        if (giftCardRedemption.amount > 0) {
+            discountMetadata.giftCardId = giftCardRedemption.giftCard._id.toString();
+            discountMetadata.giftCardAmount = giftCardRedemption.amount.toString();
+        }
+        if (promotionDiscount > 0) {
+            discountMetadata.promotionDiscount = promotionDiscount.toString();
+        }
+        if (loyaltyDiscount.amount > 0) {
+            discountMetadata.loyaltyTier = loyaltyDiscount.tier;
+            discountMetadata.loyaltyDiscount = loyaltyDiscount.amount.toString();
+        }
+        const priceLines = pricingService.encodeBreakdown(quote.priceBreakdown);
+        if (priceLines) {
+            discountMetadata.priceLines = priceLines;
+        }
+
+        // Paying by deposit charges only the deposit now
+        const paymentPlan = await preparePaymentPlan(req, bookingData, essentialData, chargeAmount);
+        Object.assign(discountMetadata, paymentPlan.metadata);
+        Object.assign(discountMetadata, checkoutContext(req));
+        const amountDue = paymentPlan.plan ? paymentPlan.plan.depositAmount : chargeAmount;
+
+        // Charge in the guest's currency at the stored rate; the booking keeps USD amounts
+        const fx = await currencyService.getRate(req.body.currency || bookingData.currency);
+        const presentmentAmount = currencyService.convertFromUSD(amountDue, fx.rate);
+        discountMetadata.currency = fx.currency;
+        discountMetadata.exchangeRate = fx.rate.toString();
+
         // Convert to JSON and check size
         const metadataJson = JSON.stringify(essentialData);
         console.log("--- 4. [Server] Essential Metadata ---");
@@ -112,40 +353,94 @@ switch (essentialData.category) {
             delete serviceData.totalPrice;
 
             const paymentIntent = await stripe.paymentIntents.create({
-                amount: Math.round(bookingData.totalPrice * 100),
-                currency: 'usd',
+                amount: currencyService.toMinorUnits(presentmentAmount),
+                currency: fx.currency.toLowerCase(),
                 automatic_payment_methods: { enabled: true },
                 metadata: {
                     basicData: JSON.stringify(basicData),
-                    serviceData: JSON.stringify(serviceData)
+                    serviceData: JSON.stringify(serviceData),
+                    ...discountMetadata
                 }
             });
-
-            res.status(200).json({ clientSecret: paymentIntent.client_secret });
+            await creditService.attachPaymentIntent(creditSpend.transaction, paymentIntent.id);
+            await giftCardService.attachPaymentIntent(giftCardRedemption, paymentIntent.id);
+            await promotionService.attachPaymentIntent(promotions.redemptions, paymentIntent.id);
+
+            res.status(200).json({
+                clientSecret: paymentIntent.client_secret,
+                totalPrice: quote.totalPrice,
+                priceBreakdown: quote.priceBreakdown,
+                promotions: promotions.evaluation.applied.map(({ code, name, amount }) => ({ code, name, amount })),
+                promotionDiscount,
+                loyaltyTier: loyaltyDiscount.tier,
+                loyaltyDiscount: loyaltyDiscount.amount,
+                creditsApplied: creditSpend.credits,
+                creditAmount: creditSpend.amount,
+                giftCardAmount: giftCardRedemption.amount,
+                amountDue,
+                paymentPlan: paymentPlan.plan,
+                securityDeposit: paymentPlan.securityDeposit,
+                currency: fx.currency,
+                exchangeRate: fx.rate,
+                amountDueInCurrency: presentmentAmount
+            });
         } else {
             // Single metadata field if it fits
             const paymentIntent = await stripe.paymentIntents.create({
-                amount: Math.round(bookingData.totalPrice * 100),
-                currency: 'usd',
+                amount: currencyService.toMinorUnits(presentmentAmount),
+                currency: fx.currency.toLowerCase(),
                 automatic_payment_methods: { enabled: true },
                 metadata: {
-                    bookingData: metadataJson
+                    bookingData: metadataJson,
+                    ...discountMetadata
                 }
             });
-
-            res.status(200).json({ clientSecret: paymentIntent.client_secret });
+            await creditService.attachPaymentIntent(creditSpend.transaction, paymentIntent.id);
+            await giftCardService.attachPaymentIntent(giftCardRedemption, paymentIntent.id);
+            await promotionService.attachPaymentIntent(promotions.redemptions, paymentIntent.id);
+
+            res.status(200).json({
+                clientSecret: paymentIntent.client_secret,
+                totalPrice: quote.totalPrice,
+                priceBreakdown: quote.priceBreakdown,
+                promotions: promotions.evaluation.applied.map(({ code, name, amount }) => ({ code, name, amount })),
+                promotionDiscount,
+                loyaltyTier: loyaltyDiscount.tier,
+                loyaltyDiscount: loyaltyDiscount.amount,
+                creditsApplied: creditSpend.credits,
+                creditAmount: creditSpend.amount,
+                giftCardAmount: giftCardRedemption.amount,
+                amountDue,
+                paymentPlan: paymentPlan.plan,
+                securityDeposit: paymentPlan.securityDeposit,
+                currency: fx.currency,
+                exchangeRate: fx.rate,
+                amountDueInCurrency: presentmentAmount
+            });
         }
 
     } catch (error) {
         console.error('Stripe payment intent creation failed:', error);
-        res.status(500).json({ error: 'Failed to create payment intent: ' + error.message });
+        if (creditSpend?.transaction) {
+            await creditService.restoreCheckoutCredits({ transaction: creditSpend.transaction });
+        }
+        if (giftCardRedemption?.transaction) {
+            await giftCardService.restoreCheckoutRedemption({ redemption: giftCardRedemption });
+        }
+        if (promotions?.redemptions) {
+            await promotionService.release({ redemptions: promotions.redemptions });
+        }
+        res.status(error.statusCode || 500).json({ error: 'Failed to create payment intent: ' + error.message });
     }
 });
 
 // Add this route to your existing payment routes file
 // routes/paymentRoutes.js
 
-router.post('/create-cart-payment-intent', express.json(), async (req, res) => {
+router.post('/create-cart-payment-intent', express.json(), authenticateCheckout, async (req, res) => {
+  let creditSpend = null;
+  let giftCardRedemption = null;
+  let promotions = null;
   try {
     console.log('\n========================================');
     console.log('🛒 CART PAYMENT INTENT REQUEST RECEIVED');
@@ -153,7 +448,9 @@ router.post('/create-cart-payment-intent', express.json(), async (req, res) => {
     console.log('Timestamp:', new Date().toISOString());
     console.log('Request Body:', JSON.stringify(req.body, null, 2));
     
-    const { items, user, guestName, guestEmail, contactInfo } = req.body;
+    const { items, guestName, guestEmail, contactInfo, referralCode } = req.body;
+    // The cart is the signed-in customer's own; a user id sent in the body is never trusted
+    const user = req.user ? req.user.id : null;
 
     // Validate cart items
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -169,9 +466,8 @@ router.post('/create-cart-payment-intent', express.json(), async (req, res) => {
     }
     console.log(`✅ Contact info validated: ${contactInfo.email}`);
 
-    // Calculate total amount
-    const totalAmount = items.reduce((sum, item) => sum + item.totalPrice, 0);
-    console.log(`💰 Total amount calculated: $${totalAmount}`);
+    const owner = checkoutOwner(req, guestEmail || contactInfo.email);
+    await abandonEarlierCheckouts(req);
 
     // Find the user's cart in the database
     const Cart = require('../models/Cart');
@@ -189,25 +485,60 @@ router.post('/create-cart-payment-intent', express.json(), async (req, res) => {
       console.log('👤 Guest checkout - no user ID');
     }
 
+    // Re-price every item server-side; client-sent totals are ignored.
+    // Items being paid as a group have their own payment links and are left out.
+    const checkoutItems = cart ? cart.items.filter(item => !item.multiUser) : items;
+    if (checkoutItems.length === 0) {
+      return res.status(400).json({ error: 'Every item in the cart is being paid as a group' });
+    }
+    const quoted = await pricingService.quoteCart(checkoutItems);
+    const pricedItems = checkoutItems.map((item, index) => ({
+      ...(typeof item.toObject === 'function' ? item.toObject() : item),
+      totalPrice: quoted.items[index].totalPrice,
+      priceBreakdown: quoted.items[index].priceBreakdown
+    }));
+    if (cart) {
+      checkoutItems.forEach((item, index) => {
+        item.totalPrice = quoted.items[index].totalPrice;
+        item.priceBreakdown = quoted.items[index].priceBreakdown;
+        item.priceLastUpdated = new Date();
+      });
+      cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+      await cart.save();
+    }
+
+    // Calculate total amount
+    const totalAmount = quoted.total;
+    console.log(`💰 Total amount calculated: $${totalAmount}`);
+    if (totalAmount === 0) {
+      return res.status(400).json({ error: 'There is nothing to pay for these reservations. Book them without checkout.' });
+    }
+
+    // Guest's currency; prices stay in USD and only the card charge is converted
+    const fx = await currencyService.getRate(req.body.currency);
+
     // Create compact metadata
     const metadata = {
       bookingType: 'cart',
-      itemCount: items.length.toString(),
+      itemCount: checkoutItems.length.toString(),
       userId: user || 'guest',
       guestName: guestName || '',
       guestEmail: guestEmail || contactInfo.email,
       contactEmail: contactInfo.email,
-      referralCode: referralCode || null,
+      referralCode: referralCode || '',
       contactFirstName: contactInfo.firstName || '',
       contactLastName: contactInfo.lastName || '',
       cartId: cart ? cart._id.toString() : 'guest_cart',
-      totalAmount: totalAmount.toString()
+      totalAmount: totalAmount.toString(),
+      currency: fx.currency,
+      exchangeRate: fx.rate.toString(),
+      ...checkoutContext(req)
     };
 
     // For guest checkouts, store minimal item data
     if (!user) {
       console.log('📦 Creating guest items summary');
-      const itemSummaries = items.map((item, index) => ({
+      const itemSummaries = pricedItems.map((item, index) => ({
         id: item._id,
         sid: item.service?._id || item.serviceId,
         type: item.serviceType,
@@ -221,27 +552,117 @@ router.post('/create-cart-payment-intent', express.json(), async (req, res) => {
     console.log(JSON.stringify(metadata, null, 2));
     console.log(`Metadata size: ${JSON.stringify(metadata).length} characters`);
 
+    // Hold capacity for every item until the payment completes or the hold expires
+    console.log('\n⏳ Placing inventory holds...');
+    let holds;
+    try {
+      holds = await holdService.createCartHolds({
+        cart,
+        items: checkoutItems,
+        userId: user
+      });
+    } catch (holdError) {
+      if (holdError.statusCode === 409) {
+        console.error('❌ Item no longer available:', holdError.message);
+        return res.status(409).json({ error: holdError.message });
+      }
+      throw holdError;
+    }
+    console.log(`✅ ${holds.length} holds placed (expire in ${holdService.HOLD_TTL_MINUTES} minutes)`);
+
+    // Promotions come off first, then the loyalty tier discount, then Caicos Credits and a gift card pay part of the rest
+    let loyaltyDiscount;
+    try {
+      promotions = await applyPromotions(req, pricedItems, owner);
+      loyaltyDiscount = await applyLoyaltyDiscount(req, totalAmount - promotions.evaluation.totalDiscount, user);
+      creditSpend = await applyCheckoutCredits(
+        req,
+        totalAmount - promotions.evaluation.totalDiscount - loyaltyDiscount.amount,
+        user
+      );
+      // What is left on each item, with the loyalty discount and credits spread by price
+      const afterPromotions = promotions.evaluation.total;
+      const remaining = afterPromotions - loyaltyDiscount.amount - creditSpend.amount;
+      giftCardRedemption = await applyGiftCard(req, pricedItems.map((item, index) => ({
+        service: item.service?._id || item.service || item.serviceId,
+        amount: afterPromotions > 0 ? promotions.evaluation.items[index].total * remaining / afterPromotions : 0
+      })));
+    } catch (discountError) {
+      await holdService.releaseCartHolds(holds);
+      throw discountError;
+    }
+    const promotionDiscount = promotions.evaluation.totalDiscount;
+    const chargeAmount = Math.round((totalAmount - promotionDiscount - loyaltyDiscount.amount - creditSpend.amount - giftCardRedemption.amount) * 100) / 100;
+    const presentmentAmount = currencyService.convertFromUSD(chargeAmount, fx.rate);
+    if (promotionDiscount > 0) {
+      metadata.promotionDiscount = promotionDiscount.toString();
+      console.log(`🏷️  Promotions applied: $${promotionDiscount}`);
+    }
+    if (loyaltyDiscount.amount > 0) {
+      metadata.loyaltyTier = loyaltyDiscount.tier;
+      metadata.loyaltyDiscount = loyaltyDiscount.amount.toString();
+      console.log(`⭐ ${loyaltyDiscount.tier} tier discount: $${loyaltyDiscount.amount}`);
+    }
+    if (creditSpend.credits > 0) {
+      metadata.creditsApplied = creditSpend.credits.toString();
+      metadata.creditAmount = creditSpend.amount.toString();
+      console.log(`🪙 Applied ${creditSpend.credits} Caicos Credits ($${creditSpend.amount})`);
+    }
+    if (giftCardRedemption.amount > 0) {
+      metadata.giftCardId = giftCardRedemption.giftCard._id.toString();
+      metadata.giftCardAmount = giftCardRedemption.amount.toString();
+      // Cents per item, in checkout order
+      metadata.giftCardShares = JSON.stringify(giftCardRedemption.shares.map(share => Math.round(share * 100)));
+      console.log(`🎁 Applied gift card ${giftCardRedemption.giftCard.code.slice(-4)} ($${giftCardRedemption.amount})`);
+    }
+
     // Create Stripe payment intent
     console.log('\n💳 Creating Stripe payment intent...');
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(totalAmount * 100),
-      currency: 'usd',
-      automatic_payment_methods: {
-        enabled: true,
-      },
-      metadata: metadata,
-      receipt_email: contactInfo.email,
-    });
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: currencyService.toMinorUnits(presentmentAmount),
+        currency: fx.currency.toLowerCase(),
+        automatic_payment_methods: {
+          enabled: true,
+        },
+        metadata: metadata,
+        receipt_email: contactInfo.email,
+      });
+    } catch (stripeError) {
+      await holdService.releaseCartHolds(holds);
+      throw stripeError;
+    }
+
+    await holdService.attachPaymentIntent(holds, paymentIntent.id);
+    await creditService.attachPaymentIntent(creditSpend.transaction, paymentIntent.id);
+    await giftCardService.attachPaymentIntent(giftCardRedemption, paymentIntent.id);
+    await promotionService.attachPaymentIntent(promotions.redemptions, paymentIntent.id);
 
     console.log('✅ Payment intent created successfully');
     console.log(`   - Payment Intent ID: ${paymentIntent.id}`);
     console.log(`   - Amount: $${totalAmount}`);
+    console.log(`   - Charged: ${presentmentAmount} ${fx.currency}`);
     console.log(`   - Client Secret: ${paymentIntent.client_secret.substring(0, 20)}...`);
     console.log('========================================\n');
 
     res.json({
       clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id
+      paymentIntentId: paymentIntent.id,
+      holdExpiresAt: holds.length > 0 ? holds[0].expiresAt : null,
+      totalAmount,
+      items: pricedItems.map(item => ({ _id: item._id, totalPrice: item.totalPrice, priceBreakdown: item.priceBreakdown })),
+      promotions: promotions.evaluation.applied.map(({ code, name, amount }) => ({ code, name, amount })),
+      promotionDiscount,
+      loyaltyTier: loyaltyDiscount.tier,
+      loyaltyDiscount: loyaltyDiscount.amount,
+      creditsApplied: creditSpend.credits,
+      creditAmount: creditSpend.amount,
+      giftCardAmount: giftCardRedemption.amount,
+      amountDue: chargeAmount,
+      currency: fx.currency,
+      exchangeRate: fx.rate,
+      amountDueInCurrency: presentmentAmount
     });
 
   } catch (error) {
@@ -249,7 +670,16 @@ router.post('/create-cart-payment-intent', express.json(), async (req, res) => {
     console.error('Error:', error.message);
     console.error('Stack:', error.stack);
     console.error('========================================\n');
-    res.status(500).json({ 
+    if (creditSpend?.transaction) {
+      await creditService.restoreCheckoutCredits({ transaction: creditSpend.transaction });
+    }
+    if (giftCardRedemption?.transaction) {
+      await giftCardService.restoreCheckoutRedemption({ redemption: giftCardRedemption });
+    }
+    if (promotions?.redemptions) {
+      await promotionService.release({ redemptions: promotions.redemptions });
+    }
+    res.status(error.statusCode || 500).json({ 
       error: error.message || 'Failed to create payment intent' 
     });
   }
@@ -348,585 +778,28 @@ router.post('/stripe-webhook', express.raw({ type: 'application/json' }), async
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-   // routes/paymentRoutes.js - Inside webhook handler
-
-if (event.type === 'payment_intent.succeeded') {
-  const paymentIntent = event.data.object;
-  console.log(`Payment succeeded: ${paymentIntent.id}`);
-  
-  try {
-    console.log("Raw metadata:", paymentIntent.metadata);
-    
-    // ===== CART CHECKOUT =====
-if (paymentIntent.metadata.bookingType === 'cart') {
-  console.log('\n==========================================');
-  console.log('🎉 WEBHOOK: CART CHECKOUT - START');
-  console.log('==========================================');
-  console.log('Timestamp:', new Date().toISOString());
-  console.log('Payment Intent ID:', paymentIntent.id);
-  console.log('Payment Amount:', `$${paymentIntent.amount / 100}`);
-  console.log('Payment Status:', paymentIntent.status);
-  
-  const Cart = require('../models/Cart');
-  const Booking = require('../models/Booking');
-  const Service = require('../models/Service');
-  
-  const userId = paymentIntent.metadata.userId !== 'guest' ? paymentIntent.metadata.userId : null;
-  const cartId = paymentIntent.metadata.cartId;
-  const guestName = paymentIntent.metadata.guestName;
-  const guestEmail = paymentIntent.metadata.guestEmail || paymentIntent.metadata.contactEmail;
-  const itemCount = parseInt(paymentIntent.metadata.itemCount);
-  
-  console.log('📋 Metadata:');
-  console.log('   - User ID:', userId || 'guest');
-  console.log('   - Cart ID:', cartId);
-  console.log('   - Item Count:', itemCount);
-  console.log('   - Guest Name:', guestName);
-  console.log('   - Guest Email:', guestEmail);
-
-  // Fetch cart items from database
-  let cartItems = [];
-  
-  if (userId && cartId !== 'guest_cart') {
-    console.log('\n🔍 Fetching cart from database...');
-    console.log('   - Cart ID:', cartId);
-    
-    try {
-      const cart = await Cart.findById(cartId).populate('items.service');
-      
-      if (!cart) {
-        console.error('❌ Cart not found in database!');
-        throw new Error('Cart not found in database');
-      }
-      
-      console.log('✅ Cart found!');
-      console.log('   - Items in cart:', cart.items.length);
-      console.log('   - Total cart price:', `$${cart.totalCartPrice}`);
-      
-      cartItems = cart.items.map((item, index) => {
-        console.log(`   Item ${index + 1}:`, {
-          id: item._id,
-          serviceId: item.service._id,
-          type: item.serviceType,
-          price: item.totalPrice
-        });
-        
-        return {
-          _id: item._id,
-          serviceId: item.service._id,
-          serviceType: item.serviceType,
-          category: item.category,
-          selectedDate: item.selectedDate,
-          startDate: item.startDate,
-          endDate: item.endDate,
-          selectedTime: item.selectedTime,
-          timeSlot: item.timeSlot,
-          numPeople: item.numPeople,
-          totalPrice: item.totalPrice,
-          priceBreakdown: item.priceBreakdown || {
-            basePrice: item.totalPrice,
-            fees: 0,
-            taxes: 0,
-            discounts: 0
-          },
-          optionId: item.option,
-          roomId: item.room,
-          notes: item.notes,
-          pickupLocation: item.pickupLocation,
-          dropoffLocation: item.dropoffLocation,
-          serviceName: item.serviceName
-        };
-      });
-    } catch (cartError) {
-      console.error('❌ Error fetching cart:', cartError);
-      throw cartError;
-    }
-  } else {
-    console.log('\n👤 Processing guest cart from metadata');
-    const guestItems = JSON.parse(paymentIntent.metadata.guestItems);
-    console.log('   - Guest items count:', guestItems.length);
-    
-    for (const item of guestItems) {
-      const service = await Service.findById(item.sid);
-      if (service) {
-        console.log(`   ✅ Service found: ${service.name}`);
-        cartItems.push({
-          serviceId: item.sid,
-          serviceType: item.type,
-          totalPrice: item.price,
-          numPeople: 1,
-          priceBreakdown: {
-            basePrice: item.price,
-            fees: 0,
-            taxes: 0,
-            discounts: 0
-          }
-        });
-      } else {
-        console.log(`   ❌ Service not found: ${item.sid}`);
-      }
-    }
-  }
-
-  if (cartItems.length === 0) {
-    console.error('❌ No items found in cart!');
-    throw new Error('No items found in cart');
-  }
-
-  console.log(`\n📦 Processing ${cartItems.length} cart items...`);
-  const createdBookingIds = [];
-  const successfulItemIds = [];
-  const failedItems = [];
-
-  // Create individual booking for EACH cart item
-  for (let i = 0; i < cartItems.length; i++) {
-    const item = cartItems[i];
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`📝 ITEM ${i + 1}/${cartItems.length}`);
-    console.log(`${'='.repeat(50)}`);
-    console.log('Service ID:', item.serviceId);
-    console.log('Service Type:', item.serviceType);
-    console.log('Total Price:', `$${item.totalPrice}`);
-    
-try {
-  // Fetch the service to get vendor info
-  console.log('🔍 Fetching service details...');
-  const serviceDoc = await Service.findById(item.serviceId);
-  
-  if (!serviceDoc) {
-    console.error('❌ Service not found:', item.serviceId);
-    failedItems.push({ item, error: 'Service not found' });
-    continue;
-  }
-
-  console.log('✅ Service found:', serviceDoc.name);
-  
-  // ✅ FIX: Access the raw document to get the host field
-  const rawDoc = serviceDoc.toObject(); // Convert to plain JavaScript object
-  const vendorId = rawDoc.vendor || rawDoc.host || serviceDoc.vendor || serviceDoc.host;
-  
-  console.log('🔍 Vendor/Host check:');
-  console.log('   - Raw doc host:', rawDoc.host);
-  console.log('   - Final vendorId:', vendorId);
-  
-  if (!vendorId) {
-    console.error('❌ Vendor not found for service');
-    failedItems.push({ item, error: 'Vendor not found' });
-    continue;
-  }
-
-  console.log('✅ Vendor/Host ID found:', vendorId);
-
-  // Rest of your booking creation code...
-  const serviceTypeMap = {
-    'Activity': 'Activity',
-    'WellnessSpa': 'Activity',
-    'Spa': 'Activity',
-    'Stay': 'Stay',
-    'Transportation': 'Transportation',
-    'Dining': 'Dining'
-  };
-
-  const mappedServiceType = serviceTypeMap[item.serviceType] || 'Activity';
-  console.log('📊 Mapped Service Type:', item.serviceType, '→', mappedServiceType);
-
-  // Build base booking data with ALL required fields
-  const bookingData = {
-    customer: userId,
-    service: item.serviceId,
-    vendor: vendorId, // ✅ Now this will have the correct value!
-    serviceType: mappedServiceType,
-    status: 'confirmed',
-    
-    passengers: {
-      adults: item.numPeople || 1,
-      children: 0,
-      infants: 0,
-      total: item.numPeople || 1
-    },
-    
-pricing: {
-  basePrice: item.priceBreakdown?.basePrice || item.totalPrice,
-  subtotal: item.priceBreakdown?.basePrice || item.totalPrice,
-  totalAmount: item.totalPrice
-},
-    
-    payment: {
-      method: 'credit-card',
-      status: 'completed',
-      transactionId: paymentIntent.id,
-      paidAt: new Date()
-    },
-    
-    scheduledDateTime: new Date(item.selectedDate || item.startDate || Date.now()),
-    
-    ...((!userId && guestName) && {
-      guestInfo: {
-        name: guestName,
-        email: guestEmail
-      }
-    }),
-    
-    ...(item.notes && {
-      notes: item.notes
-    })
-  };
-
-  console.log('📦 Base booking data prepared');
-  console.log('   - Customer:', bookingData.customer || 'guest');
-  console.log('   - Service:', bookingData.service);
-  console.log('   - Vendor:', bookingData.vendor);
-  console.log('   - Total:', `$${bookingData.pricing.totalAmount}`);
-
-      // Add service-specific fields
-      switch (mappedServiceType) {
-case 'Stay':
-  console.log('🏨 Adding Stay-specific fields...');
-  const checkInDate = new Date(item.startDate || item.selectedDate);
-  const checkOutDate = item.endDate ? new Date(item.endDate) : new Date(checkInDate.getTime() + (7 * 24 * 60 * 60 * 1000)); // Default 7 nights
-  
-  bookingData.stayDetails = {
-    checkIn: checkInDate,
-    checkOut: checkOutDate,
-    nights: item.endDate && item.startDate ? 
-      Math.ceil((new Date(item.endDate) - new Date(item.startDate)) / (1000 * 60 * 60 * 24)) : 7,
-    roomType: item.roomId || 'Standard'
-  };
-          if (item.roomId) {
-            bookingData.room = item.roomId;
-          }
-          console.log('   ✅ Stay details added');
-          break;
-
-        case 'Transportation':
-          console.log('🚗 Adding Transportation-specific fields...');
-          bookingData.category = item.category || 'Airport Transfer';
-          bookingData.transportationDetails = {
-            tripType: 'one-way',
-            pickup: {
-              location: {
-                name: item.pickupLocation || 'Pickup Location',
-                address: item.pickupLocation || ''
-              },
-              date: new Date(item.selectedDate),
-              time: item.selectedTime || '12:00 PM'
-            },
-            dropoff: {
-              location: {
-                name: item.dropoffLocation || 'Dropoff Location',
-                address: item.dropoffLocation || ''
-              }
-            }
-          };
-          if (item.optionId) {
-            bookingData.selectedOption = item.optionId;
-          }
-          console.log('   ✅ Transportation details added');
-          break;
-
-        case 'Activity':
-          console.log('🎯 Adding Activity-specific fields...');
-          bookingData.activityDetails = {
-            date: new Date(item.selectedDate),
-            time: item.selectedTime || 'TBD',
-            duration: item.timeSlot ? 
-              `${item.timeSlot.startTime} - ${item.timeSlot.endTime}` : 'TBD'
-          };
-          if (item.timeSlot) {
-            bookingData.timeSlot = {
-              startTime: item.timeSlot.startTime,
-              endTime: item.timeSlot.endTime
-            };
-          }
-          if (item.optionId) {
-            bookingData.selectedOption = item.optionId;
-          }
-          console.log('   ✅ Activity details added');
-          break;
-
-        case 'Dining':
-          console.log('🍽️ Adding Dining-specific fields...');
-          bookingData.diningDetails = {
-            reservationDate: new Date(item.selectedDate),
-            reservationTime: item.selectedTime || '7:00 PM',
-            partySize: item.numPeople || 1
-          };
-          console.log('   ✅ Dining details added');
-          break;
-      }
-
-      console.log('💾 Saving booking to database...');
-      console.log('Booking data:', JSON.stringify(bookingData, null, 2));
-      
-      const booking = await Booking.create(bookingData);
-      
-      console.log('✅✅✅ BOOKING CREATED SUCCESSFULLY! ✅✅✅');
-      console.log('   - Booking ID:', booking._id);
-      console.log('   - Booking Number:', booking.bookingId);
-      console.log('   - Status:', booking.status);
-      console.log('   - Service Type:', booking.serviceType);
-      console.log('   - Payment Transaction:', booking.payment.transactionId);
-      
-      createdBookingIds.push(booking._id);
-      // Create referral commission if referral code exists
-if (paymentIntent.metadata.referralCode && paymentIntent.metadata.referralCode.trim()) {
-  try {
-    console.log(`💰 Processing referral commission for code: ${paymentIntent.metadata.referralCode}`);
-    const commission = await referralService.createCommissionFromBooking(
-      booking,
-      paymentIntent.metadata.referralCode
-    );
-    if (commission) {
-      console.log(`✅ Commission created: ${commission._id}`);
-    }
-  } catch (commError) {
-    console.error('⚠️  Error creating referral commission:', commError.message);
-    // Don't fail booking if commission creation fails
-  }
-}
-      successfulItemIds.push(item._id);
-      
-    // ✅ ADD CAICOS CREDITS: 1 point per dollar spent
-if (userId) {
-  try {
-    const User = require('../models/User');
-    const amountPaid = item.totalPrice;
-    const creditsToAward = Math.floor(amountPaid); // 1 point per dollar
-    
-    if (creditsToAward > 0) {
-      const updateResult = await User.findByIdAndUpdate(
-        userId,
-        { $inc: { caicosCredits: creditsToAward } },
-        { new: true }
-      );
-      
-      console.log(`💰 Awarded ${creditsToAward} Caicos Credits to user`);
-      console.log(`   - Amount spent: $${amountPaid}`);
-      console.log(`   - New balance: ${updateResult?.caicosCredits || 'unknown'} credits`);
-    }
-  } catch (creditsError) {
-    console.error('⚠️  Error awarding Caicos Credits:', creditsError.message);
-    // Don't fail the booking if credits award fails
-  }
-}
-    } catch (itemError) {
-      console.error(`\n❌❌❌ ERROR CREATING BOOKING ❌❌❌`);
-      console.error('Item:', item.serviceId);
-      console.error('Error message:', itemError.message);
-      console.error('Error stack:', itemError.stack);
-      
-      if (itemError.errors) {
-        console.error('Validation errors:');
-        Object.keys(itemError.errors).forEach(key => {
-          console.error(`   - ${key}:`, itemError.errors[key].message);
-        });
-      }
-      
-      failedItems.push({ 
-        item, 
-        error: itemError.message 
-      });
-    }
-  }
-
-  console.log(`\n${'='.repeat(50)}`);
-  console.log('📊 BOOKING SUMMARY');
-  console.log(`${'='.repeat(50)}`);
-  console.log('Total items:', cartItems.length);
-  console.log('Successfully created:', createdBookingIds.length);
-  console.log('Failed:', failedItems.length);
-  
-  if (createdBookingIds.length > 0) {
-    console.log('\n✅ Created booking IDs:');
-    createdBookingIds.forEach((id, idx) => {
-      console.log(`   ${idx + 1}. ${id}`);
-    });
-  }
-
-  if (failedItems.length > 0) {
-    console.log('\n❌ Failed items:');
-    failedItems.forEach((fail, idx) => {
-      console.log(`   ${idx + 1}. Service: ${fail.item.serviceId} - Error: ${fail.error}`);
-    });
-  }
-
-  // Cart cleanup
-  if (userId && cartId !== 'guest_cart' && createdBookingIds.length > 0) {
+    // Exactly-once processing: the event ledger skips events that were already handled
     try {
-      console.log('\n🧹 Cleaning up cart...');
-      const cart = await Cart.findById(cartId);
-      
-      if (cart) {
-        if (failedItems.length === 0) {
-          cart.items = [];
-          cart.totalCartPrice = 0;
-          await cart.save();
-          console.log('✅ Cart completely cleared');
-        } else {
-          cart.items = cart.items.filter(item => 
-            !successfulItemIds.includes(item._id.toString())
-          );
-          cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
-          await cart.save();
-          console.log(`⚠️  Removed ${successfulItemIds.length} items from cart`);
-          console.log(`   - ${cart.items.length} failed items remain`);
-        }
-      }
-    } catch (clearError) {
-      console.error('❌ Error updating cart:', clearError);
-    }
-  }
+        const outcome = await stripeWebhookService.processEvent(event);
 
-  console.log('\n==========================================');
-  console.log('🎉 WEBHOOK: CART CHECKOUT - END');
-  console.log('==========================================\n');
-
-return res.status(200).json({ 
-  received: true, 
-  booking_status: createdBookingIds.length > 0 ? 'created' : 'failed',
-  booking_type: 'cart',
-  total_items: cartItems.length,
-  bookings_created: createdBookingIds.length,
-  bookings_failed: failedItems.length,
-  booking_ids: createdBookingIds,
-  cart_status: failedItems.length === 0 ? 'cleared' : 'partially_cleared',
-  referral_code_used: paymentIntent.metadata.referralCode || null, // ADD THIS LINE
-  failed_items: failedItems.length > 0 ? failedItems.map(f => f.error) : undefined
-});
-}
-    // ===== SINGLE ITEM CHECKOUT (unchanged) =====
-    // ... your existing single booking logic ...
-
-            // ===== EXISTING: Single item checkout logic (UNCHANGED) =====
-            console.log("Processing SINGLE item checkout");
-            
-            let bookingDetails;
-
-            // Handle both single and split metadata cases
-            if (paymentIntent.metadata.bookingData) {
-                console.log("Using single metadata field");
-                bookingDetails = JSON.parse(paymentIntent.metadata.bookingData);
-            } else if (paymentIntent.metadata.basicData && paymentIntent.metadata.serviceData) {
-                console.log("Using split metadata fields");
-                const basicData = JSON.parse(paymentIntent.metadata.basicData);
-                const serviceData = JSON.parse(paymentIntent.metadata.serviceData);
-                bookingDetails = { ...basicData, ...serviceData };
-            } else {
-                throw new Error('No valid booking data found in payment intent metadata');
-            }
-
-            console.log("Parsed booking details:", JSON.stringify(bookingDetails, null, 2));
-            
-            // Build contactInfo object if it doesn't exist or is stringified
-            if (!bookingDetails.contactInfo || typeof bookingDetails.contactInfo === 'string') {
-                console.log("Building contactInfo from metadata");
-                bookingDetails.contactInfo = {
-                    firstName: bookingDetails.guestName ? bookingDetails.guestName.split(' ')[0] : '',
-                    lastName: bookingDetails.guestName ? bookingDetails.guestName.split(' ').slice(1).join(' ') : '',
-                    email: bookingDetails.guestEmail
-                };
-            }
-
-            // Validate required fields
-            if (!bookingDetails.category) {
-                throw new Error('Missing category in booking details');
-            }
-            if (!bookingDetails.totalPrice) {
-                throw new Error('Missing totalPrice in booking details');
-            }
-
-            console.log("Calling createBookingFromPayment...");
-
-            // Create a proper response object that captures the result
-            let bookingResult = null;
-            let bookingError = null;
-
-const mockRes = {
-  status: (code) => ({
-    json: async (data) => {  // ← ADD 'async' HERE - THIS FIXES IT
-      console.log(`Booking creation status ${code}:`, data);
-      if (code >= 200 && code < 300) {
-        bookingResult = data;
-        
-        // Create referral commission if referral code exists
-        if (bookingResult?.data?._id && bookingDetails.referralCode) {
-          try {
-            const trimmedCode = bookingDetails.referralCode.trim();
-            
-            if (trimmedCode) {
-              console.log(`💰 Processing referral commission for code: ${trimmedCode}`);
-              // NOW this works because json() is async
-              const commission = await referralService.createCommissionFromBooking(
-                bookingResult.data,
-                trimmedCode
-              );
-              
-              if (commission) {
-                console.log(`✅ Commission created: $${commission.commissionAmount.toFixed(2)}`);
-              }
-            }
-          } catch (commError) {
-            console.error('⚠️  Error creating referral commission:', commError.message);
-            // Don't fail booking if commission creation fails
-          }
+        if (outcome.duplicate) {
+            return res.status(200).json({ received: true, duplicate: true });
         }
-        
-        console.log("Booking created successfully:", data.data?._id);
-      } else {
-        bookingError = data;
-        console.log("Booking creation failed:", data.message || data.error);
-      }
-    }
-  })
-};
-
 
-            const mockReq = { 
-                body: { 
-                    bookingDetails, 
-                    paymentIntentId: paymentIntent.id 
-                } 
-            };
-            
-            // Call your existing controller to create the booking
-            await createBookingFromPayment(mockReq, mockRes);
-
-            // Check if booking was created successfully
-            if (bookingError) {
-                console.error("Webhook booking creation failed:", bookingError);
-                // Don't return 400 to Stripe - we received the webhook successfully
-                // The issue is with our booking creation, not the webhook itself
-                return res.status(200).json({ 
-                    received: true, 
-                    booking_status: 'failed',
-                    booking_type: 'single',
-                    error: bookingError 
-                });
-            }
-
-            console.log("Webhook processed successfully");
-return res.status(200).json({ 
-  received: true, 
-  booking_status: 'created',
-  booking_type: 'single',
-  booking_id: bookingResult?.data?._id,
-  referral_code_used: bookingDetails.referralCode || null // ADD THIS LINE
-});
-        } catch (err) {
-            console.error('Error processing payment_intent.succeeded webhook:', err);
-            console.error('Stack trace:', err.stack);
-            
-            // Return 200 to Stripe so it doesn't retry, but log the error for debugging
+        if (outcome.failed) {
+            // Return 200 so Stripe doesn't retry - the event is dead-lettered for admin replay
             return res.status(200).json({ 
                 received: true, 
-                error: err.message,
+                error: outcome.error,
                 booking_status: 'failed'
             });
         }
-    } else {
-        console.log(`Unhandled event type: ${event.type}`);
-        return res.status(200).json({ received: true });
+
+        return res.status(200).json({ received: true, ...outcome.result });
+    } catch (err) {
+        // The ledger itself is unavailable - let Stripe retry later
+        console.error('Error recording webhook event:', err);
+        return res.status(500).json({ received: false, error: err.message });
     }
 });
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotionController');
+const adminPromotionController = require('../controllers/adminPromotionController');
+const { protect, adminProtect } = require('../middleware/authMiddleware');
+
+// ============================================================
+// PUBLIC ROUTES - No authentication required
+// ============================================================
+
+/**
+ * POST /promotions/validate
+ * Price promo codes and automatic promotions against a cart or single booking
+ */
+router.post('/validate', promotionController.validatePromotions);
+
+// ============================================================
+// ADMIN ROUTES - Admin authentication required
+// ============================================================
+
+/**
+ * GET /promotions/admin?active=true&trigger=code&page=1&limit=20
+ * List platform promotions
+ */
+router.get('/admin', protect, adminProtect, adminPromotionController.getPromotions);
+
+/**
+ * POST /promotions/admin
+ * Create a promotion (code or automatic)
+ */
+router.post('/admin', protect, adminProtect, adminPromotionController.createPromotion);
+
+/**
+ * PUT /promotions/admin/:promotionId
+ * Update a promotion
+ */
+router.put('/admin/:promotionId', protect, adminProtect, adminPromotionController.updatePromotion);
+
+/**
+ * DELETE /promotions/admin/:promotionId
+ * Deactivate a promotion
+ */
+router.delete('/admin/:promotionId', protect, adminProtect, adminPromotionController.deactivatePromotion);
+
+/**
+ * GET /promotions/admin/:promotionId/redemptions?status=redeemed&page=1&limit=20
+ * Redemptions of a promotion
+ */
+router.get('/admin/:promotionId/redemptions', protect, adminProtect, adminPromotionController.getPromotionRedemptions);
+
+module.exports = router;
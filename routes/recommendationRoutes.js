@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const recommendationController = require('../controllers/recommendationController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Guests get top rated listings; signed-in travelers get theirs personalised
+const optionalProtect = (req, res, next) => {
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+  next();
+};
+
+// ============================================================
+// PUBLIC ROUTES - Personalised when signed in
+// ============================================================
+
+/**
+ * GET /recommendations?context=home|stay|checkout
+ * Recommended listings across every service type (checkout needs a signed-in cart)
+ */
+router.get('/', optionalProtect, recommendationController.getRecommendations);
+
+module.exports = router;
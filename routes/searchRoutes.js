@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+
+// ============================================================
+// PUBLIC ROUTES - No authentication required
+// ============================================================
+
+/**
+ * GET /search
+ * Full-text and faceted search across activities, stays, dining, transportation, spas and shopping
+ */
+router.get('/', searchController.search);
+
+/**
+ * GET /search/suggest
+ * Autocomplete for the search bar: listings, vendors, islands, categories, cuisines and guide pages
+ */
+router.get('/suggest', searchController.suggest);
+
+/**
+ * GET /search/nearby
+ * Listings within a radius of a point or a stay, sorted by distance
+ */
+router.get('/nearby', searchController.getNearby);
+
+/**
+ * GET /search/bounds
+ * Listings inside a map viewport (south-west / north-east corners)
+ */
+router.get('/bounds', searchController.getWithinBounds);
+
+module.exports = router;
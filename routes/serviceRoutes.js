@@ -9,6 +9,12 @@ const Transportation = require('../models/Transportation');
 // Get all services
 router.get('/', serviceController.getAllServices);
 
+// Get remaining capacity per day/slot for a service (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/:id/availability', serviceController.getServiceAvailability);
+
+// Get seasonal rates per day for a stay or activity (?from=YYYY-MM-DD&to=YYYY-MM-DD&unitKey=)
+router.get('/:id/rates', serviceController.getServiceRates);
+
 // Get a service by ID and option ID (for Stay, optionId refers to roomId)
 router.get('/:id/option/:optionId', serviceController.getServiceByIdAndOption);
 
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const splitPaymentController = require('../controllers/splitPaymentController');
+const { protect } = require('../middleware/authMiddleware');
+
+// ============================================================
+// PAYEE ROUTES - The payment link token is the credential
+// ============================================================
+
+/**
+ * GET /split-payments/share/:token
+ * Share amount, deadline and group progress
+ */
+router.get('/share/:token', splitPaymentController.getShare);
+
+/**
+ * POST /split-payments/share/:token/payment-intent
+ * Create (or reuse) the payment intent for the share
+ */
+router.post('/share/:token/payment-intent', splitPaymentController.createSharePaymentIntent);
+
+// ============================================================
+// ORGANIZER ROUTES - Authentication required
+// ============================================================
+
+/**
+ * POST /split-payments
+ * Split a cart item between the organizer and invited payees
+ */
+router.post('/', protect, splitPaymentController.createSplitPayment);
+
+/**
+ * GET /split-payments?status=
+ * Organizer's split payments
+ */
+router.get('/', protect, splitPaymentController.getMySplitPayments);
+
+/**
+ * POST /split-payments/:id/cancel
+ * Cancel before funding and refund the shares already paid
+ */
+router.post('/:id/cancel', protect, splitPaymentController.cancelSplitPayment);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const creditController = require('../controllers/creditController');
 const authMiddleware = require('../middleware/authMiddleware');
 
 // Authentication
@@ -129,6 +130,8 @@ router.post(
 );
 
 router.get('/caicos-credits', authMiddleware.protect, userController.getCaicosCredits);
+router.get('/caicos-credits/history', authMiddleware.protect, creditController.getWallet);
+router.get('/caicos-credits/quote', authMiddleware.protect, creditController.getCheckoutQuote);
 // added for vendor dashboard error
 // Get user profile (needed by vendor dashboard)
 router.get('/profile', authMiddleware.protect, userController.getProfile);
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const vendorController = require('../controllers/vendorController');
+const vendorPayoutController = require('../controllers/vendorPayoutController');
+const vendorRateCalendarController = require('../controllers/vendorRateCalendarController');
+const depositController = require('../controllers/depositController');
+const bookingChangeController = require('../controllers/bookingChangeController');
 const { protect, businessManagerProtect } = require('../middleware/authMiddleware');
 
 // Apply protection middleware to all routes
@@ -17,6 +21,10 @@ router.put('/listings/:listingId/status', vendorController.updateListingStatus);
 router.delete('/listings/:listingId', vendorController.deleteListing);
 router.post('/listings/bulk-action', vendorController.bulkActionListings);
 
+// Rate calendar routes (seasonal rates, weekend rates, minimum stays)
+router.get('/listings/:listingId/rate-calendar', vendorRateCalendarController.getRateCalendar);
+router.put('/listings/:listingId/rate-calendar', vendorRateCalendarController.updateRateCalendar);
+
 // Discount management routes
 router.get('/discounts', vendorController.getVendorDiscounts);
 router.post('/discounts', vendorController.createDiscount);
@@ -28,9 +36,23 @@ router.put('/discounts/:discountId/toggle', vendorController.toggleDiscountStatu
 router.get('/bookings', vendorController.getVendorBookings);
 router.put('/bookings/:bookingId/status', vendorController.updateBookingStatus);
 
+// Booking changes (new date/time or party size) waiting for the vendor's approval
+router.get('/booking-changes', bookingChangeController.getVendorBookingChanges);
+router.post('/bookings/:bookingId/changes/:changeId/approve', bookingChangeController.approveBookingChange);
+router.post('/bookings/:bookingId/changes/:changeId/decline', bookingChangeController.declineBookingChange);
+
+// Rental security deposits: keep part of the hold for damages, or release it
+router.post('/bookings/:bookingId/security-deposit/capture', depositController.captureSecurityDeposit);
+router.post('/bookings/:bookingId/security-deposit/release', depositController.releaseSecurityDeposit);
+
 // Analytics routes
 router.get('/analytics/revenue', vendorController.getRevenueAnalytics);
 router.get('/analytics/bookings', vendorController.getBookingAnalytics);
 router.get('/analytics/performance', vendorController.getPerformanceAnalytics);
 
+// Payout routes
+router.get('/payouts', vendorPayoutController.getPayouts);
+router.get('/payouts/statement', vendorPayoutController.getPayoutStatement);
+router.get('/payouts/:payoutId', vendorPayoutController.getPayoutDetails);
+
 module.exports = router;
\ No newline at end of file
@@ -240,6 +240,42 @@ router.post('/:id/routes/calculate-price', [
   body('endCoordinates.longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid end longitude is required')
 ], vendorTransportationController.calculateRoutePrice);
 
+// SURGE PRICING
+// =============
+
+// @desc    Get surge pricing rules
+// @route   GET /api/vendor/transportation/:id/surge-pricing
+// @access  Private (Business Manager)
+router.get('/:id/surge-pricing', validateTransportationId, vendorTransportationController.getSurgePricing);
+
+// @desc    Update surge pricing rules and night/weekend surcharges
+// @route   PUT /api/vendor/transportation/:id/surge-pricing
+// @access  Private (Business Manager)
+router.put('/:id/surge-pricing', [
+  ...validateTransportationId,
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+  body('windowMinutes').optional().isInt({ min: 5, max: 720 }).withMessage('Window must be between 5 and 720 minutes'),
+  body('demandTiers').optional().isArray().withMessage('demandTiers must be an array'),
+  body('demandTiers.*.utilization').optional().isFloat({ min: 0 }).withMessage('Utilization must be 0 or more'),
+  body('demandTiers.*.multiplier').optional().isFloat({ min: 1 }).withMessage('Multipliers must be at least 1'),
+  body('flightPeaks').optional().isArray().withMessage('flightPeaks must be an array'),
+  body('flightPeaks.*.multiplier').optional().isFloat({ min: 1 }).withMessage('Multipliers must be at least 1'),
+  body('maxMultiplier').optional().isFloat({ min: 1, max: 5 }).withMessage('Max multiplier must be between 1 and 5'),
+  body('maxSurcharge').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Max surcharge must be 0 or more'),
+  body('nightSurcharge').optional().isFloat({ min: 0 }).withMessage('Night surcharge must be 0 or more'),
+  body('weekendSurcharge').optional().isFloat({ min: 0 }).withMessage('Weekend surcharge must be 0 or more'),
+  body('surgeMultiplier').optional().isFloat({ min: 1 }).withMessage('Surge multiplier must be at least 1')
+], vendorTransportationController.updateSurgePricing);
+
+// @desc    Preview the surge multiplier for a pickup date/time
+// @route   GET /api/vendor/transportation/:id/surge-pricing/preview
+// @access  Private (Business Manager)
+router.get('/:id/surge-pricing/preview', [
+  ...validateTransportationId,
+  query('date').isISO8601().withMessage('Valid date is required'),
+  query('time').optional().isString()
+], vendorTransportationController.previewSurge);
+
 // AVAILABILITY MANAGEMENT
 // ======================
 
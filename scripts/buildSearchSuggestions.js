@@ -0,0 +1,112 @@
+// scripts/buildSearchSuggestions.js
+// (Re)build the search bar autocomplete index from listings, vendors and info pages,
+// add islands, activity categories and cuisines, and seed the default synonyms on first run
+//
+// Usage: node scripts/buildSearchSuggestions.js
+//
+// Safe to re-run; day to day the index is kept up to date by the model save/update hooks.
+// Entries whose listing, vendor or page no longer exists are removed.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const InfoPage = require('../models/InfoPage');
+const Activity = require('../models/Activity');
+const Dining = require('../models/Dining');
+const SearchSuggestion = require('../models/SearchSuggestion');
+const SearchSynonym = require('../models/SearchSynonym');
+const { DEFAULT_SYNONYMS } = require('../services/suggestionService');
+
+// Register the other listing types
+require('../models/Stay');
+require('../models/Transportation');
+require('../models/WellnessSpa');
+require('../models/Shopping');
+
+async function build() {
+  try {
+    console.log('===========================================');
+    console.log('Search Suggestions Build');
+    console.log('===========================================\n');
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/your-database');
+    console.log('✓ Connected to MongoDB\n');
+
+    await SearchSuggestion.createIndexes();
+    await SearchSynonym.createIndexes();
+
+    const stats = { listings: 0, vendors: 0, pages: 0, terms: 0, synonyms: 0, removed: 0 };
+    const seen = [];
+
+    if (await SearchSynonym.countDocuments() === 0) {
+      for (const terms of DEFAULT_SYNONYMS) {
+        await SearchSynonym.create({ terms });
+        stats.synonyms += 1;
+      }
+      console.log(`✓ Seeded ${stats.synonyms} default synonym groups`);
+    }
+
+    const terms = [
+      ...SearchSuggestion.ISLANDS.map(value => ['island', value, 'Island']),
+      ...Activity.schema.path('category').enumValues.map(value => ['category', value, 'Activity category']),
+      ...Dining.schema.path('cuisineTypes').caster.enumValues.map(value => ['cuisine', value, 'Cuisine'])
+    ];
+    for (const [type, value, subtitle] of terms) {
+      await SearchSuggestion.ensureTerm(type, value, subtitle);
+      stats.terms += 1;
+    }
+    console.log(`✓ ${stats.terms} islands, categories and cuisines`);
+
+    // Inactive listings are skipped by indexListing, which also drops their old entry
+    for await (const service of Service.find().lean().cursor()) {
+      await SearchSuggestion.indexListing(service);
+      seen.push(`listing:${service._id}`);
+      stats.listings += 1;
+      if (stats.listings % 500 === 0) console.log(`  ...${stats.listings} listings indexed`);
+    }
+    console.log(`✓ ${stats.listings} listings`);
+
+    const vendors = await User.find({ role: 'business-manager' }).select('role accountStatus businessProfile').lean();
+    for (const vendor of vendors) {
+      await SearchSuggestion.indexVendor(vendor);
+      seen.push(`vendor:${vendor._id}`);
+      stats.vendors += 1;
+    }
+    console.log(`✓ ${stats.vendors} vendors`);
+
+    const pages = await InfoPage.find().select('title slug tags isActive featured priority').lean();
+    for (const page of pages) {
+      await SearchSuggestion.indexInfoPage(page);
+      seen.push(`info-page:${page._id}`);
+      stats.pages += 1;
+    }
+    console.log(`✓ ${stats.pages} info pages`);
+
+    const { deletedCount } = await SearchSuggestion.deleteMany({
+      type: { $in: ['listing', 'vendor', 'info-page'] },
+      key: { $nin: seen }
+    });
+    stats.removed = deletedCount;
+
+    console.log('\n===========================================');
+    console.log(`Listings processed:      ${stats.listings}`);
+    console.log(`Vendors processed:       ${stats.vendors}`);
+    console.log(`Info pages processed:    ${stats.pages}`);
+    console.log(`Terms:                   ${stats.terms}`);
+    console.log(`Synonym groups seeded:   ${stats.synonyms}`);
+    console.log(`Orphans removed:         ${stats.removed}`);
+    console.log(`Entries in index:        ${await SearchSuggestion.countDocuments()}`);
+    console.log('===========================================');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Build failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+build();
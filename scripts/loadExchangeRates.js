@@ -0,0 +1,54 @@
+// scripts/loadExchangeRates.js
+// Load guest-currency exchange rates (units per 1 USD) from a JSON file into the rate table
+//
+// Usage: node scripts/loadExchangeRates.js <file.json>
+// The file is either { "CAD": 1.37, "GBP": 0.79 } or { "rates": { ... } }
+// (the shape most FX providers export). Currencies we do not offer are skipped.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/ExchangeRate');
+const currencyService = require('../services/currencyService');
+
+const fileArg = process.argv[2];
+
+async function load() {
+  try {
+    if (!fileArg) {
+      console.error('Usage: node scripts/loadExchangeRates.js <file.json>');
+      process.exit(1);
+    }
+
+    const contents = JSON.parse(fs.readFileSync(path.resolve(fileArg), 'utf8'));
+    const table = contents.rates || contents;
+
+    const rates = {};
+    Object.keys(table).forEach(currency => {
+      const code = currency.toUpperCase();
+      if (ExchangeRate.PRESENTMENT_CURRENCIES.includes(code)) {
+        rates[code] = table[currency];
+      } else if (code !== currencyService.BASE_CURRENCY) {
+        console.log(`Skipping ${code} (not a supported currency)`);
+      }
+    });
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/your-database');
+    console.log('✓ Connected to MongoDB\n');
+
+    const saved = await currencyService.setRates(rates, { source: 'file' });
+    saved.forEach(row => console.log(`✓ ${row.currency}: ${row.rate}`));
+    console.log(`\nLoaded ${saved.length} exchange rates from ${fileArg}`);
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to load exchange rates:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+load();
@@ -0,0 +1,125 @@
+// scripts/migrateGeoLocations.js
+// Backfill the GeoJSON points used by near-me and map searches from the plain
+// latitude/longitude fields, then build the 2dsphere indexes
+//
+// Usage: node scripts/migrateGeoLocations.js [--dry-run]
+//
+// Services:  coordinates                -> geoLocation
+// Stays:     addressDetails.coordinates -> addressDetails.geoLocation
+// Listings with missing or out-of-range coordinates are reported and left without a point.
+// Safe to re-run; new and edited listings are kept in sync by the model hooks.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Stay = require('../models/Stay');
+const { toGeoPoint } = require('../utils/geo');
+
+// Register the other listing types so their indexes are built too
+require('../models/Activity');
+require('../models/Dining');
+require('../models/Transportation');
+require('../models/WellnessSpa');
+require('../models/Shopping');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const samePoint = (a, b) =>
+  a?.type === b?.type &&
+  a?.coordinates?.[0] === b?.coordinates?.[0] &&
+  a?.coordinates?.[1] === b?.coordinates?.[1];
+
+async function migrate() {
+  try {
+    console.log('===========================================');
+    console.log(`GeoJSON Location Migration${dryRun ? ' (dry run)' : ''}`);
+    console.log('===========================================\n');
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/your-database');
+    console.log('✓ Connected to MongoDB\n');
+
+    const stats = { scanned: 0, updated: 0, unchanged: 0, invalid: 0, stayAddresses: 0 };
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      // Raw collection: skips the vendor validator, which older listings may not pass
+      if (!dryRun) await Service.collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    };
+
+    const cursor = Service.collection.find(
+      {},
+      { projection: { name: 1, serviceType: 1, coordinates: 1, geoLocation: 1, addressDetails: 1 } }
+    );
+
+    for await (const service of cursor) {
+      stats.scanned += 1;
+
+      const $set = {};
+      const $unset = {};
+
+      const point = toGeoPoint(service.coordinates);
+      if (!point) {
+        stats.invalid += 1;
+        console.log(`⚠ ${service.serviceType || 'Service'} ${service._id} (${service.name}) has no valid coordinates`);
+        if (service.geoLocation) $unset.geoLocation = 1;
+      } else if (!samePoint(point, service.geoLocation)) {
+        $set.geoLocation = point;
+      }
+
+      if (service.serviceType === 'Stay') {
+        const addressPoint = toGeoPoint(service.addressDetails?.coordinates);
+        if (addressPoint && !samePoint(addressPoint, service.addressDetails?.geoLocation)) {
+          $set['addressDetails.geoLocation'] = addressPoint;
+          stats.stayAddresses += 1;
+        } else if (!addressPoint && service.addressDetails?.geoLocation) {
+          $unset['addressDetails.geoLocation'] = 1;
+        }
+      }
+
+      const update = {};
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+      if (Object.keys(update).length === 0) {
+        stats.unchanged += 1;
+        continue;
+      }
+
+      stats.updated += 1;
+      operations.push({ updateOne: { filter: { _id: service._id }, update } });
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+        console.log(`  ...${stats.scanned} listings scanned`);
+      }
+    }
+    await flush();
+
+    if (!dryRun) {
+      console.log('\nBuilding indexes...');
+      await Service.createIndexes();
+      await Stay.createIndexes();
+      console.log('✓ 2dsphere indexes ready');
+    }
+
+    console.log('\n===========================================');
+    console.log(`Listings scanned:        ${stats.scanned}`);
+    console.log(`Listings ${dryRun ? 'to update' : 'updated'}:       ${stats.updated}`);
+    console.log(`Already up to date:      ${stats.unchanged}`);
+    console.log(`Without coordinates:     ${stats.invalid}`);
+    console.log(`Stay address points:     ${stats.stayAddresses}`);
+    console.log('===========================================');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrate();
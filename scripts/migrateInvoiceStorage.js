@@ -0,0 +1,85 @@
+// scripts/migrateInvoiceStorage.js
+// Move invoice and credit note PDFs written to the public uploads directory into the
+// private invoice storage, and point invoice and booking receipt links at the
+// authenticated download (GET /api/bookings/:id/invoice)
+//
+// Usage: node scripts/migrateInvoiceStorage.js [--dry-run]
+//
+// PDFs missing from uploads are left to be re-rendered on their next download.
+// Safe to re-run; new invoices are stored privately.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Booking = require('../models/Booking');
+const { INVOICES_DIR, downloadUrl } = require('../services/invoiceService');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  try {
+    console.log('===========================================');
+    console.log(`Invoice Storage Migration${dryRun ? ' (dry run)' : ''}`);
+    console.log('===========================================\n');
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/your-database');
+    console.log('✓ Connected to MongoDB\n');
+
+    if (!dryRun) {
+      await fs.promises.mkdir(INVOICES_DIR, { recursive: true });
+    }
+
+    const stats = { scanned: 0, moved: 0, missing: 0, relinked: 0, receipts: 0 };
+
+    for await (const invoice of Invoice.find({ url: /\/uploads\// }).cursor()) {
+      stats.scanned += 1;
+      const oldUrl = invoice.url;
+      const publicPath = invoice.filename ? path.join(UPLOADS_DIR, path.basename(invoice.filename)) : null;
+      const filename = `${invoice.number}.pdf`;
+
+      if (publicPath && fs.existsSync(publicPath)) {
+        if (!dryRun) {
+          await fs.promises.copyFile(publicPath, path.join(INVOICES_DIR, filename));
+          await fs.promises.unlink(publicPath);
+        }
+        stats.moved += 1;
+      } else {
+        stats.missing += 1;
+      }
+
+      if (!dryRun) {
+        invoice.filename = filename;
+        invoice.url = downloadUrl(invoice);
+        await invoice.save();
+
+        const { modifiedCount } = await Booking.updateMany(
+          { 'payment.receiptUrl': oldUrl },
+          { $set: { 'payment.receiptUrl': invoice.url } }
+        );
+        stats.receipts += modifiedCount;
+      }
+      stats.relinked += 1;
+    }
+
+    console.log('\n===========================================');
+    console.log(`Public invoices found:   ${stats.scanned}`);
+    console.log(`PDFs ${dryRun ? 'to move' : 'moved'}:           ${stats.moved}`);
+    console.log(`PDFs missing:            ${stats.missing}`);
+    console.log(`Invoices ${dryRun ? 'to relink' : 'relinked'}:      ${stats.relinked}`);
+    console.log(`Booking receipts:        ${stats.receipts}`);
+    console.log('===========================================');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const InfoPage = require('../models/InfoPage');
+const SearchSuggestion = require('../models/SearchSuggestion');
 const connectDB = require('../config/db');
 
 // Connect to database
@@ -737,6 +738,7 @@ async function seedInfoPages() {
     
     // Clear existing data
     await InfoPage.deleteMany({});
+    await SearchSuggestion.deleteMany({ type: 'info-page' }); // Re-added by the save hook below
     console.log('🗑️  Cleared existing info pages');
     
     // Insert new data one by one to trigger middleware
@@ -10,6 +10,8 @@ const fs = require('fs');
 // Load env variables
 dotenv.config();
 
+const { startScheduledJobs } = require('./services/scheduler');
+
 // Connect to MongoDB
 connectDB();
 
@@ -122,6 +124,13 @@ app.use('/api/forgot', require('./routes/forgotRoutes'));
 app.use('/api/tickets', require('./routes/ticketRoutes'));
 app.use('/api/payment-methods', require('./routes/paymentMethodRoutes'));
 app.use('/api/referral', require('./routes/referralRoutes')); // ← ADD THIS LINE
+app.use('/api/loyalty', require('./routes/loyaltyRoutes'));
+app.use('/api/promotions', require('./routes/promotionRoutes'));
+app.use('/api/currencies', require('./routes/currencyRoutes'));
+app.use('/api/split-payments', require('./routes/splitPaymentRoutes'));
+app.use('/api/gift-cards', require('./routes/giftCardRoutes'));
+app.use('/api/search', require('./routes/searchRoutes'));
+app.use('/api/recommendations', require('./routes/recommendationRoutes'));
 
 
 // FAQ Routes
@@ -214,4 +223,5 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://${localIP}:${PORT}`);
   console.log(`Static files served from: ${uploadsDir}`);
   console.log(`Test your images at: http://${localIP}:${PORT}/uploads/your-filename.jpg`);
+  startScheduledJobs();
 });
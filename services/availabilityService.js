@@ -0,0 +1,664 @@
+// services/availabilityService.js
+const Service = require('../models/Service');
+const InventorySlot = require('../models/InventorySlot');
+const Booking = require('../models/Booking');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RENTAL_CATEGORIES = ['Car Rental', 'Jeep & 4x4 Rental', 'Scooter & Moped Rental'];
+const SEAT_CATEGORIES = ['Ferry', 'Flight'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+
+/**
+ * Build an error the controllers can surface as 409 Conflict
+ */
+const createAvailabilityError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Normalize any date input to UTC midnight of that day
+ */
+const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (day, days) => new Date(day.getTime() + days * MS_PER_DAY);
+
+const isSameDay = (a, b) => {
+  const dayA = toDay(a);
+  const dayB = toDay(b);
+  return !!dayA && !!dayB && dayA.getTime() === dayB.getTime();
+};
+
+const isWithinRange = (day, start, end) => {
+  const startDay = toDay(start);
+  const endDay = toDay(end);
+  return !!startDay && !!endDay && day >= startDay && day <= endDay;
+};
+
+/**
+ * Convert "10:00 AM", "10:00 AM - 10:30 AM" or "14:00" to 24h "HH:mm"
+ */
+const normalizeTime = (value) => {
+  if (!value) return '';
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+  if (!match) return '';
+
+  let hours = parseInt(match[1], 10);
+  const modifier = match[3] ? match[3].toUpperCase() : null;
+  if (modifier === 'PM' && hours < 12) hours += 12;
+  if (modifier === 'AM' && hours === 12) hours = 0;
+
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+};
+
+const findById = (list = [], id) => {
+  if (!id) return undefined;
+  return list.find(entry => entry._id && entry._id.toString() === id.toString());
+};
+
+const isClosureOnDay = (closure, day) => {
+  const closureDate = new Date(closure.date);
+  if (closure.isRecurring) {
+    return closureDate.getUTCMonth() === day.getUTCMonth() &&
+           closureDate.getUTCDate() === day.getUTCDate();
+  }
+  return isSameDay(closureDate, day);
+};
+
+const slotUnit = (unitKey, label, day, startTime, endTime, capacity) => ({
+  unitKey,
+  label,
+  date: day,
+  startTime: normalizeTime(startTime),
+  endTime: normalizeTime(endTime),
+  capacity
+});
+
+/**
+ * Capacity of a transportation listing when the vendor has not published
+ * explicit availability entries for the day
+ */
+const getDefaultTransportationCapacity = (service) => {
+  const fleet = (service.fleet || []).filter(vehicle =>
+    !['maintenance', 'out-of-service'].includes(vehicle.status)
+  );
+
+  if (SEAT_CATEGORIES.includes(service.category)) {
+    const seats = fleet.reduce((sum, vehicle) => sum + (vehicle.capacity || 0), 0);
+    return seats > 0 ? seats : null;
+  }
+
+  if (fleet.length > 0) return fleet.length;
+
+  const activeDrivers = (service.drivers || []).filter(driver =>
+    ['active', 'on-duty'].includes(driver.status)
+  );
+  return activeDrivers.length > 0 ? activeDrivers.length : 1;
+};
+
+/**
+ * List every bookable unit of a service for one day.
+ * A capacity of null means the unit is not capacity-managed (always bookable);
+ * `anyTime` units take their start time from the request.
+ */
+const listUnitsForDay = (service, day) => {
+  const dayName = DAY_NAMES[day.getUTCDay()];
+
+  switch (service.serviceType) {
+    case 'Activity': {
+      const units = [];
+      (service.options || []).forEach(option => {
+        const unitKey = option._id.toString();
+        const closed = (option.customUnavailableDates || []).some(entry => isSameDay(entry.date, day));
+
+        if (!option.availability || option.availability.length === 0) {
+          units.push(slotUnit(unitKey, option.title, day, '', '', closed ? 0 : option.maxPeople));
+          return;
+        }
+
+        const schedule = option.availability.find(entry => entry.day === dayName);
+        (schedule?.timeSlots || []).forEach(timeSlot => {
+          const blocked = closed || (option.unavailableTimeSlots || []).some(entry =>
+            isSameDay(entry.date, day) && normalizeTime(entry.startTime) === normalizeTime(timeSlot.startTime)
+          );
+          units.push(slotUnit(unitKey, option.title, day, timeSlot.startTime, timeSlot.endTime, blocked ? 0 : timeSlot.maxPeople));
+        });
+      });
+      return units;
+    }
+
+    case 'Stay': {
+      const blocked = (service.unavailableDates || []).some(range =>
+        day >= toDay(range.startDate) && day < toDay(range.endDate)
+      );
+      return [slotUnit('default', service.name, day, '', '', blocked ? 0 : 1)];
+    }
+
+    case 'WellnessSpa': {
+      const closed = (service.customClosures || []).some(closure => isClosureOnDay(closure, day));
+      const units = [];
+
+      (service.servicesOffered || []).forEach(treatment => {
+        const unitKey = treatment._id.toString();
+        const exception = (treatment.dateExceptions || []).find(entry => isSameDay(entry.date, day));
+        let timeSlots;
+
+        if (exception) {
+          timeSlots = exception.isAvailable ? exception.timeSlots || [] : [];
+        } else if (!treatment.weeklyAvailability || treatment.weeklyAvailability.length === 0) {
+          units.push(slotUnit(unitKey, treatment.name, day, '', '', closed ? 0 : null));
+          return;
+        } else {
+          const schedule = treatment.weeklyAvailability.find(entry => entry.day === dayName);
+          timeSlots = schedule && schedule.isAvailable !== false ? schedule.timeSlots || [] : [];
+        }
+
+        timeSlots.forEach(timeSlot => {
+          units.push(slotUnit(unitKey, treatment.name, day, timeSlot.startTime, timeSlot.endTime, closed ? 0 : (timeSlot.maxBookings || 1)));
+        });
+      });
+      return units;
+    }
+
+    case 'Transportation': {
+      const blocked = (service.blockedDates || []).some(range =>
+        isWithinRange(day, range.startDate, range.endDate) &&
+        (!range.affectedVehicles || range.affectedVehicles.length === 0)
+      );
+      if (blocked) {
+        return [slotUnit('default', service.name, day, '', '', 0)];
+      }
+
+      const entries = (service.availability || []).filter(entry => isSameDay(entry.date, day));
+      if (entries.length > 0) {
+        // Vehicle-specific entries for the same time pool into one slot
+        const slots = new Map();
+        entries.forEach(entry => {
+          const startTime = normalizeTime(entry.startTime);
+          const capacity = entry.isAvailable === false ? 0 : (entry.maxBookings || 1);
+          const existing = slots.get(startTime);
+          if (existing) {
+            existing.capacity += capacity;
+          } else {
+            slots.set(startTime, slotUnit('default', service.name, day, entry.startTime, entry.endTime, capacity));
+          }
+        });
+        return Array.from(slots.values());
+      }
+
+      const capacity = getDefaultTransportationCapacity(service);
+      const unit = slotUnit('default', service.name, day, '', '', capacity);
+      if (!RENTAL_CATEGORIES.includes(service.category)) {
+        unit.anyTime = true;
+      }
+      return [unit];
+    }
+
+    case 'Dining':
+    case 'Shopping': {
+      const closed = (service.customClosures || []).some(closure => isClosureOnDay(closure, day));
+      const hours = service.serviceType === 'Dining' ? service.operatingHours : service.openingHours;
+      const openToday = !hours || hours.length === 0 || hours.some(entry => entry.day === dayName);
+      return [slotUnit('default', service.name, day, '', '', closed || !openToday ? 0 : null)];
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Units consumed by one booking request in a unit of the given type
+ */
+const getRequestedQuantity = (service, request) => {
+  const people = parseInt(request.numPeople, 10) || 1;
+
+  switch (service.serviceType) {
+    case 'Activity':
+    case 'WellnessSpa':
+      return people;
+    case 'Transportation':
+      return SEAT_CATEGORIES.includes(service.category) ? people : 1;
+    default:
+      return 1;
+  }
+};
+
+/**
+ * Resolve a booking request to the concrete units it consumes.
+ * Throws a 409 error when the requested date/slot is not offered.
+ */
+const resolveRequestUnits = (service, request) => {
+  const quantity = getRequestedQuantity(service, request);
+
+  if (service.serviceType === 'Stay') {
+    const checkIn = toDay(request.startDate || request.date);
+    if (!checkIn) throw createAvailabilityError('A check-in date is required.');
+    const checkOut = toDay(request.endDate) || addDays(checkIn, 1);
+    if (checkOut <= checkIn) throw createAvailabilityError('Check-out must be after check-in.');
+
+    const units = [];
+    for (let night = checkIn; night < checkOut; night = addDays(night, 1)) {
+      units.push({ ...listUnitsForDay(service, night)[0], quantity });
+    }
+    return units;
+  }
+
+  const day = toDay(request.date || request.selectedDate || request.startDate);
+  if (!day) throw createAvailabilityError('A booking date is required.');
+
+  const requestedTime = normalizeTime(request.timeSlot?.startTime || (request.time || '').split(' - ')[0]);
+  let units = listUnitsForDay(service, day);
+
+  if (service.serviceType === 'Activity' || service.serviceType === 'WellnessSpa') {
+    const list = service.serviceType === 'Activity' ? service.options : service.servicesOffered;
+    let target = findById(list, request.optionId);
+    if (!target && request.serviceName) {
+      target = (list || []).find(entry => (entry.title || entry.name) === request.serviceName);
+    }
+    if (!target && list && list.length === 1) {
+      target = list[0];
+    }
+
+    // Listings without options/treatments are not capacity-managed
+    if (!target) return [];
+
+    units = units.filter(unit => unit.unitKey === target._id.toString());
+  }
+
+  if (units.length === 0) {
+    throw createAvailabilityError(`${service.name} is not available on ${day.toISOString().split('T')[0]}.`);
+  }
+
+  let unit = units.find(entry => entry.startTime && entry.startTime === requestedTime) ||
+             units.find(entry => !entry.startTime);
+  if (!unit && !requestedTime && units.length === 1) {
+    unit = units[0];
+  }
+  if (!unit) {
+    throw createAvailabilityError(`The selected time slot is not available for ${service.name}.`);
+  }
+
+  if (unit.anyTime) {
+    unit = { ...unit, startTime: requestedTime };
+  }
+
+  return [{ ...unit, quantity }];
+};
+
+const loadService = async (serviceOrId) => {
+  if (serviceOrId && serviceOrId.serviceType) return serviceOrId;
+  const service = await Service.findById(serviceOrId).lean();
+  if (!service) throw new Error('Service not found');
+  return service;
+};
+
+/**
+ * Return units back to their slots (best effort, never below zero)
+ * @param {Array} allocations - [{ slot, quantity }] as stored on Booking.inventory
+ * @param {String} counter - 'booked' for bookings, 'held' for checkout holds
+ */
+const releaseAllocations = async (allocations = [], counter = 'booked') => {
+  for (const allocation of allocations) {
+    try {
+      await InventorySlot.updateOne(
+        { _id: allocation.slot, [counter]: { $gte: allocation.quantity } },
+        { $inc: { [counter]: -allocation.quantity } }
+      );
+    } catch (error) {
+      console.error('Error releasing inventory slot:', allocation.slot, error.message);
+    }
+  }
+};
+
+/**
+ * Put back units released a moment ago (a booking change whose new request could not be reserved)
+ */
+const restoreAllocations = async (allocations = []) => {
+  for (const allocation of allocations) {
+    await InventorySlot.updateOne({ _id: allocation.slot }, { $inc: { booked: allocation.quantity } });
+  }
+};
+
+/**
+ * Atomically claim capacity on every unit of a request
+ * @param {String} counter - 'booked' or 'held'
+ */
+const claimUnits = async (service, units, counter) => {
+  const allocations = [];
+
+  try {
+    for (const unit of units) {
+      if (unit.capacity === null) continue;
+
+      if (unit.capacity < unit.quantity) {
+        throw createAvailabilityError(`${service.name} does not have enough availability for the selected date.`);
+      }
+
+      const key = {
+        service: service._id,
+        unitKey: unit.unitKey,
+        date: unit.date,
+        startTime: unit.startTime
+      };
+
+      try {
+        await InventorySlot.updateOne(
+          key,
+          { $setOnInsert: { serviceType: service.serviceType, endTime: unit.endTime, capacity: unit.capacity, booked: 0, held: 0 } },
+          { upsert: true }
+        );
+      } catch (error) {
+        // Another request created the slot first
+        if (error.code !== 11000) throw error;
+      }
+
+      // Conditional increment: only succeeds while booked + held + quantity fits the current capacity
+      const slot = await InventorySlot.findOneAndUpdate(
+        { ...key, $expr: { $lte: [{ $add: ['$booked', '$held', unit.quantity] }, unit.capacity] } },
+        { $inc: { [counter]: unit.quantity }, $set: { capacity: unit.capacity } },
+        { new: true }
+      );
+
+      if (!slot) {
+        throw createAvailabilityError(`${service.name} is sold out for the selected date and time.`);
+      }
+
+      allocations.push({ slot: slot._id, quantity: unit.quantity });
+    }
+  } catch (error) {
+    await releaseAllocations(allocations, counter);
+    throw error;
+  }
+
+  return allocations;
+};
+
+/**
+ * Atomically reserve capacity for a booking request
+ * @param {Object|String} serviceOrId - Service document (or plain object) or its id
+ * @param {Object} request - { optionId, serviceName, date, startDate, endDate, time, timeSlot, numPeople }
+ * @returns {Array} allocations to store on Booking.inventory.allocations
+ */
+const reserve = async (serviceOrId, request = {}) => {
+  const service = await loadService(serviceOrId);
+  return claimUnits(service, resolveRequestUnits(service, request), 'booked');
+};
+
+/**
+ * Temporarily hold capacity while a checkout is being paid
+ * @returns {Array} allocations to store on the InventoryHold
+ */
+const hold = async (serviceOrId, request = {}) => {
+  const service = await loadService(serviceOrId);
+  return claimUnits(service, resolveRequestUnits(service, request), 'held');
+};
+
+/**
+ * Move held units to booked once the checkout has been paid
+ * @returns {Boolean} false if any unit was no longer held
+ */
+const convertHeldAllocations = async (allocations = []) => {
+  const converted = [];
+
+  for (const allocation of allocations) {
+    const result = await InventorySlot.updateOne(
+      { _id: allocation.slot, held: { $gte: allocation.quantity } },
+      { $inc: { held: -allocation.quantity, booked: allocation.quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      // Undo the partial conversion so counters stay consistent
+      for (const done of converted) {
+        await InventorySlot.updateOne(
+          { _id: done.slot, booked: { $gte: done.quantity } },
+          { $inc: { held: done.quantity, booked: -done.quantity } }
+        );
+      }
+      return false;
+    }
+    converted.push(allocation);
+  }
+
+  return true;
+};
+
+/**
+ * Release the capacity held by a booking exactly once (e.g. on cancellation)
+ */
+const releaseBookingInventory = async (booking) => {
+  try {
+    const allocations = booking.inventory?.allocations || [];
+    if (allocations.length === 0) return;
+
+    const releasedAt = new Date();
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'inventory.releasedAt': null },
+      { $set: { 'inventory.releasedAt': releasedAt } }
+    );
+    if (!claimed) return;
+
+    await releaseAllocations(allocations);
+    booking.inventory.releasedAt = releasedAt;
+  } catch (error) {
+    console.error('Error releasing booking inventory:', error);
+    // Don't throw - cancellation should still succeed
+  }
+};
+
+/**
+ * Check a request without reserving anything
+ * @param {Object} options - { excludeAllocations }: capacity the booking being changed already holds counts as free
+ * @returns {Object} { available, remaining } - remaining is null when not capacity-managed
+ */
+const checkAvailability = async (serviceOrId, request = {}, { excludeAllocations = [] } = {}) => {
+  const service = await loadService(serviceOrId);
+  let units;
+
+  try {
+    units = resolveRequestUnits(service, request);
+  } catch (error) {
+    if (error.statusCode === 409) return { available: false, remaining: 0, reason: error.message };
+    throw error;
+  }
+
+  let remaining = null;
+  for (const unit of units) {
+    if (unit.capacity === null) continue;
+
+    const slot = await InventorySlot.findOne({
+      service: service._id,
+      unitKey: unit.unitKey,
+      date: unit.date,
+      startTime: unit.startTime
+    }).lean();
+
+    const own = slot
+      ? excludeAllocations
+        .filter(allocation => String(allocation.slot) === String(slot._id))
+        .reduce((sum, allocation) => sum + (allocation.quantity || 0), 0)
+      : 0;
+    const unitRemaining = Math.max(0, unit.capacity - (slot?.booked || 0) - (slot?.held || 0) + own);
+    remaining = remaining === null ? unitRemaining : Math.min(remaining, unitRemaining);
+    if (unitRemaining < unit.quantity) {
+      return { available: false, remaining };
+    }
+  }
+
+  return { available: true, remaining };
+};
+
+/**
+ * A unit with its booked / held counts and remaining capacity, from the service's InventorySlots
+ * @param {Array} slots - InventorySlot documents of the service (any days)
+ * @param {String} requestedTime - for on-demand units, the slot a request at that time would use
+ */
+const describeUnit = (unit, slots, requestedTime = '') => {
+  const daySlots = slots.filter(slot =>
+    slot.unitKey === unit.unitKey && slot.date.getTime() === unit.date.getTime()
+  );
+
+  if (unit.anyTime && !requestedTime) {
+    // On-demand rides: report the busiest slot already booked for the day
+    const busiest = daySlots.reduce((max, slot) => Math.max(max, slot.booked + slot.held), 0);
+    const booked = daySlots.reduce((max, slot) => Math.max(max, slot.booked), 0);
+    const held = daySlots.reduce((max, slot) => Math.max(max, slot.held), 0);
+    return { ...unit, booked, held, remaining: Math.max(0, unit.capacity - busiest), available: unit.capacity - busiest > 0 };
+  }
+
+  const startTime = unit.anyTime ? requestedTime : unit.startTime;
+  const slot = daySlots.find(entry => entry.startTime === startTime);
+  const booked = slot?.booked || 0;
+  const held = slot?.held || 0;
+  const remaining = unit.capacity === null ? null : Math.max(0, unit.capacity - booked - held);
+
+  return {
+    ...unit,
+    startTime,
+    booked,
+    held,
+    remaining,
+    available: remaining === null ? true : remaining > 0
+  };
+};
+
+/**
+ * Day-by-day availability calendar for a service
+ * @param {String} serviceId
+ * @param {Date|String} from - First day (defaults to today)
+ * @param {Date|String} to - Last day (defaults to 30 days after `from`, max 62 days)
+ */
+const getAvailability = async (serviceId, from, to) => {
+  const service = await loadService(serviceId);
+
+  const startDay = toDay(from || Date.now());
+  if (!startDay) throw new Error('Invalid from date');
+  let endDay = to ? toDay(to) : addDays(startDay, 30);
+  if (!endDay) throw new Error('Invalid to date');
+  if (endDay < startDay) endDay = startDay;
+  if (endDay > addDays(startDay, MAX_RANGE_DAYS - 1)) endDay = addDays(startDay, MAX_RANGE_DAYS - 1);
+
+  const slots = await InventorySlot.find({
+    service: service._id,
+    date: { $gte: startDay, $lte: endDay }
+  }).lean();
+
+  const days = [];
+  for (let day = startDay; day <= endDay; day = addDays(day, 1)) {
+    const units = listUnitsForDay(service, day).map(unit => describeUnit(unit, slots));
+
+    days.push({
+      date: day.toISOString().split('T')[0],
+      available: units.some(unit => unit.available),
+      units
+    });
+  }
+
+  return {
+    serviceId: service._id,
+    serviceType: service.serviceType,
+    from: startDay.toISOString().split('T')[0],
+    to: endDay.toISOString().split('T')[0],
+    days
+  };
+};
+
+/**
+ * Units of one listing that can take the request, or null when the listing can't
+ * (stays: every night of the stay; other types: the day's rooms/options/slots, at `time` if given)
+ */
+const getBookableUnits = (service, request, slots) => {
+  const people = parseInt(request.numPeople, 10) || 1;
+  const quantity = getRequestedQuantity(service, request);
+
+  if (service.serviceType === 'Stay') {
+    if (service.maxGuests && people > service.maxGuests) return null;
+
+    const checkIn = toDay(request.startDate || request.date);
+    const checkOut = toDay(request.endDate) || addDays(checkIn, 1);
+    if (checkOut <= checkIn) return null;
+
+    const nights = [];
+    for (let night = checkIn; night < checkOut; night = addDays(night, 1)) {
+      const unit = describeUnit(listUnitsForDay(service, night)[0], slots);
+      if (unit.remaining !== null && unit.remaining < quantity) return null;
+      nights.push(unit);
+    }
+    return nights;
+  }
+
+  // Cars, taxis and transfers: the party has to fit in one vehicle
+  if (service.serviceType === 'Transportation' && !SEAT_CATEGORIES.includes(service.category)) {
+    const vehicles = (service.fleet || []).filter(vehicle =>
+      !['maintenance', 'out-of-service'].includes(vehicle.status)
+    );
+    if (vehicles.length > 0 && !vehicles.some(vehicle => (vehicle.capacity || 0) >= people)) return null;
+  }
+
+  const day = toDay(request.date || request.startDate);
+  const requestedTime = normalizeTime(request.time);
+
+  const units = listUnitsForDay(service, day)
+    .filter(unit => !requestedTime || unit.anyTime || !unit.startTime || unit.startTime === requestedTime)
+    .map(unit => describeUnit(unit, slots, requestedTime))
+    .filter(unit => unit.remaining === null || unit.remaining >= quantity);
+
+  return units.length > 0 ? units : null;
+};
+
+/**
+ * Listings that can actually be booked for a date (range), time and party size, from their
+ * schedules, closures and blocked dates and the capacity already booked or held
+ * @param {Array} services - lean Service documents of any type
+ * @param {Object} request - { date | startDate, endDate (stays), time, numPeople }
+ * @returns {Map} service id -> bookable units (with remaining capacity); unbookable listings are absent
+ */
+const findBookableUnits = async (services, request = {}) => {
+  const firstDay = toDay(request.startDate || request.date);
+  if (!firstDay) throw new Error('Invalid date');
+  const lastDay = request.endDate ? toDay(request.endDate) : firstDay;
+  if (!lastDay) throw new Error('Invalid end date');
+  if (lastDay < firstDay) throw new Error('Invalid date range: end date is before the start date');
+  if (lastDay > addDays(firstDay, MAX_RANGE_DAYS - 1)) throw new Error(`Invalid date range: at most ${MAX_RANGE_DAYS} days`);
+
+  const slots = await InventorySlot.find({
+    service: { $in: services.map(service => service._id) },
+    date: { $gte: firstDay, $lte: lastDay }
+  }).lean();
+
+  const slotsByService = new Map();
+  slots.forEach(slot => {
+    const key = slot.service.toString();
+    if (!slotsByService.has(key)) slotsByService.set(key, []);
+    slotsByService.get(key).push(slot);
+  });
+
+  const bookable = new Map();
+  services.forEach(service => {
+    const key = service._id.toString();
+    const units = getBookableUnits(service, request, slotsByService.get(key) || []);
+    if (units) bookable.set(key, units);
+  });
+  return bookable;
+};
+
+module.exports = {
+  reserve,
+  hold,
+  convertHeldAllocations,
+  releaseAllocations,
+  restoreAllocations,
+  releaseBookingInventory,
+  checkAvailability,
+  getAvailability,
+  findBookableUnits,
+  listUnitsForDay,
+  normalizeTime,
+  toDay
+};
@@ -0,0 +1,563 @@
+// services/bookingChangeService.js
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Booking = require('../models/Booking');
+const BookingChange = require('../models/BookingChange');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const PaymentMethod = require('../models/PaymentMethod');
+const Notification = require('../models/Notification');
+const availabilityService = require('./availabilityService');
+const pricingService = require('./pricingService');
+const currencyService = require('./currencyService');
+const depositService = require('./depositService');
+const refundService = require('./refundService');
+const ledgerService = require('./ledgerService');
+
+// Changes close this many hours before the booking unless the listing sets its own cutoff
+const getDefaultCutoffHours = () => parseFloat(process.env.BOOKING_CHANGE_CUTOFF_HOURS) || 24;
+
+const CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+const PAID_STATUSES = ['completed', 'partially-refunded'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createChangeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toDateKey = (value) => {
+  const day = availabilityService.toDay(value);
+  return day ? day.toISOString().split('T')[0] : null;
+};
+
+/**
+ * Listings that need the vendor to approve changes: set on the listing, and stays without instant book
+ */
+const requiresApproval = (service) =>
+  !!service.changePolicy?.requiresApproval ||
+  (service.serviceType === 'Stay' && !service.bookingOptions?.instantBook);
+
+/**
+ * When the service starts for a request; the time is read the same way as at checkout
+ */
+const toScheduledDateTime = (request) => {
+  const day = toDateKey(request.startDate || request.date);
+  const time = availabilityService.normalizeTime(request.timeSlot?.startTime || request.time) || '12:00';
+  return new Date(`${day}T${time}:00`);
+};
+
+/**
+ * Booking price after promotion and loyalty discounts, including earlier changes
+ */
+const getCurrentAmount = async (booking) => {
+  const lastChange = await BookingChange.findOne({ booking: booking._id, status: 'applied' })
+    .sort({ appliedAt: -1 })
+    .select('amountAfter')
+    .lean();
+  return lastChange ? lastChange.amountAfter : roundCurrency(booking.pricing?.totalAmount || 0);
+};
+
+const loadCustomerBooking = async (bookingId, userId) => {
+  const booking = await Booking.findOne({ _id: bookingId, customer: userId });
+  if (!booking) {
+    throw createChangeError('Booking not found.', 404);
+  }
+  return booking;
+};
+
+/**
+ * Check that the booking can still be changed and the new request is valid
+ */
+const assertChangeable = (booking, service, request) => {
+  if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+    throw createChangeError(`A ${booking.status} booking cannot be changed.`);
+  }
+  if (!PAID_STATUSES.includes(booking.payment?.status)) {
+    throw createChangeError('Only fully paid bookings can be changed.');
+  }
+  if (booking.splitPayment) {
+    throw createChangeError('Group bookings paid in shares cannot be changed online. Please contact support.');
+  }
+  if (depositService.hasOutstandingInstallments(booking)) {
+    throw createChangeError('Bookings with installments still to pay cannot be changed online. Please contact support.');
+  }
+  if (service.changePolicy?.allowChanges === false) {
+    throw createChangeError(`${service.name} does not accept booking changes.`);
+  }
+
+  const cutoffHours = service.changePolicy?.cutoffHours ?? getDefaultCutoffHours();
+  if (booking.scheduledDateTime && booking.scheduledDateTime - Date.now() < cutoffHours * HOUR_MS) {
+    throw createChangeError(`Bookings can be changed up to ${cutoffHours} hours before the service.`);
+  }
+
+  if (!toDateKey(request.startDate || request.date)) {
+    throw createChangeError('Please choose the new date.');
+  }
+  if (toScheduledDateTime(request) <= new Date()) {
+    throw createChangeError('The new date must be in the future.');
+  }
+  if (request.endDate && toDateKey(request.endDate) <= toDateKey(request.startDate || request.date)) {
+    throw createChangeError('Check-out must be after check-in.');
+  }
+  if (!(request.numPeople >= 1)) {
+    throw createChangeError('Party size must be at least 1.');
+  }
+};
+
+/**
+ * The new reservation request: fields the customer sends replace the booking's current ones
+ */
+const buildRequest = async (booking, data) => {
+  const lastChange = await BookingChange.findOne({ booking: booking._id, status: 'applied' })
+    .sort({ appliedAt: -1 })
+    .select('request')
+    .lean();
+  const current = lastChange?.request || {};
+
+  const request = {
+    optionId: data.optionId || data.option || current.optionId,
+    serviceName: data.serviceName || current.serviceName,
+    date: data.date || data.startDate || current.date || toDateKey(booking.scheduledDateTime),
+    time: data.time ?? current.time,
+    timeSlot: data.timeSlot || (data.time ? undefined : current.timeSlot),
+    startDate: data.startDate || (data.date ? undefined : current.startDate),
+    endDate: data.endDate || (data.date ? undefined : current.endDate),
+    numPeople: parseInt(data.numPeople ?? current.numPeople ?? booking.passengers?.total, 10)
+  };
+  if (request.startDate && !data.date) request.date = request.startDate;
+
+  return request;
+};
+
+/**
+ * Re-quote a change and check its capacity (the booking's own capacity counts as free)
+ * @returns {Object} { booking, service, request, quote, amountBefore, amountAfter, difference, approvalRequired }
+ */
+const prepareChange = async (booking, data) => {
+  const service = await Service.findById(booking.service).lean();
+  if (!service) {
+    throw createChangeError('Service not found.', 404);
+  }
+
+  const request = await buildRequest(booking, data);
+  assertChangeable(booking, service, request);
+
+  const availability = await availabilityService.checkAvailability(service, request, {
+    excludeAllocations: booking.inventory?.releasedAt ? [] : booking.inventory?.allocations || []
+  });
+  if (!availability.available) {
+    throw createChangeError(availability.reason || `${service.name} is not available for the new date and party size.`, 409);
+  }
+
+  const quote = await pricingService.quoteItem(service, pricingService.toQuoteRequest(request));
+
+  // Promotion and loyalty discounts from checkout carry over as fixed amounts
+  const keptDiscounts = (booking.pricing?.discounts || [])
+    .filter(line => ['promo', 'loyalty'].includes(line.type))
+    .reduce((sum, line) => sum + (line.amount || 0), 0);
+  const amountBefore = await getCurrentAmount(booking);
+  const amountAfter = roundCurrency(Math.max(0, quote.totalPrice - keptDiscounts));
+
+  return {
+    booking,
+    service,
+    request,
+    quote,
+    amountBefore,
+    amountAfter,
+    difference: roundCurrency(amountAfter - amountBefore),
+    approvalRequired: requiresApproval(service)
+  };
+};
+
+/**
+ * Price and availability of a change, without requesting it
+ * @returns {Object} { request, totalPrice, priceBreakdown, amountBefore, amountAfter, difference, approvalRequired }
+ */
+const quoteChange = async (bookingId, userId, data) => {
+  const booking = await loadCustomerBooking(bookingId, userId);
+  const prepared = await prepareChange(booking, data);
+
+  return {
+    request: prepared.request,
+    totalPrice: prepared.quote.totalPrice,
+    priceBreakdown: prepared.quote.priceBreakdown,
+    amountBefore: prepared.amountBefore,
+    amountAfter: prepared.amountAfter,
+    difference: prepared.difference,
+    approvalRequired: prepared.approvalRequired
+  };
+};
+
+const notify = async (userId, title, message) => {
+  try {
+    await Notification.create({ user: userId, type: 'booking', title, message });
+  } catch (error) {
+    console.error('Booking change notification failed:', error.message);
+  }
+};
+
+/**
+ * Charge a price increase to the customer's saved card, off-session
+ * @returns {Object} the payment.extraCharges entry (not saved yet)
+ */
+const chargeDifference = async (booking, change) => {
+  const method = await PaymentMethod.findOne({ _id: change.paymentMethod, isValid: true });
+  if (!method) {
+    throw createChangeError('The saved card is no longer available.', 402);
+  }
+  const user = await User.findById(method.user).select('stripeCustomerId');
+  if (!user?.stripeCustomerId) {
+    throw createChangeError('The saved card has no Stripe customer.', 402);
+  }
+
+  // Charged in the checkout's currency at the checkout's rate, like installments
+  const chargedAmount = currencyService.convertFromUSD(change.difference, booking.payment.exchangeRate || 1);
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      customer: user.stripeCustomerId,
+      payment_method: method.stripePaymentMethodId,
+      amount: currencyService.toMinorUnits(chargedAmount),
+      currency: (booking.payment.currency || currencyService.BASE_CURRENCY).toLowerCase(),
+      off_session: true,
+      confirm: true,
+      metadata: {
+        bookingType: 'booking_change',
+        bookingId: booking._id.toString(),
+        bookingChangeId: change._id.toString()
+      }
+    }, { idempotencyKey: `booking-change-${change._id}` });
+  } catch (error) {
+    throw createChangeError(`The saved card could not be charged: ${error.message}`, 402);
+  }
+  if (paymentIntent.status !== 'succeeded') {
+    throw createChangeError(`The saved card could not be charged (${paymentIntent.status.replace(/_/g, ' ')}).`, 402);
+  }
+
+  await method.recordUsage(booking._id);
+  return {
+    amount: change.difference,
+    paymentIntentId: paymentIntent.id,
+    chargedAmount,
+    bookingChange: change._id,
+    paidAt: new Date()
+  };
+};
+
+/**
+ * Move the booking to the change's request: swap its capacity, settle the price difference
+ * and record the old and new values in statusHistory
+ * @param {Object} change - BookingChange document
+ * @param {String} actorId - User applying the change (customer, or the approving vendor)
+ */
+const applyChange = async (change, actorId) => {
+  const booking = await Booking.findById(change.booking);
+  const service = await Service.findById(change.service).lean();
+  if (!booking || !service) {
+    throw createChangeError('Booking not found.', 404);
+  }
+  if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+    throw createChangeError(`A ${booking.status} booking cannot be changed.`);
+  }
+
+  // Free the booking's capacity first so a change within the same slot doesn't count it twice
+  const oldAllocations = booking.inventory?.releasedAt ? [] : (booking.inventory?.allocations || []).map(entry => entry.toObject());
+  await availabilityService.releaseAllocations(oldAllocations);
+
+  let allocations;
+  try {
+    allocations = await availabilityService.reserve(service, change.toObject().request);
+  } catch (error) {
+    await availabilityService.restoreAllocations(oldAllocations);
+    throw error;
+  }
+
+  const reason = `Booking changed${change.reason ? `: ${change.reason}` : ''}`;
+  let extraCharge = null;
+  try {
+    if (change.difference > 0) {
+      extraCharge = await chargeDifference(booking, change);
+    }
+    // A lower price is refunded to the card; what was paid with credits or a gift card stays as paid
+    if (change.difference < 0) {
+      const refundAmount = roundCurrency(Math.min(-change.difference, refundService.getRefundableAmount(booking)));
+      const refund = await refundService.issueRefund(booking, refundAmount, reason, `booking-change-${change._id}`, { priceChange: true });
+      change.refundAmount = refundAmount;
+      change.stripeRefundId = refund ? refund.id : undefined;
+    }
+  } catch (error) {
+    await availabilityService.releaseAllocations(allocations);
+    await availabilityService.restoreAllocations(oldAllocations);
+    throw error;
+  }
+
+  const { request } = change;
+  const scheduledDateTime = toScheduledDateTime(request);
+  const time = request.time || request.timeSlot?.startTime;
+  const changes = [];
+  const track = (field, from, to) => {
+    if (String(from) !== String(to)) changes.push({ field, from, to });
+  };
+  track('scheduledDateTime', booking.scheduledDateTime, scheduledDateTime);
+  track('passengers.total', booking.passengers?.total, request.numPeople);
+
+  booking.scheduledDateTime = scheduledDateTime;
+  booking.passengers.adults = Math.max(1, request.numPeople - (booking.passengers.children || 0) - (booking.passengers.infants || 0));
+  booking.passengers.total = request.numPeople;
+  if (booking.transportationDetails?.pickup) {
+    booking.transportationDetails.pickup.date = scheduledDateTime;
+    booking.transportationDetails.pickup.time = time || booking.transportationDetails.pickup.time;
+  }
+  if (booking.serviceType === 'Stay' && request.startDate) {
+    const checkIn = new Date(request.startDate);
+    const checkOut = request.endDate ? new Date(request.endDate) : booking.stayDetails?.checkOut;
+    track('stayDetails.checkIn', booking.stayDetails?.checkIn?.toISOString(), checkIn.toISOString());
+    track('stayDetails.checkOut', booking.stayDetails?.checkOut?.toISOString(), checkOut?.toISOString());
+    booking.set({
+      'stayDetails.checkIn': checkIn,
+      'stayDetails.checkOut': checkOut,
+      'stayDetails.nights': checkOut ? Math.ceil((checkOut - checkIn) / DAY_MS) : booking.stayDetails?.nights
+    });
+  }
+  if (booking.serviceType === 'Activity') {
+    booking.set({
+      'activityDetails.date': scheduledDateTime,
+      'activityDetails.time': time || booking.activityDetails?.time,
+      ...(request.timeSlot && { 'activityDetails.duration': `${request.timeSlot.startTime} - ${request.timeSlot.endTime}` })
+    });
+  }
+  if (booking.serviceType === 'Dining') {
+    booking.set({
+      'diningDetails.reservationDate': scheduledDateTime,
+      'diningDetails.reservationTime': time || booking.diningDetails?.reservationTime,
+      'diningDetails.partySize': request.numPeople
+    });
+  }
+  if (request.timeSlot) {
+    track('timeSlot', booking.timeSlot?.startTime, request.timeSlot.startTime);
+    booking.timeSlot = { startTime: request.timeSlot.startTime, endTime: request.timeSlot.endTime };
+  }
+  booking.inventory = { allocations, releasedAt: null };
+
+  // The booking is priced as re-quoted, keeping its promotion and loyalty discounts. A lower price is
+  // entered as a negative extra charge so the checkout charge still adds up (see refundService.getCardCharges).
+  const adjustment = roundCurrency(change.amountAfter - booking.pricing.totalAmount - (extraCharge ? extraCharge.amount : 0));
+  const keptDiscounts = (booking.pricing.discounts || [])
+    .filter(line => ['promo', 'loyalty'].includes(line.type))
+    .map(line => line.toObject());
+  const pricing = pricingService.toBookingPricing(change.quote.priceBreakdown, change.quote.totalPrice);
+  track('pricing.totalAmount', booking.pricing.totalAmount, change.amountAfter);
+  booking.set('pricing', {
+    ...pricing,
+    discounts: [...pricing.discounts, ...keptDiscounts],
+    totalAmount: change.amountAfter
+  }, { merge: true });
+
+  if (Math.abs(adjustment) >= 0.01) {
+    booking.payment.extraCharges.push({ amount: adjustment, bookingChange: change._id });
+  }
+  if (extraCharge) {
+    booking.payment.extraCharges.push(extraCharge);
+    change.chargePaymentIntentId = extraCharge.paymentIntentId;
+    change.chargedAmount = extraCharge.chargedAmount;
+  }
+
+  booking.statusHistory.push({
+    status: booking.status,
+    timestamp: new Date(),
+    reason,
+    updatedBy: actorId,
+    changes,
+    bookingChange: change._id
+  });
+  await booking.save();
+
+  if (extraCharge) {
+    await ledgerService.recordBookingChangeCharge(booking, booking.payment.extraCharges[booking.payment.extraCharges.length - 1]);
+  }
+
+  change.status = 'applied';
+  change.appliedAt = new Date();
+  await change.save();
+
+  return { booking, change };
+};
+
+/**
+ * Customer proposes a new date/time or party size. Applied at once unless the listing needs
+ * the vendor's approval; a higher price is charged to a saved card, a lower one refunded.
+ * @param {Object} data - { date, time, timeSlot, startDate, endDate, numPeople, optionId, reason, paymentMethodId }
+ * @returns {Object} { change, booking }
+ */
+const requestChange = async (bookingId, userId, data) => {
+  const booking = await loadCustomerBooking(bookingId, userId);
+
+  const open = await BookingChange.exists({ booking: booking._id, status: { $in: ['pending_approval', 'applying'] } });
+  if (open) {
+    throw createChangeError('A change to this booking is already in progress.', 409);
+  }
+
+  const prepared = await prepareChange(booking, data);
+  const paymentMethod = prepared.difference > 0
+    ? await depositService.resolveSavedPaymentMethod(userId, data.paymentMethodId || booking.payment.savedPaymentMethod)
+    : null;
+
+  const change = await BookingChange.create({
+    booking: booking._id,
+    customer: booking.customer,
+    vendor: booking.vendor,
+    service: booking.service,
+    requestedBy: userId,
+    request: prepared.request,
+    previous: {
+      scheduledDateTime: booking.scheduledDateTime,
+      numPeople: booking.passengers?.total
+    },
+    quote: { totalPrice: prepared.quote.totalPrice, priceBreakdown: prepared.quote.priceBreakdown },
+    amountBefore: prepared.amountBefore,
+    amountAfter: prepared.amountAfter,
+    difference: prepared.difference,
+    paymentMethod: paymentMethod ? paymentMethod._id : null,
+    reason: data.reason ? String(data.reason).substring(0, 500) : undefined,
+    status: prepared.approvalRequired ? 'pending_approval' : 'applying'
+  });
+
+  if (prepared.approvalRequired) {
+    await notify(booking.vendor, 'Booking change requested',
+      `The customer of booking ${booking.bookingId} asked to move it to ${toScheduledDateTime(change.request).toDateString()} for ${change.request.numPeople}. Please approve or decline the change.`);
+    return { change, booking };
+  }
+
+  try {
+    return await applyChange(change, userId);
+  } catch (error) {
+    change.status = 'failed';
+    change.failureReason = error.message;
+    await change.save();
+    throw error;
+  }
+};
+
+/**
+ * Claim a pending change of the vendor's booking by moving it to `status` in one update,
+ * so an approval, a decline and the customer withdrawing it can't both go through
+ */
+const claimVendorChange = async (bookingId, changeId, vendorId, status) => {
+  const query = { _id: changeId, booking: bookingId, vendor: vendorId };
+  const change = await BookingChange.findOneAndUpdate(
+    { ...query, status: 'pending_approval' },
+    { $set: { status } },
+    { new: true }
+  );
+  if (change) return change;
+
+  const existing = await BookingChange.findOne(query).select('status').lean();
+  if (!existing) {
+    throw createChangeError('Booking change not found.', 404);
+  }
+  throw createChangeError(`This change is already ${existing.status.replace('_', ' ')}.`);
+};
+
+/**
+ * Vendor approves a pending change. Capacity and the card charge are settled now; if either
+ * fails the change is marked failed and the booking stays as it was.
+ */
+const approveChange = async (bookingId, changeId, vendorId, note) => {
+  const change = await claimVendorChange(bookingId, changeId, vendorId, 'applying');
+  change.vendorResponse = { respondedBy: vendorId, respondedAt: new Date(), note };
+
+  let result;
+  try {
+    result = await applyChange(change, vendorId);
+  } catch (error) {
+    change.status = 'failed';
+    change.failureReason = error.message;
+    await change.save();
+    await notify(change.customer, 'Booking change failed',
+      `Your booking change was approved but could not be completed: ${error.message}`);
+    throw error;
+  }
+
+  await notify(change.customer, 'Booking change approved',
+    `Your booking ${result.booking.bookingId} has been moved to ${result.booking.scheduledDateTime.toDateString()}.`);
+  return result;
+};
+
+/**
+ * Vendor declines a pending change; the booking stays as it was
+ */
+const declineChange = async (bookingId, changeId, vendorId, note) => {
+  const change = await claimVendorChange(bookingId, changeId, vendorId, 'declined');
+  change.vendorResponse = { respondedBy: vendorId, respondedAt: new Date(), note };
+  await change.save();
+
+  await notify(change.customer, 'Booking change declined',
+    `Your requested booking change was declined${note ? `: ${note}` : '.'}`);
+  return change;
+};
+
+/**
+ * Customer withdraws a change still waiting for approval
+ */
+const cancelChange = async (bookingId, changeId, userId) => {
+  const change = await BookingChange.findOneAndUpdate(
+    { _id: changeId, booking: bookingId, customer: userId, status: 'pending_approval' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!change) {
+    throw createChangeError('No pending change found.', 404);
+  }
+  return change;
+};
+
+/**
+ * Changes of a booking, newest first (its customer or vendor)
+ */
+const getBookingChanges = async (bookingId, userId) => {
+  const booking = await Booking.findOne({ _id: bookingId, $or: [{ customer: userId }, { vendor: userId }] }).select('_id');
+  if (!booking) {
+    throw createChangeError('Booking not found.', 404);
+  }
+  return BookingChange.find({ booking: booking._id }).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * The vendor's booking changes (pending approval first by default)
+ */
+const getVendorChanges = async (vendorId, { status = 'pending_approval', page = 1, limit = 20 } = {}) => {
+  const query = { vendor: vendorId, ...(status !== 'all' && { status }) };
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [changes, total] = await Promise.all([
+    BookingChange.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('booking', 'bookingId scheduledDateTime passengers.total status')
+      .populate('service', 'name serviceType')
+      .lean(),
+    BookingChange.countDocuments(query)
+  ]);
+
+  return {
+    changes,
+    pagination: { total, page: pageNumber, limit: pageSize, pages: Math.ceil(total / pageSize) }
+  };
+};
+
+module.exports = {
+  quoteChange,
+  requestChange,
+  approveChange,
+  declineChange,
+  cancelChange,
+  getBookingChanges,
+  getVendorChanges
+};
@@ -0,0 +1,122 @@
+// services/checkoutService.js
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const holdService = require('./holdService');
+const creditService = require('./creditService');
+const giftCardService = require('./giftCardService');
+const promotionService = require('./promotionService');
+
+// Payment intents in these states may still be paid; the webhook settles them
+const SETTLING_STATUSES = ['processing', 'requires_capture', 'succeeded'];
+
+/**
+ * Give back everything a checkout took while waiting for its payment: held capacity,
+ * Caicos Credits, gift card balance and promotion uses. Safe to call more than once.
+ * @returns {Object} what was given back
+ */
+const releaseCheckout = async (paymentIntentId) => {
+  const released = await holdService.releaseHoldsForPaymentIntent(paymentIntentId);
+  const restored = await creditService.restoreCheckoutCredits({ paymentIntentId });
+  const giftCard = await giftCardService.restoreCheckoutRedemption({ paymentIntentId });
+  const promotionsReleased = await promotionService.release({ paymentIntentId });
+
+  return {
+    holds_released: released,
+    credits_restored: restored ? restored.amount : 0,
+    gift_card_restored: giftCard ? giftCard.transactions[giftCard.transactions.length - 1].amount : 0,
+    promotions_released: promotionsReleased
+  };
+};
+
+/**
+ * Cancel a checkout's payment intent so it can no longer be paid, then release the checkout
+ * @returns {Boolean} false when the payment is already going through
+ */
+const abandonPaymentIntent = async (paymentIntentId) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (SETTLING_STATUSES.includes(paymentIntent.status)) {
+    return false;
+  }
+  if (paymentIntent.status !== 'canceled') {
+    // Throws if the customer paid in the meantime, leaving the checkout as it is
+    await stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: 'abandoned' });
+  }
+
+  await releaseCheckout(paymentIntentId);
+  return true;
+};
+
+const abandonPaymentIntents = async (paymentIntentIds) => {
+  let abandoned = 0;
+  for (const paymentIntentId of new Set(paymentIntentIds)) {
+    try {
+      if (await abandonPaymentIntent(paymentIntentId)) abandoned++;
+    } catch (error) {
+      console.error(`Error abandoning checkout ${paymentIntentId}:`, error.message);
+    }
+  }
+  return abandoned;
+};
+
+/**
+ * Abandon earlier unpaid checkouts of the same signed-in customer or gift card before a new one
+ * starts, so a retried checkout can use the credits, balance and promotion uses the previous attempt took
+ * @param {Object} owner - { customerId } (authenticated only), { giftCardCode } entered at checkout
+ * @returns {Number} how many checkouts were abandoned
+ */
+const abandonOpenCheckouts = async ({ customerId, giftCardCode = null }) => {
+  if (!customerId) return 0;
+
+  const spends = await creditService.getPendingCheckoutSpends({ userId: customerId });
+  const redemptions = giftCardCode ? await giftCardService.getPendingCheckoutRedemptions({ code: giftCardCode }) : [];
+  const reservations = await promotionService.getPendingReservations({ customerId });
+
+  return abandonPaymentIntents([
+    ...spends.map(spend => spend.paymentIntentId),
+    ...redemptions.map(redemption => redemption.transaction.paymentIntentId),
+    ...reservations.map(reservation => reservation.paymentIntentId)
+  ].filter(Boolean));
+};
+
+/**
+ * Scheduled job: abandon checkouts still unpaid once their inventory hold has expired.
+ * Credits, gift card balance and promotion uses taken by a checkout that never got
+ * a payment intent are given back directly.
+ */
+const abandonExpiredCheckouts = async () => {
+  const createdBefore = new Date(Date.now() - holdService.HOLD_TTL_MINUTES * 60 * 1000);
+  const spends = await creditService.getPendingCheckoutSpends({ createdBefore });
+  const redemptions = await giftCardService.getPendingCheckoutRedemptions({ createdBefore });
+  const reservations = await promotionService.getPendingReservations({ createdBefore });
+
+  let abandoned = 0;
+  for (const spend of spends.filter(entry => !entry.paymentIntentId)) {
+    await creditService.restoreCheckoutCredits({ transaction: spend });
+    abandoned++;
+  }
+  for (const redemption of redemptions.filter(entry => !entry.transaction.paymentIntentId)) {
+    await giftCardService.restoreCheckoutRedemption({ redemption });
+    abandoned++;
+  }
+  const unlinked = reservations.filter(reservation => !reservation.paymentIntentId);
+  if (unlinked.length > 0) {
+    abandoned += await promotionService.release({ redemptions: unlinked });
+  }
+
+  abandoned += await abandonPaymentIntents([
+    ...spends.map(spend => spend.paymentIntentId),
+    ...redemptions.map(redemption => redemption.transaction.paymentIntentId),
+    ...reservations.map(reservation => reservation.paymentIntentId)
+  ].filter(Boolean));
+
+  if (abandoned > 0) {
+    console.log(`Abandoned ${abandoned} unpaid checkout(s)`);
+  }
+  return abandoned;
+};
+
+module.exports = {
+  releaseCheckout,
+  abandonPaymentIntent,
+  abandonOpenCheckouts,
+  abandonExpiredCheckouts
+};
@@ -0,0 +1,539 @@
+// services/creditService.js
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const CreditTransaction = require('../models/CreditTransaction');
+const ledgerService = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How credits are earned
+const EARN_RULES = {
+  bookingCreditsPerDollar: 1, // on completed bookings, for the amount paid by card
+  reviewCredits: 50,          // per review submitted
+  referralCredits: 500        // to the referrer, when the referred user completes a first booking
+};
+
+// Stripe needs at least $0.50 left on the card after credits are applied
+const MIN_CARD_AMOUNT = 0.5;
+
+const getExpiryDays = () => parseInt(process.env.CAICOS_CREDITS_EXPIRY_DAYS, 10) || 365;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createCreditError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Add credits to a wallet. Each key is applied once, so retries are safe.
+ * @param {String} userId
+ * @param {Number} credits - Positive whole number of credits
+ * @param {Object} details - { type, source, key, booking, reference, paymentIntentId, description, createdBy, expiresAt }
+ * @returns {Object} the CreditTransaction
+ */
+const addCredits = async (userId, credits, details) => {
+  credits = Math.floor(credits);
+  if (!(credits > 0)) {
+    throw createCreditError('Credit amount must be a positive whole number.');
+  }
+
+  if (details.key) {
+    const existing = await CreditTransaction.findOne({ key: details.key });
+    if (existing) return existing;
+  }
+
+  let transaction;
+  try {
+    transaction = await CreditTransaction.create({
+      user: userId,
+      type: details.type || 'earn',
+      source: details.source,
+      amount: credits,
+      key: details.key,
+      remaining: credits,
+      expiresAt: details.expiresAt || new Date(Date.now() + getExpiryDays() * DAY_MS),
+      booking: details.booking || null,
+      paymentIntentId: details.paymentIntentId || null,
+      reference: details.reference,
+      description: details.description,
+      createdBy: details.createdBy || null
+    });
+  } catch (error) {
+    if (error.code === 11000 && details.key) {
+      return CreditTransaction.findOne({ key: details.key });
+    }
+    throw error;
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { caicosCredits: credits } },
+    { new: true }
+  ).select('caicosCredits');
+
+  if (!user) {
+    await CreditTransaction.deleteOne({ _id: transaction._id });
+    throw createCreditError('User not found.', 404);
+  }
+
+  transaction.balanceAfter = user.caicosCredits;
+  await transaction.save();
+
+  // Restores post their own ledger entry (or none, for checkouts that never captured)
+  if (transaction.type !== 'restore') {
+    await ledgerService.recordCreditGrant(userId, credits, `wallet:${transaction._id}`, details.description, details.booking);
+  }
+
+  return transaction;
+};
+
+/**
+ * Use up the oldest-expiring lots first
+ */
+const consumeLots = async (userId, credits) => {
+  let toConsume = credits;
+
+  while (toConsume > 0) {
+    const lot = await CreditTransaction.findOne({ user: userId, remaining: { $gt: 0 } })
+      .sort({ expiresAt: 1, createdAt: 1 });
+    if (!lot) break; // Balance from before the wallet existed has no lots
+
+    const take = Math.min(lot.remaining, toConsume);
+    const updated = await CreditTransaction.updateOne(
+      { _id: lot._id, remaining: lot.remaining },
+      { $inc: { remaining: -take } }
+    );
+    if (updated.modifiedCount === 1) {
+      toConsume -= take;
+    }
+  }
+};
+
+/**
+ * Remove credits from a wallet (spend or admin revoke)
+ * @param {String} userId
+ * @param {Number} credits - Positive whole number of credits
+ * @param {Object} details - { type, source, key, booking, paymentIntentId, checkoutStatus, description, createdBy }
+ * @param {Object} options - { allowPartial: take whatever balance is left instead of failing }
+ * @returns {Object} the CreditTransaction (null if nothing could be taken)
+ */
+const removeCredits = async (userId, credits, details, { allowPartial = false } = {}) => {
+  credits = Math.floor(credits);
+  if (!(credits > 0)) {
+    throw createCreditError('Credit amount must be a positive whole number.');
+  }
+
+  if (details.key) {
+    const existing = await CreditTransaction.findOne({ key: details.key });
+    if (existing) return existing;
+  }
+
+  let taken = credits;
+  let user = await User.findOneAndUpdate(
+    { _id: userId, caicosCredits: { $gte: credits } },
+    { $inc: { caicosCredits: -credits } },
+    { new: true }
+  ).select('caicosCredits');
+
+  if (!user && allowPartial) {
+    const before = await User.findOneAndUpdate(
+      { _id: userId, caicosCredits: { $gt: 0 } },
+      [{ $set: { caicosCredits: { $max: [0, { $subtract: ['$caicosCredits', credits] }] } } }]
+    ).select('caicosCredits');
+    if (!before) return null;
+    taken = Math.min(before.caicosCredits, credits);
+    user = { caicosCredits: before.caicosCredits - taken };
+  }
+
+  if (!user) {
+    throw createCreditError('Insufficient Caicos Credits.');
+  }
+
+  let transaction;
+  try {
+    transaction = await CreditTransaction.create({
+      user: userId,
+      type: details.type || 'spend',
+      source: details.source,
+      amount: -taken,
+      balanceAfter: user.caicosCredits,
+      key: details.key,
+      booking: details.booking || null,
+      paymentIntentId: details.paymentIntentId || null,
+      checkoutStatus: details.checkoutStatus,
+      description: details.description,
+      createdBy: details.createdBy || null
+    });
+  } catch (error) {
+    // Lost a race on the same key: give the credits back
+    await User.updateOne({ _id: userId }, { $inc: { caicosCredits: taken } });
+    if (error.code === 11000 && details.key) {
+      return CreditTransaction.findOne({ key: details.key });
+    }
+    throw error;
+  }
+
+  await consumeLots(userId, taken);
+
+  return transaction;
+};
+
+/**
+ * Work out how many credits can be applied to a checkout total
+ * @param {String} userId
+ * @param {Number} requestedCredits
+ * @param {Number} totalAmount - Checkout total in dollars
+ * @returns {Object} { credits, amount } - credits to spend and the dollar discount
+ */
+const quoteCheckoutCredits = async (userId, requestedCredits, totalAmount) => {
+  const creditValue = ledgerService.getCreditValue();
+  const user = await User.findById(userId).select('caicosCredits');
+  if (!user) {
+    throw createCreditError('User not found.', 404);
+  }
+
+  const maxByTotal = Math.floor(Math.max(0, totalAmount - MIN_CARD_AMOUNT) / creditValue);
+  const credits = Math.max(0, Math.min(Math.floor(requestedCredits), user.caicosCredits || 0, maxByTotal));
+
+  return { credits, amount: roundCurrency(credits * creditValue) };
+};
+
+/**
+ * Spend credits as a tender for a checkout. Call before creating the payment intent,
+ * then link the transaction with attachPaymentIntent.
+ * @returns {Object} { transaction, credits, amount } (transaction is null when no credits apply)
+ */
+const spendForCheckout = async (userId, requestedCredits, totalAmount) => {
+  const { credits, amount } = await quoteCheckoutCredits(userId, requestedCredits, totalAmount);
+  if (credits <= 0) {
+    return { transaction: null, credits: 0, amount: 0 };
+  }
+
+  const transaction = await removeCredits(userId, credits, {
+    type: 'spend',
+    source: 'checkout',
+    checkoutStatus: 'pending',
+    description: `Applied to checkout ($${amount.toFixed(2)})`
+  });
+
+  return { transaction, credits, amount };
+};
+
+const attachPaymentIntent = async (transaction, paymentIntentId) => {
+  if (!transaction) return;
+  await CreditTransaction.updateOne(
+    { _id: transaction._id },
+    { $set: { paymentIntentId, key: `checkout:${paymentIntentId}` } }
+  );
+};
+
+/**
+ * Give back checkout credits when the payment fails, is cancelled or never reaches Stripe
+ * @param {Object} spend - The spend transaction (or looked up by payment intent)
+ */
+const restoreCheckoutCredits = async ({ transaction = null, paymentIntentId = null }) => {
+  const spend = transaction || await CreditTransaction.findOne({ paymentIntentId, type: 'spend', source: 'checkout' });
+  if (!spend) return null;
+
+  const restored = await addCredits(spend.user, -spend.amount, {
+    type: 'restore',
+    source: 'checkout',
+    key: `restore:${spend._id}`,
+    paymentIntentId: spend.paymentIntentId,
+    description: 'Credits returned from an unsuccessful checkout'
+  });
+  await CreditTransaction.updateOne({ _id: spend._id, checkoutStatus: 'pending' }, { $set: { checkoutStatus: 'restored' } });
+  return restored;
+};
+
+/**
+ * Checkout spends still waiting on their payment
+ * @param {Object} filter - { userId } for one wallet, { createdBefore } for checkouts left unpaid too long
+ */
+const getPendingCheckoutSpends = async ({ userId = null, createdBefore = null } = {}) => {
+  return CreditTransaction.find({
+    type: 'spend',
+    source: 'checkout',
+    checkoutStatus: 'pending',
+    ...(userId && { user: userId }),
+    ...(createdBefore && { createdAt: { $lt: createdBefore } })
+  }).sort({ createdAt: 1 }).limit(500);
+};
+
+/**
+ * A payment can succeed after an earlier failed attempt restored its credits:
+ * take them again (as far as the balance allows)
+ */
+const confirmCheckoutSpend = async (paymentIntentId) => {
+  const spend = await CreditTransaction.findOne({ paymentIntentId, type: 'spend', source: 'checkout' });
+  if (!spend) return null;
+  await CreditTransaction.updateOne({ _id: spend._id }, { $set: { checkoutStatus: 'confirmed' } });
+
+  const restored = await CreditTransaction.findOne({ key: `restore:${spend._id}` });
+  if (!restored) return spend;
+
+  return removeCredits(spend.user, restored.amount, {
+    type: 'spend',
+    source: 'checkout',
+    key: `respend:${spend._id}`,
+    paymentIntentId,
+    description: 'Credits re-applied after a retried payment'
+  }, { allowPartial: true });
+};
+
+/**
+ * Credits earned when a booking is completed, plus the referral reward
+ * for the customer's first completed booking
+ * @param {Object} booking
+ */
+const awardBookingCredits = async (booking) => {
+  try {
+    const customerId = booking.customer?._id || booking.customer;
+    if (!customerId) return null;
+
+    const paidByCard = (booking.pricing?.totalAmount || 0)
+      - (booking.payment?.creditAmount || 0)
+      - (booking.payment?.refundAmount || 0);
+    const credits = Math.floor(Math.max(0, paidByCard) * EARN_RULES.bookingCreditsPerDollar);
+
+    let transaction = null;
+    if (credits > 0) {
+      transaction = await addCredits(customerId, credits, {
+        type: 'earn',
+        source: 'booking',
+        key: `booking:${booking._id}`,
+        booking: booking._id,
+        description: `Earned on booking ${booking.bookingId}`
+      });
+    }
+
+    const customer = await User.findById(customerId).select('referredBy');
+    if (customer?.referredBy) {
+      const completedBookings = await Booking.countDocuments({
+        customer: customerId,
+        status: { $in: ['completed', 'reviewed'] }
+      });
+      if (completedBookings === 1) {
+        await addCredits(customer.referredBy, EARN_RULES.referralCredits, {
+          type: 'earn',
+          source: 'referral',
+          key: `referral:${customerId}`,
+          reference: customerId,
+          booking: booking._id,
+          description: 'Referral reward: a friend completed their first booking'
+        });
+      }
+    }
+
+    return transaction;
+  } catch (error) {
+    // Don't fail the status update if the credits award fails
+    console.error('Error awarding booking credits:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Credits earned for submitting a review
+ */
+const awardReviewCredits = async (userId, review) => {
+  try {
+    return await addCredits(userId, EARN_RULES.reviewCredits, {
+      type: 'earn',
+      source: 'review',
+      key: `review:${review.booking || review._id}`,
+      reference: review._id,
+      booking: review.booking || null,
+      description: 'Earned for writing a review'
+    });
+  } catch (error) {
+    console.error('Error awarding review credits:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Give back the credits spent on a cart item that could not be booked
+ * @param {Object} share - { paymentIntentId, cartItem }
+ */
+const restoreUnbookedItemCredits = async (userId, credits, { paymentIntentId, cartItem }) => {
+  if (!userId || !(credits > 0)) return null;
+  return addCredits(userId, credits, {
+    type: 'restore',
+    source: 'checkout',
+    key: `unbooked:${paymentIntentId}:${cartItem}`,
+    paymentIntentId,
+    description: 'Credits returned for an item that could not be booked'
+  });
+};
+
+/**
+ * Give back the credits spent on a paid single checkout that could not be booked
+ */
+const restoreUnbookedCheckoutCredits = async (paymentIntentId) => {
+  const spend = await CreditTransaction.findOne({ paymentIntentId, type: 'spend', source: 'checkout' });
+  if (!spend) return null;
+  return restoreUnbookedItemCredits(spend.user, -spend.amount, { paymentIntentId, cartItem: 'checkout' });
+};
+
+/**
+ * Return credits used on a cancelled booking, in proportion to the refund percentage
+ */
+const restoreBookingCredits = async (booking, refundPercentage) => {
+  const creditsApplied = booking.payment?.creditsApplied || 0;
+  const credits = Math.floor(creditsApplied * refundPercentage / 100);
+  if (credits <= 0) return null;
+
+  const customerId = booking.customer?._id || booking.customer;
+  const transaction = await addCredits(customerId, credits, {
+    type: 'restore',
+    source: 'booking',
+    key: `cancel:${booking._id}`,
+    booking: booking._id,
+    description: `Credits returned for cancelled booking ${booking.bookingId}`
+  });
+  await ledgerService.recordCreditRestore(booking, credits, `wallet:${transaction._id}`);
+
+  return transaction;
+};
+
+/**
+ * Admin grant (positive) or revocation (negative) of credits
+ * @param {String} userId
+ * @param {Number} credits - Whole number of credits; negative revokes
+ * @param {String} reason
+ * @param {String} adminId
+ */
+const adjustCredits = async (userId, credits, reason, adminId) => {
+  credits = Math.trunc(Number(credits));
+  if (!credits) {
+    throw createCreditError('Credit amount must be a non-zero whole number.');
+  }
+  if (!reason) {
+    throw createCreditError('A reason is required.');
+  }
+
+  if (credits > 0) {
+    return addCredits(userId, credits, {
+      type: 'admin_grant',
+      source: 'admin',
+      description: reason,
+      createdBy: adminId
+    });
+  }
+
+  const transaction = await removeCredits(userId, -credits, {
+    type: 'admin_revoke',
+    source: 'admin',
+    description: reason,
+    createdBy: adminId
+  });
+  await ledgerService.recordCreditRedemption(userId, -credits, `wallet:${transaction._id}`, reason);
+
+  return transaction;
+};
+
+/**
+ * Scheduled job: expire unspent credits whose lot has passed its expiry date
+ */
+const expireCredits = async () => {
+  const lots = await CreditTransaction.find({ remaining: { $gt: 0 }, expiresAt: { $lte: new Date() } })
+    .limit(500);
+
+  let expired = 0;
+  for (const lot of lots) {
+    const claimed = await CreditTransaction.findOneAndUpdate(
+      { _id: lot._id, remaining: lot.remaining },
+      { $set: { remaining: 0 } }
+    );
+    if (!claimed) continue;
+
+    const before = await User.findOneAndUpdate(
+      { _id: lot.user },
+      [{ $set: { caicosCredits: { $max: [0, { $subtract: ['$caicosCredits', lot.remaining] }] } } }]
+    ).select('caicosCredits');
+    if (!before) continue;
+
+    const credits = Math.min(before.caicosCredits || 0, lot.remaining);
+    if (credits <= 0) continue;
+
+    const transaction = await CreditTransaction.create({
+      user: lot.user,
+      type: 'expire',
+      source: 'expiry',
+      amount: -credits,
+      balanceAfter: (before.caicosCredits || 0) - credits,
+      key: `expire:${lot._id}`,
+      reference: lot._id,
+      description: 'Unused credits expired'
+    });
+    await ledgerService.recordCreditExpiry(lot.user, credits, `wallet:${transaction._id}`);
+    expired += credits;
+  }
+
+  if (expired > 0) {
+    console.log(`Expired ${expired} Caicos Credit(s)`);
+  }
+  return expired;
+};
+
+/**
+ * Wallet balance and paginated history
+ */
+const getWallet = async (userId, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const [user, transactions, total, expiring] = await Promise.all([
+    User.findById(userId).select('caicosCredits'),
+    CreditTransaction.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-key'),
+    CreditTransaction.countDocuments({ user: userId }),
+    CreditTransaction.find({
+      user: userId,
+      remaining: { $gt: 0 },
+      expiresAt: { $lte: new Date(Date.now() + 30 * DAY_MS) }
+    }).sort({ expiresAt: 1 }).select('remaining expiresAt')
+  ]);
+
+  if (!user) {
+    throw createCreditError('User not found.', 404);
+  }
+
+  return {
+    balance: user.caicosCredits || 0,
+    creditValue: ledgerService.getCreditValue(),
+    expiringSoon: expiring.map(lot => ({ credits: lot.remaining, expiresAt: lot.expiresAt })),
+    transactions,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  EARN_RULES,
+  addCredits,
+  removeCredits,
+  quoteCheckoutCredits,
+  spendForCheckout,
+  attachPaymentIntent,
+  restoreCheckoutCredits,
+  getPendingCheckoutSpends,
+  confirmCheckoutSpend,
+  restoreUnbookedItemCredits,
+  restoreUnbookedCheckoutCredits,
+  awardBookingCredits,
+  awardReviewCredits,
+  restoreBookingCredits,
+  adjustCredits,
+  expireCredits,
+  getWallet
+};
@@ -0,0 +1,132 @@
+// services/currencyService.js
+const ExchangeRate = require('../models/ExchangeRate');
+
+const BASE_CURRENCY = 'USD';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createCurrencyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const normalizeCurrency = (currency) => (currency ? String(currency).trim().toUpperCase() : BASE_CURRENCY);
+
+/**
+ * Rate for a guest currency (units per 1 USD)
+ * @returns {Object} { currency, rate, updatedAt }
+ */
+const getRate = async (currency) => {
+  const code = normalizeCurrency(currency);
+  if (code === BASE_CURRENCY) {
+    return { currency: BASE_CURRENCY, rate: 1, updatedAt: null };
+  }
+
+  const row = await ExchangeRate.findOne({ currency: code, active: true }).lean();
+  if (!row) {
+    throw createCurrencyError(`Currency ${code} is not supported.`);
+  }
+  return { currency: row.currency, rate: row.rate, updatedAt: row.updatedAt };
+};
+
+/**
+ * The rate table, base currency first
+ * @param {Object} options - { includeInactive } for the admin view
+ */
+const getRates = async ({ includeInactive = false } = {}) => {
+  const query = includeInactive ? {} : { active: true };
+  const rows = await ExchangeRate.find(query).sort({ currency: 1 }).lean();
+
+  return {
+    base: BASE_CURRENCY,
+    rates: [
+      { currency: BASE_CURRENCY, rate: 1, active: true, updatedAt: null },
+      ...rows.map(row => ({
+        currency: row.currency,
+        rate: row.rate,
+        source: row.source,
+        active: row.active,
+        updatedAt: row.updatedAt
+      }))
+    ]
+  };
+};
+
+const convertFromUSD = (amount, rate) => roundCurrency((amount || 0) * rate);
+
+// Stripe amounts are in the currency's smallest unit; every presentment currency has two decimals
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+/**
+ * Create or update several rates at once (admin edits and the rate file loader)
+ * @param {Array|Object} rates - [{ currency, rate, active? }] or { CAD: 1.37, GBP: 0.79 }
+ * @param {Object} options - { source: 'manual'|'file', userId }
+ * @returns {Array} The saved rows
+ */
+const setRates = async (rates, { source = 'manual', userId = null } = {}) => {
+  const entries = Array.isArray(rates)
+    ? rates
+    : Object.keys(rates || {}).map(currency => ({ currency, rate: rates[currency] }));
+  if (entries.length === 0) {
+    throw createCurrencyError('At least one rate is required.');
+  }
+
+  // Validate everything before writing anything
+  const updates = entries.map(entry => {
+    const currency = normalizeCurrency(entry.currency);
+    const rate = Number(entry.rate);
+    if (!ExchangeRate.PRESENTMENT_CURRENCIES.includes(currency)) {
+      throw createCurrencyError(
+        `${currency} is not a supported currency. Supported: ${ExchangeRate.PRESENTMENT_CURRENCIES.join(', ')}`
+      );
+    }
+    if (!(rate > 0)) {
+      throw createCurrencyError(`${currency}: rate must be a positive number.`);
+    }
+    return {
+      currency,
+      fields: {
+        rate,
+        source,
+        updatedBy: userId,
+        ...(entry.active !== undefined && { active: !!entry.active })
+      }
+    };
+  });
+
+  const saved = [];
+  for (const update of updates) {
+    saved.push(await ExchangeRate.findOneAndUpdate(
+      { currency: update.currency },
+      { $set: update.fields },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ));
+  }
+  return saved;
+};
+
+/**
+ * Stop offering a currency; bookings already charged in it keep their stored rate
+ */
+const deactivateRate = async (currency) => {
+  const row = await ExchangeRate.findOneAndUpdate(
+    { currency: normalizeCurrency(currency) },
+    { active: false },
+    { new: true }
+  );
+  if (!row) {
+    throw createCurrencyError('Exchange rate not found.', 404);
+  }
+  return row;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getRate,
+  getRates,
+  convertFromUSD,
+  toMinorUnits,
+  setRates,
+  deactivateRate
+};
@@ -0,0 +1,669 @@
+// services/depositService.js
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const PaymentMethod = require('../models/PaymentMethod');
+const Notification = require('../models/Notification');
+const currencyService = require('./currencyService');
+const ledgerService = require('./ledgerService');
+const { sendInstallmentOverdueEmail } = require('../controllers/emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_INSTALLMENT_AMOUNT = 0.5; // Stripe's minimum charge
+// The first installment can't fall due sooner than this after the checkout
+const MIN_INSTALLMENT_LEAD_MS = DAY_MS;
+// Failed installments are retried once a day, up to this many attempts in total
+const INSTALLMENT_RETRY_MS = DAY_MS;
+const MAX_INSTALLMENT_ATTEMPTS = 3;
+
+const RENTAL_CATEGORIES = ['Car Rental', 'Jeep & 4x4 Rental', 'Scooter & Moped Rental'];
+// Security deposits are pre-authorized this long before pickup, and released automatically
+// if the vendor hasn't captured them before the card authorization runs out (7 days at Stripe)
+const SECURITY_DEPOSIT_LEAD_MS = 24 * HOUR_MS;
+const SECURITY_DEPOSIT_RELEASE_MS = 6 * DAY_MS;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createDepositError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * The customer's card to charge off-session: the one they chose, or their default
+ * @param {String} userId
+ * @param {String} paymentMethodId - PaymentMethod _id (optional)
+ * @returns {Object} PaymentMethod document
+ */
+const resolveSavedPaymentMethod = async (userId, paymentMethodId = null) => {
+  const method = paymentMethodId
+    ? await PaymentMethod.findOne({ _id: paymentMethodId, user: userId, isValid: true })
+    : await PaymentMethod.getDefaultPaymentMethod(userId);
+
+  if (!method) {
+    throw createDepositError(paymentMethodId
+      ? 'Saved payment method not found.'
+      : 'Save a card to your account first; the balance is charged to it automatically.');
+  }
+  return method;
+};
+
+/**
+ * Deposit and installment schedule for a booking paid by deposit
+ * @param {Object} service - The booked listing (only Transportation defines paymentOptions)
+ * @param {Object} options - { amount (USD due on the card), serviceDate, installmentOption (e.g. '3-months'), now }
+ * @returns {Object} { depositAmount, installments: [{ amount, dueDate }] }
+ */
+const buildPaymentPlan = (service, { amount, serviceDate, installmentOption = null, now = new Date() }) => {
+  const options = service?.paymentOptions || {};
+  const percentage = options.advancePaymentPercentage || 0;
+  if (!(percentage > 0 && percentage < 100)) {
+    throw createDepositError('This listing does not offer payment by deposit.');
+  }
+
+  const date = serviceDate ? new Date(serviceDate) : null;
+  if (!date || isNaN(date)) {
+    throw createDepositError('A service date is required to pay by deposit.');
+  }
+
+  // Installment plans split the balance into monthly charges; interest isn't supported
+  let count = 1;
+  if (installmentOption) {
+    const plan = options.acceptsInstallments
+      ? (options.installmentOptions || []).find(entry => entry.duration === installmentOption)
+      : null;
+    if (!plan) {
+      throw createDepositError(`Installment option "${installmentOption}" is not offered for this listing.`);
+    }
+    if (plan.interestRate > 0) {
+      throw createDepositError('Installment plans with interest are not available online.');
+    }
+    count = parseInt(plan.duration, 10) || 1;
+  }
+
+  // The last installment is due balanceDueDaysBefore the service, earlier ones a month apart
+  const balanceDue = new Date(date.getTime() - (options.balanceDueDaysBefore || 7) * DAY_MS);
+  const dueDates = [];
+  for (let index = count - 1; index >= 0; index--) {
+    const dueDate = new Date(balanceDue);
+    dueDate.setMonth(dueDate.getMonth() - index);
+    if (dueDate.getTime() - now.getTime() >= MIN_INSTALLMENT_LEAD_MS) {
+      dueDates.push(dueDate);
+    }
+  }
+  if (dueDates.length === 0) {
+    throw createDepositError('The balance would be due right away for this date; please pay in full.');
+  }
+
+  const depositAmount = roundCurrency(amount * percentage / 100);
+  const balanceCents = Math.round((amount - depositAmount) * 100);
+  const baseCents = Math.floor(balanceCents / dueDates.length);
+  if (baseCents < MIN_INSTALLMENT_AMOUNT * 100 || depositAmount < MIN_INSTALLMENT_AMOUNT) {
+    throw createDepositError('This booking is too small to pay by deposit; please pay in full.');
+  }
+
+  return {
+    depositAmount,
+    installments: dueDates.map((dueDate, index) => ({
+      // The last installment takes the leftover cents
+      amount: (index === dueDates.length - 1 ? balanceCents - baseCents * (dueDates.length - 1) : baseCents) / 100,
+      dueDate
+    }))
+  };
+};
+
+// Payment intent metadata values are limited to 500 characters; plans have a handful of installments
+const encodePaymentPlan = (plan) => JSON.stringify({
+  d: plan.depositAmount,
+  i: plan.installments.map(installment => [installment.amount, toDateKey(installment.dueDate)])
+});
+
+const decodePaymentPlan = (value) => {
+  if (!value) return null;
+  const parsed = JSON.parse(value);
+  return {
+    depositAmount: parsed.d,
+    installments: parsed.i.map(([amount, dueDate]) => ({ amount, dueDate: new Date(dueDate) }))
+  };
+};
+
+/**
+ * Security deposit pre-authorized for a rental: the vehicle's own amount, else the listing's
+ * @param {Object} service - Transportation listing
+ * @param {String} vehicleId - fleet[].vehicleId (optional)
+ * @returns {Number} Amount in USD (0 when none is required)
+ */
+const getSecurityDepositAmount = (service, vehicleId = null) => {
+  if (!service || !RENTAL_CATEGORIES.includes(service.category)) return 0;
+
+  const vehicle = vehicleId ? (service.fleet || []).find(entry => entry.vehicleId === vehicleId) : null;
+  if (vehicle?.specialConditions?.securityDepositRequired && vehicle.specialConditions.securityDepositAmount > 0) {
+    return roundCurrency(vehicle.specialConditions.securityDepositAmount);
+  }
+  if (service.paymentOptions?.requiresDeposit && service.paymentOptions.depositAmount > 0) {
+    return roundCurrency(service.paymentOptions.depositAmount);
+  }
+  return 0;
+};
+
+/**
+ * Booking.payment fields for a checkout paid by deposit and/or with a security deposit
+ * @param {Object} details - { paymentPlan (decoded), savedPaymentMethod, securityDeposit }
+ */
+const toBookingPayment = ({ paymentPlan, savedPaymentMethod, securityDeposit }) => ({
+  ...(paymentPlan && {
+    status: 'partially-paid',
+    depositAmount: paymentPlan.depositAmount,
+    installments: paymentPlan.installments.map(installment => ({ amount: installment.amount, dueDate: installment.dueDate }))
+  }),
+  ...(savedPaymentMethod && { savedPaymentMethod }),
+  ...(securityDeposit > 0 && { securityDeposit: { amount: securityDeposit, status: 'scheduled' } })
+});
+
+const hasOutstandingInstallments = (booking) =>
+  (booking.payment?.installments || []).some(installment => ['pending', 'overdue'].includes(installment.status));
+
+/**
+ * Card details for an off-session charge of the booking's saved payment method
+ * @returns {Object} { customer, paymentMethod }
+ */
+const getOffSessionCard = async (booking) => {
+  const method = booking.payment.savedPaymentMethod
+    ? await PaymentMethod.findOne({ _id: booking.payment.savedPaymentMethod, isValid: true })
+    : await PaymentMethod.getDefaultPaymentMethod(booking.customer);
+  if (!method) {
+    throw createDepositError('The saved card is no longer available.');
+  }
+
+  const user = await User.findById(method.user).select('stripeCustomerId');
+  if (!user?.stripeCustomerId) {
+    throw createDepositError('The saved card has no Stripe customer.');
+  }
+  return { customer: user.stripeCustomerId, paymentMethod: method };
+};
+
+/**
+ * Mark an installment paid, post it to the ledger and settle the booking once nothing is owed
+ * (the caller saves the booking)
+ */
+const markInstallmentPaid = async (booking, installment, paymentIntent) => {
+  installment.status = 'paid';
+  installment.paidAt = new Date();
+  installment.paymentIntentId = paymentIntent.id;
+  installment.chargedAmount = paymentIntent.amount / 100;
+  installment.lastError = undefined;
+
+  if (!hasOutstandingInstallments(booking) && booking.payment.status === 'partially-paid') {
+    booking.payment.status = booking.payment.refundAmount > 0 ? 'partially-refunded' : 'completed';
+  }
+  await ledgerService.recordInstallmentPayment(booking, installment);
+};
+
+/**
+ * Tell the customer an installment couldn't be charged
+ */
+const notifyOverdue = async (booking, installment) => {
+  const customer = await User.findById(booking.customer).select('name email');
+  if (!customer) return;
+
+  const serviceName = booking.service?.name || 'your booking';
+  const dueDate = new Date(installment.dueDate).toDateString();
+
+  try {
+    await Notification.create({
+      user: customer._id,
+      type: 'booking',
+      title: 'Payment overdue',
+      message: `We couldn't charge your saved card $${installment.amount.toFixed(2)} for ${serviceName} (due ${dueDate}). Please pay it to keep your booking.`
+    });
+    await sendInstallmentOverdueEmail(customer.email, {
+      customerName: customer.name,
+      serviceName,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+      reason: installment.lastError,
+      paymentLink: `${process.env.FRONTEND_URL}/bookings/${booking._id}`
+    });
+  } catch (error) {
+    console.error(`Overdue notice for booking ${booking.bookingId} failed:`, error.message);
+  }
+};
+
+/**
+ * Charge one installment to the saved card. A declined card (or one that needs the
+ * customer to authenticate) leaves the installment overdue and the customer is notified.
+ * The installment keeps one payment intent, saved before it is confirmed, so it is never charged twice.
+ * @returns {Boolean} whether the installment was paid
+ */
+const chargeInstallment = async (booking, installment) => {
+  let paymentIntent;
+  let paymentMethod = null;
+  try {
+    // Charged last time but not recorded: record it instead of charging again. A declined intent is confirmed again.
+    let intent = installment.paymentIntentId
+      ? await stripe.paymentIntents.retrieve(installment.paymentIntentId)
+      : null;
+
+    if (intent?.status === 'succeeded') {
+      paymentIntent = intent;
+    } else {
+      installment.attempts = (installment.attempts || 0) + 1;
+      installment.lastAttemptAt = new Date();
+
+      const card = await getOffSessionCard(booking);
+      paymentMethod = card.paymentMethod;
+
+      if (!intent || intent.status === 'canceled') {
+        const chargedAmount = currencyService.convertFromUSD(installment.amount, booking.payment.exchangeRate || 1);
+        intent = await stripe.paymentIntents.create({
+          customer: card.customer,
+          amount: currencyService.toMinorUnits(chargedAmount),
+          currency: (booking.payment.currency || currencyService.BASE_CURRENCY).toLowerCase(),
+          metadata: {
+            bookingType: 'installment',
+            bookingId: booking._id.toString(),
+            installmentId: installment._id.toString()
+          }
+        }, { idempotencyKey: `installment-${installment._id}-${new Date(installment.dueDate).getTime()}` });
+        installment.paymentIntentId = intent.id;
+        await booking.save();
+      }
+
+      paymentIntent = await stripe.paymentIntents.confirm(intent.id, {
+        payment_method: paymentMethod.stripePaymentMethodId,
+        off_session: true
+      });
+
+      if (paymentIntent.status !== 'succeeded') {
+        throw createDepositError(`Payment ${paymentIntent.status.replace(/_/g, ' ')}.`);
+      }
+    }
+  } catch (error) {
+    installment.status = 'overdue';
+    installment.lastError = error.message;
+    await booking.save();
+    await notifyOverdue(booking, installment);
+    return false;
+  }
+
+  // The card was charged: a failure from here on is retried by the next run (or the webhook), never marked overdue
+  try {
+    await markInstallmentPaid(booking, installment, paymentIntent);
+    if (paymentMethod) await paymentMethod.recordUsage(booking._id);
+    await booking.save();
+  } catch (error) {
+    console.error(`Installment ${installment._id} of booking ${booking.bookingId} was charged (${paymentIntent.id}) but not recorded:`, error.message);
+  }
+  return true;
+};
+
+/**
+ * Charge every installment that has fallen due (scheduled job). Overdue installments
+ * are retried once a day until MAX_INSTALLMENT_ATTEMPTS; after that the customer pays them.
+ * @returns {Object} { paid, overdue }
+ */
+const chargeDueInstallments = async () => {
+  const now = new Date();
+  const bookings = await Booking.find({
+    status: { $nin: ['cancelled', 'no-show'] },
+    'payment.installments': {
+      $elemMatch: { status: { $in: ['pending', 'overdue'] }, dueDate: { $lte: now } }
+    }
+  }).populate('service', 'name');
+
+  let paid = 0;
+  let overdue = 0;
+
+  for (const booking of bookings) {
+    const due = booking.payment.installments.filter(installment =>
+      installment.dueDate <= now && (
+        installment.status === 'pending' ||
+        (installment.status === 'overdue' &&
+          (installment.attempts || 0) < MAX_INSTALLMENT_ATTEMPTS &&
+          now - (installment.lastAttemptAt || 0) >= INSTALLMENT_RETRY_MS)
+      ));
+
+    for (const installment of due) {
+      if (await chargeInstallment(booking, installment)) {
+        paid++;
+      } else {
+        overdue++;
+        break; // Later installments wait until this one is sorted out
+      }
+    }
+  }
+
+  if (paid > 0 || overdue > 0) {
+    console.log(`Installments: ${paid} charged, ${overdue} overdue`);
+  }
+  return { paid, overdue };
+};
+
+const findCustomerInstallment = async (bookingId, installmentId, userId) => {
+  const booking = await Booking.findOne({ _id: bookingId, customer: userId });
+  if (!booking) {
+    throw createDepositError('Booking not found.', 404);
+  }
+  const installment = booking.payment.installments.id(installmentId);
+  if (!installment) {
+    throw createDepositError('Installment not found.', 404);
+  }
+  return { booking, installment };
+};
+
+/**
+ * Payment intent for the customer to pay an installment themselves (an overdue one, or early).
+ * Confirmed on the client so the card can be authenticated; the webhook records it.
+ * @returns {Object} { clientSecret, amount, currency, amountInCurrency }
+ */
+const createInstallmentPaymentIntent = async (bookingId, installmentId, userId) => {
+  const { booking, installment } = await findCustomerInstallment(bookingId, installmentId, userId);
+  if (booking.status === 'cancelled') {
+    throw createDepositError('This booking was cancelled.');
+  }
+  if (!['pending', 'overdue'].includes(installment.status)) {
+    throw createDepositError(`This installment is ${installment.status}.`);
+  }
+
+  const chargedAmount = currencyService.convertFromUSD(installment.amount, booking.payment.exchangeRate || 1);
+  const user = await User.findById(userId).select('stripeCustomerId');
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: currencyService.toMinorUnits(chargedAmount),
+    currency: (booking.payment.currency || currencyService.BASE_CURRENCY).toLowerCase(),
+    ...(user?.stripeCustomerId && { customer: user.stripeCustomerId }),
+    automatic_payment_methods: { enabled: true },
+    metadata: {
+      bookingType: 'installment',
+      bookingId: booking._id.toString(),
+      installmentId: installment._id.toString()
+    }
+  });
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    amount: installment.amount,
+    currency: booking.payment.currency || currencyService.BASE_CURRENCY,
+    amountInCurrency: chargedAmount
+  };
+};
+
+/**
+ * Installment payment confirmed by Stripe (webhook). Paying an installment that was
+ * already settled by another charge refunds the duplicate.
+ */
+const recordInstallmentPayment = async (paymentIntent) => {
+  const { bookingId, installmentId } = paymentIntent.metadata;
+  const booking = await Booking.findById(bookingId);
+  const installment = booking?.payment.installments.id(installmentId);
+  if (!installment) {
+    throw new Error(`Installment ${installmentId} not found on booking ${bookingId}`);
+  }
+
+  if (installment.status === 'paid') {
+    if (installment.paymentIntentId === paymentIntent.id) {
+      return { installment_status: 'already_paid' };
+    }
+    await stripe.refunds.create({ payment_intent: paymentIntent.id }, { idempotencyKey: `installment-duplicate-${paymentIntent.id}` });
+    return { installment_status: 'duplicate_refunded' };
+  }
+  if (installment.status === 'cancelled' || booking.status === 'cancelled') {
+    await stripe.refunds.create({ payment_intent: paymentIntent.id }, { idempotencyKey: `installment-cancelled-${paymentIntent.id}` });
+    return { installment_status: 'cancelled_refunded' };
+  }
+
+  await markInstallmentPaid(booking, installment, paymentIntent);
+  await booking.save();
+  return { installment_status: 'paid', booking_id: booking._id };
+};
+
+/**
+ * Drop the installments of a cancelled booking that were never charged (the caller saves the booking)
+ * @returns {Number} Amount written off, in USD
+ */
+const cancelOutstandingInstallments = async (booking) => {
+  const outstanding = (booking.payment?.installments || []).filter(installment =>
+    ['pending', 'overdue'].includes(installment.status));
+  if (outstanding.length === 0) return 0;
+
+  outstanding.forEach(installment => { installment.status = 'cancelled'; });
+  const amount = roundCurrency(outstanding.reduce((sum, installment) => sum + installment.amount, 0));
+
+  if (booking.payment.status === 'partially-paid') {
+    booking.payment.status = booking.payment.refundAmount > 0 ? 'partially-refunded' : 'completed';
+  }
+  await ledgerService.recordInstallmentWriteOff(booking, amount);
+  return amount;
+};
+
+/**
+ * Pre-authorize a rental's security deposit on the saved card (the caller saves the booking)
+ */
+const authorizeSecurityDeposit = async (booking) => {
+  const deposit = booking.payment.securityDeposit;
+
+  try {
+    const { customer, paymentMethod } = await getOffSessionCard(booking);
+    const paymentIntent = await stripe.paymentIntents.create({
+      customer,
+      payment_method: paymentMethod.stripePaymentMethodId,
+      amount: currencyService.toMinorUnits(currencyService.convertFromUSD(deposit.amount, booking.payment.exchangeRate || 1)),
+      currency: (booking.payment.currency || currencyService.BASE_CURRENCY).toLowerCase(),
+      capture_method: 'manual',
+      off_session: true,
+      confirm: true,
+      metadata: {
+        bookingType: 'security_deposit',
+        bookingId: booking._id.toString()
+      }
+    }, { idempotencyKey: `security-deposit-${booking._id}` });
+
+    if (paymentIntent.status !== 'requires_capture') {
+      throw createDepositError(`Authorization ${paymentIntent.status.replace(/_/g, ' ')}.`);
+    }
+
+    deposit.status = 'authorized';
+    deposit.paymentIntentId = paymentIntent.id;
+    deposit.authorizedAt = new Date();
+    deposit.lastError = undefined;
+  } catch (error) {
+    deposit.status = 'failed';
+    deposit.lastError = error.message;
+    console.error(`Security deposit for booking ${booking.bookingId} failed:`, error.message);
+  }
+};
+
+/**
+ * Release an uncaptured security deposit (the caller saves the booking).
+ * Deposits not authorized yet are simply cancelled.
+ */
+const releaseSecurityDeposit = async (booking) => {
+  const deposit = booking.payment?.securityDeposit;
+  if (!deposit || !deposit.status) return booking;
+
+  if (deposit.status === 'scheduled') {
+    deposit.status = 'cancelled';
+  } else if (deposit.status === 'authorized') {
+    await stripe.paymentIntents.cancel(deposit.paymentIntentId);
+    deposit.status = 'released';
+    deposit.releasedAt = new Date();
+  }
+  return booking;
+};
+
+/**
+ * Security deposit jobs (scheduled): authorize deposits of rentals starting soon,
+ * and release those the vendor left uncaptured before the authorization expires
+ * @returns {Object} { authorized, failed, released }
+ */
+const processSecurityDeposits = async () => {
+  const now = new Date();
+  let authorized = 0;
+  let failed = 0;
+  let released = 0;
+
+  const upcoming = await Booking.find({
+    status: { $in: ['pending', 'confirmed'] },
+    'payment.securityDeposit.status': 'scheduled',
+    scheduledDateTime: { $lte: new Date(now.getTime() + SECURITY_DEPOSIT_LEAD_MS) }
+  });
+  for (const booking of upcoming) {
+    await authorizeSecurityDeposit(booking);
+    await booking.save();
+    if (booking.payment.securityDeposit.status === 'authorized') authorized++;
+    else failed++;
+  }
+
+  const expiring = await Booking.find({
+    'payment.securityDeposit.status': 'authorized',
+    'payment.securityDeposit.authorizedAt': { $lte: new Date(now.getTime() - SECURITY_DEPOSIT_RELEASE_MS) }
+  });
+  for (const booking of expiring) {
+    try {
+      await releaseSecurityDeposit(booking);
+      await booking.save();
+      released++;
+    } catch (error) {
+      console.error(`Could not release security deposit for booking ${booking.bookingId}:`, error.message);
+    }
+  }
+
+  if (authorized > 0 || failed > 0 || released > 0) {
+    console.log(`Security deposits: ${authorized} authorized, ${failed} failed, ${released} released`);
+  }
+  return { authorized, failed, released };
+};
+
+/**
+ * Record a captured security deposit (capture endpoint and webhook; idempotent)
+ * @param {Object} paymentIntent - The captured payment intent
+ */
+const recordSecurityDepositCapture = async (paymentIntent) => {
+  const booking = await Booking.findOne({ 'payment.securityDeposit.paymentIntentId': paymentIntent.id });
+  if (!booking) {
+    throw new Error(`No booking holds security deposit ${paymentIntent.id}`);
+  }
+
+  const deposit = booking.payment.securityDeposit;
+  if (deposit.status !== 'captured') {
+    deposit.status = 'captured';
+    deposit.capturedAmount = roundCurrency(paymentIntent.amount_received / 100 / (booking.payment.exchangeRate || 1));
+    deposit.capturedAt = new Date();
+    await booking.save();
+  }
+
+  await ledgerService.recordSecurityDepositCapture(booking);
+  return booking;
+};
+
+const findVendorDeposit = async (bookingId, vendorId) => {
+  const booking = await Booking.findOne({ _id: bookingId, vendor: vendorId });
+  if (!booking) {
+    throw createDepositError('Booking not found.', 404);
+  }
+  if (booking.payment?.securityDeposit?.status !== 'authorized') {
+    throw createDepositError(`No security deposit is held for this booking (${booking.payment?.securityDeposit?.status || 'none'}).`);
+  }
+  return booking;
+};
+
+/**
+ * Vendor keeps part or all of a held security deposit (damage, fuel, late return)
+ * @param {Number} amount - USD, up to the held amount
+ */
+const captureSecurityDeposit = async (bookingId, vendorId, { amount, reason }) => {
+  const booking = await findVendorDeposit(bookingId, vendorId);
+  const deposit = booking.payment.securityDeposit;
+
+  const capture = roundCurrency(Number(amount));
+  if (!(capture > 0) || capture > deposit.amount) {
+    throw createDepositError(`Amount must be between 0.01 and ${deposit.amount.toFixed(2)}.`);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw createDepositError('A reason is required to keep a security deposit.');
+  }
+
+  deposit.captureReason = String(reason).trim();
+  await booking.save();
+
+  const paymentIntent = await stripe.paymentIntents.capture(deposit.paymentIntentId, {
+    amount_to_capture: currencyService.toMinorUnits(currencyService.convertFromUSD(capture, booking.payment.exchangeRate || 1))
+  }, { idempotencyKey: `security-deposit-capture-${booking._id}` });
+
+  return recordSecurityDepositCapture(paymentIntent);
+};
+
+/**
+ * Vendor releases a held security deposit in full
+ */
+const releaseVendorSecurityDeposit = async (bookingId, vendorId) => {
+  const booking = await findVendorDeposit(bookingId, vendorId);
+  await releaseSecurityDeposit(booking);
+  return booking.save();
+};
+
+/**
+ * Deposit, installments and security deposit of the customer's booking
+ */
+const getPaymentSchedule = async (bookingId, userId) => {
+  const booking = await Booking.findOne({ _id: bookingId, customer: userId })
+    .select('bookingId pricing.totalAmount payment scheduledDateTime status');
+  if (!booking) {
+    throw createDepositError('Booking not found.', 404);
+  }
+
+  const installments = booking.payment.installments || [];
+  const outstanding = installments
+    .filter(installment => ['pending', 'overdue'].includes(installment.status))
+    .reduce((sum, installment) => sum + installment.amount, 0);
+
+  return {
+    bookingId: booking.bookingId,
+    status: booking.payment.status,
+    totalAmount: booking.pricing.totalAmount,
+    depositAmount: booking.payment.depositAmount || null,
+    outstandingAmount: roundCurrency(outstanding),
+    currency: booking.payment.currency,
+    installments: installments.map(installment => ({
+      _id: installment._id,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+      status: installment.status,
+      paidAt: installment.paidAt,
+      lastError: installment.status === 'overdue' ? installment.lastError : undefined
+    })),
+    securityDeposit: booking.payment.securityDeposit?.status
+      ? {
+        amount: booking.payment.securityDeposit.amount,
+        status: booking.payment.securityDeposit.status,
+        capturedAmount: booking.payment.securityDeposit.capturedAmount,
+        captureReason: booking.payment.securityDeposit.captureReason
+      }
+      : null
+  };
+};
+
+module.exports = {
+  RENTAL_CATEGORIES,
+  resolveSavedPaymentMethod,
+  buildPaymentPlan,
+  encodePaymentPlan,
+  decodePaymentPlan,
+  getSecurityDepositAmount,
+  toBookingPayment,
+  hasOutstandingInstallments,
+  chargeDueInstallments,
+  createInstallmentPaymentIntent,
+  recordInstallmentPayment,
+  cancelOutstandingInstallments,
+  releaseSecurityDeposit,
+  processSecurityDeposits,
+  recordSecurityDepositCapture,
+  captureSecurityDeposit,
+  releaseVendorSecurityDeposit,
+  getPaymentSchedule
+};
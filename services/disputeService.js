@@ -0,0 +1,594 @@
+// services/disputeService.js
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Dispute = require('../models/Dispute');
+const Booking = require('../models/Booking');
+const SplitPayment = require('../models/SplitPayment');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const SupportTicket = require('../models/SupportTicket');
+const Notification = require('../models/Notification');
+const ledgerService = require('./ledgerService');
+const { resolvePolicy } = require('./refundService');
+const { sendDisputeClawbackEmail } = require('../controllers/emailService');
+
+// Stripe accepts at most 20,000 characters in each text evidence field
+const EVIDENCE_TEXT_LIMIT = 20000;
+// Text evidence fields assembled here and editable by admins before submitting
+const EVIDENCE_FIELDS = [
+  'customer_name',
+  'customer_email_address',
+  'customer_purchase_ip',
+  'product_description',
+  'service_date',
+  'cancellation_policy_disclosure',
+  'refund_policy_disclosure',
+  'cancellation_rebuttal',
+  'refund_refusal_explanation',
+  'access_activity_log',
+  'customer_communication_text',
+  'uncategorized_text'
+];
+// customer_communication is a file upload at Stripe; the assembled text is sent as uncategorized_text
+const STRIPE_TEXT_FIELDS = EVIDENCE_FIELDS.filter(field => field !== 'customer_communication_text');
+const CLOSED_STATUSES = ['won', 'lost', 'warning_closed'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createDisputeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const truncate = (text) => (text && text.length > EVIDENCE_TEXT_LIMIT ? `${text.substring(0, EVIDENCE_TEXT_LIMIT - 3)}...` : text);
+const formatDate = (date) => (date ? new Date(date).toISOString().replace('T', ' ').substring(0, 16) : 'unknown');
+
+// Card part of a booking paid at checkout (the rest was credits or later installments)
+const checkoutCardAmount = (booking) => roundCurrency((booking.pricing?.totalAmount || 0)
+  - (booking.payment?.creditAmount || 0)
+  - (booking.payment?.giftCardAmount || 0)
+  - (booking.payment?.installments || []).reduce((sum, installment) => sum + (installment.amount || 0), 0)
+  - (booking.payment?.extraCharges || []).reduce((sum, charge) => sum + (charge.amount || 0), 0));
+
+/**
+ * Bookings paid by a charge: a checkout (one booking, or several for a cart), an installment,
+ * a booking change, a captured security deposit or one share of a group booking
+ * @returns {Object} { parts: [{ booking, amount }], exchangeRate }
+ */
+const findChargeBookings = async (paymentIntentId) => {
+  const checkout = await Booking.find({ 'payment.transactionId': paymentIntentId });
+  if (checkout.length > 0) {
+    return {
+      parts: checkout.map(booking => ({ booking, amount: checkoutCardAmount(booking) })),
+      exchangeRate: checkout[0].payment.exchangeRate || 1
+    };
+  }
+
+  const installmentBooking = await Booking.findOne({ 'payment.installments.paymentIntentId': paymentIntentId });
+  if (installmentBooking) {
+    const installment = installmentBooking.payment.installments.find(entry => entry.paymentIntentId === paymentIntentId);
+    return {
+      parts: [{ booking: installmentBooking, amount: installment.amount }],
+      exchangeRate: installmentBooking.payment.exchangeRate || 1
+    };
+  }
+
+  const changeBooking = await Booking.findOne({ 'payment.extraCharges.paymentIntentId': paymentIntentId });
+  if (changeBooking) {
+    const charge = changeBooking.payment.extraCharges.find(entry => entry.paymentIntentId === paymentIntentId);
+    return {
+      parts: [{ booking: changeBooking, amount: charge.amount }],
+      exchangeRate: changeBooking.payment.exchangeRate || 1
+    };
+  }
+
+  const depositBooking = await Booking.findOne({ 'payment.securityDeposit.paymentIntentId': paymentIntentId });
+  if (depositBooking) {
+    return {
+      parts: [{ booking: depositBooking, amount: depositBooking.payment.securityDeposit.capturedAmount || 0 }],
+      exchangeRate: depositBooking.payment.exchangeRate || 1
+    };
+  }
+
+  const split = await SplitPayment.findOne({ 'shares.paymentIntentId': paymentIntentId });
+  if (split?.booking) {
+    const share = split.shares.find(entry => entry.paymentIntentId === paymentIntentId);
+    const booking = await Booking.findById(split.booking);
+    if (booking) {
+      return { parts: [{ booking, amount: share.amount }], exchangeRate: share.exchangeRate || 1 };
+    }
+  }
+
+  return { parts: [], exchangeRate: 1 };
+};
+
+/**
+ * Split the disputed amount across the bookings in proportion to their card amounts (in cents)
+ */
+const allocate = (amount, parts) => {
+  const total = parts.reduce((sum, part) => sum + part.amount, 0);
+  const cents = Math.round(amount * 100);
+  let left = cents;
+
+  return parts.map((part, index) => {
+    const share = index === parts.length - 1
+      ? left
+      : Math.min(left, Math.floor(total > 0 ? cents * part.amount / total : cents / parts.length));
+    left -= share;
+    return { booking: part.booking._id, vendor: part.booking.vendor, amount: share / 100 };
+  });
+};
+
+const describePolicy = (booking, service) => {
+  const policy = resolvePolicy(booking, service);
+  if (policy.rules.length === 0) {
+    return `${policy.name} policy: bookings are not refundable once paid.`;
+  }
+  const rules = policy.rules.map(rule => {
+    const fee = rule.fee > 0 ? ` less a $${rule.fee.toFixed(2)} fee` : '';
+    return `cancelled at least ${rule.hoursBefore} hours before the service: ${rule.refundPercentage}% refunded${fee}`;
+  });
+  return `${policy.name} policy shown at checkout. Bookings ${rules.join('; ')}. Later cancellations and no-shows are not refunded.`;
+};
+
+const describeBooking = (booking) => {
+  const service = booking.service || {};
+  const type = [booking.serviceType, booking.category].filter(Boolean).join(' - ');
+  return `Booking ${booking.bookingId}: ${service.name || 'service'} (${type}) for ${booking.passengers?.total || 1} guest(s) ` +
+    `on ${formatDate(booking.scheduledDateTime)}, total $${(booking.pricing?.totalAmount || 0).toFixed(2)}, ` +
+    `status ${booking.status}.`;
+};
+
+/**
+ * Messages, support tickets and booking notifications exchanged with the customer since the booking
+ */
+const collectCommunications = async (booking) => {
+  const customerId = booking.customer?._id || booking.customer;
+  const vendorId = booking.vendor?._id || booking.vendor;
+  if (!customerId) return { messages: [], supportTickets: [], notifications: [] };
+
+  const [messages, supportTickets, notifications] = await Promise.all([
+    Message.find({
+      $or: [
+        { sender: customerId, recipient: vendorId },
+        { sender: vendorId, recipient: customerId }
+      ],
+      createdAt: { $gte: booking.createdAt }
+    }).sort({ createdAt: 1 }).limit(100).lean(),
+    SupportTicket.find({ user: customerId, createdAt: { $gte: booking.createdAt } }).sort({ createdAt: 1 }).limit(20).lean(),
+    Notification.find({ user: customerId, type: 'booking', createdAt: { $gte: booking.createdAt } }).sort({ createdAt: 1 }).limit(50).lean()
+  ]);
+
+  return {
+    messages: messages.map(message => ({
+      from: message.sender.toString() === customerId.toString() ? 'customer' : 'vendor',
+      content: message.content,
+      sentAt: message.createdAt
+    })),
+    supportTickets: supportTickets.map(ticket => ({
+      subject: ticket.subject,
+      message: ticket.message,
+      status: ticket.status,
+      createdAt: ticket.createdAt,
+      responses: (ticket.responses || []).map(response => ({ message: response.message, createdAt: response.createdAt }))
+    })),
+    notifications: notifications.map(notification => ({
+      title: notification.title,
+      message: notification.message,
+      sentAt: notification.createdAt
+    }))
+  };
+};
+
+/**
+ * Assemble the evidence for a dispute from its bookings
+ * @param {Object} dispute - Dispute document
+ * @returns {Object} { evidence (Stripe field names), bundle }
+ */
+const assembleEvidence = async (dispute) => {
+  const bookingIds = dispute.allocations.map(allocation => allocation.booking);
+  const bookings = await Booking.find({ _id: { $in: bookingIds } })
+    .populate('service', 'name serviceType category cancellationPolicy policies waivers')
+    .populate('customer', 'name email');
+  if (bookings.length === 0) {
+    return { evidence: {}, bundle: {} };
+  }
+
+  const primary = bookings.find(booking => booking._id.equals(dispute.booking)) || bookings[0];
+  const customer = primary.customer || {};
+  const communications = await collectCommunications(primary);
+
+  const activity = bookings.flatMap(booking => [
+    `${formatDate(booking.createdAt)} booking ${booking.bookingId} created` +
+      (booking.customerIP ? ` from IP ${booking.customerIP}` : '') +
+      (booking.userAgent ? ` (${booking.userAgent})` : ''),
+    ...(booking.waiverAcceptedAt ? [`${formatDate(booking.waiverAcceptedAt)} waivers accepted for ${booking.bookingId}`] : []),
+    ...booking.statusHistory.map(entry =>
+      `${formatDate(entry.timestamp)} ${booking.bookingId} ${entry.status}${entry.reason ? `: ${entry.reason}` : ''}`),
+    ...(booking.payment.refunds || []).map(refund =>
+      `${formatDate(refund.createdAt)} ${booking.bookingId} refunded $${(refund.amount || 0).toFixed(2)}${refund.reason ? `: ${refund.reason}` : ''}`)
+  ]);
+
+  const waivers = bookings.flatMap(booking => (booking.service?.waivers || []).map(waiver => ({
+    booking: booking.bookingId,
+    title: waiver.title,
+    url: waiver.url,
+    acceptedAt: booking.waiverAcceptedAt || null
+  })));
+
+  const communicationText = [
+    ...communications.messages.map(message => `${formatDate(message.sentAt)} ${message.from}: ${message.content}`),
+    ...communications.supportTickets.map(ticket => `${formatDate(ticket.createdAt)} support ticket "${ticket.subject}" (${ticket.status}): ${ticket.message}`),
+    ...communications.notifications.map(notification => `${formatDate(notification.sentAt)} notice sent: ${notification.title} - ${notification.message}`)
+  ].join('\n');
+
+  const cancelled = bookings.filter(booking => booking.status === 'cancelled');
+  const rebuttal = cancelled.map(booking =>
+    `${booking.bookingId} was cancelled on ${formatDate(booking.cancellation?.cancelledAt)} ` +
+    `${booking.cancellation?.reason ? `(${booking.cancellation.reason}) ` : ''}` +
+    `and $${(booking.cancellation?.refundAmount || 0).toFixed(2)} was refunded under the cancellation policy ` +
+    `(${booking.cancellation?.policy?.refundPercentage ?? 0}% at ${booking.cancellation?.policy?.timeBeforeCancellation ?? '?'} hours before the service).`
+  ).join('\n');
+  const delivered = bookings.filter(booking => ['completed', 'reviewed', 'in-progress'].includes(booking.status));
+
+  const evidence = {
+    customer_name: customer.name || undefined,
+    customer_email_address: customer.email || undefined,
+    customer_purchase_ip: primary.customerIP || undefined,
+    product_description: truncate(bookings.map(describeBooking).join('\n')),
+    service_date: primary.scheduledDateTime ? new Date(primary.scheduledDateTime).toISOString().split('T')[0] : undefined,
+    cancellation_policy_disclosure: truncate(describePolicy(primary, primary.service)),
+    refund_policy_disclosure: truncate(describePolicy(primary, primary.service)),
+    cancellation_rebuttal: truncate(rebuttal) || undefined,
+    refund_refusal_explanation: delivered.length > 0
+      ? truncate(`The service was provided: ${delivered.map(booking => `${booking.bookingId} is ${booking.status}`).join(', ')}.`)
+      : undefined,
+    access_activity_log: truncate(activity.join('\n')),
+    customer_communication_text: truncate(communicationText) || undefined,
+    uncategorized_text: truncate([
+      waivers.length > 0
+        ? `Waivers: ${waivers.map(waiver => `${waiver.title}${waiver.acceptedAt ? ` accepted ${formatDate(waiver.acceptedAt)}` : ''}`).join('; ')}`
+        : '',
+      communicationText ? `Communications with the customer:\n${communicationText}` : ''
+    ].filter(Boolean).join('\n\n')) || undefined
+  };
+  Object.keys(evidence).forEach(field => evidence[field] === undefined && delete evidence[field]);
+
+  const bundle = {
+    bookings: bookings.map(booking => ({
+      _id: booking._id,
+      bookingId: booking.bookingId,
+      service: booking.service?.name,
+      serviceType: booking.serviceType,
+      scheduledDateTime: booking.scheduledDateTime,
+      status: booking.status,
+      statusHistory: booking.statusHistory,
+      pricing: booking.pricing,
+      payment: {
+        status: booking.payment.status,
+        transactionId: booking.payment.transactionId,
+        currency: booking.payment.currency,
+        chargedAmount: booking.payment.chargedAmount,
+        refundAmount: booking.payment.refundAmount,
+        refunds: booking.payment.refunds
+      },
+      cancellation: booking.cancellation,
+      customerIP: booking.customerIP,
+      userAgent: booking.userAgent,
+      createdAt: booking.createdAt
+    })),
+    waivers,
+    communications
+  };
+
+  return { evidence, bundle };
+};
+
+/**
+ * Tell each vendor what the dispute takes from (or gives back to) their settlement
+ * @param {String} event - 'withdrawn' or 'reinstated'
+ */
+const notifyVendors = async (dispute, event) => {
+  for (const allocation of dispute.allocations) {
+    try {
+      const [vendor, booking] = await Promise.all([
+        User.findById(allocation.vendor).select('name email businessProfile.businessName'),
+        Booking.findById(allocation.booking).select('bookingId')
+      ]);
+      if (!vendor) continue;
+
+      const amount = `$${allocation.amount.toFixed(2)}`;
+      const message = event === 'withdrawn'
+        ? `The customer disputed the card payment for booking ${booking?.bookingId}. ${amount} will be deducted from your next payout while the dispute is open.`
+        : `The dispute on booking ${booking?.bookingId} was resolved in your favour. ${amount} will be added back to your next payout.`;
+
+      await Notification.create({
+        user: vendor._id,
+        type: 'booking',
+        title: event === 'withdrawn' ? 'Payment disputed' : 'Dispute won',
+        message
+      });
+      await sendDisputeClawbackEmail(vendor.email, {
+        vendorName: vendor.businessProfile?.businessName || vendor.name,
+        bookingId: booking?.bookingId,
+        amount: allocation.amount,
+        reinstated: event === 'reinstated'
+      });
+    } catch (error) {
+      console.error(`Dispute notice to vendor ${allocation.vendor} failed:`, error.message);
+    }
+  }
+};
+
+const notifyAdmins = async (dispute, bookingId) => {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    await Notification.insertMany(admins.map(admin => ({
+      user: admin._id,
+      type: 'system',
+      title: 'New payment dispute',
+      message: `A $${dispute.amount.toFixed(2)} dispute (${dispute.reason || 'no reason given'}) was opened` +
+        `${bookingId ? ` on booking ${bookingId}` : ''}. Evidence is due by ${formatDate(dispute.evidenceDueBy)}.`
+    })));
+  } catch (error) {
+    console.error('Dispute notice to admins failed:', error.message);
+  }
+};
+
+/**
+ * Create or update our copy of a Stripe dispute (charge.dispute.created / updated / closed).
+ * New disputes get their evidence assembled straight away.
+ * @param {Object} stripeDispute - The dispute object from the event
+ * @returns {Object} Dispute document
+ */
+const syncDispute = async (stripeDispute) => {
+  const paymentIntentId = typeof stripeDispute.payment_intent === 'string'
+    ? stripeDispute.payment_intent
+    : stripeDispute.payment_intent?.id;
+
+  const fields = {
+    status: stripeDispute.status,
+    reason: stripeDispute.reason,
+    disputedAmount: stripeDispute.amount / 100,
+    currency: (stripeDispute.currency || 'usd').toUpperCase(),
+    ...(stripeDispute.evidence_details?.due_by && { evidenceDueBy: new Date(stripeDispute.evidence_details.due_by * 1000) }),
+    ...(CLOSED_STATUSES.includes(stripeDispute.status) && { closedAt: new Date() })
+  };
+
+  let dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+  if (dispute) {
+    if (dispute.closedAt && fields.closedAt) delete fields.closedAt;
+    Object.assign(dispute, fields);
+    return dispute.save();
+  }
+
+  const { parts, exchangeRate } = paymentIntentId ? await findChargeBookings(paymentIntentId) : { parts: [], exchangeRate: 1 };
+  const amount = roundCurrency(stripeDispute.amount / 100 / exchangeRate);
+  const primary = parts[0]?.booking || null;
+
+  try {
+    dispute = await Dispute.create({
+      stripeDisputeId: stripeDispute.id,
+      chargeId: typeof stripeDispute.charge === 'string' ? stripeDispute.charge : stripeDispute.charge?.id,
+      paymentIntentId,
+      booking: primary?._id || null,
+      customer: primary?.customer || null,
+      allocations: allocate(amount, parts),
+      amount,
+      ...fields
+    });
+  } catch (error) {
+    // Created concurrently by a replay of the same event
+    if (error.code === 11000) return Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+    throw error;
+  }
+
+  if (!primary) {
+    console.warn(`Dispute ${stripeDispute.id}: no booking found for payment ${paymentIntentId}`);
+  }
+
+  const { evidence, bundle } = await assembleEvidence(dispute);
+  dispute.evidence = evidence;
+  dispute.bundle = bundle;
+  dispute.evidenceAssembledAt = new Date();
+  await dispute.save();
+
+  await notifyAdmins(dispute, primary?.bookingId);
+  return dispute;
+};
+
+const feeOf = (stripeDispute) => roundCurrency((stripeDispute.balance_transactions || [])
+  .reduce((sum, transaction) => sum + (transaction.fee || 0), 0) / 100);
+
+/**
+ * charge.dispute.funds_withdrawn: Stripe took the disputed funds (and its fee) from the platform;
+ * each vendor's part comes out of their next payout
+ */
+const recordFundsWithdrawn = async (stripeDispute) => {
+  const existing = await syncDispute(stripeDispute);
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: existing._id, fundsWithdrawnAt: null },
+    { $set: { fundsWithdrawnAt: new Date(), disputeFee: feeOf(stripeDispute) } },
+    { new: true }
+  );
+  if (!dispute) return existing;
+
+  await ledgerService.recordChargeback(dispute);
+  await ledgerService.recordDisputeFee(dispute);
+  await notifyVendors(dispute, 'withdrawn');
+  return dispute;
+};
+
+/**
+ * charge.dispute.funds_reinstated: the dispute was won and the funds came back
+ */
+const recordFundsReinstated = async (stripeDispute) => {
+  const existing = await syncDispute(stripeDispute);
+  const dispute = await Dispute.findOneAndUpdate(
+    { _id: existing._id, fundsWithdrawnAt: { $ne: null }, fundsReinstatedAt: null },
+    { $set: { fundsReinstatedAt: new Date() } },
+    { new: true }
+  );
+  if (!dispute) return existing;
+
+  await ledgerService.recordChargebackReversal(dispute);
+  await notifyVendors(dispute, 'reinstated');
+  return dispute;
+};
+
+/**
+ * Disputes for the admin review queue, most urgent first
+ * @param {Object} filters - { status, page, limit }
+ */
+const getDisputes = async ({ status, page = 1, limit = 20 } = {}) => {
+  const query = {};
+  if (status === 'open') {
+    query.status = { $nin: CLOSED_STATUSES };
+  } else if (status && status !== 'all') {
+    query.status = status;
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [disputes, total] = await Promise.all([
+    Dispute.find(query)
+      .sort({ evidenceDueBy: 1, createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('-bundle')
+      .populate('booking', 'bookingId serviceType scheduledDateTime status')
+      .populate('customer', 'name email')
+      .lean(),
+    Dispute.countDocuments(query)
+  ]);
+
+  return {
+    disputes,
+    pagination: { total, page: pageNumber, limit: pageSize, pages: Math.ceil(total / pageSize) }
+  };
+};
+
+const getDispute = async (disputeId) => {
+  const dispute = await Dispute.findById(disputeId)
+    .populate('booking', 'bookingId serviceType scheduledDateTime status')
+    .populate('customer', 'name email')
+    .populate('allocations.vendor', 'name email businessProfile.businessName');
+  if (!dispute) {
+    throw createDisputeError('Dispute not found.', 404);
+  }
+  return dispute;
+};
+
+const assertEditable = (dispute) => {
+  if (CLOSED_STATUSES.includes(dispute.status)) {
+    throw createDisputeError(`This dispute is closed (${dispute.status}).`);
+  }
+  if (dispute.evidenceSubmittedAt) {
+    throw createDisputeError('Evidence has already been submitted for this dispute.');
+  }
+};
+
+/**
+ * Edit evidence fields before submitting (an empty value removes the field)
+ * @param {Object} changes - { field: text } using Stripe evidence field names
+ */
+const updateEvidence = async (disputeId, changes = {}) => {
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw createDisputeError('Dispute not found.', 404);
+  }
+  assertEditable(dispute);
+
+  const unknown = Object.keys(changes).filter(field => !EVIDENCE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw createDisputeError(`Unknown evidence field(s): ${unknown.join(', ')}. Allowed: ${EVIDENCE_FIELDS.join(', ')}`);
+  }
+
+  const evidence = { ...(dispute.evidence || {}) };
+  Object.keys(changes).forEach(field => {
+    const value = changes[field] == null ? '' : String(changes[field]).trim();
+    if (value.length > EVIDENCE_TEXT_LIMIT) {
+      throw createDisputeError(`${field} is limited to ${EVIDENCE_TEXT_LIMIT} characters.`);
+    }
+    if (value) evidence[field] = value;
+    else delete evidence[field];
+  });
+
+  dispute.evidence = evidence;
+  return dispute.save();
+};
+
+/**
+ * Rebuild the evidence from the bookings (discards manual edits)
+ */
+const reassembleEvidence = async (disputeId) => {
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw createDisputeError('Dispute not found.', 404);
+  }
+  assertEditable(dispute);
+
+  const { evidence, bundle } = await assembleEvidence(dispute);
+  dispute.evidence = evidence;
+  dispute.bundle = bundle;
+  dispute.evidenceAssembledAt = new Date();
+  return dispute.save();
+};
+
+/**
+ * Send the evidence to Stripe and submit it for review
+ */
+const submitEvidence = async (disputeId, userId) => {
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw createDisputeError('Dispute not found.', 404);
+  }
+  assertEditable(dispute);
+
+  const evidence = {};
+  STRIPE_TEXT_FIELDS.forEach(field => {
+    if (dispute.evidence?.[field]) evidence[field] = dispute.evidence[field];
+  });
+  if (Object.keys(evidence).length === 0) {
+    throw createDisputeError('There is no evidence to submit.');
+  }
+
+  const updated = await stripe.disputes.update(dispute.stripeDisputeId, { evidence, submit: true });
+
+  dispute.status = updated.status;
+  dispute.evidenceSubmittedAt = new Date();
+  dispute.submittedBy = userId;
+  return dispute.save();
+};
+
+/**
+ * Accept the dispute (no evidence is sent); the funds stay with the customer
+ */
+const acceptDispute = async (disputeId) => {
+  const dispute = await Dispute.findById(disputeId);
+  if (!dispute) {
+    throw createDisputeError('Dispute not found.', 404);
+  }
+  if (CLOSED_STATUSES.includes(dispute.status)) {
+    throw createDisputeError(`This dispute is closed (${dispute.status}).`);
+  }
+
+  const closed = await stripe.disputes.close(dispute.stripeDisputeId);
+  dispute.status = closed.status;
+  dispute.closedAt = new Date();
+  return dispute.save();
+};
+
+module.exports = {
+  EVIDENCE_FIELDS,
+  syncDispute,
+  recordFundsWithdrawn,
+  recordFundsReinstated,
+  getDisputes,
+  getDispute,
+  updateEvidence,
+  reassembleEvidence,
+  submitEvidence,
+  acceptDispute
+};
@@ -0,0 +1,606 @@
+// services/giftCardService.js
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const GiftCard = require('../models/GiftCard');
+const Service = require('../models/Service');
+const pricingService = require('./pricingService');
+const currencyService = require('./currencyService');
+const ledgerService = require('./ledgerService');
+const { sendGiftCardEmail } = require('../controllers/emailService');
+
+const MIN_AMOUNT = 10;
+const MAX_AMOUNT = 2000;
+// Stripe needs at least $0.50 left on the card after a gift card is applied
+const MIN_CARD_AMOUNT = 0.5;
+const MAX_DELIVERY_ATTEMPTS = 5;
+const MAX_SCHEDULE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// No 0/O or 1/I, so codes read back over the phone without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const getExpiryMonths = () => parseInt(process.env.GIFT_CARD_EXPIRY_MONTHS, 10) || 24;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createGiftCardError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const generateCode = () => Array.from({ length: 4 }, () =>
+  Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('')
+).join('-');
+
+// Accept codes typed in lower case, with spaces or without dashes
+const normalizeCode = (code) => {
+  const raw = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return raw.length === 16 ? raw.match(/.{4}/g).join('-') : null;
+};
+
+const isUsable = (giftCard, now = new Date()) =>
+  giftCard.status === 'active' && giftCard.expiresAt > now && giftCard.balance > 0;
+
+/**
+ * Value of an experience voucher: today's price of the Activity option for the party size
+ */
+const quoteExperience = async (activityId, optionId, numPeople) => {
+  const activity = await Service.findById(activityId).lean();
+  if (!activity || activity.serviceType !== 'Activity') {
+    throw createGiftCardError('Activity not found.', 404);
+  }
+  const option = (activity.options || []).find(entry => entry._id.toString() === String(optionId));
+  if (!option) {
+    throw createGiftCardError('Please select an option for this activity.');
+  }
+
+  const quote = await pricingService.quoteItem(activity, { optionId: option._id, numPeople });
+  return {
+    amount: roundCurrency(quote.totalPrice),
+    experience: {
+      activity: activity._id,
+      optionId: option._id,
+      title: `${activity.name} - ${option.title}`,
+      numPeople
+    }
+  };
+};
+
+/**
+ * Start a gift card purchase: the card is created pending and a payment intent is returned.
+ * It becomes usable (and is scheduled for delivery) when the payment succeeds.
+ * @param {Object} data - { amount | activityId + optionId + numPeople, recipientName, recipientEmail,
+ *                          message, deliverAt, purchaserName, purchaserEmail, currency }
+ * @param {Object} user - Signed-in purchaser, if any
+ * @returns {Object} { clientSecret, paymentIntentId, giftCardId, amount, currency, exchangeRate, amountDueInCurrency }
+ */
+const startPurchase = async (data, user = null) => {
+  const purchaserEmail = (data.purchaserEmail || user?.email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(purchaserEmail)) {
+    throw createGiftCardError('A valid purchaser email is required.');
+  }
+  const recipientEmail = (data.recipientEmail || purchaserEmail).trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(recipientEmail)) {
+    throw createGiftCardError('Recipient email is not valid.');
+  }
+
+  let deliverAt = null;
+  if (data.deliverAt) {
+    deliverAt = new Date(data.deliverAt);
+    if (isNaN(deliverAt)) {
+      throw createGiftCardError('Delivery date is not valid.');
+    }
+    if (deliverAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * DAY_MS)) {
+      throw createGiftCardError(`Delivery can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead.`);
+    }
+  }
+
+  let amount;
+  let experience = null;
+  if (data.activityId) {
+    const numPeople = Math.max(1, parseInt(data.numPeople, 10) || 1);
+    ({ amount, experience } = await quoteExperience(data.activityId, data.optionId, numPeople));
+  } else {
+    amount = roundCurrency(Number(data.amount));
+    if (!(amount >= MIN_AMOUNT && amount <= MAX_AMOUNT)) {
+      throw createGiftCardError(`Gift card amount must be between $${MIN_AMOUNT} and $${MAX_AMOUNT}.`);
+    }
+  }
+
+  // Codes are random; a collision on the unique index just draws again
+  let giftCard;
+  for (let attempt = 0; !giftCard; attempt++) {
+    try {
+      const expiresAt = new Date(deliverAt && deliverAt > new Date() ? deliverAt : Date.now());
+      expiresAt.setMonth(expiresAt.getMonth() + getExpiryMonths());
+
+      giftCard = await GiftCard.create({
+        code: generateCode(),
+        kind: experience ? 'experience' : 'amount',
+        experience,
+        initialAmount: amount,
+        balance: 0,
+        expiresAt,
+        purchaser: user?.id || null,
+        purchaserName: data.purchaserName || user?.name,
+        purchaserEmail,
+        recipientName: data.recipientName,
+        recipientEmail,
+        message: data.message ? String(data.message).substring(0, 1000) : undefined,
+        deliverAt
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+
+  const fx = await currencyService.getRate(data.currency);
+  const chargedAmount = currencyService.convertFromUSD(amount, fx.rate);
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: currencyService.toMinorUnits(chargedAmount),
+      currency: fx.currency.toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      receipt_email: purchaserEmail,
+      description: experience ? `Experience voucher: ${experience.title}` : `Gift card $${amount.toFixed(2)}`,
+      metadata: {
+        bookingType: 'gift_card',
+        giftCardId: giftCard._id.toString(),
+        currency: fx.currency,
+        exchangeRate: fx.rate.toString()
+      }
+    });
+  } catch (error) {
+    await GiftCard.deleteOne({ _id: giftCard._id });
+    throw error;
+  }
+
+  giftCard.paymentIntentId = paymentIntent.id;
+  giftCard.currency = fx.currency;
+  giftCard.exchangeRate = fx.rate;
+  giftCard.chargedAmount = chargedAmount;
+  await giftCard.save();
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    giftCardId: giftCard._id,
+    amount,
+    experience: experience ? experience.title : null,
+    currency: fx.currency,
+    exchangeRate: fx.rate,
+    amountDueInCurrency: chargedAmount
+  };
+};
+
+/**
+ * Send the gift card to its recipient
+ */
+const deliver = async (giftCard) => {
+  try {
+    await sendGiftCardEmail(giftCard.recipientEmail, {
+      recipientName: giftCard.recipientName,
+      senderName: giftCard.purchaserName,
+      code: giftCard.code,
+      amount: giftCard.initialAmount,
+      experience: giftCard.experience?.title,
+      message: giftCard.message,
+      expiresAt: giftCard.expiresAt
+    });
+    await GiftCard.updateOne(
+      { _id: giftCard._id },
+      { $set: { deliveredAt: new Date(), lastDeliveryError: null }, $inc: { deliveryAttempts: 1 } }
+    );
+    return true;
+  } catch (error) {
+    console.error(`Gift card ${giftCard._id} delivery failed:`, error.message);
+    await GiftCard.updateOne(
+      { _id: giftCard._id },
+      { $set: { lastDeliveryError: error.message }, $inc: { deliveryAttempts: 1 } }
+    );
+    return false;
+  }
+};
+
+/**
+ * payment_intent.succeeded for a gift card purchase: activate it and deliver it now
+ * unless a later send date was chosen
+ * @param {Object} paymentIntent
+ */
+const recordPurchasePayment = async (paymentIntent) => {
+  const paidAt = new Date();
+  const pending = await GiftCard.findById(paymentIntent.metadata.giftCardId);
+  if (!pending) {
+    throw new Error(`Gift card ${paymentIntent.metadata.giftCardId} not found for payment ${paymentIntent.id}`);
+  }
+
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { _id: pending._id, status: 'pending' },
+    {
+      $set: { status: 'active', balance: pending.initialAmount, paidAt },
+      $push: {
+        transactions: {
+          type: 'purchase',
+          amount: pending.initialAmount,
+          balanceAfter: pending.initialAmount,
+          key: `purchase:${paymentIntent.id}`,
+          paymentIntentId: paymentIntent.id,
+          description: 'Gift card purchased'
+        }
+      }
+    },
+    { new: true }
+  );
+  // Already activated by an earlier delivery of the event
+  if (!giftCard) return { gift_card_id: pending._id, status: pending.status };
+
+  await ledgerService.recordGiftCardSale(giftCard);
+  if (!giftCard.deliverAt || giftCard.deliverAt <= paidAt) {
+    await deliver(giftCard);
+  }
+
+  return { gift_card_id: giftCard._id, status: giftCard.status, scheduled_for: giftCard.deliverAt || null };
+};
+
+/**
+ * The purchase payment failed or was cancelled: the code is never issued
+ */
+const cancelPendingPurchase = async (paymentIntentId) => {
+  const result = await GiftCard.updateMany(
+    { paymentIntentId, status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Public balance lookup by code
+ */
+const getBalance = async (code) => {
+  const normalized = normalizeCode(code);
+  const giftCard = normalized ? await GiftCard.findOne({ code: normalized }).lean() : null;
+  if (!giftCard || ['pending', 'cancelled'].includes(giftCard.status)) {
+    throw createGiftCardError('Gift card not found.', 404);
+  }
+
+  return {
+    code: giftCard.code,
+    kind: giftCard.kind,
+    experience: giftCard.experience?.title || null,
+    activity: giftCard.experience?.activity || null,
+    initialAmount: giftCard.initialAmount,
+    balance: giftCard.status === 'active' && giftCard.expiresAt > new Date() ? giftCard.balance : 0,
+    status: giftCard.expiresAt <= new Date() ? 'expired' : giftCard.status,
+    expiresAt: giftCard.expiresAt
+  };
+};
+
+/**
+ * Take part (or all) of a gift card's balance as a checkout tender. Experience vouchers only
+ * pay for items of their activity. Call before creating the payment intent, then link the
+ * redemption with attachPaymentIntent.
+ * @param {String} code
+ * @param {Array} items - [{ service, amount }] checkout items with what is left to pay on each (USD)
+ * @returns {Object} { giftCard, transaction, amount, shares } - shares: amount taken per item
+ */
+const redeemForCheckout = async (code, items) => {
+  const normalized = normalizeCode(code);
+  const giftCard = normalized ? await GiftCard.findOne({ code: normalized }) : null;
+  if (!giftCard || ['pending', 'cancelled'].includes(giftCard.status)) {
+    throw createGiftCardError('Gift card not found.', 404);
+  }
+  if (!isUsable(giftCard)) {
+    throw createGiftCardError(giftCard.expiresAt <= new Date() || giftCard.status === 'expired'
+      ? 'This gift card has expired.'
+      : 'This gift card has no balance left.');
+  }
+
+  const activityId = giftCard.experience?.activity?.toString();
+  const eligible = items.map(item => (!activityId || String(item.service) === activityId ? Math.max(0, item.amount) : 0));
+  const eligibleTotal = eligible.reduce((sum, amount) => sum + amount, 0);
+  if (eligibleTotal <= 0) {
+    throw createGiftCardError(`This voucher can only be used for ${giftCard.experience.title}.`);
+  }
+
+  const checkoutTotal = items.reduce((sum, item) => sum + Math.max(0, item.amount), 0);
+  const amount = roundCurrency(Math.min(giftCard.balance, eligibleTotal, checkoutTotal - MIN_CARD_AMOUNT));
+  if (!(amount > 0)) {
+    return { giftCard, transaction: null, amount: 0, shares: items.map(() => 0) };
+  }
+
+  const updated = await GiftCard.findOneAndUpdate(
+    { _id: giftCard._id, status: 'active', expiresAt: { $gt: new Date() }, balance: giftCard.balance },
+    {
+      $set: { balance: roundCurrency(giftCard.balance - amount) },
+      $push: {
+        transactions: {
+          type: 'redeem',
+          amount: -amount,
+          balanceAfter: roundCurrency(giftCard.balance - amount),
+          checkoutStatus: 'pending',
+          description: 'Applied to checkout'
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw createGiftCardError('The gift card balance changed; please try again.', 409);
+  }
+
+  // Spread the amount over the eligible items in proportion to what is left on each, to the cent
+  const cents = Math.round(amount * 100);
+  let centsLeft = cents;
+  let lastEligible = -1;
+  eligible.forEach((value, index) => { if (value > 0) lastEligible = index; });
+  const shares = eligible.map((value, index) => {
+    if (value <= 0) return 0;
+    const share = index === lastEligible
+      ? centsLeft
+      : Math.min(centsLeft, Math.floor(cents * value / eligibleTotal));
+    centsLeft -= share;
+    return share / 100;
+  });
+
+  return {
+    giftCard: updated,
+    transaction: updated.transactions[updated.transactions.length - 1],
+    amount,
+    shares
+  };
+};
+
+const attachPaymentIntent = async (redemption, paymentIntentId) => {
+  if (!redemption?.transaction) return;
+  await GiftCard.updateOne(
+    { _id: redemption.giftCard._id, 'transactions._id': redemption.transaction._id },
+    { $set: { 'transactions.$.paymentIntentId': paymentIntentId, 'transactions.$.key': `checkout:${paymentIntentId}` } }
+  );
+};
+
+/**
+ * Put a balance change back once per key
+ */
+const restoreBalance = async (giftCardId, amount, details) => {
+  // Conditioned on the balance read, so concurrent changes retry instead of writing a stale balanceAfter
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const giftCard = await GiftCard.findOne({ _id: giftCardId, 'transactions.key': { $ne: details.key } });
+    if (!giftCard) return null;
+
+    const balanceAfter = roundCurrency(giftCard.balance + amount);
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: giftCardId, balance: giftCard.balance, 'transactions.key': { $ne: details.key } },
+      {
+        $set: { balance: balanceAfter },
+        $push: {
+          transactions: {
+            type: 'restore',
+            amount,
+            balanceAfter,
+            key: details.key,
+            paymentIntentId: details.paymentIntentId || null,
+            booking: details.booking || null,
+            description: details.description
+          }
+        }
+      },
+      { new: true }
+    );
+    if (updated) return updated;
+  }
+  throw new Error(`Could not restore gift card ${giftCardId} balance (${details.key})`);
+};
+
+/**
+ * Give back the balance taken for a checkout when the payment fails, is cancelled or never reaches Stripe
+ * @param {Object} redemption - From redeemForCheckout (or looked up by payment intent)
+ */
+const restoreCheckoutRedemption = async ({ redemption = null, paymentIntentId = null }) => {
+  let giftCardId = redemption?.giftCard?._id;
+  let transaction = redemption?.transaction;
+  if (!transaction && paymentIntentId) {
+    const giftCard = await GiftCard.findOne({ 'transactions.paymentIntentId': paymentIntentId });
+    transaction = giftCard?.transactions.find(entry => entry.type === 'redeem' && entry.paymentIntentId === paymentIntentId);
+    giftCardId = giftCard?._id;
+  }
+  if (!transaction) return null;
+
+  const restored = await restoreBalance(giftCardId, -transaction.amount, {
+    key: `restore:${transaction._id}`,
+    paymentIntentId: transaction.paymentIntentId,
+    description: 'Returned from an unsuccessful checkout'
+  });
+  await GiftCard.updateOne(
+    { _id: giftCardId, transactions: { $elemMatch: { _id: transaction._id, checkoutStatus: 'pending' } } },
+    { $set: { 'transactions.$.checkoutStatus': 'restored' } }
+  );
+  return restored;
+};
+
+/**
+ * Checkout redemptions still waiting on their payment
+ * @param {Object} filter - { code } for one gift card, { createdBefore } for checkouts left unpaid too long
+ * @returns {Array} [{ giftCard, transaction }]
+ */
+const getPendingCheckoutRedemptions = async ({ code = null, createdBefore = null } = {}) => {
+  const normalized = code ? normalizeCode(code) : null;
+  if (code && !normalized) return [];
+
+  const pending = { checkoutStatus: 'pending', ...(createdBefore && { createdAt: { $lt: createdBefore } }) };
+  const giftCards = await GiftCard.find({
+    ...(normalized && { code: normalized }),
+    transactions: { $elemMatch: pending }
+  }).limit(500);
+
+  return giftCards.flatMap(giftCard => giftCard.transactions
+    .filter(entry => entry.checkoutStatus === 'pending' && (!createdBefore || entry.createdAt < createdBefore))
+    .map(transaction => ({ giftCard, transaction })));
+};
+
+/**
+ * A payment can succeed after an earlier failed attempt gave the balance back: take it again
+ * (as far as the balance allows)
+ */
+const confirmCheckoutRedemption = async (paymentIntentId) => {
+  const found = await GiftCard.findOne({ 'transactions.paymentIntentId': paymentIntentId });
+  const redeem = found?.transactions.find(entry => entry.type === 'redeem' && entry.paymentIntentId === paymentIntentId);
+  if (!redeem) return found;
+
+  await GiftCard.updateOne(
+    { _id: found._id, 'transactions._id': redeem._id },
+    { $set: { 'transactions.$.checkoutStatus': 'confirmed' } }
+  );
+
+  // Conditioned on the balance read, so concurrent changes retry instead of writing a stale balanceAfter
+  const key = `respend:${redeem._id}`;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const giftCard = await GiftCard.findById(found._id);
+    const restored = giftCard.transactions.find(entry => entry.key === `restore:${redeem._id}`);
+    if (!restored || giftCard.transactions.some(entry => entry.key === key)) return giftCard;
+
+    const take = roundCurrency(Math.min(giftCard.balance, restored.amount));
+    if (take <= 0) return giftCard;
+
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: giftCard._id, balance: giftCard.balance, 'transactions.key': { $ne: key } },
+      {
+        $inc: { balance: -take },
+        $push: {
+          transactions: {
+            type: 'redeem',
+            amount: -take,
+            balanceAfter: roundCurrency(giftCard.balance - take),
+            key,
+            paymentIntentId,
+            description: 'Re-applied after a retried payment'
+          }
+        }
+      },
+      { new: true }
+    );
+    if (updated) return updated;
+  }
+  throw new Error(`Could not re-apply gift card ${found._id} balance (${key})`);
+};
+
+/**
+ * Give back the gift card value spent on a cart item that could not be booked
+ * @param {Object} share - { paymentIntentId, cartItem }
+ */
+const restoreUnbookedItemGiftCard = async (giftCardId, amount, { paymentIntentId, cartItem }) => {
+  if (!giftCardId || !(amount > 0)) return null;
+  return restoreBalance(giftCardId, roundCurrency(amount), {
+    key: `unbooked:${paymentIntentId}:${cartItem}`,
+    paymentIntentId,
+    description: 'Returned for an item that could not be booked'
+  });
+};
+
+/**
+ * Return the gift card value used on a cancelled booking, in proportion to the refund percentage
+ */
+const restoreBookingGiftCard = async (booking, refundPercentage) => {
+  const amount = roundCurrency((booking.payment?.giftCardAmount || 0) * refundPercentage / 100);
+  if (!(amount > 0) || !booking.payment?.giftCard) return null;
+
+  const key = `cancel:${booking._id}`;
+  const giftCard = await restoreBalance(booking.payment.giftCard, amount, {
+    key,
+    booking: booking._id,
+    description: `Returned for cancelled booking ${booking.bookingId}`
+  });
+  if (giftCard) {
+    await ledgerService.recordGiftCardRestore(booking, amount, `${booking.payment.giftCard}:${booking._id}`);
+  }
+  return giftCard ? amount : 0;
+};
+
+/**
+ * Scheduled job: email gift cards whose send date has come
+ */
+const deliverScheduledGiftCards = async () => {
+  const due = await GiftCard.find({
+    status: 'active',
+    deliveredAt: null,
+    deliverAt: { $lte: new Date() },
+    deliveryAttempts: { $lt: MAX_DELIVERY_ATTEMPTS }
+  }).limit(100);
+
+  let delivered = 0;
+  for (const giftCard of due) {
+    if (await deliver(giftCard)) delivered++;
+  }
+
+  if (delivered > 0) {
+    console.log(`Delivered ${delivered} scheduled gift card(s)`);
+  }
+  return delivered;
+};
+
+/**
+ * Scheduled job: expire gift cards past their expiry date; their unspent balance is written off
+ */
+const expireGiftCards = async () => {
+  const cards = await GiftCard.find({ status: 'active', expiresAt: { $lte: new Date() } }).limit(500);
+
+  let expired = 0;
+  for (const card of cards) {
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: card._id, status: 'active', balance: card.balance },
+      {
+        $set: { status: 'expired', balance: 0 },
+        $push: {
+          transactions: {
+            type: 'expire',
+            amount: -card.balance,
+            balanceAfter: 0,
+            key: `expire:${card._id}`,
+            description: 'Gift card expired'
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    await ledgerService.recordGiftCardExpiry(updated, card.balance);
+    expired++;
+  }
+
+  if (expired > 0) {
+    console.log(`Expired ${expired} gift card(s)`);
+  }
+  return expired;
+};
+
+/**
+ * Gift cards bought by the signed-in user
+ */
+const getPurchasedGiftCards = async (userId) => {
+  const giftCards = await GiftCard.find({ purchaser: userId, status: { $ne: 'pending' } })
+    .sort({ createdAt: -1 })
+    .select('-transactions')
+    .lean();
+  return giftCards;
+};
+
+module.exports = {
+  normalizeCode,
+  startPurchase,
+  recordPurchasePayment,
+  cancelPendingPurchase,
+  getBalance,
+  redeemForCheckout,
+  attachPaymentIntent,
+  restoreCheckoutRedemption,
+  getPendingCheckoutRedemptions,
+  confirmCheckoutRedemption,
+  restoreUnbookedItemGiftCard,
+  restoreBookingGiftCard,
+  deliverScheduledGiftCards,
+  expireGiftCards,
+  getPurchasedGiftCards
+};
@@ -0,0 +1,208 @@
+// services/holdService.js
+const mongoose = require('mongoose');
+const InventoryHold = require('../models/InventoryHold');
+const Cart = require('../models/Cart');
+const availabilityService = require('./availabilityService');
+
+const HOLD_TTL_MINUTES = parseInt(process.env.INVENTORY_HOLD_TTL_MINUTES, 10) || 15;
+
+/**
+ * Map a cart item (database or client payload) to an availability request
+ */
+const toAvailabilityRequest = (item) => ({
+  optionId: item.option?._id || item.option || item.optionId,
+  serviceName: item.serviceName,
+  date: item.selectedDate,
+  startDate: item.startDate || item.selectedDate,
+  endDate: item.endDate,
+  time: item.selectedTime,
+  timeSlot: item.timeSlot,
+  numPeople: item.numPeople
+});
+
+/**
+ * Reflect hold state on the cart items so the frontend can show it
+ */
+const setCartItemStatus = async (cartId, itemIds, status, heldUntil = null) => {
+  const ids = itemIds
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+  if (!cartId || ids.length === 0) return;
+
+  try {
+    await Cart.updateOne(
+      { _id: cartId },
+      { $set: { 'items.$[item].status': status, 'items.$[item].heldUntil': heldUntil } },
+      { arrayFilters: [{ 'item._id': { $in: ids } }] }
+    );
+  } catch (error) {
+    console.error('Error updating cart item hold status:', error.message);
+  }
+};
+
+/**
+ * Release every active hold matching the filter
+ * @param {Object} filter - InventoryHold query
+ * @param {String} status - 'released' (payment failed/cancelled, checkout retried) or 'expired' (TTL)
+ * @returns {Number} number of holds released
+ */
+const releaseHolds = async (filter, status = 'released') => {
+  const holds = await InventoryHold.find({ ...filter, status: 'active' });
+  const cartItems = new Map();
+  let released = 0;
+
+  for (const hold of holds) {
+    // Claim the hold first so a concurrent webhook conversion can't also use it
+    const claimed = await InventoryHold.findOneAndUpdate(
+      { _id: hold._id, status: 'active' },
+      { $set: { status, releasedAt: new Date() } }
+    );
+    if (!claimed) continue;
+
+    await availabilityService.releaseAllocations(hold.allocations, 'held');
+    released++;
+
+    if (hold.cart) {
+      const key = hold.cart.toString();
+      if (!cartItems.has(key)) cartItems.set(key, []);
+      cartItems.get(key).push(hold.cartItem);
+    }
+  }
+
+  for (const [cartId, itemIds] of cartItems) {
+    await setCartItemStatus(cartId, itemIds, status === 'expired' ? 'expired' : 'reserved');
+  }
+
+  return released;
+};
+
+/**
+ * Release holds created for a checkout that never reached Stripe
+ */
+const releaseCartHolds = async (holds) => {
+  if (!holds || holds.length === 0) return 0;
+  return releaseHolds({ _id: { $in: holds.map(hold => hold._id) } }, 'released');
+};
+
+/**
+ * Hold capacity for every item of a checkout. All-or-nothing: if one item is
+ * sold out the holds already taken are released and the 409 error is rethrown.
+ * @param {Object} options - { cart, items, userId, expiresAt } (expiresAt defaults to the checkout TTL)
+ * @returns {Array} InventoryHold documents
+ */
+const createCartHolds = async ({ cart = null, items = [], userId = null, expiresAt = null }) => {
+  expiresAt = expiresAt || new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000);
+
+  // A retried checkout replaces the holds from the previous attempt
+  if (cart) {
+    await releaseHolds({ cart: cart._id }, 'released');
+  }
+
+  const holds = [];
+  try {
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const serviceId = item.service?._id || item.service || item.serviceId;
+      const allocations = await availabilityService.hold(serviceId, toAvailabilityRequest(item));
+
+      try {
+        holds.push(await InventoryHold.create({
+          cart: cart ? cart._id : null,
+          cartItem: String(item._id || i),
+          user: userId || null,
+          service: serviceId,
+          allocations,
+          expiresAt
+        }));
+      } catch (createError) {
+        await availabilityService.releaseAllocations(allocations, 'held');
+        throw createError;
+      }
+    }
+  } catch (error) {
+    await releaseCartHolds(holds);
+    throw error;
+  }
+
+  if (cart) {
+    await setCartItemStatus(cart._id, holds.map(hold => hold.cartItem), 'held', expiresAt);
+  }
+
+  return holds;
+};
+
+/**
+ * Link holds to the payment intent created for them
+ */
+const attachPaymentIntent = async (holds, paymentIntentId) => {
+  if (!holds || holds.length === 0) return;
+  await InventoryHold.updateMany(
+    { _id: { $in: holds.map(hold => hold._id) } },
+    { $set: { paymentIntentId } }
+  );
+};
+
+const convertActiveHold = async (filter) => {
+  const hold = await InventoryHold.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { $set: { status: 'converted', convertedAt: new Date() } },
+    { new: true }
+  );
+  if (!hold) return null;
+
+  const converted = await availabilityService.convertHeldAllocations(hold.allocations);
+  if (!converted) {
+    hold.status = 'expired';
+    await hold.save();
+    return null;
+  }
+
+  return hold;
+};
+
+/**
+ * Convert the active hold of a paid cart item into booked capacity
+ * @returns {Object|null} the converted hold, or null if it expired/was released
+ */
+const convertHold = async (paymentIntentId, cartItemId) =>
+  convertActiveHold({ paymentIntentId, cartItem: String(cartItemId) });
+
+/**
+ * Convert a hold that is not tied to one payment intent (split payments)
+ * @returns {Object|null} the converted hold, or null if it expired/was released
+ */
+const convertHoldById = async (holdId) => convertActiveHold({ _id: holdId });
+
+/**
+ * Release holds of a payment intent that failed or was cancelled
+ */
+const releaseHoldsForPaymentIntent = async (paymentIntentId) => {
+  try {
+    return await releaseHolds({ paymentIntentId }, 'released');
+  } catch (error) {
+    console.error('Error releasing holds for payment intent:', error);
+    return 0;
+  }
+};
+
+/**
+ * Scheduled job: expire holds whose TTL has passed
+ */
+const expireStaleHolds = async () => {
+  const expired = await releaseHolds({ expiresAt: { $lte: new Date() } }, 'expired');
+  if (expired > 0) {
+    console.log(`Expired ${expired} inventory hold(s)`);
+  }
+  return expired;
+};
+
+module.exports = {
+  HOLD_TTL_MINUTES,
+  createCartHolds,
+  releaseCartHolds,
+  attachPaymentIntent,
+  convertHold,
+  convertHoldById,
+  releaseHoldsForPaymentIntent,
+  expireStaleHolds
+};
@@ -0,0 +1,432 @@
+// services/invoiceService.js
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Booking = require('../models/Booking');
+const { sendBookingConfirmationEmail } = require('../controllers/emailService');
+
+const PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+
+// Invoices carry customer details, so they are kept out of the public uploads directory
+// and only served through the authenticated GET /api/bookings/:id/invoice
+const INVOICES_DIR = process.env.INVOICES_DIR || path.join(__dirname, '../storage/invoices');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createInvoiceError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatMoney = (amount, currency = 'USD') =>
+  `${amount < 0 ? '-' : ''}${currency === 'USD' ? '$' : `${currency} `}${Math.abs(amount).toFixed(2)}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { dateStyle: 'long' }) : '');
+
+/**
+ * Next number in the document's yearly sequence, e.g. INV-2026-000042
+ */
+const nextNumber = async (type, issuedAt = new Date()) => {
+  const year = issuedAt.getFullYear();
+  const seq = await Counter.next(`${type}-${year}`);
+  return `${PREFIXES[type]}-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+const populateBookings = (query) => query
+  .populate('service', 'name')
+  .populate('customer', 'name email')
+  .populate('vendor', 'name businessProfile.businessName');
+
+/**
+ * Invoice lines of one booking: the listing price, fees, discounts and taxes. Anything the stored
+ * breakdown does not explain is shown as an adjustment so the lines add up to the booking total.
+ */
+const bookingLines = (booking) => {
+  const pricing = booking.pricing || {};
+  const vendorName = booking.vendor?.businessProfile?.businessName || booking.vendor?.name;
+  const serviceName = booking.service?.name || booking.serviceType || 'Booking';
+  const ref = { booking: booking._id, bookingId: booking.bookingId };
+
+  const lines = [
+    {
+      ...ref,
+      type: 'item',
+      description: `${serviceName}${vendorName ? ` (${vendorName})` : ''} - ${formatDate(booking.scheduledDateTime)}, ` +
+        `${booking.passengers?.total || 1} guest(s) [${booking.bookingId}]`,
+      amount: roundCurrency(pricing.basePrice || 0)
+    },
+    ...['distanceCharge', 'timeCharge']
+      .filter(field => pricing[field] > 0)
+      .map(field => ({ ...ref, type: 'fee', description: field === 'distanceCharge' ? 'Distance charge' : 'Time charge', amount: pricing[field] })),
+    ...(pricing.surcharges || []).map(surcharge => ({ ...ref, type: 'fee', description: surcharge.name, amount: surcharge.amount })),
+    ...(pricing.discounts || []).map(discount => ({
+      ...ref,
+      type: 'discount',
+      description: discount.code ? `${discount.name} (${discount.code})` : discount.name,
+      amount: -Math.abs(discount.amount)
+    })),
+    ...(pricing.taxes || []).map(tax => ({
+      ...ref,
+      type: 'tax',
+      description: `${tax.name}${tax.rate ? ` (${tax.rate}%)` : ''}${tax.inclusive ? ' - included in price' : ''}`,
+      amount: tax.amount,
+      included: !!tax.inclusive
+    })),
+    ...(pricing.tips > 0 ? [{ ...ref, type: 'fee', description: 'Tip', amount: pricing.tips }] : [])
+  ];
+
+  const explained = roundCurrency(lines.filter(line => !line.included).reduce((sum, line) => sum + line.amount, 0));
+  const difference = roundCurrency((pricing.totalAmount || 0) - explained);
+  if (Math.abs(difference) >= 0.01) {
+    lines.push({ ...ref, type: 'adjustment', description: 'Other adjustments', amount: difference });
+  }
+
+  return lines;
+};
+
+/**
+ * Totals of an invoice from its lines and the bookings' payments
+ */
+const summarize = (bookings, lines) => {
+  const counted = lines.filter(line => !line.included);
+  const sumOf = (types) => roundCurrency(counted.filter(line => types.includes(line.type)).reduce((sum, line) => sum + line.amount, 0));
+  const total = roundCurrency(bookings.reduce((sum, booking) => sum + (booking.pricing?.totalAmount || 0), 0));
+  const creditAmount = roundCurrency(bookings.reduce((sum, booking) => sum + (booking.payment?.creditAmount || 0), 0));
+  const giftCardAmount = roundCurrency(bookings.reduce((sum, booking) => sum + (booking.payment?.giftCardAmount || 0), 0));
+  const balanceDue = roundCurrency(bookings.reduce((sum, booking) => sum + (booking.payment?.installments || [])
+    .filter(installment => ['pending', 'overdue'].includes(installment.status))
+    .reduce((owed, installment) => owed + installment.amount, 0), 0));
+
+  return {
+    subtotal: sumOf(['item', 'fee', 'adjustment']),
+    discountTotal: sumOf(['discount']),
+    taxTotal: sumOf(['tax']), // Taxes included in prices are listed but not added
+    total,
+    creditAmount,
+    giftCardAmount,
+    amountPaid: roundCurrency(total - creditAmount - giftCardAmount - balanceDue),
+    balanceDue
+  };
+};
+
+/**
+ * Render an invoice or credit note to PDF
+ * @returns {Buffer}
+ */
+const renderPdf = (invoice, relatedNumber = null) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const isCreditNote = invoice.type === 'credit_note';
+  const right = { width: 495, align: 'right' };
+
+  doc.fontSize(20).font('Helvetica-Bold').text('CaicosCompass', 50, 50);
+  doc.fontSize(9).font('Helvetica').fillColor('#666666').text('Turks and Caicos Islands', 50, 75);
+  doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000').text(isCreditNote ? 'CREDIT NOTE' : 'INVOICE', 50, 50, right);
+  doc.fontSize(10).font('Helvetica')
+    .text(invoice.number, 50, 72, right)
+    .text(`Issued ${formatDate(invoice.issuedAt)}`, 50, 86, right);
+  if (relatedNumber) {
+    doc.text(`Corrects invoice ${relatedNumber}`, 50, 100, right);
+  }
+
+  doc.font('Helvetica-Bold').text('Bill to', 50, 130);
+  doc.font('Helvetica').text(invoice.billTo?.name || '', 50, 144).text(invoice.billTo?.email || '', 50, 158);
+
+  let y = 200;
+  doc.font('Helvetica-Bold').text('Description', 50, y).text('Amount (USD)', 50, y, right);
+  doc.moveTo(50, y + 15).lineTo(545, y + 15).strokeColor('#cccccc').stroke();
+  y += 25;
+
+  doc.font('Helvetica');
+  invoice.lines.forEach(line => {
+    if (y > 740) {
+      doc.addPage();
+      y = 50;
+    }
+    const indent = line.type === 'item' || line.type === 'refund' ? 50 : 65;
+    const height = doc.heightOfString(line.description, { width: 380 - (indent - 50) });
+    doc.fillColor(line.included ? '#666666' : '#000000')
+      .text(line.description, indent, y, { width: 380 - (indent - 50) })
+      .text(line.included ? `(${formatMoney(line.amount)})` : formatMoney(line.amount), 50, y, right);
+    y += height + 6;
+  });
+  doc.fillColor('#000000');
+
+  doc.moveTo(300, y + 4).lineTo(545, y + 4).strokeColor('#cccccc').stroke();
+  y += 14;
+  const totalRow = (label, amount, bold = false, currency = 'USD') => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, 300, y).text(formatMoney(amount, currency), 50, y, right);
+    y += 16;
+  };
+
+  if (isCreditNote) {
+    totalRow('Total refunded', invoice.total, true);
+    if (invoice.currency !== 'USD' && invoice.chargedAmount) {
+      totalRow('Refunded to card', invoice.chargedAmount, false, invoice.currency);
+    }
+  } else {
+    totalRow('Subtotal', invoice.subtotal);
+    if (invoice.discountTotal) totalRow('Discounts', invoice.discountTotal);
+    if (invoice.taxTotal) totalRow('Taxes', invoice.taxTotal);
+    totalRow('Total', invoice.total, true);
+    if (invoice.creditAmount > 0) totalRow('Paid with Caicos Credits', -invoice.creditAmount);
+    if (invoice.giftCardAmount > 0) totalRow('Paid with gift card', -invoice.giftCardAmount);
+    totalRow('Paid by card', -invoice.amountPaid);
+    if (invoice.balanceDue > 0) totalRow('Balance due (installments)', invoice.balanceDue, true);
+    if (invoice.currency !== 'USD' && invoice.chargedAmount) {
+      doc.fontSize(8).fillColor('#666666')
+        .text(`Card charged ${formatMoney(invoice.chargedAmount, invoice.currency)} at ${invoice.exchangeRate} ${invoice.currency} per USD.`, 300, y, { width: 245 });
+      doc.fontSize(10).fillColor('#000000');
+    }
+  }
+
+  doc.fontSize(8).fillColor('#666666').text(
+    `${invoice.paymentIntentId ? `Payment reference ${invoice.paymentIntentId}. ` : ''}Questions about this document? Contact CaicosCompass support.`,
+    50, 780, { width: 495, align: 'center' }
+  );
+
+  doc.end();
+});
+
+// Read back a stored PDF; null when it no longer exists
+const readPdf = async (filename) => {
+  try {
+    return await fs.promises.readFile(path.join(INVOICES_DIR, path.basename(filename)));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Download link of a document (credit notes by number); without a request to take the host from, links use API_URL
+const downloadUrl = (invoice) => {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl}/api/bookings/${invoice.bookings[0]}/invoice${invoice.type === 'credit_note' ? `?number=${invoice.number}` : ''}`;
+};
+
+/**
+ * Render and store the PDF, linking it from the invoice
+ */
+const storePdf = async (invoice, relatedNumber = null) => {
+  const pdf = await renderPdf(invoice, relatedNumber);
+  const filename = `${invoice.number}.pdf`;
+  await fs.promises.mkdir(INVOICES_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(INVOICES_DIR, filename), pdf);
+
+  invoice.filename = filename;
+  invoice.url = downloadUrl(invoice);
+  await invoice.save();
+  return pdf;
+};
+
+/**
+ * Create (once per key) the invoice for a set of bookings paid together
+ * @returns {Object} { invoice, created }
+ */
+const createInvoice = async (bookings, key, paymentIntentId = null) => {
+  const existing = await Invoice.findOne({ key });
+  if (existing) return { invoice: existing, created: false };
+
+  const lines = bookings.flatMap(bookingLines);
+  const customer = bookings[0].customer;
+  const issuedAt = new Date();
+
+  let invoice;
+  try {
+    invoice = await Invoice.create({
+      number: await nextNumber('invoice', issuedAt),
+      type: 'invoice',
+      key,
+      bookings: bookings.map(booking => booking._id),
+      customer: customer?._id || customer || null,
+      billTo: { name: customer?.name, email: customer?.email },
+      paymentIntentId,
+      lines,
+      ...summarize(bookings, lines),
+      currency: bookings[0].payment?.currency || 'USD',
+      exchangeRate: bookings[0].payment?.exchangeRate || 1,
+      chargedAmount: roundCurrency(bookings.reduce((sum, booking) => sum + (booking.payment?.chargedAmount || 0), 0)),
+      issuedAt
+    });
+  } catch (error) {
+    // Issued concurrently (webhook retry or a download at the same time)
+    if (error.code === 11000) return { invoice: await Invoice.findOne({ key }), created: false };
+    throw error;
+  }
+
+  await storePdf(invoice);
+  await Booking.updateMany(
+    { _id: { $in: invoice.bookings } },
+    { $set: { 'payment.receiptUrl': invoice.url } }
+  );
+
+  return { invoice, created: true };
+};
+
+/**
+ * Invoice for a paid checkout: every booking paid by the payment intent (several for a cart).
+ * The customer is sent a booking confirmation linking it the first time.
+ * @param {String} paymentIntentId
+ * @param {Object} options - { notify, email (receipt email when the customer has none) }
+ * @returns {Object|null} Invoice
+ */
+const issueCheckoutInvoice = async (paymentIntentId, { notify = true, email = null } = {}) => {
+  const bookings = await populateBookings(Booking.find({ 'payment.transactionId': paymentIntentId }).sort({ createdAt: 1 }));
+  if (bookings.length === 0) return null;
+
+  const { invoice, created } = await createInvoice(bookings, `invoice:${paymentIntentId}`, paymentIntentId);
+  if (created && notify) {
+    await sendConfirmation(invoice, bookings, email);
+  }
+  return invoice;
+};
+
+/**
+ * Invoice covering a booking: its checkout's invoice, or one for the booking alone
+ * when it was not paid by a single checkout (group split payments)
+ */
+const issueBookingInvoice = async (bookingId, options = {}) => {
+  const booking = await populateBookings(Booking.findById(bookingId));
+  if (!booking) {
+    throw createInvoiceError('Booking not found.', 404);
+  }
+  if (booking.payment?.transactionId) {
+    return issueCheckoutInvoice(booking.payment.transactionId, { notify: false, ...options });
+  }
+
+  const { invoice, created } = await createInvoice([booking], `invoice:booking:${booking._id}`);
+  if (created && options.notify) {
+    await sendConfirmation(invoice, [booking], options.email);
+  }
+  return invoice;
+};
+
+// The PDF goes out as an attachment (guests cannot sign in to download it); the link opens the booking
+const sendConfirmation = async (invoice, bookings, fallbackEmail) => {
+  const recipient = invoice.billTo?.email || fallbackEmail;
+  if (!recipient) return;
+
+  try {
+    await sendBookingConfirmationEmail(recipient, {
+      customerName: invoice.billTo?.name,
+      bookings: bookings.map(booking => ({
+        bookingId: booking.bookingId,
+        serviceName: booking.service?.name || booking.serviceType,
+        date: booking.scheduledDateTime,
+        amount: booking.pricing?.totalAmount || 0
+      })),
+      total: invoice.total,
+      invoiceNumber: invoice.number,
+      invoicePdf: invoice.filename ? await readPdf(invoice.filename) : null,
+      bookingUrl: `${process.env.FRONTEND_URL}/bookings/${bookings[0]._id}`
+    });
+  } catch (error) {
+    console.error(`Confirmation email for invoice ${invoice.number} failed:`, error.message);
+  }
+};
+
+/**
+ * Credit note for a refund on a booking, against the invoice that covered it
+ * @param {Object} booking - Booking document
+ * @param {Array} refunds - Stripe refunds issued for this refund ({ id, amount, chargedAmount })
+ * @param {Number} amount - USD refunded
+ * @param {String} reason
+ * @returns {Object} Invoice (type credit_note)
+ */
+const issueCreditNote = async (booking, refunds, amount, reason) => {
+  const key = `credit_note:${refunds[0]?.id || `${booking._id}:${booking.payment.refunds.length}`}`;
+  const existing = await Invoice.findOne({ key });
+  if (existing) return existing;
+
+  const original = await Invoice.findOne({ bookings: booking._id, type: 'invoice' })
+    || await issueBookingInvoice(booking._id, { notify: false });
+  const issuedAt = new Date();
+
+  let creditNote;
+  try {
+    creditNote = await Invoice.create({
+      number: await nextNumber('credit_note', issuedAt),
+      type: 'credit_note',
+      key,
+      bookings: [booking._id],
+      customer: original?.customer || booking.customer?._id || booking.customer,
+      billTo: original?.billTo,
+      paymentIntentId: original?.paymentIntentId,
+      invoice: original?._id || null,
+      lines: [{
+        booking: booking._id,
+        bookingId: booking.bookingId,
+        type: 'refund',
+        description: `Refund for booking ${booking.bookingId}${reason ? ` - ${reason}` : ''}`,
+        amount: -amount
+      }],
+      total: -amount,
+      amountPaid: -amount,
+      currency: booking.payment?.currency || 'USD',
+      exchangeRate: booking.payment?.exchangeRate || 1,
+      chargedAmount: -roundCurrency(refunds.reduce((sum, refund) => sum + (refund.chargedAmount || 0), 0)),
+      issuedAt
+    });
+  } catch (error) {
+    if (error.code === 11000) return Invoice.findOne({ key });
+    throw error;
+  }
+
+  await storePdf(creditNote, original?.number);
+  return creditNote;
+};
+
+/**
+ * PDF of a booking's invoice (or one of its credit notes, by number) for the customer,
+ * the booking's vendor or an admin. Issued on first request for bookings paid before invoicing.
+ * @param {String} bookingId
+ * @param {Object} user - req.user
+ * @param {String} number - Optional document number
+ * @returns {Object} { invoice, pdf }
+ */
+const getInvoicePdf = async (bookingId, user, number = null) => {
+  const booking = await Booking.findById(bookingId).select('customer vendor payment.status');
+  if (!booking) {
+    throw createInvoiceError('Booking not found.', 404);
+  }
+  const canView = booking.customer?.toString() === user.id
+    || booking.vendor?.toString() === user.id
+    || user.role === 'admin';
+  if (!canView) {
+    throw createInvoiceError('Unauthorized to view this booking.', 403);
+  }
+  if (['pending', 'processing', 'failed'].includes(booking.payment?.status)) {
+    throw createInvoiceError('This booking has not been paid yet.');
+  }
+
+  const invoice = number
+    ? await Invoice.findOne({ number, bookings: booking._id })
+    : await Invoice.findOne({ bookings: booking._id, type: 'invoice' }) || await issueBookingInvoice(booking._id);
+  if (!invoice) {
+    throw createInvoiceError('Invoice not found.', 404);
+  }
+
+  let pdf = invoice.filename ? await readPdf(invoice.filename) : null;
+  if (!pdf) {
+    const related = invoice.invoice ? await Invoice.findById(invoice.invoice).select('number') : null;
+    pdf = await storePdf(invoice, related?.number);
+  }
+
+  return { invoice, pdf };
+};
+
+module.exports = {
+  INVOICES_DIR,
+  downloadUrl,
+  renderPdf,
+  issueCheckoutInvoice,
+  issueBookingInvoice,
+  issueCreditNote,
+  getInvoicePdf
+};
@@ -0,0 +1,751 @@
+// services/ledgerService.js
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Booking = require('../models/Booking');
+const RevenueAnalytics = require('../models/RevenueAnalytics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECONCILIATION_DAYS = 93;
+const PAID_STATUSES = ['partially-paid', 'completed', 'partially-refunded', 'refunded'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Dollar value of one Caicos Credit
+const getCreditValue = () => parseFloat(process.env.CAICOS_CREDIT_VALUE) || 0.01;
+
+const debit = (account, amount, accountId = null) => ({ account, accountId, direction: 'debit', amount: roundCurrency(amount) });
+const credit = (account, amount, accountId = null) => ({ account, accountId, direction: 'credit', amount: roundCurrency(amount) });
+
+/**
+ * Post a balanced entry. Posting the same key twice returns the existing entry,
+ * so callers can safely retry (webhook replays, double submits).
+ * @param {Object} entry - { key, type, postings, booking, description, metadata, occurredAt }
+ * @returns {Object} LedgerEntry
+ */
+const postEntry = async (entry) => {
+  const existing = await LedgerEntry.findOne({ key: entry.key });
+  if (existing) return existing;
+
+  try {
+    return await LedgerEntry.create(entry);
+  } catch (error) {
+    if (error.code === 11000) {
+      return LedgerEntry.findOne({ key: entry.key });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Post an entry without letting a ledger failure break the money movement it records.
+ * Missing entries show up in the reconciliation report.
+ */
+const safePost = async (entry) => {
+  try {
+    return await postEntry(entry);
+  } catch (error) {
+    console.error(`Error posting ledger entry ${entry.key}:`, error.message);
+    return null;
+  }
+};
+
+const refId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Payment captured for a booking: the card part sits in Stripe, the Caicos Credits
+ * part is redeemed from the customer, the gift card part from the card's balance, the installments of a deposit booking are
+ * receivable from the customer, and the whole amount is owed to the vendor
+ * minus the platform commission (posted as a separate entry)
+ * @param {Object} booking
+ */
+const recordBookingCapture = async (booking) => {
+  const amount = booking.pricing?.totalAmount || 0;
+  if (amount <= 0) return null;
+
+  // Lazy require: payoutService posts vendor payouts through this module
+  const { getCommissionRate } = require('./payoutService');
+  const commissionRate = getCommissionRate();
+  const vendorId = refId(booking.vendor);
+  const occurredAt = booking.createdAt || new Date();
+  const creditAmount = Math.min(amount, booking.payment?.creditAmount || 0);
+  const giftCardAmount = Math.min(amount - creditAmount, booking.payment?.giftCardAmount || 0);
+  const receivable = Math.min(
+    amount - creditAmount - giftCardAmount,
+    (booking.payment?.installments || []).reduce((sum, installment) => sum + (installment.amount || 0), 0)
+  );
+
+  const capture = await safePost({
+    key: `capture:${booking._id}`,
+    type: 'capture',
+    booking: booking._id,
+    description: `Payment captured for booking ${booking.bookingId}`,
+    metadata: { transactionId: booking.payment?.transactionId, customer: refId(booking.customer) },
+    occurredAt,
+    postings: [
+      debit('stripe_clearing', amount - creditAmount - giftCardAmount - receivable),
+      debit('customer', creditAmount, refId(booking.customer)),
+      debit('gift_card', giftCardAmount, refId(booking.payment?.giftCard)),
+      debit('receivable', receivable, refId(booking.customer)),
+      credit('vendor', amount, vendorId)
+    ].filter(posting => posting.amount > 0)
+  });
+
+  const commission = roundCurrency(amount * commissionRate / 100);
+  if (commission > 0) {
+    await safePost({
+      key: `commission:${booking._id}`,
+      type: 'commission',
+      booking: booking._id,
+      description: `Platform commission (${commissionRate}%) on booking ${booking.bookingId}`,
+      metadata: { commissionRate },
+      occurredAt,
+      postings: [
+        debit('vendor', commission, vendorId),
+        credit('platform', commission)
+      ]
+    });
+  }
+
+  return capture;
+};
+
+/**
+ * Refund sent back to the customer's card. The platform returns its commission
+ * on the refunded part, at the rate charged on capture.
+ * @param {Object} booking
+ * @param {Object} refund - { id, amount } (amount in dollars)
+ */
+const recordRefund = async (booking, refund) => {
+  if (!refund || !(refund.amount > 0)) return null;
+
+  const vendorId = refId(booking.vendor);
+
+  const entry = await safePost({
+    key: `refund:${refund.id}`,
+    type: 'refund',
+    booking: booking._id,
+    description: `Refund for booking ${booking.bookingId}`,
+    metadata: { stripeRefundId: refund.id },
+    postings: [
+      debit('vendor', refund.amount, vendorId),
+      credit('stripe_clearing', refund.amount)
+    ]
+  });
+
+  const commissionEntry = await LedgerEntry.findOne({ key: `commission:${booking._id}` }).lean();
+  const commissionRate = commissionEntry?.metadata?.commissionRate || 0;
+  const reversal = roundCurrency(refund.amount * commissionRate / 100);
+  if (reversal > 0) {
+    await safePost({
+      key: `commission_reversal:${refund.id}`,
+      type: 'commission_reversal',
+      booking: booking._id,
+      description: `Commission returned on refund for booking ${booking.bookingId}`,
+      metadata: { commissionRate, stripeRefundId: refund.id },
+      postings: [
+        debit('platform', reversal),
+        credit('vendor', reversal, vendorId)
+      ]
+    });
+  }
+
+  return entry;
+};
+
+/**
+ * Commission the platform returns (or charges again) on part of a booking, at the rate charged on capture
+ */
+const postCommissionChange = async (booking, amount, { key, type, description, metadata = {} }) => {
+  const commissionEntry = await LedgerEntry.findOne({ key: `commission:${refId(booking)}` }).lean();
+  const commissionRate = commissionEntry?.metadata?.commissionRate || 0;
+  const commission = roundCurrency(amount * commissionRate / 100);
+  if (!(commission > 0)) return null;
+
+  const vendorPosting = type === 'commission_reversal' ? credit : debit;
+  const platformPosting = type === 'commission_reversal' ? debit : credit;
+  return safePost({
+    key,
+    type,
+    booking: refId(booking),
+    description,
+    metadata: { ...metadata, commissionRate },
+    postings: [
+      vendorPosting('vendor', commission, refId(booking.vendor)),
+      platformPosting('platform', commission)
+    ]
+  });
+};
+
+/**
+ * Disputed funds withdrawn by Stripe: taken back from the vendor of each booking the charge paid for
+ * @param {Object} dispute - Dispute document
+ */
+const recordChargeback = async (dispute) => {
+  for (const allocation of dispute.allocations) {
+    const booking = { _id: allocation.booking, vendor: allocation.vendor };
+    await safePost({
+      key: `chargeback:${dispute._id}:${allocation.booking}`,
+      type: 'chargeback',
+      booking: allocation.booking,
+      description: `Chargeback ${dispute.stripeDisputeId}`,
+      metadata: { stripeDisputeId: dispute.stripeDisputeId },
+      occurredAt: dispute.fundsWithdrawnAt || new Date(),
+      postings: [
+        debit('vendor', allocation.amount, allocation.vendor),
+        credit('stripe_clearing', allocation.amount)
+      ]
+    });
+    await postCommissionChange(booking, allocation.amount, {
+      key: `commission_reversal:chargeback:${dispute._id}:${allocation.booking}`,
+      type: 'commission_reversal',
+      description: `Commission returned on chargeback ${dispute.stripeDisputeId}`,
+      metadata: { stripeDisputeId: dispute.stripeDisputeId }
+    });
+  }
+};
+
+/**
+ * Disputed funds returned by Stripe (dispute won): owed to the vendors again, commission included
+ */
+const recordChargebackReversal = async (dispute) => {
+  for (const allocation of dispute.allocations) {
+    const booking = { _id: allocation.booking, vendor: allocation.vendor };
+    await safePost({
+      key: `chargeback_reversal:${dispute._id}:${allocation.booking}`,
+      type: 'chargeback_reversal',
+      booking: allocation.booking,
+      description: `Chargeback ${dispute.stripeDisputeId} reversed`,
+      metadata: { stripeDisputeId: dispute.stripeDisputeId },
+      occurredAt: dispute.fundsReinstatedAt || new Date(),
+      postings: [
+        debit('stripe_clearing', allocation.amount),
+        credit('vendor', allocation.amount, allocation.vendor)
+      ]
+    });
+    await postCommissionChange(booking, allocation.amount, {
+      key: `commission:chargeback_reversal:${dispute._id}:${allocation.booking}`,
+      type: 'commission',
+      description: `Commission on reinstated chargeback ${dispute.stripeDisputeId}`,
+      metadata: { stripeDisputeId: dispute.stripeDisputeId }
+    });
+  }
+};
+
+/**
+ * Stripe's dispute fee: a platform expense
+ */
+const recordDisputeFee = async (dispute) => {
+  if (!(dispute.disputeFee > 0)) return null;
+
+  return safePost({
+    key: `dispute_fee:${dispute._id}`,
+    type: 'dispute_fee',
+    booking: dispute.booking,
+    description: `Dispute fee ${dispute.stripeDisputeId}`,
+    metadata: { stripeDisputeId: dispute.stripeDisputeId },
+    postings: [
+      debit('platform', dispute.disputeFee),
+      credit('stripe_clearing', dispute.disputeFee)
+    ]
+  });
+};
+
+/**
+ * Installment of a deposit booking charged to the customer's saved card
+ * @param {Object} booking
+ * @param {Object} installment - booking.payment.installments entry
+ */
+const recordInstallmentPayment = async (booking, installment) => safePost({
+  key: `installment:${installment._id}`,
+  type: 'installment',
+  booking: booking._id,
+  description: `Installment charged for booking ${booking.bookingId}`,
+  metadata: { paymentIntentId: installment.paymentIntentId },
+  postings: [
+    debit('stripe_clearing', installment.amount),
+    credit('receivable', installment.amount, refId(booking.customer))
+  ]
+});
+
+/**
+ * Installments that will never be charged (the booking was cancelled): the vendor
+ * is no longer owed them, and the platform returns its commission on them
+ * @param {Number} amount - Unpaid installments, in dollars
+ */
+const recordInstallmentWriteOff = async (booking, amount) => {
+  if (!(amount > 0)) return null;
+
+  const vendorId = refId(booking.vendor);
+
+  const entry = await safePost({
+    key: `installment_writeoff:${booking._id}`,
+    type: 'installment_writeoff',
+    booking: booking._id,
+    description: `Unpaid installments written off for booking ${booking.bookingId}`,
+    postings: [
+      debit('vendor', amount, vendorId),
+      credit('receivable', amount, refId(booking.customer))
+    ]
+  });
+
+  const commissionEntry = await LedgerEntry.findOne({ key: `commission:${booking._id}` }).lean();
+  const commissionRate = commissionEntry?.metadata?.commissionRate || 0;
+  const reversal = roundCurrency(amount * commissionRate / 100);
+  if (reversal > 0) {
+    await safePost({
+      key: `commission_reversal:installment_writeoff:${booking._id}`,
+      type: 'commission_reversal',
+      booking: booking._id,
+      description: `Commission returned on unpaid installments for booking ${booking.bookingId}`,
+      metadata: { commissionRate },
+      postings: [
+        debit('platform', reversal),
+        credit('vendor', reversal, vendorId)
+      ]
+    });
+  }
+
+  return entry;
+};
+
+/**
+ * Price increase of a booking change charged to the saved card: owed to the vendor,
+ * less commission at the rate charged on capture
+ * @param {Object} charge - payment.extraCharges entry
+ */
+const recordBookingChangeCharge = async (booking, charge) => {
+  const vendorId = refId(booking.vendor);
+
+  const entry = await safePost({
+    key: `booking_change:${charge._id}`,
+    type: 'booking_change',
+    booking: booking._id,
+    description: `Booking change charged for booking ${booking.bookingId}`,
+    metadata: { paymentIntentId: charge.paymentIntentId, bookingChange: refId(charge.bookingChange) },
+    postings: [
+      debit('stripe_clearing', charge.amount),
+      credit('vendor', charge.amount, vendorId)
+    ]
+  });
+
+  const commissionEntry = await LedgerEntry.findOne({ key: `commission:${booking._id}` }).lean();
+  const commissionRate = commissionEntry?.metadata?.commissionRate ?? require('./payoutService').getCommissionRate();
+  const commission = roundCurrency(charge.amount * commissionRate / 100);
+  if (commission > 0) {
+    await safePost({
+      key: `commission:booking_change:${charge._id}`,
+      type: 'commission',
+      booking: booking._id,
+      description: `Platform commission (${commissionRate}%) on booking change for booking ${booking.bookingId}`,
+      metadata: { commissionRate },
+      postings: [
+        debit('vendor', commission, vendorId),
+        credit('platform', commission)
+      ]
+    });
+  }
+
+  return entry;
+};
+
+/**
+ * Rental security deposit captured for damages: owed to the vendor in full
+ */
+const recordSecurityDepositCapture = async (booking) => {
+  const amount = booking.payment?.securityDeposit?.capturedAmount || 0;
+  if (!(amount > 0)) return null;
+
+  return safePost({
+    key: `security_deposit:${booking._id}`,
+    type: 'security_deposit',
+    booking: booking._id,
+    description: `Security deposit captured for booking ${booking.bookingId}`,
+    metadata: {
+      paymentIntentId: booking.payment.securityDeposit.paymentIntentId,
+      reason: booking.payment.securityDeposit.captureReason
+    },
+    postings: [
+      debit('stripe_clearing', amount),
+      credit('vendor', amount, refId(booking.vendor))
+    ]
+  });
+};
+
+/**
+ * Referral partner commission: paid out of the platform's share
+ */
+const recordReferralCommission = async (commission) => safePost({
+  key: `referral_commission:${commission._id}`,
+  type: 'referral_commission',
+  booking: refId(commission.booking),
+  description: `Referral commission ${commission.referralCode || ''}`.trim(),
+  postings: [
+    debit('platform', commission.commissionAmount),
+    credit('referral_partner', commission.commissionAmount, refId(commission.referralPartner))
+  ]
+});
+
+const recordReferralCommissionReversal = async (commission) => safePost({
+  key: `referral_commission_reversal:${commission._id}`,
+  type: 'referral_commission_reversal',
+  booking: refId(commission.booking),
+  description: `Referral commission reversed ${commission.referralCode || ''}`.trim(),
+  postings: [
+    debit('referral_partner', commission.commissionAmount, refId(commission.referralPartner)),
+    credit('platform', commission.commissionAmount)
+  ]
+});
+
+/**
+ * Money sent to a referral partner
+ */
+const recordReferralPayout = async (payout) => safePost({
+  key: `referral_payout:${payout._id}`,
+  type: 'referral_payout',
+  description: 'Referral partner payout',
+  metadata: { stripeTransferId: payout.stripeTransferId },
+  postings: [
+    debit('referral_partner', payout.amount, refId(payout.referralPartner)),
+    credit('stripe_clearing', payout.amount)
+  ]
+});
+
+/**
+ * Money sent to a vendor (services/payoutService.js)
+ */
+const recordVendorPayout = async (payout) => {
+  if (!(payout.netAmount > 0)) return null;
+
+  return safePost({
+    key: `vendor_payout:${payout._id}`,
+    type: 'vendor_payout',
+    description: 'Vendor payout',
+    metadata: { stripeTransferId: payout.stripeTransferId, payoutMethod: payout.payoutMethod },
+    postings: [
+      debit('vendor', payout.netAmount, refId(payout.vendor)),
+      credit('stripe_clearing', payout.netAmount)
+    ]
+  });
+};
+
+/**
+ * Caicos Credits granted to a customer: a platform expense owed to the customer
+ * @param {String} key - Idempotency key (e.g. "booking:<id>")
+ */
+const recordCreditGrant = async (userId, credits, key, description, booking = null) => {
+  const amount = roundCurrency(credits * getCreditValue());
+  if (amount <= 0) return null;
+
+  return safePost({
+    key: `credit_grant:${key}`,
+    type: 'credit_grant',
+    booking: refId(booking),
+    description,
+    metadata: { credits },
+    postings: [
+      debit('platform', amount),
+      credit('customer', amount, userId)
+    ]
+  });
+};
+
+/**
+ * Caicos Credits spent or removed: the platform no longer owes them
+ */
+const recordCreditRedemption = async (userId, credits, key, description, booking = null) => {
+  const amount = roundCurrency(credits * getCreditValue());
+  if (amount <= 0) return null;
+
+  return safePost({
+    key: `credit_redemption:${key}`,
+    type: 'credit_redemption',
+    booking: refId(booking),
+    description,
+    metadata: { credits },
+    postings: [
+      debit('customer', amount, userId),
+      credit('platform', amount)
+    ]
+  });
+};
+
+/**
+ * Credits used on a booking returned to the customer on cancellation: taken back from the vendor
+ */
+const recordCreditRestore = async (booking, credits, key) => {
+  const amount = roundCurrency(credits * getCreditValue());
+  if (amount <= 0) return null;
+
+  return safePost({
+    key: `credit_restore:${key}`,
+    type: 'credit_restore',
+    booking: booking._id,
+    description: `Caicos Credits returned for booking ${booking.bookingId}`,
+    metadata: { credits },
+    postings: [
+      debit('vendor', amount, refId(booking.vendor)),
+      credit('customer', amount, refId(booking.customer))
+    ]
+  });
+};
+
+/**
+ * Unused credits expired: the platform no longer owes them
+ */
+const recordCreditExpiry = async (userId, credits, key) => {
+  const amount = roundCurrency(credits * getCreditValue());
+  if (amount <= 0) return null;
+
+  return safePost({
+    key: `credit_expiry:${key}`,
+    type: 'credit_expiry',
+    description: 'Caicos Credits expired',
+    metadata: { credits },
+    postings: [
+      debit('customer', amount, userId),
+      credit('platform', amount)
+    ]
+  });
+};
+
+/**
+ * Gift card paid for: the platform owes its value until it is spent or expires
+ * @param {Object} giftCard
+ */
+const recordGiftCardSale = async (giftCard) => safePost({
+  key: `gift_card_sale:${giftCard._id}`,
+  type: 'gift_card_sale',
+  description: `Gift card ${giftCard.code.slice(-4)} sold`,
+  metadata: { paymentIntentId: giftCard.paymentIntentId },
+  occurredAt: giftCard.paidAt || new Date(),
+  postings: [
+    debit('stripe_clearing', giftCard.initialAmount),
+    credit('gift_card', giftCard.initialAmount, giftCard._id)
+  ]
+});
+
+/**
+ * Gift card value used on a booking returned to the card on cancellation: taken back from the vendor
+ */
+const recordGiftCardRestore = async (booking, amount, key) => {
+  if (!(amount > 0)) return null;
+
+  return safePost({
+    key: `gift_card_restore:${key}`,
+    type: 'gift_card_restore',
+    booking: booking._id,
+    description: `Gift card value returned for booking ${booking.bookingId}`,
+    postings: [
+      debit('vendor', amount, refId(booking.vendor)),
+      credit('gift_card', amount, refId(booking.payment?.giftCard))
+    ]
+  });
+};
+
+/**
+ * Unspent balance of an expired gift card: the platform no longer owes it
+ */
+const recordGiftCardExpiry = async (giftCard, amount) => {
+  if (!(amount > 0)) return null;
+
+  return safePost({
+    key: `gift_card_expiry:${giftCard._id}`,
+    type: 'gift_card_expiry',
+    description: `Gift card ${giftCard.code.slice(-4)} expired`,
+    postings: [
+      debit('gift_card', amount, giftCard._id),
+      credit('platform', amount)
+    ]
+  });
+};
+
+/**
+ * Balances per account (credit-normal: positive means the platform holds/owes money on that account,
+ * except stripe_clearing which is debit-normal)
+ * @param {Object} filter - Optional { account, accountId }
+ */
+const getAccountBalances = async (filter = {}) => {
+  const match = {};
+  if (filter.account) match['postings.account'] = filter.account;
+  if (filter.accountId) match['postings.accountId'] = new mongoose.Types.ObjectId(filter.accountId);
+
+  const rows = await LedgerEntry.aggregate([
+    { $unwind: '$postings' },
+    { $replaceRoot: { newRoot: '$postings' } },
+    { $match: match },
+    {
+      $group: {
+        _id: { account: '$account', accountId: '$accountId' },
+        debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } }
+      }
+    },
+    { $sort: { '_id.account': 1 } }
+  ]);
+
+  return rows.map(row => ({
+    account: row._id.account,
+    accountId: row._id.accountId,
+    debits: roundCurrency(row.debits),
+    credits: roundCurrency(row.credits),
+    balance: roundCurrency(row._id.account === 'stripe_clearing' ? row.debits - row.credits : row.credits - row.debits)
+  }));
+};
+
+const sumByType = async (types, from, to) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { type: { $in: types }, occurredAt: { $gte: from, $lt: to } } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.direction': 'debit' } },
+    { $group: { _id: '$type', amount: { $sum: '$postings.amount' }, bookings: { $addToSet: '$booking' } } }
+  ]);
+
+  return rows.reduce((totals, row) => {
+    totals[row._id] = { amount: roundCurrency(row.amount), bookings: row.bookings.filter(Boolean).length };
+    return totals;
+  }, {});
+};
+
+/**
+ * Compare the ledger with the RevenueAnalytics daily counters.
+ * RevenueAnalytics counts every booking created in the day (paid or not), so
+ * revenue from unpaid bookings is reported separately and only the remainder is drift.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ */
+const getReconciliationReport = async (startDate, endDate) => {
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+
+  if ((end - start) / DAY_MS >= MAX_RECONCILIATION_DAYS) {
+    const error = new Error(`Reconciliation range is limited to ${MAX_RECONCILIATION_DAYS} days`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const days = [];
+
+  for (let day = new Date(start); day <= end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+
+    const [analytics, bookings, ledger] = await Promise.all([
+      RevenueAnalytics.findOne({
+        period: 'daily',
+        year: day.getFullYear(),
+        month: day.getMonth() + 1,
+        day: day.getDate()
+      }).select('totalRevenue totalBookings').lean(),
+      Booking.find({ createdAt: { $gte: day, $lt: next } })
+        .select('bookingId pricing.totalAmount payment.status payment.extraCharges.amount')
+        .lean(),
+      sumByType(['capture', 'refund'], day, next)
+    ]);
+
+    const paidBookings = bookings.filter(booking => PAID_STATUSES.includes(booking.payment?.status));
+    const bookingRevenue = roundCurrency(bookings.reduce((sum, b) => sum + (b.pricing?.totalAmount || 0), 0));
+    // Booking changes charged later are posted as booking_change entries, not as part of the capture
+    const paidRevenue = roundCurrency(paidBookings.reduce((sum, b) => sum + (b.pricing?.totalAmount || 0)
+      - (b.payment?.extraCharges || []).reduce((total, charge) => total + (charge.amount || 0), 0), 0));
+
+    const captured = await LedgerEntry.distinct('booking', {
+      type: 'capture',
+      booking: { $in: paidBookings.map(booking => booking._id) }
+    });
+    const capturedIds = new Set(captured.map(id => id.toString()));
+    const missingCaptures = paidBookings
+      .filter(booking => !capturedIds.has(booking._id.toString()))
+      .map(booking => ({ _id: booking._id, bookingId: booking.bookingId, amount: booking.pricing?.totalAmount || 0 }));
+
+    const analyticsRevenue = roundCurrency(analytics?.totalRevenue || 0);
+    const ledgerCaptured = ledger.capture?.amount || 0;
+
+    const analyticsDrift = roundCurrency(analyticsRevenue - bookingRevenue);
+    const ledgerDrift = roundCurrency(paidRevenue - ledgerCaptured);
+
+    const issues = [];
+    if (analyticsDrift !== 0) issues.push('analytics_revenue_mismatch');
+    if ((analytics?.totalBookings || 0) !== bookings.length) issues.push('analytics_booking_count_mismatch');
+    if (ledgerDrift !== 0) issues.push('ledger_capture_mismatch');
+    if (missingCaptures.length > 0) issues.push('paid_bookings_without_capture');
+
+    days.push({
+      date: day,
+      analytics: {
+        revenue: analyticsRevenue,
+        bookings: analytics?.totalBookings || 0
+      },
+      bookings: {
+        revenue: bookingRevenue,
+        count: bookings.length,
+        paidRevenue,
+        unpaidRevenue: roundCurrency(bookingRevenue - paidRevenue)
+      },
+      ledger: {
+        captured: ledgerCaptured,
+        refunded: ledger.refund?.amount || 0
+      },
+      drift: {
+        analytics: analyticsDrift,
+        ledger: ledgerDrift
+      },
+      missingCaptures,
+      issues,
+      reconciled: issues.length === 0
+    });
+  }
+
+  // The whole journal must balance; anything else means an entry was tampered with
+  const [trialBalance] = await LedgerEntry.aggregate([
+    { $unwind: '$postings' },
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: { $cond: [{ $eq: ['$postings.direction', 'debit'] }, '$postings.amount', 0] } },
+        credits: { $sum: { $cond: [{ $eq: ['$postings.direction', 'credit'] }, '$postings.amount', 0] } }
+      }
+    }
+  ]);
+
+  const debits = roundCurrency(trialBalance?.debits || 0);
+  const credits = roundCurrency(trialBalance?.credits || 0);
+
+  return {
+    from: start,
+    to: end,
+    trialBalance: { debits, credits, balanced: debits === credits },
+    summary: {
+      days: days.length,
+      daysWithIssues: days.filter(day => !day.reconciled).length,
+      analyticsDrift: roundCurrency(days.reduce((sum, day) => sum + day.drift.analytics, 0)),
+      ledgerDrift: roundCurrency(days.reduce((sum, day) => sum + day.drift.ledger, 0))
+    },
+    days
+  };
+};
+
+module.exports = {
+  getCreditValue,
+  postEntry,
+  recordBookingCapture,
+  recordRefund,
+  recordInstallmentPayment,
+  recordInstallmentWriteOff,
+  recordBookingChangeCharge,
+  recordSecurityDepositCapture,
+  recordChargeback,
+  recordChargebackReversal,
+  recordDisputeFee,
+  recordReferralCommission,
+  recordReferralCommissionReversal,
+  recordReferralPayout,
+  recordVendorPayout,
+  recordCreditGrant,
+  recordCreditRedemption,
+  recordCreditRestore,
+  recordCreditExpiry,
+  recordGiftCardSale,
+  recordGiftCardRestore,
+  recordGiftCardExpiry,
+  getAccountBalances,
+  getReconciliationReport
+};
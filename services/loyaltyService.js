@@ -0,0 +1,468 @@
+// services/loyaltyService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Loyalty = require('../models/Loyalty');
+const LoyaltyReward = require('../models/LoyaltyReward');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const creditService = require('./creditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tiers are decided by completed-booking spend over the last 12 months.
+// Higher tiers earn points faster and get a discount at checkout.
+const TIERS = [
+  { name: 'Bronze', minSpend: 0, pointsMultiplier: 1, checkoutDiscountPercent: 0, maxCheckoutDiscount: 0 },
+  { name: 'Silver', minSpend: 1000, pointsMultiplier: 1.25, checkoutDiscountPercent: 2, maxCheckoutDiscount: 50 },
+  { name: 'Gold', minSpend: 5000, pointsMultiplier: 1.5, checkoutDiscountPercent: 5, maxCheckoutDiscount: 150 },
+  { name: 'Platinum', minSpend: 15000, pointsMultiplier: 2, checkoutDiscountPercent: 10, maxCheckoutDiscount: 500 }
+];
+
+const POINTS_PER_DOLLAR = 1;
+const ROLLING_WINDOW_DAYS = 365;
+const COMPLETED_STATUSES = ['completed', 'reviewed'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createLoyaltyError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const getTier = (name) => TIERS.find(tier => tier.name === name) || TIERS[0];
+
+const getTierForSpend = (spend) => {
+  return [...TIERS].reverse().find(tier => spend >= tier.minSpend) || TIERS[0];
+};
+
+const tierRank = (name) => TIERS.findIndex(tier => tier.name === name);
+
+/**
+ * Get a user's loyalty account, creating it on first use
+ */
+const getOrCreateAccount = async (userId) => {
+  return Loyalty.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Completed-booking spend (net of refunds) over the rolling 12-month window
+ */
+const calculateRollingSpend = async (userId, asOf = new Date()) => {
+  const since = new Date(asOf.getTime() - ROLLING_WINDOW_DAYS * DAY_MS);
+
+  const [result] = await Booking.aggregate([
+    {
+      $match: {
+        customer: new mongoose.Types.ObjectId(userId.toString()),
+        status: { $in: COMPLETED_STATUSES },
+        scheduledDateTime: { $gte: since, $lte: asOf }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $subtract: ['$pricing.totalAmount', { $ifNull: ['$payment.refundAmount', 0] }]
+          }
+        }
+      }
+    }
+  ]);
+
+  return roundCurrency(Math.max(0, result?.total || 0));
+};
+
+/**
+ * Recalculate a member's tier from rolling spend, promoting or demoting as needed
+ * @returns {Object} the Loyalty account
+ */
+const evaluateTier = async (userId) => {
+  const account = await getOrCreateAccount(userId);
+  const rollingSpend = await calculateRollingSpend(userId);
+  const newTier = getTierForSpend(rollingSpend).name;
+
+  const update = { $set: { rollingSpend, tierEvaluatedAt: new Date() } };
+  if (newTier !== account.tier) {
+    update.$set.tier = newTier;
+    update.$push = {
+      tierHistory: { from: account.tier, to: newTier, rollingSpend, changedAt: new Date() }
+    };
+    console.log(`Loyalty tier for user ${userId}: ${account.tier} -> ${newTier}`);
+  }
+
+  return Loyalty.findByIdAndUpdate(account._id, update, { new: true });
+};
+
+/**
+ * Add or remove points. Each key is applied once, so retries are safe.
+ * Removals never take the balance below zero.
+ * @param {String} userId
+ * @param {Number} points - Whole number of points; negative removes
+ * @param {Object} details - { type, key, booking, reward, tier, multiplier, description, createdBy }
+ * @returns {Object} the LoyaltyTransaction (null if nothing changed)
+ */
+const applyPoints = async (userId, points, details) => {
+  points = Math.trunc(points);
+  if (!points) return null;
+
+  if (details.key) {
+    const existing = await LoyaltyTransaction.findOne({ key: details.key });
+    if (existing) return existing;
+  }
+
+  await getOrCreateAccount(userId);
+
+  let balanceAfter;
+  let applied = points;
+  if (points > 0) {
+    const account = await Loyalty.findOneAndUpdate(
+      { user: userId },
+      { $inc: { points, lifetimePoints: details.type === 'earn' ? points : 0 } },
+      { new: true }
+    );
+    balanceAfter = account.points;
+  } else {
+    const before = await Loyalty.findOneAndUpdate(
+      { user: userId },
+      [{ $set: { points: { $max: [0, { $add: ['$points', points] }] } } }]
+    );
+    applied = -Math.min(before.points || 0, -points);
+    balanceAfter = (before.points || 0) + applied;
+    if (!applied) return null;
+  }
+
+  try {
+    return await LoyaltyTransaction.create({
+      user: userId,
+      type: details.type,
+      points: applied,
+      balanceAfter,
+      key: details.key,
+      booking: details.booking || null,
+      reward: details.reward || null,
+      tier: details.tier,
+      multiplier: details.multiplier,
+      description: details.description,
+      createdBy: details.createdBy || null
+    });
+  } catch (error) {
+    if (error.code === 11000 && details.key) {
+      // Lost a race with a concurrent retry: undo our balance change
+      await Loyalty.updateOne({ user: userId }, { $inc: { points: -applied } });
+      return LoyaltyTransaction.findOne({ key: details.key });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Points earned on a completed booking, at the member's current tier multiplier.
+ * The tier is re-evaluated afterwards so the booking counts towards promotion.
+ * @param {Object} booking
+ */
+const accrueBookingPoints = async (booking) => {
+  const customerId = booking.customer?._id || booking.customer;
+  if (!customerId) return null;
+
+  const account = await getOrCreateAccount(customerId);
+  const tier = getTier(account.tier);
+
+  const spend = (booking.pricing?.totalAmount || 0) - (booking.payment?.refundAmount || 0);
+  const points = Math.floor(Math.max(0, spend) * POINTS_PER_DOLLAR * tier.pointsMultiplier);
+
+  let transaction = null;
+  if (points > 0) {
+    transaction = await applyPoints(customerId, points, {
+      type: 'earn',
+      key: `booking:${booking._id}`,
+      booking: booking._id,
+      tier: tier.name,
+      multiplier: tier.pointsMultiplier,
+      description: `Earned on booking ${booking.bookingId}`
+    });
+  }
+
+  await evaluateTier(customerId);
+  return transaction;
+};
+
+/**
+ * Take back the points earned on a booking that is cancelled after completion
+ * @param {Object} booking
+ */
+const reverseBookingPoints = async (booking) => {
+  const customerId = booking.customer?._id || booking.customer;
+  if (!customerId) return null;
+
+  const earned = await LoyaltyTransaction.findOne({ key: `booking:${booking._id}` });
+  let transaction = null;
+  if (earned) {
+    transaction = await applyPoints(customerId, -earned.points, {
+      type: 'reversal',
+      key: `reversal:${booking._id}`,
+      booking: booking._id,
+      description: `Reversed: booking ${booking.bookingId} was cancelled`
+    });
+  }
+
+  await evaluateTier(customerId);
+  return transaction;
+};
+
+/**
+ * Accrue or reverse points when a booking moves into or out of a completed status
+ * @param {Object} oldBooking - Booking before the status change
+ * @param {Object} newBooking - Booking after the status change
+ */
+const handleBookingStatusChange = async (oldBooking, newBooking) => {
+  const wasCompleted = COMPLETED_STATUSES.includes(oldBooking.status);
+  const isCompleted = COMPLETED_STATUSES.includes(newBooking.status);
+
+  if (isCompleted && !wasCompleted) {
+    return accrueBookingPoints(newBooking);
+  }
+  if (wasCompleted && newBooking.status === 'cancelled') {
+    return reverseBookingPoints(newBooking);
+  }
+  return null;
+};
+
+/**
+ * Tier discount available to a member at checkout
+ * @param {String} userId
+ * @param {Number} totalAmount - Checkout total before the discount
+ * @returns {Object} { tier, discountPercent, amount }
+ */
+const getCheckoutBenefit = async (userId, totalAmount) => {
+  const account = userId ? await Loyalty.findOne({ user: userId }).select('tier') : null;
+  const tier = getTier(account?.tier);
+
+  let amount = roundCurrency((totalAmount || 0) * tier.checkoutDiscountPercent / 100);
+  if (tier.maxCheckoutDiscount) {
+    amount = Math.min(amount, tier.maxCheckoutDiscount);
+  }
+
+  return {
+    tier: tier.name,
+    discountPercent: tier.checkoutDiscountPercent,
+    amount: Math.max(0, amount)
+  };
+};
+
+/**
+ * Active rewards, flagged with whether the member can redeem each one
+ * @param {String} userId - Optional; omit for the public catalog
+ */
+const getRewardsCatalog = async (userId = null) => {
+  const [rewards, account] = await Promise.all([
+    LoyaltyReward.find({ isActive: true }).sort({ pointsRequired: 1 }),
+    userId ? Loyalty.findOne({ user: userId }).select('points tier') : null
+  ]);
+
+  return rewards.map(reward => {
+    const inStock = reward.stock === null || reward.redeemedCount < reward.stock;
+    const data = reward.toObject();
+    if (userId) {
+      data.canRedeem = inStock
+        && (account?.points || 0) >= reward.pointsRequired
+        && tierRank(account?.tier || 'Bronze') >= tierRank(reward.minTier);
+    }
+    data.inStock = inStock;
+    return data;
+  });
+};
+
+/**
+ * Exchange points for a reward from the catalog
+ * @param {String} userId
+ * @param {String} rewardId
+ * @returns {Object} { redemption, points, creditTransaction }
+ */
+const redeemReward = async (userId, rewardId) => {
+  const reward = await LoyaltyReward.findById(rewardId);
+  if (!reward || !reward.isActive) {
+    throw createLoyaltyError('Reward not found.', 404);
+  }
+
+  const account = await getOrCreateAccount(userId);
+  if (tierRank(account.tier) < tierRank(reward.minTier)) {
+    throw createLoyaltyError(`This reward is available from ${reward.minTier} tier.`, 403);
+  }
+  if (account.points < reward.pointsRequired) {
+    throw createLoyaltyError('Not enough points to redeem this reward.');
+  }
+
+  // Claim stock first so a sold-out reward never takes points
+  const stockFilter = reward.stock === null
+    ? { _id: reward._id }
+    : { _id: reward._id, redeemedCount: { $lt: reward.stock } };
+  const claimed = await LoyaltyReward.updateOne(stockFilter, { $inc: { redeemedCount: 1 } });
+  if (claimed.modifiedCount !== 1) {
+    throw createLoyaltyError('This reward is out of stock.', 409);
+  }
+
+  const redemption = {
+    _id: new mongoose.Types.ObjectId(),
+    reward: reward._id,
+    title: reward.title,
+    description: reward.description,
+    pointsRequired: reward.pointsRequired,
+    redeemed: true,
+    redeemedAt: new Date(),
+    code: reward.type === 'perk' ? `LYL-${crypto.randomBytes(4).toString('hex').toUpperCase()}` : undefined
+  };
+
+  const updated = await Loyalty.findOneAndUpdate(
+    { user: userId, points: { $gte: reward.pointsRequired } },
+    { $inc: { points: -reward.pointsRequired }, $push: { rewards: redemption } },
+    { new: true }
+  );
+  if (!updated) {
+    await LoyaltyReward.updateOne({ _id: reward._id }, { $inc: { redeemedCount: -1 } });
+    throw createLoyaltyError('Not enough points to redeem this reward.');
+  }
+
+  await LoyaltyTransaction.create({
+    user: userId,
+    type: 'redeem',
+    points: -reward.pointsRequired,
+    balanceAfter: updated.points,
+    key: `redeem:${redemption._id}`,
+    reward: reward._id,
+    description: `Redeemed ${reward.title}`
+  });
+
+  let creditTransaction = null;
+  if (reward.type === 'caicos_credits' && reward.value > 0) {
+    creditTransaction = await creditService.addCredits(userId, reward.value, {
+      type: 'earn',
+      source: 'loyalty',
+      key: `loyalty:${redemption._id}`,
+      reference: reward._id,
+      description: `Loyalty reward: ${reward.title}`
+    });
+  }
+
+  return { redemption, points: updated.points, creditTransaction };
+};
+
+/**
+ * Admin grant (positive) or deduction (negative) of points
+ * @param {String} userId
+ * @param {Number} points - Whole number of points; negative deducts
+ * @param {String} reason
+ * @param {String} adminId
+ */
+const adjustPoints = async (userId, points, reason, adminId) => {
+  points = Math.trunc(Number(points));
+  if (!points) {
+    throw createLoyaltyError('Points must be a non-zero whole number.');
+  }
+  if (!reason) {
+    throw createLoyaltyError('A reason is required.');
+  }
+
+  if (points < 0) {
+    const account = await getOrCreateAccount(userId);
+    if (account.points < -points) {
+      throw createLoyaltyError(`Member only has ${account.points} point(s).`);
+    }
+  }
+
+  return applyPoints(userId, points, {
+    type: 'admin_adjust',
+    description: reason,
+    createdBy: adminId
+  });
+};
+
+/**
+ * Scheduled job: re-evaluate members above Bronze so spend that ages out of the
+ * 12-month window demotes them
+ */
+const evaluateAllTiers = async () => {
+  const staleBefore = new Date(Date.now() - DAY_MS);
+  const accounts = Loyalty.find({
+    tier: { $ne: 'Bronze' },
+    $or: [{ tierEvaluatedAt: { $lte: staleBefore } }, { tierEvaluatedAt: null }]
+  }).select('user').cursor();
+
+  let evaluated = 0;
+  for await (const account of accounts) {
+    try {
+      await evaluateTier(account.user);
+      evaluated++;
+    } catch (error) {
+      console.error(`Error evaluating loyalty tier for user ${account.user}:`, error.message);
+    }
+  }
+
+  if (evaluated > 0) {
+    console.log(`Re-evaluated ${evaluated} loyalty tier(s)`);
+  }
+  return evaluated;
+};
+
+/**
+ * Member summary: balance, tier benefits, progress to the next tier and points history
+ */
+const getAccount = async (userId, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const [account, transactions, total] = await Promise.all([
+    getOrCreateAccount(userId),
+    LoyaltyTransaction.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-key'),
+    LoyaltyTransaction.countDocuments({ user: userId })
+  ]);
+
+  const tier = getTier(account.tier);
+  const nextTier = TIERS[tierRank(tier.name) + 1] || null;
+
+  return {
+    points: account.points,
+    lifetimePoints: account.lifetimePoints,
+    tier: tier.name,
+    benefits: tier,
+    rollingSpend: account.rollingSpend,
+    tierEvaluatedAt: account.tierEvaluatedAt,
+    nextTier: nextTier && {
+      name: nextTier.name,
+      minSpend: nextTier.minSpend,
+      spendNeeded: roundCurrency(Math.max(0, nextTier.minSpend - account.rollingSpend))
+    },
+    rewards: account.rewards,
+    transactions,
+    pagination: {
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  TIERS,
+  getTier,
+  calculateRollingSpend,
+  evaluateTier,
+  accrueBookingPoints,
+  reverseBookingPoints,
+  handleBookingStatusChange,
+  getCheckoutBenefit,
+  getRewardsCatalog,
+  redeemReward,
+  adjustPoints,
+  evaluateAllTiers,
+  getAccount
+};
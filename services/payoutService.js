@@ -0,0 +1,462 @@
+// services/payoutService.js
+const mongoose = require('mongoose');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const VendorPayout = require('../models/VendorPayout');
+const Dispute = require('../models/Dispute');
+const ledgerService = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TRANSFER_ATTEMPTS = 3;
+// A payout still 'processing' after this long was interrupted mid-transfer
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Platform commission kept on every booking, as a percentage
+const getCommissionRate = () => {
+  const rate = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT);
+  return Number.isFinite(rate) ? rate : 15;
+};
+
+// Days a completed booking waits before it is paid out (dispute/refund window)
+const getSettlementDelayDays = () => parseInt(process.env.VENDOR_PAYOUT_DELAY_DAYS, 10) || 2;
+
+// Balances below this carry over to the next run
+const getMinimumPayout = () => parseFloat(process.env.VENDOR_PAYOUT_MINIMUM) || 0;
+
+// Without a Stripe key (local development) or with STRIPE_CONNECT_MOCK=true, transfers are simulated
+const isMockMode = () => process.env.STRIPE_CONNECT_MOCK === 'true' || !process.env.STRIPE_SECRET_KEY;
+
+// Both queries match every vendor when vendorId is null
+const earningsQuery = (vendorId, cutoff) => ({
+  ...(vendorId && { vendor: vendorId }),
+  status: { $in: ['completed', 'reviewed'] },
+  'payment.status': { $in: ['completed', 'partially-refunded'] },
+  // Rentals wait until their security deposit is captured or released
+  'payment.securityDeposit.status': { $nin: ['scheduled', 'authorized'] },
+  'settlement.payout': null,
+  scheduledDateTime: { $lte: cutoff }
+});
+
+// Settled bookings refunded after their payout went out
+const adjustmentsQuery = (vendorId) => ({
+  ...(vendorId && { vendor: vendorId }),
+  'settlement.payout': { $ne: null },
+  $expr: {
+    $gt: [
+      { $ifNull: ['$payment.refundAmount', 0] },
+      { $ifNull: ['$settlement.settledRefundAmount', 0] }
+    ]
+  }
+});
+
+// Disputes whose funds were withdrawn (or reinstated) and not yet deducted from (or paid back to) the vendor
+const chargebacksQuery = (vendorId) => ({
+  fundsWithdrawnAt: { $ne: null },
+  allocations: { $elemMatch: { ...(vendorId && { vendor: vendorId }), clawbackPayout: null } }
+});
+
+const reinstatementsQuery = (vendorId) => ({
+  fundsReinstatedAt: { $ne: null },
+  allocations: { $elemMatch: { ...(vendorId && { vendor: vendorId }), reinstatementPayout: null } }
+});
+
+/**
+ * Payout line for a completed booking
+ * @param {Object} booking
+ * @param {Number} commissionRate - percentage
+ * @param {Number} refunded - refunds to deduct (defaults to the booking's refunds so far)
+ */
+const buildEarningLine = (booking, commissionRate, refunded = booking.payment?.refundAmount || 0) => {
+  const bookingAmount = roundCurrency(booking.pricing?.totalAmount || 0);
+  // Security deposit captured for damages goes to the vendor without commission
+  const securityDepositAmount = roundCurrency(booking.payment?.securityDeposit?.capturedAmount || 0);
+  const grossAmount = roundCurrency(bookingAmount + securityDepositAmount);
+  const refundAmount = roundCurrency(Math.min(bookingAmount, refunded));
+  const commissionAmount = roundCurrency((bookingAmount - refundAmount) * commissionRate / 100);
+
+  return {
+    booking: booking._id,
+    bookingId: booking.bookingId,
+    serviceType: booking.serviceType,
+    scheduledDateTime: booking.scheduledDateTime,
+    type: 'earning',
+    grossAmount,
+    securityDepositAmount,
+    refundAmount,
+    commissionAmount,
+    netAmount: roundCurrency(grossAmount - refundAmount - commissionAmount)
+  };
+};
+
+/**
+ * Payout line deducting a refund issued after the booking was settled.
+ * The platform gives back its commission on the refunded part.
+ */
+const buildAdjustmentLine = (booking, commissionRate, previouslySettled) => {
+  const refundAmount = roundCurrency((booking.payment?.refundAmount || 0) - (previouslySettled || 0));
+  const commissionAmount = roundCurrency(-refundAmount * commissionRate / 100);
+
+  return {
+    booking: booking._id,
+    bookingId: booking.bookingId,
+    serviceType: booking.serviceType,
+    scheduledDateTime: booking.scheduledDateTime,
+    type: 'adjustment',
+    grossAmount: 0,
+    refundAmount,
+    commissionAmount,
+    netAmount: roundCurrency(-refundAmount - commissionAmount)
+  };
+};
+
+/**
+ * Payout line for a vendor's part of a card dispute: deducted when Stripe withdraws the funds,
+ * paid back when they are reinstated. Commission follows the amount either way.
+ * @param {Object} dispute - with allocations.booking populated
+ * @param {Object} allocation
+ * @param {String} type - 'chargeback' or 'chargeback_reversal'
+ */
+const buildDisputeLine = (dispute, allocation, commissionRate, type) => {
+  const booking = allocation.booking || {};
+  const amount = roundCurrency(allocation.amount);
+  const commission = roundCurrency(amount * commissionRate / 100);
+  const reversal = type === 'chargeback_reversal';
+
+  return {
+    booking: booking._id || booking,
+    bookingId: booking.bookingId,
+    serviceType: booking.serviceType,
+    scheduledDateTime: booking.scheduledDateTime,
+    type,
+    dispute: dispute._id,
+    allocation: allocation._id,
+    grossAmount: reversal ? amount : 0,
+    refundAmount: reversal ? 0 : amount,
+    commissionAmount: reversal ? commission : -commission,
+    netAmount: reversal ? roundCurrency(amount - commission) : roundCurrency(-amount + commission)
+  };
+};
+
+/**
+ * Unclaimed dispute lines of a vendor
+ */
+const getDisputeLines = async (vendorId, commissionRate) => {
+  const populate = { path: 'allocations.booking', select: 'bookingId serviceType scheduledDateTime' };
+  const [chargebacks, reinstatements] = await Promise.all([
+    Dispute.find(chargebacksQuery(vendorId)).populate(populate).lean(),
+    Dispute.find(reinstatementsQuery(vendorId)).populate(populate).lean()
+  ]);
+  const isVendors = (allocation) => allocation.vendor.toString() === vendorId.toString();
+
+  return [
+    ...chargebacks.flatMap(dispute => dispute.allocations
+      .filter(allocation => isVendors(allocation) && !allocation.clawbackPayout)
+      .map(allocation => buildDisputeLine(dispute, allocation, commissionRate, 'chargeback'))),
+    ...reinstatements.flatMap(dispute => dispute.allocations
+      .filter(allocation => isVendors(allocation) && !allocation.reinstatementPayout)
+      .map(allocation => buildDisputeLine(dispute, allocation, commissionRate, 'chargeback_reversal')))
+  ];
+};
+
+const sumLines = (lines) => lines.reduce((totals, line) => ({
+  grossAmount: roundCurrency(totals.grossAmount + line.grossAmount),
+  refundAmount: roundCurrency(totals.refundAmount + line.refundAmount),
+  commissionAmount: roundCurrency(totals.commissionAmount + line.commissionAmount),
+  netAmount: roundCurrency(totals.netAmount + line.netAmount)
+}), { grossAmount: 0, refundAmount: 0, commissionAmount: 0, netAmount: 0 });
+
+/**
+ * Unsettled balance of a vendor (what the next payout would contain)
+ * @param {String} vendorId
+ * @param {Date} cutoff - Only bookings scheduled before this date are payable
+ * @returns {Object} { lines, totals, commissionRate }
+ */
+const getVendorBalance = async (vendorId, cutoff = new Date(Date.now() - getSettlementDelayDays() * DAY_MS)) => {
+  const commissionRate = getCommissionRate();
+
+  const [earnings, adjustments, disputeLines] = await Promise.all([
+    Booking.find(earningsQuery(vendorId, cutoff)).lean(),
+    Booking.find(adjustmentsQuery(vendorId)).lean(),
+    getDisputeLines(vendorId, commissionRate)
+  ]);
+
+  const lines = [
+    ...earnings.map(booking => buildEarningLine(booking, commissionRate)),
+    ...adjustments.map(booking => buildAdjustmentLine(booking, commissionRate, booking.settlement?.settledRefundAmount)),
+    ...disputeLines
+  ];
+
+  return { lines, totals: sumLines(lines), commissionRate };
+};
+
+/**
+ * Batch a vendor's unsettled bookings into a payout. Bookings are claimed
+ * atomically, so concurrent runs never settle a booking twice.
+ * @returns {Object|null} the VendorPayout, or null if there is nothing (or too little) to pay
+ */
+const createVendorPayout = async (vendorId, cutoff = new Date(Date.now() - getSettlementDelayDays() * DAY_MS)) => {
+  const preview = await getVendorBalance(vendorId, cutoff);
+  if (preview.lines.length === 0 || preview.totals.netAmount <= 0 || preview.totals.netAmount < getMinimumPayout()) {
+    return null;
+  }
+
+  const vendor = await User.findById(vendorId).select('businessProfile.paymentInfo.stripeConnectId');
+  if (!vendor) return null;
+
+  const lastPayout = await VendorPayout.findOne({ vendor: vendorId }).sort({ periodEnd: -1 }).select('periodEnd');
+  const earliest = preview.lines.reduce(
+    (min, line) => (line.scheduledDateTime && line.scheduledDateTime < min ? line.scheduledDateTime : min),
+    cutoff
+  );
+
+  const payout = await VendorPayout.create({
+    vendor: vendorId,
+    periodStart: lastPayout ? lastPayout.periodEnd : earliest,
+    periodEnd: cutoff,
+    commissionRate: preview.commissionRate,
+    payoutMethod: vendor.businessProfile?.paymentInfo?.stripeConnectId ? 'stripe_connect' : 'bank_transfer'
+  });
+
+  const settledAt = new Date();
+  const lines = [];
+
+  // Claim unsettled bookings; the refunds known at this point are deducted now
+  const earningIds = preview.lines.filter(line => line.type === 'earning').map(line => line.booking);
+  if (earningIds.length > 0) {
+    await Booking.updateMany(
+      { ...earningsQuery(vendorId, cutoff), _id: { $in: earningIds } },
+      [{
+        $set: {
+          'settlement.payout': payout._id,
+          'settlement.settledAt': settledAt,
+          'settlement.settledRefundAmount': { $ifNull: ['$payment.refundAmount', 0] }
+        }
+      }]
+    );
+
+    const claimed = await Booking.find({ 'settlement.payout': payout._id }).lean();
+    claimed.forEach(booking => {
+      lines.push(buildEarningLine(booking, preview.commissionRate, booking.settlement.settledRefundAmount));
+    });
+  }
+
+  // Claim late refunds one booking at a time (guarded on the previously settled amount)
+  for (const line of preview.lines.filter(entry => entry.type === 'adjustment')) {
+    const booking = await Booking.findById(line.booking).lean();
+    if (!booking) continue;
+
+    const previouslySettled = booking.settlement?.settledRefundAmount || 0;
+    const refunded = booking.payment?.refundAmount || 0;
+    if (refunded <= previouslySettled) continue;
+
+    const claimed = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'settlement.settledRefundAmount': previouslySettled },
+      { $set: { 'settlement.settledRefundAmount': refunded } }
+    );
+    if (claimed) {
+      lines.push(buildAdjustmentLine(booking, preview.commissionRate, previouslySettled));
+    }
+  }
+
+  // Claim dispute lines per allocation, guarded on it not being in another payout yet
+  for (const line of preview.lines.filter(entry => entry.dispute)) {
+    const field = line.type === 'chargeback' ? 'clawbackPayout' : 'reinstatementPayout';
+    const result = await Dispute.updateOne(
+      { _id: line.dispute, allocations: { $elemMatch: { _id: line.allocation, [field]: null } } },
+      { $set: { [`allocations.$.${field}`]: payout._id } }
+    );
+    if (result.modifiedCount > 0) {
+      const { allocation, ...payoutLine } = line;
+      lines.push(payoutLine);
+    }
+  }
+
+  if (lines.length === 0) {
+    await VendorPayout.deleteOne({ _id: payout._id });
+    return null;
+  }
+
+  Object.assign(payout, sumLines(lines));
+  payout.lines = lines;
+  await payout.save();
+
+  return payout;
+};
+
+/**
+ * Transfer made for a payout by an earlier attempt that never got to record it
+ * (found by the payoutId metadata, among transfers to the vendor since the payout was created)
+ */
+const findPayoutTransfer = async (payout, destination) => {
+  const since = Math.floor(new Date(payout.createdAt || Date.now()).getTime() / 1000);
+  for await (const transfer of stripe.transfers.list({ destination, created: { gte: since }, limit: 100 })) {
+    if (transfer.metadata?.payoutId === payout._id.toString()) return transfer;
+  }
+  return null;
+};
+
+/**
+ * Send a pending, failed or interrupted payout through Stripe Connect. Vendors without a
+ * Connect account are left pending for a manual bank transfer.
+ */
+const sendPayout = async (payout) => {
+  if (payout.payoutMethod !== 'stripe_connect' || payout.netAmount <= 0) {
+    return payout;
+  }
+
+  const vendor = await User.findById(payout.vendor).select('businessProfile.businessName businessProfile.paymentInfo.stripeConnectId');
+  const destination = vendor?.businessProfile?.paymentInfo?.stripeConnectId;
+
+  payout.status = 'processing';
+  payout.processedAt = new Date();
+  payout.attempts += 1;
+  await payout.save();
+
+  try {
+    let transferId;
+    if (isMockMode()) {
+      transferId = `tr_mock_${payout._id}`;
+      payout.mock = true;
+    } else {
+      if (!destination) {
+        throw new Error('Vendor does not have a Stripe Connect account configured');
+      }
+
+      // One key per payout: a retry can never make a second transfer
+      const transfer = await findPayoutTransfer(payout, destination) || await stripe.transfers.create({
+        amount: Math.round(payout.netAmount * 100), // Convert to cents
+        currency: payout.currency,
+        destination,
+        description: `Vendor payout for ${vendor.businessProfile?.businessName || vendor._id}`,
+        metadata: { payoutId: payout._id.toString() }
+      }, { idempotencyKey: `vendor-payout-${payout._id}` });
+      transferId = transfer.id;
+    }
+
+    payout.stripeTransferId = transferId;
+    payout.status = 'paid';
+    payout.paidAt = new Date();
+    payout.failureReason = null;
+  } catch (error) {
+    console.error(`Vendor payout ${payout._id} failed:`, error.message);
+    payout.status = 'failed';
+    payout.failedAt = new Date();
+    payout.failureReason = error.message;
+  }
+
+  await payout.save();
+
+  if (payout.status === 'paid') {
+    await ledgerService.recordVendorPayout(payout);
+  }
+
+  return payout;
+};
+
+/**
+ * Scheduled job: create and send payouts for every vendor with a payable balance,
+ * then retry transfers that failed or were interrupted on earlier runs
+ */
+const runScheduledPayouts = async () => {
+  const cutoff = new Date(Date.now() - getSettlementDelayDays() * DAY_MS);
+
+  const [earningVendors, adjustmentVendors, chargebackVendors, reinstatementVendors] = await Promise.all([
+    Booking.distinct('vendor', earningsQuery(null, cutoff)),
+    Booking.distinct('vendor', adjustmentsQuery(null)),
+    Dispute.distinct('allocations.vendor', chargebacksQuery(null)),
+    Dispute.distinct('allocations.vendor', reinstatementsQuery(null))
+  ]);
+
+  const vendorIds = [...new Set(
+    [...earningVendors, ...adjustmentVendors, ...chargebackVendors, ...reinstatementVendors].map(id => id.toString())
+  )];
+  const summary = { created: 0, paid: 0, failed: 0, retried: 0, recovered: 0 };
+
+  for (const vendorId of vendorIds) {
+    try {
+      const payout = await createVendorPayout(new mongoose.Types.ObjectId(vendorId), cutoff);
+      if (!payout) continue;
+      summary.created++;
+
+      await sendPayout(payout);
+      if (payout.status === 'paid') summary.paid++;
+      if (payout.status === 'failed') summary.failed++;
+    } catch (error) {
+      console.error(`Error creating payout for vendor ${vendorId}:`, error);
+    }
+  }
+
+  const failedPayouts = await VendorPayout.find({
+    status: 'failed',
+    payoutMethod: 'stripe_connect',
+    attempts: { $lt: MAX_TRANSFER_ATTEMPTS }
+  });
+  for (const payout of failedPayouts) {
+    await sendPayout(payout);
+    summary.retried++;
+    if (payout.status === 'paid') summary.paid++;
+  }
+
+  // Interrupted mid-transfer: sendPayout records the transfer if it went through, otherwise makes it
+  const stalePayouts = await VendorPayout.find({
+    status: 'processing',
+    payoutMethod: 'stripe_connect',
+    processedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) }
+  });
+  for (const payout of stalePayouts) {
+    await sendPayout(payout);
+    summary.recovered++;
+    if (payout.status === 'paid') summary.paid++;
+  }
+
+  if (summary.created > 0 || summary.retried > 0 || summary.recovered > 0) {
+    console.log('Vendor payouts run:', summary);
+  }
+  return summary;
+};
+
+/**
+ * Settlement statement for a vendor: every payout in the period with the bookings it included
+ * @param {String} vendorId
+ * @param {Date} from
+ * @param {Date} to
+ */
+const getStatement = async (vendorId, from, to) => {
+  const payouts = await VendorPayout.find({
+    vendor: vendorId,
+    createdAt: { $gte: from, $lte: to }
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const lines = payouts.flatMap(payout => payout.lines.map(line => ({
+    ...line,
+    payout: payout._id,
+    payoutStatus: payout.status
+  })));
+
+  return {
+    vendor: vendorId,
+    from,
+    to,
+    payouts: payouts.map(({ lines: payoutLines, ...payout }) => ({ ...payout, bookings: payoutLines.length })),
+    lines,
+    totals: {
+      ...sumLines(lines),
+      paid: roundCurrency(payouts.filter(p => p.status === 'paid').reduce((sum, p) => sum + p.netAmount, 0)),
+      outstanding: roundCurrency(payouts.filter(p => p.status !== 'paid').reduce((sum, p) => sum + p.netAmount, 0))
+    }
+  };
+};
+
+module.exports = {
+  getCommissionRate,
+  getVendorBalance,
+  createVendorPayout,
+  sendPayout,
+  runScheduledPayouts,
+  getStatement
+};
@@ -0,0 +1,590 @@
+// services/pricingService.js
+const Service = require('../models/Service');
+const rateCalendarService = require('./rateCalendarService');
+const surgePricingService = require('./surgePricingService');
+const taxService = require('./taxService');
+const { distanceMiles } = require('../utils/geo');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SEAT_CATEGORIES = ['Ferry', 'Flight'];
+
+// Stays of this many nights get the listing's weekly / monthly discount
+const WEEKLY_NIGHTS = 7;
+const MONTHLY_NIGHTS = 28;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createPricingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Platform service fee, percent of the pre-tax subtotal
+const getServiceFeePercent = () => parseFloat(process.env.SERVICE_FEE_PERCENT) || 0;
+
+const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const findById = (list = [], id) => {
+  if (!id) return undefined;
+  return list.find(entry => entry._id && entry._id.toString() === id.toString());
+};
+
+const sameName = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const countNights = (request) => {
+  const checkIn = toDay(request.startDate || request.selectedDate || request.date);
+  if (!checkIn) throw createPricingError('A check-in date is required.');
+  const checkOut = toDay(request.endDate || request.checkOutDate);
+  if (!checkOut) return 1;
+  if (checkOut <= checkIn) throw createPricingError('Check-out must be after check-in.');
+  return Math.round((checkOut - checkIn) / MS_PER_DAY);
+};
+
+const countRentalDays = (request) => {
+  const start = toDay(request.startDate || request.selectedDate || request.date);
+  const end = toDay(request.endDate);
+  if (start && end && end > start) {
+    return Math.round((end - start) / MS_PER_DAY);
+  }
+  return Math.max(1, parseInt(request.days, 10) || 1);
+};
+
+const UNIT_LABELS = {
+  'per person': 'people',
+  'per hour': 'hours',
+  'per day': 'days'
+};
+
+/**
+ * Base charge for a listing priced with an Activity-style pricingType
+ * @returns {Object} { amount, label }
+ */
+const priceByPricingType = (name, rate, pricingType, request, defaultHours) => {
+  const people = parseInt(request.numPeople, 10) || 1;
+  let units = 1;
+
+  switch (pricingType) {
+    case 'per person':
+      units = people;
+      break;
+    case 'per hour':
+      units = parseFloat(request.hours) || defaultHours || 1;
+      break;
+    case 'per day':
+      units = countRentalDays(request);
+      break;
+    default:
+      // 'per trip' and 'varies' are one price for the booking
+      units = 1;
+  }
+
+  return {
+    amount: rate * units,
+    label: units > 1 && UNIT_LABELS[pricingType] ? `${name} (${units} ${UNIT_LABELS[pricingType]})` : name
+  };
+};
+
+// ============================================================
+// PER-SERVICE-TYPE BASE PRICES
+// Each returns { lines } of base, fee and discount lines before platform fees and taxes
+// ============================================================
+
+const priceStay = async (stay, request) => {
+  const nights = countNights(request);
+  const guests = parseInt(request.numPeople, 10) || 1;
+  if (stay.maxGuests && guests > stay.maxGuests) {
+    throw createPricingError(`${stay.name} sleeps at most ${stay.maxGuests} guests.`);
+  }
+
+  // Nightly rates from the rate calendar, one line per run of nights at the same rate
+  const calendarNights = await rateCalendarService.getStayNights(stay, {
+    checkIn: request.startDate || request.selectedDate || request.date,
+    nights,
+    unitKey: request.room || request.roomId
+  });
+  const runs = [];
+  calendarNights.forEach(night => {
+    const run = runs.find(entry => entry.rate === night.rate && entry.season === night.season);
+    if (run) {
+      run.nights += 1;
+    } else {
+      runs.push({ rate: night.rate, season: night.season, nights: 1 });
+    }
+  });
+
+  const nightly = calendarNights.reduce((sum, night) => sum + night.rate, 0);
+  const lines = runs.map(run => ({
+    label: `${run.nights} night${run.nights > 1 ? 's' : ''} x ${run.rate}${run.season ? ` (${run.season})` : ''}`,
+    type: 'base',
+    amount: run.rate * run.nights
+  }));
+
+  if (stay.cleaningFee) {
+    lines.push({ label: 'Cleaning fee', type: 'fee', amount: stay.cleaningFee });
+  }
+
+  const monthly = stay.discounts?.monthly || 0;
+  const weekly = stay.discounts?.weekly || 0;
+  if (nights >= MONTHLY_NIGHTS && monthly > 0) {
+    lines.push({ label: `Monthly discount (${monthly}%)`, type: 'discount', rate: monthly, amount: nightly * monthly / 100 });
+  } else if (nights >= WEEKLY_NIGHTS && weekly > 0) {
+    lines.push({ label: `Weekly discount (${weekly}%)`, type: 'discount', rate: weekly, amount: nightly * weekly / 100 });
+  }
+
+  return { lines, nights };
+};
+
+const priceActivity = async (activity, request) => {
+  let option = findById(activity.options, request.optionId || request.option);
+  if (!option && activity.options?.length === 1) {
+    option = activity.options[0];
+  }
+
+  if (!option && activity.options?.length > 1) {
+    throw createPricingError('Please select an option for this activity.');
+  }
+
+  if (option) {
+    const people = parseInt(request.numPeople, 10) || 1;
+    if (option.maxPeople && people > option.maxPeople) {
+      throw createPricingError(`${option.title} takes at most ${option.maxPeople} people.`);
+    }
+  }
+
+  // Seasonal price for the activity date, if the rate calendar has one
+  const { rate, season } = await rateCalendarService.getUnitRate(activity, {
+    date: request.startDate || request.selectedDate || request.date,
+    unitKey: option ? option._id.toString() : 'default',
+    baseRate: option ? option.cost : (activity.discountedPrice || activity.price)
+  });
+  const name = `${option ? option.title : activity.name}${season ? ` (${season})` : ''}`;
+  const base = option
+    ? priceByPricingType(name, rate, option.pricingType, request, option.duration)
+    : priceByPricingType(name, rate, activity.pricingType, request);
+  return { lines: [{ label: base.label, type: 'base', amount: base.amount }] };
+};
+
+/**
+ * Trip distance in miles: a preset route, preset pickup/dropoff locations, or coordinates
+ */
+const resolveDistance = (transportation, request) => {
+  const routes = (transportation.presetRoutes || []).filter(route => route.isActive !== false);
+  const route = findById(routes, request.routeId) || routes.find(entry =>
+    sameName(entry.startLocation?.name, request.pickupLocation) && sameName(entry.endLocation?.name, request.dropoffLocation)
+  );
+  if (route) {
+    return { distance: route.distance, route };
+  }
+
+  const locations = transportation.presetLocations || [];
+  const pickup = locations.find(location => sameName(location.name, request.pickupLocation))?.coordinates ||
+    request.pickupCoordinates;
+  const dropoff = locations.find(location => sameName(location.name, request.dropoffLocation))?.coordinates ||
+    request.dropoffCoordinates;
+
+  if (pickup?.latitude != null && dropoff?.latitude != null) {
+    return { distance: roundCurrency(distanceMiles(pickup, dropoff)), route: null };
+  }
+
+  throw createPricingError('Pickup and dropoff locations are required to price this trip.');
+};
+
+const priceTransportation = async (transportation, request) => {
+  const people = parseInt(request.numPeople, 10) || 1;
+  const vehicle = (transportation.fleet || []).find(entry => entry.vehicleId && entry.vehicleId === request.vehicleId);
+  const lines = [];
+  let tripDistance = null;
+
+  switch (transportation.pricingModel) {
+    case 'flat':
+      lines.push({ label: transportation.name, type: 'base', amount: vehicle?.priceOverride ?? (transportation.flatPrice || transportation.basePrice) });
+      break;
+
+    case 'per-trip':
+      lines.push({ label: transportation.name, type: 'base', amount: vehicle?.priceOverride ?? transportation.basePrice });
+      break;
+
+    case 'per-flight': {
+      const fare = vehicle?.priceOverride ?? transportation.basePrice;
+      lines.push({ label: `${people} seat${people > 1 ? 's' : ''} x ${fare}`, type: 'base', amount: fare * people });
+      break;
+    }
+
+    case 'per-hour': {
+      const hours = parseFloat(request.hours) || 1;
+      const rate = vehicle?.priceOverride ?? (transportation.perHourPrice || transportation.basePrice);
+      lines.push({ label: `${hours} hour${hours > 1 ? 's' : ''} x ${rate}`, type: 'base', amount: rate * hours });
+      break;
+    }
+
+    case 'per-day': {
+      const days = countRentalDays(request);
+      const rate = vehicle?.priceOverride ?? (transportation.perDayPrice || transportation.basePrice);
+      const rental = rate * days;
+      lines.push({ label: `${days} day${days > 1 ? 's' : ''} x ${rate}`, type: 'base', amount: rental });
+
+      // Best long-term discount the rental qualifies for
+      const longTerm = (transportation.longTermDiscounts || [])
+        .filter(discount => discount.minimumDays && days >= discount.minimumDays && discount.discountPercentage > 0)
+        .sort((a, b) => b.discountPercentage - a.discountPercentage)[0];
+      if (longTerm) {
+        lines.push({
+          label: `${longTerm.duration ? longTerm.duration.charAt(0).toUpperCase() + longTerm.duration.slice(1) : 'Long-term'} discount (${longTerm.discountPercentage}%)`,
+          type: 'discount',
+          rate: longTerm.discountPercentage,
+          amount: rental * longTerm.discountPercentage / 100
+        });
+      }
+      break;
+    }
+
+    case 'per-mile':
+    case 'distance-based': {
+      const { distance, route } = resolveDistance(transportation, request);
+      tripDistance = distance;
+      let fare;
+
+      if (route && route.basePrice) {
+        fare = route.basePrice;
+      } else if (transportation.pricingModel === 'per-mile') {
+        fare = Math.max(transportation.basePrice || 0, (transportation.perMilePrice || 0) * distance);
+      } else {
+        const band = (transportation.distanceBasedRates || []).find(rate =>
+          distance >= (rate.minDistance || 0) && (rate.maxDistance == null || distance <= rate.maxDistance)
+        );
+        const pricing = transportation.distancePricing || {};
+        if (band) {
+          fare = (band.flatRate || 0) + (band.pricePerUnit || 0) * distance;
+        } else if (pricing.enabled) {
+          fare = (pricing.baseRate || 0) + Math.max(0, distance - (pricing.baseMileage || 0)) * (pricing.perMileRate || 0);
+        } else {
+          fare = transportation.basePrice;
+        }
+        if (pricing.minimumFare) fare = Math.max(fare, pricing.minimumFare);
+        if (pricing.maximumFare) fare = Math.min(fare, pricing.maximumFare);
+      }
+
+      lines.push({ label: `${route ? route.name : 'Trip'} (${distance} mi)`, type: 'base', amount: fare });
+      (route?.waypoints || [])
+        .filter(waypoint => waypoint.additionalCost && (!waypoint.isOptional || (request.waypoints || []).includes(waypoint.name)))
+        .forEach(waypoint => lines.push({ label: `Stop: ${waypoint.name}`, type: 'fee', amount: waypoint.additionalCost }));
+      break;
+    }
+
+    case 'age-based': {
+      const ages = Array.isArray(request.passengerAges) && request.passengerAges.length > 0
+        ? request.passengerAges.map(Number)
+        : null;
+      if (!ages) {
+        lines.push({ label: `${people} passenger${people > 1 ? 's' : ''} x ${transportation.basePrice}`, type: 'base', amount: transportation.basePrice * people });
+        break;
+      }
+      ages.forEach(age => {
+        const bracket = (transportation.ageBasedPricing || []).find(entry =>
+          age >= (entry.minAge || 0) && (entry.maxAge == null || age <= entry.maxAge)
+        );
+        lines.push({ label: `Passenger aged ${age}`, type: 'base', amount: bracket ? bracket.price : transportation.basePrice });
+      });
+      break;
+    }
+
+    default:
+      lines.push({ label: transportation.name, type: 'base', amount: transportation.basePrice });
+  }
+
+  // Extra charges for preset pickup/dropoff locations
+  (transportation.presetLocations || [])
+    .filter(location => location.priceModifier &&
+      (sameName(location.name, request.pickupLocation) || sameName(location.name, request.dropoffLocation)))
+    .forEach(location => lines.push({ label: `Location: ${location.name}`, type: 'fee', amount: location.priceModifier }));
+
+  // Seats are priced per person by their pricing model; everything else is one vehicle/trip
+  if (SEAT_CATEGORIES.includes(transportation.category) && ['flat', 'per-trip'].includes(transportation.pricingModel) && people > 1) {
+    lines.forEach(line => {
+      if (line.type === 'base') {
+        line.amount *= people;
+        line.label = `${line.label} x ${people}`;
+      }
+    });
+  }
+
+  // Demand surge, night and weekend surcharges (recorded on the booking as pricing.surcharges)
+  const fare = lines.filter(line => line.type === 'base').reduce((sum, line) => sum + line.amount, 0);
+  lines.push(...await surgePricingService.getSurchargeLines(transportation, request, fare));
+
+  return { lines, distance: tripDistance };
+};
+
+const priceDining = (dining, request) => {
+  const selections = Array.isArray(request.menuItems) ? request.menuItems : [];
+  const lines = [];
+
+  selections.forEach(selection => {
+    const menuItem = findById(dining.menuItems, selection.menuItemId || selection._id || selection.id);
+    if (!menuItem) {
+      throw createPricingError('A selected menu item is no longer available.');
+    }
+    const quantity = Math.max(1, parseInt(selection.quantity, 10) || 1);
+    lines.push({ label: `${menuItem.name}${quantity > 1 ? ` x ${quantity}` : ''}`, type: 'base', amount: menuItem.price * quantity });
+
+    (selection.sides || []).forEach(sideId => {
+      const side = findById(menuItem.sides, sideId?._id || sideId);
+      if (side) {
+        lines.push({ label: `${menuItem.name}: ${side.name}${quantity > 1 ? ` x ${quantity}` : ''}`, type: 'base', amount: side.price * quantity });
+      }
+    });
+  });
+
+  // A table reservation without a pre-order is free to book
+  return { lines, reservationOnly: lines.length === 0 };
+};
+
+const priceSpa = (spa, request) => {
+  const program = findById(spa.wellnessPrograms, request.programId);
+  if (program) {
+    return { lines: [{ label: program.title, type: 'base', amount: program.price }] };
+  }
+
+  let treatment = findById(spa.servicesOffered, request.optionId || request.option || request.service);
+  if (!treatment && request.serviceName) {
+    treatment = (spa.servicesOffered || []).find(entry => entry.name === request.serviceName);
+  }
+  if (!treatment && spa.servicesOffered?.length === 1) {
+    treatment = spa.servicesOffered[0];
+  }
+  if (!treatment) {
+    throw createPricingError('Please select a treatment.');
+  }
+
+  const people = parseInt(request.numPeople, 10) || 1;
+  const rate = treatment.discountedPrice || treatment.price;
+  return {
+    lines: [{ label: `${treatment.name}${people > 1 ? ` x ${people}` : ''}`, type: 'base', amount: rate * people }]
+  };
+};
+
+const priceShopping = (shop, request) => {
+  const productId = request.productDetails?.productId || request.productId;
+  const product = findById(shop.products, productId);
+  if (!product) {
+    throw createPricingError('Product not found.');
+  }
+  if (product.availability === 'Out of Stock') {
+    throw createPricingError(`${product.name} is out of stock.`, 409);
+  }
+
+  const rate = product.discountedPrice || product.price;
+  return { lines: [{ label: product.name, type: 'base', amount: rate }] };
+};
+
+const PRICERS = {
+  Stay: priceStay,
+  Activity: priceActivity,
+  Transportation: priceTransportation,
+  Dining: priceDining,
+  WellnessSpa: priceSpa,
+  Shopping: priceShopping
+};
+
+/**
+ * Authoritative price for one cart item / booking request. Client-sent totals are ignored.
+ * @param {Object|String} serviceOrId - Listing document or id
+ * @param {Object} request - { optionId, programId, productDetails, startDate, endDate, date, numPeople,
+ *   quantity, hours, days, vehicleId, routeId, pickupLocation, dropoffLocation, passengerAges, menuItems }
+ * @returns {Object} { service, quantity, totalPrice, priceBreakdown }
+ */
+const quoteItem = async (serviceOrId, request = {}) => {
+  const service = serviceOrId && serviceOrId.serviceType
+    ? serviceOrId
+    : await Service.findById(serviceOrId).lean();
+  if (!service) {
+    throw createPricingError('Service not found.', 404);
+  }
+
+  const pricer = PRICERS[service.serviceType];
+  if (!pricer) {
+    throw createPricingError(`Pricing is not available for ${service.serviceType} listings.`);
+  }
+
+  const priced = await pricer(service, request);
+  const quantity = Math.max(1, parseInt(request.quantity, 10) || 1);
+
+  // Quantity multiplies everything priced per booking (e.g. two identical tours, two products)
+  const lines = priced.lines.map(line => ({
+    ...line,
+    label: quantity > 1 ? `${line.label} (x${quantity})` : line.label,
+    amount: roundCurrency(line.amount * quantity)
+  }));
+
+  // Inclusive tax/fee lines are already part of the price and are listed for reporting only
+  const sum = (type) => roundCurrency(lines
+    .filter(line => line.type === type && !line.inclusive)
+    .reduce((total, line) => total + line.amount, 0));
+  const basePrice = sum('base');
+  const discounts = sum('discount');
+
+  // Government taxes and service charges for the listing's type, island and date of service
+  const taxRules = await taxService.getApplicableRules({
+    serviceType: service.serviceType,
+    island: service.island,
+    date: request.startDate || request.selectedDate || request.date
+  });
+  const taxBasis = {
+    nights: priced.nights || 1,
+    people: parseInt(request.numPeople, 10) || 1,
+    quantity
+  };
+  lines.push(...taxService.buildLines(taxRules.filter(rule => rule.kind === 'fee'), {
+    ...taxBasis,
+    amount: basePrice - discounts
+  }));
+
+  const serviceFeePercent = getServiceFeePercent();
+  if (serviceFeePercent > 0) {
+    lines.push({
+      label: 'Service fee',
+      type: 'fee',
+      rate: serviceFeePercent,
+      amount: roundCurrency((basePrice - discounts) * serviceFeePercent / 100)
+    });
+  }
+  const fees = sum('fee');
+  const subtotal = roundCurrency(basePrice + fees - discounts);
+
+  lines.push(...taxService.buildLines(taxRules.filter(rule => rule.kind === 'tax'), {
+    ...taxBasis,
+    amount: subtotal
+  }));
+  const taxes = sum('tax');
+  const totalPrice = roundCurrency(subtotal + taxes);
+
+  if (!(totalPrice > 0) && !(priced.reservationOnly && totalPrice === 0)) {
+    throw createPricingError(`Could not price ${service.name}.`);
+  }
+
+  return {
+    service: {
+      _id: service._id,
+      name: service.name,
+      serviceType: service.serviceType,
+      vendor: service.vendor
+    },
+    quantity,
+    ...(priced.nights && { nights: priced.nights }),
+    ...(priced.distance != null && { distance: priced.distance }),
+    totalPrice,
+    priceBreakdown: { basePrice, fees, discounts, taxes, subtotal, lines }
+  };
+};
+
+/**
+ * Pricing inputs of a cart item / booking payload in the shape quoteItem() expects
+ */
+const toQuoteRequest = (item) => ({
+  ...item,
+  optionId: item.optionId || item.option,
+  startDate: item.startDate || item.selectedDate || item.date,
+  numPeople: item.numPeople || item.numberOfGuests || item.guests
+});
+
+/**
+ * Price every item of a cart
+ * @param {Array} items - Cart items ({ service | serviceId, ...request fields })
+ * @returns {Object} { items: [quote], total }
+ */
+const quoteCart = async (items = []) => {
+  const quotes = [];
+  for (const entry of items) {
+    const item = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+    quotes.push(await quoteItem(item.service?._id || item.service || item.serviceId, toQuoteRequest(item)));
+  }
+  return {
+    items: quotes,
+    total: roundCurrency(quotes.reduce((sum, quote) => sum + quote.totalPrice, 0))
+  };
+};
+
+/**
+ * Booking.pricing built from a quote's priceBreakdown (promotion/loyalty discounts are added by the caller)
+ * @param {Object} priceBreakdown - From quoteItem(), or a legacy cart breakdown without lines
+ * @param {Number} totalPrice - Price the breakdown adds up to
+ */
+const toBookingPricing = (priceBreakdown, totalPrice) => {
+  const lines = priceBreakdown?.lines || [];
+
+  return {
+    basePrice: priceBreakdown?.basePrice || totalPrice,
+    surcharges: lines
+      .filter(line => line.type === 'fee' && !line.inclusive)
+      .map(line => ({ name: line.label, amount: line.amount, type: line.surchargeType || 'other' })),
+    discounts: lines
+      .filter(line => line.type === 'discount')
+      .map(line => ({ name: line.label, amount: line.amount, type: 'bulk' })),
+    taxes: lines
+      .filter(line => line.type === 'tax')
+      .map(line => ({ name: line.label, code: line.code, rate: line.rate, amount: line.amount, inclusive: !!line.inclusive })),
+    subtotal: priceBreakdown?.subtotal || priceBreakdown?.basePrice || totalPrice,
+    totalAmount: totalPrice
+  };
+};
+
+/**
+ * Compact priceBreakdown for Stripe metadata (values are capped at 500 characters)
+ * @returns {String|null} null when the lines do not fit
+ */
+const encodeBreakdown = (priceBreakdown) => {
+  const encoded = JSON.stringify((priceBreakdown.lines || []).map(line => {
+    const extra = {
+      ...(line.surchargeType && { s: line.surchargeType }),
+      ...(line.code && { c: line.code }),
+      ...(line.inclusive && { i: 1 })
+    };
+    return Object.keys(extra).length > 0
+      ? [line.type, line.label, line.amount, line.rate, extra]
+      : [line.type, line.label, line.amount, line.rate];
+  }));
+  return encoded.length <= 500 ? encoded : null;
+};
+
+/**
+ * Rebuild a priceBreakdown from encodeBreakdown() output
+ */
+const decodeBreakdown = (encoded) => {
+  const lines = JSON.parse(encoded).map(([type, label, amount, rate, extra = {}]) => ({
+    type,
+    label,
+    amount,
+    ...(rate != null && { rate }),
+    ...(extra.s && { surchargeType: extra.s }),
+    ...(extra.c && { code: extra.c }),
+    ...(extra.i && { inclusive: true })
+  }));
+  const sum = (type) => roundCurrency(lines
+    .filter(line => line.type === type && !line.inclusive)
+    .reduce((total, line) => total + line.amount, 0));
+  const basePrice = sum('base');
+  const fees = sum('fee');
+  const discounts = sum('discount');
+  return {
+    basePrice,
+    fees,
+    discounts,
+    taxes: sum('tax'),
+    subtotal: roundCurrency(basePrice + fees - discounts),
+    lines
+  };
+};
+
+module.exports = {
+  quoteItem,
+  quoteCart,
+  toQuoteRequest,
+  toBookingPricing,
+  encodeBreakdown,
+  decodeBreakdown
+};
@@ -0,0 +1,642 @@
+// services/promotionService.js
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Discount = require('../models/Discount');
+const Service = require('../models/Service');
+const Transportation = require('../models/Transportation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Listing serviceType -> Promotion.applicableTo
+const SCOPE_BY_SERVICE_TYPE = {
+  Activity: 'activity',
+  Stay: 'stay',
+  Dining: 'dining',
+  Transportation: 'transportation',
+  WellnessSpa: 'spa',
+  Spa: 'spa'
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createPromotionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) => (value?._id || value || '').toString();
+
+/**
+ * Cart items / single-booking data -> the fields the engine checks
+ */
+const normalizeItems = (items) => items.map((item, index) => {
+  const serviceType = item.serviceType
+    ? item.serviceType.charAt(0).toUpperCase() + item.serviceType.slice(1)
+    : null;
+  const date = item.selectedDate || item.startDate || item.date;
+
+  return {
+    index,
+    cartItem: item._id ? String(item._id) : null,
+    service: toId(item.service || item.serviceId) || null,
+    serviceType,
+    scope: SCOPE_BY_SERVICE_TYPE[serviceType] || null,
+    category: item.category || null,
+    price: Number(item.totalPrice) || 0,
+    date: date ? new Date(date) : null,
+    endDate: item.endDate || item.checkOutDate ? new Date(item.endDate || item.checkOutDate) : null,
+    groupSize: Number(item.numPeople || item.numOfPeople) || 1,
+    code: item.discount?.code ? item.discount.code.trim().toUpperCase() : null
+  };
+});
+
+// ============================================================
+// RULE SOURCES - each is read into the same rule shape
+// ============================================================
+
+const fromPromotion = (promotion) => ({
+  source: 'promotion',
+  rule: promotion._id,
+  listing: null,
+  code: promotion.code || null,
+  name: promotion.name || promotion.code,
+  trigger: promotion.trigger || 'code',
+  discountType: promotion.discountType,
+  value: promotion.discountValue,
+  maxDiscount: promotion.maxDiscount,
+  minOrderValue: promotion.minOrderValue || 0,
+  startDate: promotion.startDate,
+  endDate: promotion.endDate,
+  active: promotion.active,
+  vendor: promotion.vendor ? toId(promotion.vendor) : null,
+  scopes: promotion.applicableTo && promotion.applicableTo !== 'all' ? [promotion.applicableTo] : [],
+  listings: (promotion.listings || []).map(toId),
+  categories: [],
+  conditions: promotion.conditions || {},
+  usageLimit: promotion.usageLimit || 0,
+  usageCount: promotion.usageCount || 0,
+  perCustomerLimit: promotion.perCustomerLimit || 0,
+  stackable: Boolean(promotion.stackable)
+});
+
+const fromDiscount = (discount) => ({
+  source: 'discount',
+  rule: discount._id,
+  listing: null,
+  code: discount.promoCode,
+  name: discount.name,
+  trigger: 'code',
+  // Matches Discount#calculateDiscount: every type other than percentage is a fixed amount
+  discountType: discount.type === 'percentage' ? 'percentage' : 'fixed',
+  value: discount.value,
+  maxDiscount: discount.maxDiscount,
+  minOrderValue: discount.minOrderValue || 0,
+  startDate: discount.validFrom,
+  endDate: discount.validTo,
+  active: discount.isActive,
+  vendor: toId(discount.vendor),
+  scopes: discount.listingModel ? [SCOPE_BY_SERVICE_TYPE[discount.listingModel]] : [],
+  listings: (discount.applicableListings || []).map(toId),
+  categories: [],
+  conditions: {
+    minAdvanceDays: discount.conditions?.minAdvanceBooking,
+    minNights: discount.conditions?.minStayDuration,
+    minGroupSize: discount.conditions?.minGroupSize,
+    daysOfWeek: discount.conditions?.dayOfWeek || []
+  },
+  usageLimit: discount.usageLimit || 0,
+  usageCount: discount.usedCount || 0,
+  perCustomerLimit: 0,
+  stackable: false
+});
+
+const fromTransportationPromotion = (transportation, promotion) => ({
+  source: 'transportation_promotion',
+  rule: promotion._id,
+  listing: transportation._id,
+  code: promotion.promoCode,
+  name: promotion.title,
+  trigger: 'code',
+  discountType: promotion.type === 'percentage' ? 'percentage' : 'fixed',
+  value: promotion.value,
+  maxDiscount: promotion.maximumDiscount,
+  minOrderValue: promotion.minimumSpend || 0,
+  startDate: promotion.validFrom,
+  endDate: promotion.validUntil,
+  // buy-x-get-y and loyalty promotions are not priced by the engine
+  active: promotion.isActive && ['percentage', 'fixed-amount'].includes(promotion.type),
+  vendor: toId(transportation.vendor),
+  scopes: ['transportation'],
+  listings: [toId(transportation._id)],
+  categories: promotion.applicableCategories || [],
+  conditions: {},
+  usageLimit: promotion.totalUsageLimit || 0,
+  usageCount: promotion.currentUsage || 0,
+  perCustomerLimit: promotion.usageLimit || 0,
+  stackable: false
+});
+
+const fromStaySpecial = (stay, special) => ({
+  source: 'stay_special',
+  rule: special._id,
+  listing: stay._id,
+  code: null,
+  name: special.title || 'Special offer',
+  trigger: 'automatic',
+  discountType: 'percentage',
+  value: special.percentage,
+  maxDiscount: null,
+  minOrderValue: 0,
+  // Specials cover stay dates, not booking dates: checked per item below
+  startDate: null,
+  endDate: null,
+  stayWindow: { start: special.startDate, end: special.endDate },
+  active: true,
+  vendor: toId(stay.vendor),
+  scopes: ['stay'],
+  listings: [toId(stay._id)],
+  categories: [],
+  conditions: {},
+  usageLimit: 0,
+  usageCount: 0,
+  perCustomerLimit: 0,
+  stackable: false
+});
+
+/**
+ * Load every rule that could apply: the requested codes plus automatic promotions
+ */
+const loadRules = async (items, codes, now) => {
+  const activeWindow = { startDate: { $lte: now }, endDate: { $gte: now } };
+  const stayIds = items.filter(item => item.serviceType === 'Stay' && item.service).map(item => item.service);
+
+  const [promotions, discounts, transportations, stays] = await Promise.all([
+    // Codes are loaded even when inactive or expired so the customer is told why they don't apply
+    Promotion.find({
+      $or: [
+        { trigger: 'automatic', active: true, ...activeWindow },
+        ...(codes.length ? [{ code: { $in: codes } }] : [])
+      ]
+    }),
+    codes.length ? Discount.find({ promoCode: { $in: codes } }) : [],
+    codes.length ? Transportation.find({ 'promotions.promoCode': { $in: codes } }).select('vendor promotions') : [],
+    stayIds.length ? Service.find({ _id: { $in: stayIds }, serviceType: 'Stay' }).select('vendor discounts') : []
+  ]);
+
+  const rules = [
+    ...promotions.map(fromPromotion),
+    ...discounts.map(fromDiscount)
+  ];
+  transportations.forEach(transportation => {
+    transportation.promotions
+      .filter(promotion => codes.includes((promotion.promoCode || '').toUpperCase()))
+      .forEach(promotion => rules.push(fromTransportationPromotion(transportation, promotion)));
+  });
+  stays.forEach(stay => {
+    (stay.discounts?.specials || []).forEach(special => rules.push(fromStaySpecial(stay, special)));
+  });
+
+  return rules;
+};
+
+// ============================================================
+// ELIGIBILITY
+// ============================================================
+
+/**
+ * Why a rule can't apply to the checkout as a whole (null if it can)
+ */
+const checkRule = async (rule, { customerId, guestEmail, now }) => {
+  if (!rule.active) {
+    return 'This promo code is no longer active';
+  }
+  if ((rule.startDate && now < rule.startDate) || (rule.endDate && now > rule.endDate)) {
+    return 'This promo code is not valid right now';
+  }
+  if (rule.usageLimit && rule.usageCount >= rule.usageLimit) {
+    return 'This promo code has reached its usage limit';
+  }
+
+  if (rule.perCustomerLimit) {
+    if (!customerId && !guestEmail) {
+      return 'Sign in to use this promo code';
+    }
+    const used = await PromotionRedemption.countDocuments({
+      rule: rule.rule,
+      ...(customerId ? { customer: customerId } : { guestEmail: guestEmail.toLowerCase() }),
+      status: { $in: ['reserved', 'redeemed'] }
+    });
+    if (used >= rule.perCustomerLimit) {
+      return 'You have already used this promo code';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Why a rule can't apply to one item (null if it can)
+ */
+const checkItem = (rule, item, now) => {
+  if (rule.scopes.length && !rule.scopes.includes(item.scope)) {
+    return `Not valid for ${item.scope || 'this'} bookings`;
+  }
+  if (rule.listings.length && !rule.listings.includes(item.service)) {
+    return 'Not valid for this listing';
+  }
+  if (rule.categories.length && item.category && !rule.categories.includes(item.category)) {
+    return 'Not valid for this category';
+  }
+
+  const { minAdvanceDays, minNights, minGroupSize, daysOfWeek } = rule.conditions;
+  if (minAdvanceDays && (!item.date || (item.date - now) / DAY_MS < minAdvanceDays)) {
+    return `Must book at least ${minAdvanceDays} days in advance`;
+  }
+  if (minNights) {
+    const nights = item.date && item.endDate ? Math.ceil((item.endDate - item.date) / DAY_MS) : 0;
+    if (nights < minNights) {
+      return `Minimum stay of ${minNights} nights required`;
+    }
+  }
+  if (minGroupSize && item.groupSize < minGroupSize) {
+    return `Minimum group size of ${minGroupSize} required`;
+  }
+  if (daysOfWeek && daysOfWeek.length && (!item.date || !daysOfWeek.includes(DAY_NAMES[item.date.getDay()]))) {
+    return `Only valid on ${daysOfWeek.join(', ')}`;
+  }
+  if (rule.stayWindow && (!item.date || item.date < rule.stayWindow.start || item.date > rule.stayWindow.end)) {
+    return 'Stay dates are outside the offer';
+  }
+
+  return null;
+};
+
+/**
+ * Split a rule's discount over its eligible items, to the cent
+ * @returns {Array} [{ item, amount }]
+ */
+const priceRule = (rule, eligible) => {
+  const eligibleTotal = eligible.reduce((sum, item) => sum + item.price, 0);
+  if (eligibleTotal <= 0) return [];
+
+  let totalCents = rule.discountType === 'percentage'
+    ? Math.round(eligibleTotal * rule.value)
+    : Math.round(rule.value * 100);
+  if (rule.maxDiscount) {
+    totalCents = Math.min(totalCents, Math.round(rule.maxDiscount * 100));
+  }
+  totalCents = Math.min(totalCents, Math.round(eligibleTotal * 100));
+
+  let centsLeft = totalCents;
+  return eligible.map((item, index) => {
+    const cents = index === eligible.length - 1
+      ? centsLeft
+      : Math.min(centsLeft, Math.floor(totalCents * item.price / eligibleTotal));
+    centsLeft -= cents;
+    return { item, amount: cents / 100 };
+  }).filter(line => line.amount > 0);
+};
+
+/**
+ * Validate codes and automatic promotions against a cart or single booking
+ * @param {Object} params
+ * @param {Array} params.items - Cart items (or a one-item array for single bookings)
+ * @param {Array} params.codes - Promo codes entered at checkout
+ * @param {String} params.customerId - Signed-in customer, for per-customer limits
+ * @param {String} params.guestEmail - Guest checkout email, for per-customer limits
+ * @returns {Object} { subtotal, totalDiscount, total, items, applied, rejected }
+ */
+const evaluate = async ({ items = [], codes = [], customerId = null, guestEmail = null, now = new Date() }) => {
+  const normalized = normalizeItems(items);
+  const requestedCodes = [...new Set(
+    [...codes, ...normalized.map(item => item.code)]
+      .filter(Boolean)
+      .map(code => String(code).trim().toUpperCase())
+  )];
+
+  const rules = await loadRules(normalized, requestedCodes, now);
+  const rejected = [];
+
+  requestedCodes.forEach(code => {
+    if (!rules.some(rule => rule.code && rule.code.toUpperCase() === code)) {
+      rejected.push({ code, reason: 'Invalid promo code' });
+    }
+  });
+
+  // Price every rule that passes its checks
+  const candidates = [];
+  for (const rule of rules) {
+    const reason = await checkRule(rule, { customerId, guestEmail, now });
+    const eligible = reason ? [] : normalized.filter(item => !checkItem(rule, item, now));
+
+    let rejection = reason;
+    if (!rejection && eligible.length === 0) {
+      rejection = checkItem(rule, normalized[0] || {}, now) || 'Not valid for the items in your cart';
+    }
+    const eligibleTotal = eligible.reduce((sum, item) => sum + item.price, 0);
+    if (!rejection && rule.minOrderValue && eligibleTotal < rule.minOrderValue) {
+      rejection = `Minimum order value of ${rule.minOrderValue} required`;
+    }
+
+    if (rejection) {
+      if (rule.trigger === 'code') rejected.push({ code: rule.code, reason: rejection });
+      continue;
+    }
+
+    candidates.push({ rule, lines: priceRule(rule, eligible) });
+  }
+
+  // Stacking: per item, the best non-stackable line wins; stackable lines always add on
+  const linesByItem = normalized.map(() => []);
+  candidates.forEach(candidate => {
+    candidate.lines.forEach(line => linesByItem[line.item.index].push({ candidate, amount: line.amount }));
+  });
+
+  const kept = new Map();
+  normalized.forEach(item => {
+    const lines = linesByItem[item.index];
+    const best = lines
+      .filter(line => !line.candidate.rule.stackable)
+      .sort((a, b) => b.amount - a.amount)[0];
+    let remaining = item.price;
+
+    lines
+      .filter(line => line === best || line.candidate.rule.stackable)
+      .forEach(line => {
+        const amount = roundCurrency(Math.min(line.amount, remaining));
+        if (amount <= 0) return;
+        remaining = roundCurrency(remaining - amount);
+        if (!kept.has(line.candidate)) kept.set(line.candidate, []);
+        kept.get(line.candidate).push({ itemIndex: item.index, cartItem: item.cartItem, amount });
+      });
+  });
+
+  candidates.forEach(candidate => {
+    if (!kept.has(candidate) && candidate.rule.trigger === 'code') {
+      rejected.push({ code: candidate.rule.code, reason: 'A better promotion is already applied', superseded: true });
+    }
+  });
+
+  const applied = [...kept.entries()].map(([candidate, lines]) => ({
+    source: candidate.rule.source,
+    rule: candidate.rule.rule,
+    listing: candidate.rule.listing,
+    code: candidate.rule.code,
+    name: candidate.rule.name,
+    usageLimit: candidate.rule.usageLimit,
+    lines,
+    amount: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0))
+  }));
+
+  const pricedItems = normalized.map(item => {
+    const discounts = discountLinesFor(applied, item);
+    const discountTotal = roundCurrency(discounts.reduce((sum, line) => sum + line.amount, 0));
+    return {
+      index: item.index,
+      cartItem: item.cartItem,
+      price: item.price,
+      discounts,
+      total: roundCurrency(item.price - discountTotal)
+    };
+  });
+
+  const subtotal = roundCurrency(normalized.reduce((sum, item) => sum + item.price, 0));
+  const totalDiscount = roundCurrency(applied.reduce((sum, promotion) => sum + promotion.amount, 0));
+
+  return {
+    subtotal,
+    totalDiscount,
+    total: roundCurrency(subtotal - totalDiscount),
+    items: pricedItems,
+    applied,
+    rejected
+  };
+};
+
+/**
+ * Booking.pricing.discounts line items for one cart item
+ * @param {Array} promotions - evaluate().applied, or PromotionRedemption documents
+ * @param {Object} item - { index, cartItem } (itemIndex is used when cartItem is unknown)
+ */
+const discountLinesFor = (promotions, item) => {
+  const discounts = [];
+  promotions.forEach(promotion => {
+    promotion.lines
+      .filter(line => (item.cartItem && line.cartItem)
+        ? String(line.cartItem) === String(item.cartItem)
+        : line.itemIndex === item.index)
+      .forEach(line => discounts.push({
+        name: promotion.name,
+        amount: line.amount,
+        type: 'promo',
+        code: promotion.code || undefined
+      }));
+  });
+  return discounts;
+};
+
+// ============================================================
+// USAGE COUNTERS
+// ============================================================
+
+/**
+ * Atomically take one use of a rule; fails when the total usage limit is reached
+ * @returns {Boolean} whether a use was taken
+ */
+const incrementUsage = async (promotion, { enforceLimit = true } = {}) => {
+  const limit = enforceLimit && promotion.usageLimit ? promotion.usageLimit : null;
+  let result;
+
+  switch (promotion.source) {
+    case 'promotion':
+      result = await Promotion.updateOne(
+        { _id: promotion.rule, ...(limit && { usageCount: { $lt: limit } }) },
+        { $inc: { usageCount: 1 } }
+      );
+      break;
+    case 'discount':
+      result = await Discount.updateOne(
+        { _id: promotion.rule, ...(limit && { usedCount: { $lt: limit } }) },
+        { $inc: { usedCount: 1 } }
+      );
+      break;
+    case 'transportation_promotion':
+      result = await Transportation.updateOne(
+        {
+          _id: promotion.listing,
+          promotions: { $elemMatch: { _id: promotion.rule, ...(limit && { currentUsage: { $lt: limit } }) } }
+        },
+        { $inc: { 'promotions.$.currentUsage': 1 } }
+      );
+      break;
+    default:
+      // Stay specials have no counter
+      return true;
+  }
+
+  return result.modifiedCount === 1;
+};
+
+const decrementUsage = async (promotion) => {
+  switch (promotion.source) {
+    case 'promotion':
+      await Promotion.updateOne({ _id: promotion.rule, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+      break;
+    case 'discount':
+      await Discount.updateOne({ _id: promotion.rule, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+      break;
+    case 'transportation_promotion':
+      await Transportation.updateOne(
+        { _id: promotion.listing, promotions: { $elemMatch: { _id: promotion.rule, currentUsage: { $gt: 0 } } } },
+        { $inc: { 'promotions.$.currentUsage': -1 } }
+      );
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Reserve the promotions applied to a checkout. Usage counters are taken atomically;
+ * if any promotion has run out, everything reserved so far is released.
+ * @param {Object} evaluation - Result of evaluate()
+ * @param {Object} owner - { customerId, guestEmail }
+ * @returns {Array} PromotionRedemption documents
+ */
+const reserve = async (evaluation, { customerId = null, guestEmail = null } = {}) => {
+  const redemptions = [];
+
+  for (const promotion of evaluation.applied) {
+    const taken = await incrementUsage(promotion);
+    if (!taken) {
+      await release({ redemptions });
+      throw createPromotionError(`${promotion.code || promotion.name} has reached its usage limit`, 409);
+    }
+
+    redemptions.push(await PromotionRedemption.create({
+      source: promotion.source,
+      rule: promotion.rule,
+      listing: promotion.listing,
+      code: promotion.code,
+      name: promotion.name,
+      customer: customerId || null,
+      guestEmail: guestEmail ? guestEmail.toLowerCase() : undefined,
+      lines: promotion.lines,
+      amount: promotion.amount
+    }));
+  }
+
+  return redemptions;
+};
+
+/**
+ * Link reserved promotions to the payment intent created for the checkout
+ */
+const attachPaymentIntent = async (redemptions, paymentIntentId) => {
+  if (!redemptions || redemptions.length === 0) return;
+  await PromotionRedemption.updateMany(
+    { _id: { $in: redemptions.map(redemption => redemption._id) } },
+    { $set: { paymentIntentId } }
+  );
+};
+
+/**
+ * Give back the uses taken by a checkout that did not complete
+ * @param {Object} params - { redemptions } straight after reserve(), or { paymentIntentId };
+ *   { redeemed: true } also gives back the uses of a paid checkout that could not be booked
+ * @returns {Number} how many promotions were released
+ */
+const release = async ({ redemptions = null, paymentIntentId = null, redeemed = false }) => {
+  const filter = redemptions
+    ? { _id: { $in: redemptions.map(redemption => redemption._id) } }
+    : { paymentIntentId };
+  if (!redemptions && !paymentIntentId) return 0;
+
+  const statuses = redeemed ? ['reserved', 'redeemed'] : ['reserved'];
+  const releasable = await PromotionRedemption.find({ ...filter, status: { $in: statuses } });
+  let released = 0;
+  for (const redemption of releasable) {
+    const claimed = await PromotionRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: redemption.status },
+      { $set: { status: 'released', releasedAt: new Date() } }
+    );
+    if (!claimed) continue;
+    await decrementUsage(redemption);
+    released++;
+  }
+  return released;
+};
+
+/**
+ * Reservations still waiting on their payment
+ * @param {Object} filter - { customerId } or { guestEmail } (guest checkouts only) for one customer,
+ *   { createdBefore } for checkouts left unpaid too long
+ */
+const getPendingReservations = async ({ customerId = null, guestEmail = null, createdBefore = null } = {}) => {
+  const owner = customerId
+    ? { customer: customerId }
+    : guestEmail ? { customer: null, guestEmail: guestEmail.toLowerCase() } : {};
+  if (!createdBefore && !customerId && !guestEmail) return [];
+
+  return PromotionRedemption.find({
+    ...owner,
+    status: 'reserved',
+    ...(createdBefore && { createdAt: { $lt: createdBefore } })
+  }).sort({ createdAt: 1 }).limit(500);
+};
+
+/**
+ * Mark a paid checkout's promotions as redeemed. Uses released by an earlier failed
+ * attempt on the same payment intent are taken again (the customer has paid the
+ * discounted price, so the limit is not enforced here).
+ * @returns {Array} the checkout's redemptions
+ */
+const confirm = async (paymentIntentId) => {
+  const redemptions = await PromotionRedemption.find({ paymentIntentId, status: { $ne: 'redeemed' } });
+
+  for (const redemption of redemptions) {
+    const claimed = await PromotionRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: redemption.status },
+      { $set: { status: 'redeemed', redeemedAt: new Date() } }
+    );
+    if (claimed && redemption.status === 'released') {
+      await incrementUsage(redemption, { enforceLimit: false });
+    }
+  }
+
+  return PromotionRedemption.find({ paymentIntentId, status: 'redeemed' });
+};
+
+/**
+ * Promotions redeemed on a paid checkout
+ */
+const getRedemptions = async (paymentIntentId) => {
+  if (!paymentIntentId) return [];
+  return PromotionRedemption.find({ paymentIntentId, status: 'redeemed' });
+};
+
+/**
+ * Record which bookings a checkout's promotions ended up on
+ */
+const linkBookings = async (paymentIntentId, bookingIds) => {
+  if (!paymentIntentId || !bookingIds || bookingIds.length === 0) return;
+  await PromotionRedemption.updateMany(
+    { paymentIntentId },
+    { $addToSet: { bookings: { $each: bookingIds.map(id => new mongoose.Types.ObjectId(id.toString())) } } }
+  );
+};
+
+module.exports = {
+  evaluate,
+  discountLinesFor,
+  reserve,
+  attachPaymentIntent,
+  release,
+  getPendingReservations,
+  confirm,
+  getRedemptions,
+  linkBookings
+};
@@ -0,0 +1,254 @@
+// services/rateCalendarService.js
+const mongoose = require('mongoose');
+const RateSeason = require('../models/RateSeason');
+const Stay = require('../models/Stay');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 366;
+const SEASON_FIELDS = ['name', 'unitKey', 'startDate', 'endDate', 'rate', 'weekendRate', 'weekendDays', 'minNights', 'closedToArrival', 'priority', 'isActive'];
+
+const createRateError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toDay = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const addDays = (day, days) => new Date(day.getTime() + days * MS_PER_DAY);
+
+/**
+ * Active seasons of a listing that overlap [from, to]
+ */
+const loadSeasons = async (serviceId, from, to) => {
+  return RateSeason.find({
+    service: serviceId,
+    isActive: true,
+    startDate: { $lte: to },
+    endDate: { $gte: from }
+  }).lean();
+};
+
+/**
+ * Season in force on a day: a room/option season beats a listing-wide one, then the higher
+ * priority, then the one that starts latest (the narrower override)
+ */
+const seasonFor = (seasons, day, unitKey = 'default') => {
+  const key = unitKey ? unitKey.toString() : 'default';
+  const matching = seasons.filter(season =>
+    (season.unitKey === key || season.unitKey === 'default') &&
+    season.startDate <= day && season.endDate >= day
+  );
+  if (matching.length === 0) return null;
+
+  return matching.sort((a, b) =>
+    (b.unitKey === key) - (a.unitKey === key) ||
+    (b.priority || 0) - (a.priority || 0) ||
+    b.startDate - a.startDate
+  )[0];
+};
+
+const rateFor = (season, day, baseRate) => {
+  if (!season) return baseRate;
+  const weekend = (season.weekendDays || []).includes(day.getUTCDay());
+  if (weekend && season.weekendRate != null) return season.weekendRate;
+  return season.rate != null ? season.rate : baseRate;
+};
+
+/**
+ * Nightly rates for a stay, enforcing the arrival season's minimum stay and closed-to-arrival days
+ * @param {Object} stay - Stay listing (needs _id and pricePerNight)
+ * @param {Object} options - { checkIn, nights, unitKey }
+ * @returns {Array} [{ date, rate, season }] one entry per night
+ */
+const getStayNights = async (stay, { checkIn, nights, unitKey }) => {
+  const firstNight = toDay(checkIn);
+  const lastNight = addDays(firstNight, nights - 1);
+  const seasons = await loadSeasons(stay._id, firstNight, lastNight);
+
+  const arrivalSeason = seasonFor(seasons, firstNight, unitKey);
+  if (arrivalSeason) {
+    if ((arrivalSeason.closedToArrival || []).includes(firstNight.getUTCDay())) {
+      throw createRateError(`Check-in is not available on ${DAY_NAMES[firstNight.getUTCDay()]}s during ${arrivalSeason.name}.`);
+    }
+    if (arrivalSeason.minNights && nights < arrivalSeason.minNights) {
+      throw createRateError(`${arrivalSeason.name} requires a minimum stay of ${arrivalSeason.minNights} nights.`);
+    }
+  }
+
+  const result = [];
+  for (let night = 0; night < nights; night++) {
+    const day = addDays(firstNight, night);
+    const season = seasonFor(seasons, day, unitKey);
+    result.push({ date: day, rate: rateFor(season, day, stay.pricePerNight), season: season ? season.name : null });
+  }
+  return result;
+};
+
+/**
+ * Seasonal per-unit price for an activity date. Listing-wide seasons override every option's
+ * price, so vendors with differently priced options set rates per option.
+ * @param {Object} options - { date, unitKey, baseRate }
+ * @returns {Object} { rate, season }
+ */
+const getUnitRate = async (service, { date, unitKey, baseRate }) => {
+  const day = toDay(date);
+  if (!day) return { rate: baseRate, season: null };
+
+  const season = seasonFor(await loadSeasons(service._id, day, day), day, unitKey);
+  if (season && (season.closedToArrival || []).includes(day.getUTCDay())) {
+    throw createRateError(`${service.name} cannot be booked on ${DAY_NAMES[day.getUTCDay()]}s during ${season.name}.`);
+  }
+
+  return { rate: rateFor(season, day, baseRate), season: season ? season.name : null };
+};
+
+/**
+ * Day-by-day rates and restrictions for the vendor dashboard / guest date pickers
+ * @param {Object} service - Stay or Activity listing
+ * @param {Object} options - { from, to, unitKey }
+ */
+const getCalendar = async (service, { from, to, unitKey = 'default' }) => {
+  const start = toDay(from || new Date());
+  const end = to ? toDay(to) : addDays(start, 30);
+  if (!start || !end || end < start) {
+    throw createRateError('A valid from/to date range is required.');
+  }
+  if ((end - start) / MS_PER_DAY >= MAX_CALENDAR_DAYS) {
+    throw createRateError(`The calendar range is limited to ${MAX_CALENDAR_DAYS} days.`);
+  }
+
+  let baseRate = service.serviceType === 'Stay' ? service.pricePerNight : (service.discountedPrice || service.price);
+  const option = unitKey !== 'default'
+    ? (service.options || []).find(entry => entry._id && entry._id.toString() === unitKey)
+    : null;
+  if (option) baseRate = option.cost;
+
+  const seasons = await loadSeasons(service._id, start, end);
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    const season = seasonFor(seasons, day, unitKey);
+    days.push({
+      date: day,
+      rate: rateFor(season, day, baseRate),
+      season: season ? season.name : null,
+      minNights: season?.minNights || 0,
+      closedToArrival: !!season && (season.closedToArrival || []).includes(day.getUTCDay())
+    });
+  }
+
+  return { baseRate, days };
+};
+
+/**
+ * A listing's seasons, soonest first
+ */
+const getSeasons = async (serviceId, { unitKey, includeInactive = false } = {}) => {
+  const query = { service: serviceId };
+  if (unitKey) query.unitKey = unitKey;
+  if (!includeInactive) query.isActive = true;
+
+  return RateSeason.find(query).sort({ startDate: 1, priority: -1 }).lean();
+};
+
+/**
+ * Create, update and delete a listing's seasons in one go (vendor dashboard bulk editing)
+ * @param {Object} service - Listing the vendor owns
+ * @param {Object} changes - { seasons: [{ _id?, name, startDate, endDate, rate, ... }], remove: [seasonId] }
+ * @returns {Array} The listing's seasons after the changes
+ */
+const bulkUpdateSeasons = async (service, vendorId, { seasons = [], remove = [] }) => {
+  if (!['Stay', 'Activity'].includes(service.serviceType)) {
+    throw createRateError('Rate calendars are available for stays and activities.');
+  }
+
+  const invalidId = [...remove, ...seasons.map(season => season._id).filter(Boolean)]
+    .find(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidId) {
+    throw createRateError(`Invalid season ID: ${invalidId}`);
+  }
+
+  // Validate everything before writing anything
+  const documents = [];
+  for (const input of seasons) {
+    const fields = {};
+    SEASON_FIELDS.filter(field => input[field] !== undefined).forEach(field => { fields[field] = input[field]; });
+    if (fields.startDate) fields.startDate = toDay(fields.startDate);
+    if (fields.endDate) fields.endDate = toDay(fields.endDate);
+
+    let season;
+    if (input._id) {
+      season = await RateSeason.findOne({ _id: input._id, service: service._id });
+      if (!season) {
+        throw createRateError(`Season ${input._id} not found for this listing.`, 404);
+      }
+      season.set(fields);
+    } else {
+      season = new RateSeason({ ...fields, service: service._id, vendor: vendorId, serviceType: service.serviceType });
+    }
+
+    try {
+      await season.validate();
+    } catch (validationError) {
+      throw createRateError(`${input.name || 'Season'}: ${validationError.message}`);
+    }
+    documents.push(season);
+  }
+
+  for (const season of documents) {
+    await season.save();
+  }
+  if (remove.length > 0) {
+    await RateSeason.deleteMany({ _id: { $in: remove }, service: service._id });
+  }
+
+  return getSeasons(service._id, { includeInactive: true });
+};
+
+/**
+ * Lowest and highest nightly stay rates, seasonal rates included
+ * @param {Object} options - { from, to } limit seasons to those overlapping the window
+ * @returns {Object} { minPrice, maxPrice }
+ */
+const getStayPriceRange = async ({ from, to } = {}) => {
+  const start = toDay(from || new Date());
+  const end = to ? toDay(to) : null;
+
+  const seasonQuery = { serviceType: 'Stay', isActive: true, endDate: { $gte: start } };
+  if (end) seasonQuery.startDate = { $lte: end };
+
+  const [base, seasonal] = await Promise.all([
+    Stay.aggregate([
+      { $group: { _id: null, minPrice: { $min: '$pricePerNight' }, maxPrice: { $max: '$pricePerNight' } } }
+    ]),
+    RateSeason.aggregate([
+      { $match: seasonQuery },
+      { $project: { prices: { $filter: { input: ['$rate', '$weekendRate'], cond: { $ne: ['$$this', null] } } } } },
+      { $unwind: '$prices' },
+      { $group: { _id: null, minPrice: { $min: '$prices' }, maxPrice: { $max: '$prices' } } }
+    ])
+  ]);
+
+  const prices = [...base, ...seasonal]
+    .flatMap(range => [range.minPrice, range.maxPrice])
+    .filter(price => price !== undefined && price !== null);
+
+  return {
+    minPrice: prices.length > 0 ? Math.min(...prices) : null,
+    maxPrice: prices.length > 0 ? Math.max(...prices) : null
+  };
+};
+
+module.exports = {
+  getStayNights,
+  getUnitRate,
+  getCalendar,
+  getSeasons,
+  bulkUpdateSeasons,
+  getStayPriceRange
+};
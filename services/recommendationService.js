@@ -0,0 +1,568 @@
+// services/recommendationService.js
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const Cart = require('../models/Cart');
+const FavoritesAndWishlist = require('../models/FavoritesAndWishlist');
+const searchService = require('./searchService');
+const { distanceKm } = require('../utils/geo');
+
+const CONTEXTS = ['home', 'stay', 'checkout'];
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+const MAX_CANDIDATES = 500;
+const MAX_PER_VENDOR = 2;
+const NEARBY_KM = 15;
+const DEFAULT_TRIP_NIGHTS = 7;
+
+// Interests (travelPreferences.activities and mustDoActivities) -> what they look like on a listing
+const INTEREST_RULES = [
+  { terms: ['watersports'], categories: ['Water Sports'], keywords: ['jet ski', 'paddle', 'parasail', 'surf'] },
+  { terms: ['snorkeling'], categories: ['Water Sports', 'Excursion'], keywords: ['snorkel', 'reef'] },
+  { terms: ['diving'], categories: ['Water Sports'], keywords: ['dive', 'diving', 'scuba'] },
+  { terms: ['kayaking'], categories: ['Water Sports'], keywords: ['kayak'] },
+  {
+    terms: ['boating', 'sailing', 'yachting', 'boat ride', 'sunset cruise', 'island hopping'],
+    categories: ['Excursion', 'Water Sports'],
+    keywords: ['boat', 'sail', 'yacht', 'cruise', 'catamaran']
+  },
+  { terms: ['fishing'], categories: ['Excursion'], keywords: ['fishing'] },
+  {
+    terms: ['outdoor', 'hiking', 'nature walk', 'wildlife', 'eco-tourism', 'adventure', 'cycling', 'camping'],
+    categories: ['Nature Trails', 'Excursion'],
+    keywords: ['hike', 'trail', 'nature', 'wildlife', 'bike', 'eco']
+  },
+  {
+    terms: ['sightseeing', 'cultural', 'photography', 'visit a historical site', 'explore local culture', 'museum visit'],
+    categories: ['Museums', 'Cultural Site', 'Excursion'],
+    keywords: ['history', 'historic', 'heritage', 'culture', 'museum', 'tour']
+  },
+  {
+    terms: ['shopping', 'local market tour'],
+    serviceTypes: ['Shopping'],
+    categories: ['Shopping'],
+    keywords: ['market', 'shop', 'artisan']
+  },
+  { terms: ['spa'], serviceTypes: ['WellnessSpa'] },
+  { terms: ['food tour', 'wine tasting'], serviceTypes: ['Dining'], keywords: ['tasting', 'wine', 'food tour'] },
+  { terms: ['nightlife'], serviceTypes: ['Dining'], keywords: ['bar', 'lounge', 'nightlife'] },
+  { terms: ['go to the beach'], keywords: ['beach'], amenities: ['beachfront', 'oceanView'] },
+  { terms: ['golf'], keywords: ['golf'] },
+  { terms: ['attend a festival'], keywords: ['festival'] }
+];
+
+const INTEREST_BY_TERM = new Map(INTEREST_RULES.flatMap(rule => rule.terms.map(term => [term, rule])));
+
+// travelPreferences.style -> price bands that suit it
+const BANDS_BY_STYLE = {
+  budget: ['budget', 'moderate'],
+  'mid-range': ['moderate', 'premium'],
+  luxury: ['premium', 'luxury']
+};
+
+const PRICE_RANGE_BY_DINING_STYLE = {
+  'fine dining': ['$$$', '$$$$'],
+  casual: ['$$', '$$$'],
+  'street food': ['$', '$$']
+};
+
+const STORE_TYPES_BY_SHOPPING_PREFERENCE = {
+  luxury: ['Luxury Store'],
+  'high-end': ['Luxury Store'],
+  boutique: ['Boutique'],
+  'local markets': ['Market'],
+  artisan: ['Market', 'Specialty Store', 'Souvenir Shop'],
+  budget: ['Market', 'Souvenir Shop'],
+  discount: ['Market', 'Souvenir Shop']
+};
+
+// Diets a kitchen that only declares these cuisines is unlikely to cater for
+const MEAT_FORWARD_CUISINES = ['Seafood', 'BBQ'];
+
+// What someone staying / checking out with a listing of this type usually books next
+const COMPLEMENTS = {
+  Stay: ['Transportation', 'Activity', 'Dining', 'WellnessSpa'],
+  Activity: ['Dining', 'Transportation', 'WellnessSpa'],
+  Transportation: ['Stay', 'Activity', 'Dining'],
+  Dining: ['Activity', 'Shopping'],
+  WellnessSpa: ['Dining', 'Activity'],
+  Shopping: ['Dining', 'Activity']
+};
+
+// Behaviour signal weights for the affinity profile
+const SIGNAL_WEIGHTS = { favorite: 3, wishlist: 2, booking: 2 };
+
+const createRecommendationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toId = (value) => (value?._id || value || '').toString();
+
+const withoutNone = (list = []) => list.filter(value => value && value !== 'none');
+
+const getAge = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  const today = new Date();
+  let age = today.getFullYear() - birth.getFullYear();
+  const monthDiff = today.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birth.getDate())) age -= 1;
+  return age;
+};
+
+const listingText = (listing) => [
+  listing.name,
+  listing.description,
+  ...(listing.menuItems || []).flatMap(item => [item.name, item.description])
+].filter(Boolean).join(' ').toLowerCase();
+
+// Keys a listing contributes to (and is scored against) the affinity profile
+const affinityKeys = (listing) => [
+  `type:${listing.serviceType}`,
+  listing.category && `category:${listing.serviceType}:${listing.category}`,
+  listing.island && `island:${listing.island}`,
+  listing.vendor && `vendor:${toId(listing.vendor)}`,
+  ...(listing.cuisineTypes || []).map(cuisine => `cuisine:${cuisine}`)
+].filter(Boolean);
+
+// ============================================================
+// PROFILE
+// ============================================================
+
+/**
+ * The traveler's stated preferences plus what they saved, booked and reviewed
+ */
+const buildProfile = async (userId) => {
+  const [user, saved, bookings, reviews] = await Promise.all([
+    User.findById(userId)
+      .select('dateOfBirth travelPreferences accommodationPreferences groupDetails budget foodPreferences mustDoActivities shoppingPreferences lengthOfStay')
+      .lean(),
+    FavoritesAndWishlist.find({ user: userId }).select('serviceId type').lean(),
+    Booking.find({ customer: userId, status: { $nin: ['cancelled', 'no-show'] } }).select('service').lean(),
+    Review.find({ user: userId }).select('service rating').lean()
+  ]);
+  if (!user) throw createRecommendationError('User not found', 404);
+
+  const signals = [
+    ...saved.map(entry => ({ service: toId(entry.serviceId), weight: SIGNAL_WEIGHTS[entry.type] || 1, type: entry.type })),
+    ...bookings.map(booking => ({ service: toId(booking.service), weight: SIGNAL_WEIGHTS.booking, type: 'booking' })),
+    // 5 stars pulls towards similar listings, 1-2 stars pushes away
+    ...reviews.map(review => ({ service: toId(review.service), weight: (review.rating - 3) * 1.5, type: 'review' }))
+  ];
+
+  const services = await Service.find({ _id: { $in: [...new Set(signals.map(signal => signal.service))] } })
+    .select('serviceType category island vendor cuisineTypes')
+    .lean();
+  const servicesById = new Map(services.map(service => [toId(service), service]));
+
+  const affinity = new Map();
+  signals.forEach(signal => {
+    const service = servicesById.get(signal.service);
+    if (!service) return;
+    affinityKeys(service).forEach(key => affinity.set(key, (affinity.get(key) || 0) + signal.weight));
+  });
+
+  const group = user.groupDetails || {};
+
+  return {
+    user,
+    age: getAge(user.dateOfBirth),
+    partySize: (group.adults || 1) + (group.children || 0),
+    children: group.children || 0,
+    pets: !!group.pets || (user.accommodationPreferences?.accommodationFor || []).includes('pets'),
+    accessibilityNeeds: withoutNone(group.accessibilityNeeds),
+    dietaryRestrictions: withoutNone(group.dietaryRestrictions),
+    interests: [...new Set(user.travelPreferences?.activities || [])],
+    mustDo: [...new Set(user.mustDoActivities || [])],
+    affinity,
+    favorites: new Set(signals.filter(signal => signal.type === 'favorite').map(signal => signal.service)),
+    wishlist: new Set(signals.filter(signal => signal.type === 'wishlist').map(signal => signal.service)),
+    booked: new Set(signals.filter(signal => signal.type === 'booking').map(signal => signal.service)),
+    dislikedIds: new Set(reviews.filter(review => review.rating <= 2).map(review => toId(review.service)))
+  };
+};
+
+// ============================================================
+// COMPATIBILITY (hard filters)
+// ============================================================
+
+const catersForDiet = (listing, restriction) => {
+  if ((listing.dietaryOptions || []).length > 0) return listing.dietaryOptions.includes(restriction);
+  if (!['vegan', 'vegetarian'].includes(restriction)) return true; // Unknown: let the traveler check the menu
+
+  const cuisines = listing.cuisineTypes || [];
+  if (cuisines.includes('Vegan')) return true;
+  if (listingText(listing).includes(restriction)) return true;
+  return !(cuisines.length > 0 && cuisines.every(cuisine => MEAT_FORWARD_CUISINES.includes(cuisine)));
+};
+
+/**
+ * Whether the traveler's party can use the listing at all (age, accessibility, diet, size, pets)
+ */
+const isCompatible = (listing, profile) => {
+  if (!profile) return true;
+  if (profile.dislikedIds.has(toId(listing))) return false;
+
+  const restrictions = listing.ageRestrictions || {};
+  if (restrictions.minAge >= 18 && profile.children > 0) return false;
+  if (profile.age !== null && restrictions.minAge && profile.age < restrictions.minAge) return false;
+  if (profile.age !== null && restrictions.maxAge && profile.age > restrictions.maxAge) return false;
+
+  if (profile.accessibilityNeeds.length > 0) {
+    const declared = listing.accessibility || [];
+    if (declared.length > 0 && profile.accessibilityNeeds.some(need => !declared.includes(need))) return false;
+    if (declared.length === 0 && profile.accessibilityNeeds.includes('wheelchair accessible') &&
+        listing.category === 'Nature Trails') return false;
+  }
+
+  if (listing.serviceType === 'Dining' &&
+      profile.dietaryRestrictions.some(restriction => !catersForDiet(listing, restriction))) return false;
+
+  if (listing.serviceType === 'Stay') {
+    if (listing.maxGuests && profile.partySize > listing.maxGuests) return false;
+    if (profile.pets && !listing.bookingOptions?.allowPets) return false;
+  }
+
+  return true;
+};
+
+// ============================================================
+// SCORING
+// ============================================================
+
+const scoreQuality = (listing) => {
+  const reviews = listing.totalReviews || 0;
+  // Rating, trusted more as reviews add up (full weight from ~100 reviews)
+  return (listing.averageRating || 0) * 2 * Math.min(1, Math.log10(reviews + 1) / 2);
+};
+
+const scoreInterests = (listing, profile, add) => {
+  const text = listingText(listing);
+  const amenities = listing.amenities || {};
+
+  const matches = (term) => {
+    const rule = INTEREST_BY_TERM.get(term);
+    if (!rule) return false;
+    return (rule.serviceTypes || []).includes(listing.serviceType) ||
+      (listing.category && (rule.categories || []).includes(listing.category)) ||
+      (rule.keywords || []).some(keyword => text.includes(keyword)) ||
+      (rule.amenities || []).some(amenity => amenities[amenity]);
+  };
+
+  const mustDo = profile.mustDo.filter(matches);
+  const interests = profile.interests.filter(term => !mustDo.includes(term) && matches(term));
+
+  if (mustDo.length > 0) add(12 * Math.min(mustDo.length, 2), `On your must-do list: ${mustDo[0]}`);
+  if (interests.length > 0) add(8 * Math.min(interests.length, 2), `Matches your interest in ${interests[0]}`);
+};
+
+const scorePreferences = (listing, profile, add) => {
+  const { user } = profile;
+
+  if ((user.travelPreferences?.preferredDestinations || []).includes(listing.island)) {
+    add(6, `On ${listing.island}, one of your preferred islands`);
+  }
+
+  const styles = user.travelPreferences?.style || [];
+  if (styles.length > 0 && listing.priceBand) {
+    const suited = styles.flatMap(style => BANDS_BY_STYLE[style] || []);
+    if (suited.includes(listing.priceBand)) add(5, `Fits your ${styles[0]} travel style`);
+    else if (styles.every(style => style === 'budget') && ['premium', 'luxury'].includes(listing.priceBand)) add(-8);
+  }
+
+  if (listing.serviceType === 'Dining') {
+    const cuisines = (listing.cuisineTypes || []).filter(cuisine => (user.foodPreferences?.cuisines || []).includes(cuisine));
+    if (cuisines.length > 0) add(8 * Math.min(cuisines.length, 2), `Serves ${cuisines.join(' and ')} food`);
+
+    const style = user.foodPreferences?.diningStyle;
+    if (style && (PRICE_RANGE_BY_DINING_STYLE[style] || []).includes(listing.priceRange)) add(4, `Suits ${style}`);
+
+    const diets = profile.dietaryRestrictions.filter(restriction => (listing.dietaryOptions || []).includes(restriction));
+    if (diets.length > 0) add(5, `Caters for ${diets.join(', ')} diets`);
+  }
+
+  if (listing.serviceType === 'Shopping') {
+    const preferences = (user.shoppingPreferences || []).filter(preference =>
+      (STORE_TYPES_BY_SHOPPING_PREFERENCE[preference] || []).includes(listing.storeType)
+    );
+    if (preferences.length > 0) add(5, `Good for ${preferences[0]} shopping`);
+  }
+
+  if (listing.serviceType === 'Stay') {
+    const accommodation = user.accommodationPreferences || {};
+    if (accommodation.type === 'Airbnb' && listing.type === 'Airbnb') add(4, 'The kind of place you like to stay');
+    if (accommodation.location === 'near the beach' && listing.amenities?.beachfront) add(4, 'Beachfront');
+
+    const wanted = (accommodation.amenities || []).map(amenity => amenity.toLowerCase().replace(/[^a-z]/g, ''));
+    const amenities = Object.keys(listing.amenities || {}).filter(amenity =>
+      listing.amenities[amenity] && wanted.includes(amenity.toLowerCase())
+    );
+    if (amenities.length > 0) add(2 * Math.min(amenities.length, 3), `Has ${amenities.join(', ')}`);
+
+    if (profile.children > 0 && ['crib', 'childSafe', 'highChair'].some(amenity => listing.amenities?.[amenity])) {
+      add(3, 'Family friendly');
+    }
+  }
+
+  const needs = profile.accessibilityNeeds.filter(need => (listing.accessibility || []).includes(need));
+  if (needs.length > 0) add(5, needs[0].charAt(0).toUpperCase() + needs[0].slice(1));
+};
+
+// Budget allocations are for the whole trip
+const scoreBudget = (listing, profile, add) => {
+  const allocation = profile.user.budget?.allocation || {};
+  if (listing.fromPrice === null || listing.fromPrice === undefined) return;
+
+  if (listing.serviceType === 'Stay' && allocation.accommodation) {
+    const nightly = allocation.accommodation / (profile.user.lengthOfStay || DEFAULT_TRIP_NIGHTS);
+    if (listing.fromPrice <= nightly) add(3, 'Within your accommodation budget');
+    else if (listing.fromPrice > nightly * 1.25) add(-10);
+  }
+
+  if (listing.serviceType === 'Activity' && allocation.activities &&
+      listing.fromPrice * profile.partySize > allocation.activities) {
+    add(-6);
+  }
+};
+
+const scoreBehaviour = (listing, profile, add) => {
+  const id = toId(listing);
+  if (profile.wishlist.has(id)) add(10, 'On your wishlist');
+  if (profile.favorites.has(id)) add(5, 'One of your favorites');
+  // Booked before: restaurants and spas get revisited, tours rarely
+  if (profile.booked.has(id) && !['Dining', 'WellnessSpa'].includes(listing.serviceType)) add(-10);
+
+  const affinity = affinityKeys(listing)
+    .filter(key => !key.startsWith('island:'))
+    .reduce((sum, key) => sum + (profile.affinity.get(key) || 0), 0);
+  if (affinity > 0) add(Math.min(affinity * 1.5, 15), 'Similar to places you have saved or booked');
+  if (affinity < 0) add(Math.max(affinity * 1.5, -15));
+};
+
+const scoreContext = (listing, context, add) => {
+  if (context.origin) {
+    const distance = listing.coordinates ? distanceKm(context.origin, listing.coordinates) : null;
+    if (distance === null || distance > NEARBY_KM) {
+      add(-20);
+    } else {
+      add(15 * (1 - distance / NEARBY_KM), `${Math.round(distance * 10) / 10} km from ${context.originLabel}`);
+    }
+  }
+
+  if (context.complementTypes.includes(listing.serviceType)) add(6);
+  if (context.islands.includes(listing.island)) {
+    add(4, context.name === 'stay' ? `On ${listing.island}, where you are staying` : `On ${listing.island}, like the rest of your trip`);
+  }
+  if (context.needsTransfer && listing.category === 'Airport Transfer') add(12, 'Get to your stay from the airport');
+};
+
+/**
+ * Score a listing: quality, stated preferences, behaviour and context
+ * @returns {{ score, reasons }}
+ */
+const scoreListing = (listing, profile, context) => {
+  let score = scoreQuality(listing);
+  const reasons = [];
+  const add = (points, reason) => {
+    score += points;
+    if (reason && points > 0) reasons.push({ reason, points });
+  };
+
+  if (profile) {
+    scoreInterests(listing, profile, add);
+    scorePreferences(listing, profile, add);
+    scoreBudget(listing, profile, add);
+    scoreBehaviour(listing, profile, add);
+  }
+  scoreContext(listing, context, add);
+
+  if (reasons.length === 0 && listing.totalReviews > 0 && listing.averageRating >= 4.5) {
+    reasons.push({ reason: 'Highly rated by travelers', points: 0 });
+  }
+
+  return {
+    score: Math.round(score * 100) / 100,
+    reasons: reasons.sort((a, b) => b.points - a.points).slice(0, 3).map(entry => entry.reason)
+  };
+};
+
+// ============================================================
+// CONTEXT
+// ============================================================
+
+/**
+ * Where the traveler is staying: ?stayId=, else their current or next Stay booking
+ */
+const resolveStay = async (userId, stayId) => {
+  let id = stayId;
+  if (!id && userId) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const booking = await Booking.findOne({
+      customer: userId,
+      serviceType: 'Stay',
+      $or: [{ status: 'in-progress' }, { status: 'confirmed', scheduledDateTime: { $gte: today } }]
+    }).sort({ status: -1, scheduledDateTime: 1 }).select('service').lean();
+    id = booking?.service;
+  }
+  if (!id) throw createRecommendationError('No current or upcoming stay found. Pass a stayId.');
+  if (!mongoose.Types.ObjectId.isValid(id)) throw createRecommendationError('Invalid stay ID');
+
+  const stay = await Service.findOne({ _id: id, serviceType: 'Stay' })
+    .select('name island coordinates addressDetails.coordinates')
+    .lean();
+  if (!stay) throw createRecommendationError('Stay not found', 404);
+  return stay;
+};
+
+const buildContext = async (name, userId, query) => {
+  const context = {
+    name,
+    origin: null,
+    originLabel: null,
+    islands: [],
+    complementTypes: [],
+    needsTransfer: false,
+    excludeIds: new Set(),
+    excludeTypes: []
+  };
+
+  if (name === 'stay') {
+    const stay = await resolveStay(userId, query.stayId);
+    const coordinates = stay.addressDetails?.coordinates?.latitude != null ? stay.addressDetails.coordinates : stay.coordinates;
+    context.origin = coordinates?.latitude != null ? coordinates : null;
+    context.originLabel = stay.name;
+    context.islands = [stay.island];
+    context.complementTypes = COMPLEMENTS.Stay;
+    context.excludeTypes = ['Stay'];
+    context.stay = { _id: stay._id, name: stay.name };
+  }
+
+  if (name === 'checkout') {
+    if (!userId) throw createRecommendationError('Sign in to get checkout recommendations', 401);
+
+    const cart = await Cart.findOne({ user: userId }).select('items.service items.serviceType').lean();
+    const items = cart?.items || [];
+    const cartServices = await Service.find({ _id: { $in: items.map(item => item.service) } })
+      .select('serviceType island')
+      .lean();
+
+    const cartTypes = [...new Set(cartServices.map(service => service.serviceType))];
+    cartServices.forEach(service => context.excludeIds.add(toId(service)));
+    context.islands = [...new Set(cartServices.map(service => service.island).filter(Boolean))];
+    context.complementTypes = [...new Set(cartTypes.flatMap(type => COMPLEMENTS[type] || []))]
+      .filter(type => !cartTypes.includes(type));
+    context.needsTransfer = cartTypes.includes('Stay') && !cartTypes.includes('Transportation');
+    // One place to stay per trip
+    if (cartTypes.includes('Stay')) context.excludeTypes = ['Stay'];
+  }
+
+  return context;
+};
+
+// ============================================================
+// RECOMMEND
+// ============================================================
+
+// Fields the filters and scoring read, on top of the search result summary
+const CANDIDATE_FIELDS = [
+  ...searchService.RESULT_FIELDS,
+  'ageRestrictions', 'accessibility', 'dietaryOptions', 'amenities', 'bookingOptions.allowPets', 'maxGuests',
+  'menuItems.name', 'menuItems.description'
+];
+
+const PRIVATE_FIELDS = ['ageRestrictions', 'accessibility', 'dietaryOptions', 'amenities', 'bookingOptions', 'maxGuests', 'menuItems'];
+
+/**
+ * Pick the best-scored listings, at most MAX_PER_VENDOR per vendor and maxPerType per type,
+ * topped up from the rest when the caps leave the page short
+ */
+const pickDiverse = (scored, limit, maxPerType) => {
+  const perVendor = new Map();
+  const perType = new Map();
+  const picked = [];
+  const skipped = [];
+
+  for (const entry of scored) {
+    if (picked.length >= limit) break;
+    const vendor = toId(entry.listing.vendor);
+    const type = entry.listing.serviceType;
+    if ((perVendor.get(vendor) || 0) >= MAX_PER_VENDOR || (perType.get(type) || 0) >= maxPerType) {
+      skipped.push(entry);
+      continue;
+    }
+
+    perVendor.set(vendor, (perVendor.get(vendor) || 0) + 1);
+    perType.set(type, (perType.get(type) || 0) + 1);
+    picked.push(entry);
+  }
+
+  return [...picked, ...skipped.slice(0, limit - picked.length)];
+};
+
+/**
+ * Personalised listings for the traveler (or best rated ones for guests)
+ * @param {String|null} userId
+ * @param {Object} query - context home|stay|checkout, stayId (stay context), serviceType, category, limit
+ * @returns {{ context, stay?, personalized, data: [{ ...listing, score, reasons }] }}
+ */
+const getRecommendations = async (userId, query = {}) => {
+  const contextName = query.context || 'home';
+  if (!CONTEXTS.includes(contextName)) {
+    throw createRecommendationError(`Unknown context "${contextName}". Use one of: ${CONTEXTS.join(', ')}`);
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const serviceTypes = query.serviceType ? String(query.serviceType).split(',').map(type => type.trim()) : [];
+  const invalidType = serviceTypes.find(type => !searchService.SERVICE_TYPES.includes(type));
+  if (invalidType) throw createRecommendationError(`Unknown service type "${invalidType}"`);
+
+  const [profile, context] = await Promise.all([
+    userId ? buildProfile(userId) : null,
+    buildContext(contextName, userId, query)
+  ]);
+
+  const match = { status: 'active' };
+  const types = serviceTypes.filter(type => !context.excludeTypes.includes(type));
+  if (serviceTypes.length > 0) match.serviceType = { $in: types };
+  else if (context.excludeTypes.length > 0) match.serviceType = { $nin: context.excludeTypes };
+  if (query.category) match.category = query.category;
+  if (context.name === 'stay' && context.islands[0]) match.island = context.islands[0];
+
+  const candidates = await Service.aggregate([
+    { $match: match },
+    { $sort: { averageRating: -1, totalReviews: -1, _id: 1 } },
+    { $limit: MAX_CANDIDATES },
+    ...searchService.summaryStages(),
+    { $project: Object.fromEntries(CANDIDATE_FIELDS.map(field => [field, 1])) }
+  ]);
+
+  const scored = candidates
+    .filter(listing => !context.excludeIds.has(toId(listing)))
+    .filter(listing => isCompatible(listing, profile))
+    .map(listing => ({ listing, ...scoreListing(listing, profile, context) }))
+    .sort((a, b) => b.score - a.score);
+
+  // Mix of types on the home page unless the caller asked for specific ones
+  const maxPerType = context.name === 'home' && serviceTypes.length === 0 ? Math.ceil(limit / 2) : limit;
+  const data = pickDiverse(scored, limit, maxPerType).map(({ listing, score, reasons }) => {
+    const result = { ...listing, score, reasons };
+    PRIVATE_FIELDS.forEach(field => delete result[field]);
+    return result;
+  });
+
+  return {
+    context: context.name,
+    ...(context.stay && { stay: context.stay }),
+    personalized: !!profile,
+    data
+  };
+};
+
+module.exports = {
+  CONTEXTS,
+  getRecommendations
+};
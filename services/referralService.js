@@ -1,5 +1,6 @@
 const ReferralPartner = require('../models/ReferralPartner');
 const ReferralCommission = require('../models/ReferralCommission');
+const ledgerService = require('./ledgerService');
 
 /**
  * Create referral commission when a booking is completed
@@ -18,6 +19,13 @@ exports.createCommissionFromBooking = async (booking, referralCode) => {
       return null;
     }
 
+    // A booking earns at most one commission (webhook retries/replays)
+    const existingCommission = await ReferralCommission.findOne({ booking: booking._id });
+    if (existingCommission) {
+      console.log(`Commission already exists for booking ${booking._id}, skipping`);
+      return existingCommission;
+    }
+
     // Find the referral partner by code
     const partner = await ReferralPartner.findOne({
       referralCode: referralCode.toUpperCase(),
@@ -61,6 +69,7 @@ exports.createCommissionFromBooking = async (booking, referralCode) => {
     });
 
     await commission.save();
+    await ledgerService.recordReferralCommission(commission);
 
     // Update partner stats
     partner.totalReferrals = (partner.totalReferrals || 0) + 1;
@@ -117,14 +126,16 @@ exports.refundCommission = async (commissionId) => {
     }
 
     // Update commission
+    const previousStatus = commission.status;
     commission.status = 'refunded';
     commission.refundedDate = new Date();
     await commission.save();
+    await ledgerService.recordReferralCommissionReversal(commission);
 
     // Update partner stats
     const partner = await ReferralPartner.findById(commission.referralPartner);
     if (partner) {
-      if (commission.status === 'pending') {
+      if (previousStatus === 'pending') {
         partner.pendingCommission = Math.max(0, partner.pendingCommission - commission.commissionAmount);
       }
       partner.totalReferrals = Math.max(0, partner.totalReferrals - 1);
@@ -0,0 +1,436 @@
+// services/refundService.js
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Service = require('../models/Service');
+const ReferralCommission = require('../models/ReferralCommission');
+const referralService = require('./referralService');
+const availabilityService = require('./availabilityService');
+const ledgerService = require('./ledgerService');
+const creditService = require('./creditService');
+const giftCardService = require('./giftCardService');
+const currencyService = require('./currencyService');
+const splitPaymentService = require('./splitPaymentService');
+const depositService = require('./depositService');
+const invoiceService = require('./invoiceService');
+
+// Platform default, used when a listing has no structured policy (Activity, WellnessSpa, Dining)
+const DEFAULT_RULES = [
+  { hoursBefore: 24, refundPercentage: 100, fee: 0 },
+  { hoursBefore: 12, refundPercentage: 50, fee: 0 },
+  { hoursBefore: 2, refundPercentage: 25, fee: 0 }
+];
+
+// Stay.policies.cancellationPolicy
+const STAY_RULES = {
+  'Flexible': [
+    { hoursBefore: 24, refundPercentage: 100, fee: 0 }
+  ],
+  'Moderate': [
+    { hoursBefore: 5 * 24, refundPercentage: 100, fee: 0 },
+    { hoursBefore: 0, refundPercentage: 50, fee: 0 }
+  ],
+  'Strict': [
+    { hoursBefore: 14 * 24, refundPercentage: 100, fee: 0 },
+    { hoursBefore: 7 * 24, refundPercentage: 50, fee: 0 }
+  ],
+  'Non-refundable': []
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createRefundError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Resolve the cancellation policy that applies to a booking
+ * @param {Object} booking
+ * @param {Object} service - The booked service (falls back to a populated booking.service)
+ * @returns {Object} { name, source, rules: [{ hoursBefore, refundPercentage, fee }], weatherRefundPercentage }
+ */
+const resolvePolicy = (booking, service = null) => {
+  const listing = service || (booking.service && booking.service.serviceType ? booking.service : null);
+
+  if (listing && listing.serviceType === 'Stay') {
+    const name = listing.policies?.cancellationPolicy || 'Moderate';
+    return { name, source: 'stay', rules: STAY_RULES[name] || STAY_RULES['Moderate'] };
+  }
+
+  if (listing && listing.serviceType === 'Transportation') {
+    const policy = listing.cancellationPolicy || {};
+
+    if (policy.refundable === false) {
+      return { name: 'Non-refundable', source: 'transportation', rules: [] };
+    }
+
+    const rules = (policy.cancellationRules || [])
+      .filter(rule => typeof rule.timeBeforeService === 'number')
+      .map(rule => ({
+        hoursBefore: rule.timeBeforeService,
+        refundPercentage: rule.refundPercentage || 0,
+        fee: rule.cancellationFee || 0
+      }))
+      .sort((a, b) => b.hoursBefore - a.hoursBefore);
+
+    return {
+      name: rules.length > 0 ? 'Vendor rules' : 'Platform default',
+      source: 'transportation',
+      rules: rules.length > 0 ? rules : DEFAULT_RULES,
+      weatherRefundPercentage: policy.weatherCancellation?.allowed === false
+        ? null
+        : (policy.weatherCancellation?.refundPercentage ?? 100)
+    };
+  }
+
+  return { name: 'Platform default', source: 'platform', rules: DEFAULT_RULES };
+};
+
+/**
+ * Amount charged to the card for the booking so far: the checkout charge plus
+ * the installments paid since (deposit bookings), less what booking changes lowered the price by
+ */
+const getPaidAmount = (booking) => {
+  const unpaidInstallments = (booking.payment?.installments || [])
+    .filter(installment => installment.status !== 'paid')
+    .reduce((sum, installment) => sum + (installment.amount || 0), 0);
+  return roundCurrency((booking.pricing?.totalAmount || 0) - (booking.payment?.creditAmount || 0)
+    - (booking.payment?.giftCardAmount || 0) - unpaidInstallments);
+};
+
+/**
+ * Amount actually charged to the card for the booking and not refunded yet
+ * (credits used on the booking are returned as credits, see cancelBookingWithRefund)
+ */
+const getRefundableAmount = (booking) => {
+  if (!['partially-paid', 'completed', 'partially-refunded'].includes(booking.payment?.status)) return 0;
+  return roundCurrency(Math.max(0, getPaidAmount(booking) - (booking.payment.refundAmount || 0)));
+};
+
+/**
+ * Compute the refund for cancelling a booking
+ * @param {Object} booking
+ * @param {Object} service - The booked service
+ * @param {Object} options - { cancelledAt, initiatedBy: 'customer'|'vendor'|'admin', weather }
+ *   (weather only counts on admin cancellations; customers can't claim it themselves)
+ * @returns {Object} { hoursBeforeService, refundPercentage, cancellationFee, refundAmount, refundableAmount, policy }
+ */
+const calculateRefund = (booking, service = null, options = {}) => {
+  const { cancelledAt = new Date(), initiatedBy = 'customer', weather = false } = options;
+  const policy = resolvePolicy(booking, service);
+  const refundableAmount = getRefundableAmount(booking);
+
+  const scheduledTime = booking.scheduledDateTime ? new Date(booking.scheduledDateTime) : null;
+  const hoursBeforeService = scheduledTime
+    ? roundCurrency((scheduledTime - new Date(cancelledAt)) / (1000 * 60 * 60))
+    : null;
+
+  let refundPercentage = 0;
+  let cancellationFee = 0;
+
+  if (initiatedBy === 'vendor') {
+    // Vendor-initiated cancellations are always refunded in full
+    refundPercentage = 100;
+  } else if (weather && initiatedBy === 'admin' && policy.weatherRefundPercentage != null) {
+    refundPercentage = policy.weatherRefundPercentage;
+  } else if (hoursBeforeService === null) {
+    refundPercentage = 100;
+  } else {
+    const rule = policy.rules.find(entry => hoursBeforeService >= entry.hoursBefore);
+    if (rule) {
+      refundPercentage = rule.refundPercentage;
+      cancellationFee = rule.fee || 0;
+    }
+  }
+
+  const refundAmount = roundCurrency(Math.min(
+    refundableAmount,
+    Math.max(0, refundableAmount * refundPercentage / 100 - cancellationFee)
+  ));
+
+  return {
+    hoursBeforeService,
+    refundPercentage,
+    cancellationFee: refundPercentage > 0 ? cancellationFee : 0,
+    refundAmount,
+    refundableAmount,
+    policy: { name: policy.name, source: policy.source }
+  };
+};
+
+/**
+ * Card charges of a booking, newest first: installments and booking change charges
+ * paid after the checkout, then the checkout charge itself
+ * @returns {Array} [{ paymentIntentId, amount (USD), chargedAmount }]
+ */
+const getCardCharges = (booking) => {
+  const installments = booking.payment.installments || [];
+  const extraCharges = booking.payment.extraCharges || [];
+  const checkoutAmount = roundCurrency((booking.pricing?.totalAmount || 0) - (booking.payment.creditAmount || 0)
+    - (booking.payment.giftCardAmount || 0)
+    - installments.reduce((sum, installment) => sum + (installment.amount || 0), 0)
+    - extraCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0));
+
+  return [
+    ...[...installments.filter(installment => installment.status === 'paid'), ...extraCharges]
+      .filter(charge => charge.paymentIntentId)
+      .sort((a, b) => new Date(b.paidAt) - new Date(a.paidAt))
+      .map(charge => ({
+        paymentIntentId: charge.paymentIntentId,
+        amount: charge.amount,
+        chargedAmount: charge.chargedAmount
+      })),
+    { paymentIntentId: booking.payment.transactionId, amount: checkoutAmount, chargedAmount: booking.payment.chargedAmount }
+  ];
+};
+
+/**
+ * Refund the booking's card charges, newest first
+ * @returns {Array} [{ id, amount, chargedAmount, paymentIntentId, status }]
+ */
+const refundCard = async (booking, amount, reason, idempotencyKey) => {
+  const rate = booking.payment.exchangeRate || 1;
+  const refunds = [];
+  let remaining = amount;
+
+  for (const charge of getCardCharges(booking)) {
+    if (remaining <= 0) break;
+
+    // Refunds recorded before installments existed belong to the checkout charge
+    const previous = (booking.payment.refunds || []).filter(entry =>
+      (entry.paymentIntentId || booking.payment.transactionId) === charge.paymentIntentId);
+    const refunded = previous.reduce((sum, entry) => sum + (entry.amount || 0), 0);
+    const portion = roundCurrency(Math.min(remaining, charge.amount - refunded));
+    if (portion <= 0) continue;
+
+    // The card is refunded in the currency it was charged in, at the checkout's rate
+    let chargedAmount = currencyService.convertFromUSD(portion, rate);
+    if (charge.chargedAmount != null) {
+      const chargedRefunded = previous.reduce((sum, entry) => sum + (entry.chargedAmount || 0), 0);
+      chargedAmount = Math.min(chargedAmount, roundCurrency(charge.chargedAmount - chargedRefunded));
+    }
+
+    const key = idempotencyKey && (refunds.length === 0 ? idempotencyKey : `${idempotencyKey}:${charge.paymentIntentId}`);
+    const refund = await stripe.refunds.create({
+      payment_intent: charge.paymentIntentId,
+      amount: currencyService.toMinorUnits(chargedAmount),
+      reason: 'requested_by_customer',
+      metadata: {
+        bookingId: booking._id.toString(),
+        reason: (reason || '').substring(0, 450)
+      }
+    }, key ? { idempotencyKey: key } : undefined);
+
+    refunds.push({ id: refund.id, amount: portion, chargedAmount, paymentIntentId: charge.paymentIntentId, status: refund.status });
+    remaining = roundCurrency(remaining - portion);
+  }
+
+  return refunds;
+};
+
+/**
+ * Refund part or all of a booking's payment through Stripe and record it on the booking.
+ * Group bookings are refunded to each payer in proportion to their share.
+ * The caller saves the booking.
+ * @param {Object} booking - Booking document
+ * @param {Number} amount - Amount in US dollars (refunded in the currency the card was charged in)
+ * @param {String} reason
+ * @param {String} idempotencyKey - Prevents double refunds on retries/double submits
+ * @param {Object} options - { priceChange: the booking's price went down by this amount (booking changes),
+ *   so it is not counted in payment.refundAmount; the caller lowers pricing.totalAmount }
+ * @returns {Object|null} The (first) Stripe refund
+ */
+const issueRefund = async (booking, amount, reason, idempotencyKey, { priceChange = false } = {}) => {
+  amount = roundCurrency(amount);
+  if (amount <= 0) return null;
+
+  if (!booking.payment?.transactionId && !booking.splitPayment) {
+    throw createRefundError('Booking has no card payment to refund.');
+  }
+  if (amount > getRefundableAmount(booking)) {
+    throw createRefundError('Refund exceeds the amount paid for this booking.');
+  }
+
+  const refunds = booking.splitPayment
+    ? await splitPaymentService.refundBookingShares(booking.splitPayment, amount, reason, idempotencyKey)
+    : await refundCard(booking, amount, reason, idempotencyKey);
+
+  if (!priceChange) {
+    booking.payment.refundAmount = roundCurrency((booking.payment.refundAmount || 0) + amount);
+    booking.payment.refundReason = reason;
+    booking.payment.refundedAt = new Date();
+    if (booking.payment.refundAmount >= getPaidAmount(booking)) {
+      booking.payment.status = 'refunded';
+    } else if (!depositService.hasOutstandingInstallments(booking)) {
+      booking.payment.status = 'partially-refunded';
+    }
+  }
+
+  for (const refund of refunds) {
+    booking.payment.refunds.push({
+      stripeRefundId: refund.id,
+      amount: refund.amount,
+      chargedAmount: refund.chargedAmount,
+      paymentIntentId: refund.paymentIntentId,
+      reason,
+      status: refund.status
+    });
+    await ledgerService.recordRefund(booking, { id: refund.id, amount: refund.amount });
+  }
+
+  // Credit note against the booking's invoice (the refund itself has gone through either way)
+  await invoiceService.issueCreditNote(booking, refunds, amount, reason).catch(error =>
+    console.error(`Could not issue credit note for booking ${booking.bookingId}:`, error.message));
+
+  return refunds[0] || null;
+};
+
+/**
+ * Refund what a cart checkout charged for an item that could not be booked.
+ * Nothing is recorded on a booking or in the ledger: the item's payment was never captured as a booking.
+ * @param {String} paymentIntentId - The cart checkout
+ * @param {Object} share - { cartItem, chargedAmount (in the charge currency), reason }
+ * @returns {Object|null} The Stripe refund
+ */
+const refundUnbookedItem = async (paymentIntentId, { cartItem, chargedAmount, reason }) => {
+  if (!(chargedAmount > 0)) return null;
+
+  return stripe.refunds.create({
+    payment_intent: paymentIntentId,
+    amount: currencyService.toMinorUnits(chargedAmount),
+    reason: 'requested_by_customer',
+    metadata: {
+      cartItem: String(cartItem),
+      reason: (reason || '').substring(0, 450)
+    }
+  }, { idempotencyKey: `cart-item-refund-${paymentIntentId}-${cartItem}` });
+};
+
+/**
+ * Cart items of a checkout already refunded by refundUnbookedItem (a replayed event must not book them)
+ * @returns {Array} cart item ids
+ */
+const getRefundedCartItems = async (paymentIntentId) => {
+  const refunds = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+  return refunds.data
+    .filter(refund => refund.metadata?.cartItem && !['failed', 'canceled'].includes(refund.status))
+    .map(refund => refund.metadata.cartItem);
+};
+
+/**
+ * Refund the whole charge of a single checkout that could not be booked (see refundUnbookedItem)
+ * @returns {Object} The Stripe refund
+ */
+const refundUnbookedCheckout = async (paymentIntentId, reason) => stripe.refunds.create({
+  payment_intent: paymentIntentId,
+  reason: 'requested_by_customer',
+  metadata: {
+    unbookedCheckout: 'true',
+    reason: (reason || '').substring(0, 450)
+  }
+}, { idempotencyKey: `checkout-refund-${paymentIntentId}` });
+
+/**
+ * Refund made by refundUnbookedCheckout, if any (a replayed event must not book the checkout)
+ * @returns {Object|null} The Stripe refund
+ */
+const getUnbookedCheckoutRefund = async (paymentIntentId) => {
+  const refunds = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+  return refunds.data.find(refund => refund.metadata?.unbookedCheckout === 'true' &&
+    !['failed', 'canceled'].includes(refund.status)) || null;
+};
+
+/**
+ * Cancel a booking according to its policy and refund the customer
+ * @param {Object} booking - Booking document
+ * @param {Object} options - { cancelledBy, initiatedBy, reason, refundAmount (admin override), weather }
+ * @returns {Object} { booking, refund }
+ */
+const cancelBookingWithRefund = async (booking, options = {}) => {
+  const { cancelledBy, initiatedBy = 'customer', reason, refundAmount: overrideAmount, weather = false } = options;
+
+  if (booking.status === 'cancelled') {
+    throw createRefundError('Booking is already cancelled.');
+  }
+  if (['completed', 'reviewed', 'no-show'].includes(booking.status)) {
+    throw createRefundError(`A ${booking.status} booking cannot be cancelled.`);
+  }
+
+  const serviceId = booking.service?._id || booking.service;
+  const service = booking.service?.serviceType ? booking.service : await Service.findById(serviceId).lean();
+  const cancelledAt = new Date();
+  const quote = calculateRefund(booking, service, { cancelledAt, initiatedBy, weather });
+
+  let amount = quote.refundAmount;
+  if (initiatedBy === 'admin' && overrideAmount !== undefined && overrideAmount !== null && overrideAmount !== '') {
+    amount = Math.min(Math.max(0, Number(overrideAmount) || 0), quote.refundableAmount);
+  }
+
+  const refund = await issueRefund(booking, amount, reason, `booking-cancel-${booking._id}`);
+
+  // Installments not charged yet are dropped and an uncaptured security deposit is released
+  await depositService.cancelOutstandingInstallments(booking);
+  await depositService.releaseSecurityDeposit(booking).catch(error =>
+    console.error(`Could not release security deposit for booking ${booking.bookingId}:`, error.message));
+
+  booking.status = 'cancelled';
+  booking.statusHistory.push({
+    status: 'cancelled',
+    timestamp: cancelledAt,
+    reason: reason || `Cancelled by ${initiatedBy}`,
+    updatedBy: cancelledBy
+  });
+  booking.cancellation = {
+    cancelledBy,
+    cancelledAt,
+    reason: reason || `Cancelled by ${initiatedBy}`,
+    cancellationFee: quote.cancellationFee,
+    refundAmount: roundCurrency(amount),
+    policy: {
+      timeBeforeCancellation: quote.hoursBeforeService,
+      refundPercentage: quote.refundPercentage,
+      fee: quote.cancellationFee
+    }
+  };
+
+  await booking.save();
+  await availabilityService.releaseBookingInventory(booking);
+
+  // Credits and gift card value spent on the booking come back at the same percentage as the card refund
+  const refundPercentage = quote.refundableAmount > 0
+    ? roundCurrency(amount / quote.refundableAmount * 100)
+    : quote.refundPercentage;
+  const restoredCredits = await creditService.restoreBookingCredits(booking, refundPercentage);
+  const giftCardRestored = await giftCardService.restoreBookingGiftCard(booking, refundPercentage);
+
+  // The referral partner doesn't earn on a cancelled booking
+  const commission = await ReferralCommission.findOne({ booking: booking._id }).select('_id');
+  if (commission) {
+    await referralService.refundCommission(commission._id);
+  }
+
+  return {
+    booking,
+    refund: {
+      amount: roundCurrency(amount),
+      refundPercentage: quote.refundPercentage,
+      cancellationFee: quote.cancellationFee,
+      policy: quote.policy,
+      stripeRefundId: refund ? refund.id : null,
+      creditsRestored: restoredCredits ? restoredCredits.amount : 0,
+      giftCardRestored: giftCardRestored || 0
+    }
+  };
+};
+
+module.exports = {
+  resolvePolicy,
+  calculateRefund,
+  getRefundableAmount,
+  issueRefund,
+  refundUnbookedItem,
+  getRefundedCartItems,
+  refundUnbookedCheckout,
+  getUnbookedCheckoutRefund,
+  cancelBookingWithRefund
+};
@@ -0,0 +1,95 @@
+// services/scheduler.js
+const holdService = require('./holdService');
+const checkoutService = require('./checkoutService');
+const payoutService = require('./payoutService');
+const creditService = require('./creditService');
+const giftCardService = require('./giftCardService');
+const loyaltyService = require('./loyaltyService');
+const splitPaymentService = require('./splitPaymentService');
+const depositService = require('./depositService');
+
+const ONE_MINUTE = 60 * 1000;
+const ONE_HOUR = 60 * ONE_MINUTE;
+const ONE_DAY = 24 * ONE_HOUR;
+
+// Recurring background jobs. Each job is skipped while its previous run is still going.
+const jobs = [
+  {
+    name: 'expire-inventory-holds',
+    interval: ONE_MINUTE,
+    run: holdService.expireStaleHolds
+  },
+  {
+    name: 'abandon-expired-checkouts',
+    interval: ONE_MINUTE,
+    run: checkoutService.abandonExpiredCheckouts
+  },
+  {
+    name: 'expire-split-payments',
+    interval: ONE_MINUTE,
+    run: splitPaymentService.expireOverdueSplits
+  },
+  {
+    name: 'charge-due-installments',
+    interval: ONE_HOUR,
+    run: depositService.chargeDueInstallments
+  },
+  {
+    name: 'security-deposits',
+    interval: ONE_HOUR,
+    run: depositService.processSecurityDeposits
+  },
+  {
+    name: 'expire-caicos-credits',
+    interval: ONE_HOUR,
+    run: creditService.expireCredits
+  },
+  {
+    name: 'deliver-gift-cards',
+    interval: ONE_HOUR,
+    run: giftCardService.deliverScheduledGiftCards
+  },
+  {
+    name: 'expire-gift-cards',
+    interval: ONE_DAY,
+    run: giftCardService.expireGiftCards
+  },
+  {
+    name: 'vendor-payouts',
+    interval: ONE_DAY,
+    run: payoutService.runScheduledPayouts
+  },
+  {
+    name: 'evaluate-loyalty-tiers',
+    interval: ONE_DAY,
+    run: loyaltyService.evaluateAllTiers
+  }
+];
+
+/**
+ * Start all recurring jobs (called once from server.js)
+ */
+const startScheduledJobs = () => {
+  jobs.forEach(job => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Scheduled job "${job.name}" failed:`, error);
+      } finally {
+        running = false;
+      }
+    }, job.interval);
+
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+  });
+
+  console.log(`Started ${jobs.length} scheduled job(s)`);
+};
+
+module.exports = { startScheduledJobs };
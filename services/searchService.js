@@ -0,0 +1,650 @@
+// services/searchService.js
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Stay = require('../models/Stay');
+const availabilityService = require('./availabilityService');
+const { EARTH_RADIUS_KM, isValidCoordinate } = require('../utils/geo');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const SERVICE_TYPES = ['Activity', 'Stay', 'Dining', 'Transportation', 'WellnessSpa', 'Shopping'];
+
+// Upper bound (USD) of each band, applied to the listing's "from" price
+const PRICE_BANDS = [
+  { key: 'budget', max: 50 },
+  { key: 'moderate', max: 150 },
+  { key: 'premium', max: 300 },
+  { key: 'luxury', max: Infinity }
+];
+
+// Dining/Shopping listings without item prices fall back to their $ range
+const PRICE_BAND_BY_RANGE = { $: 'budget', $$: 'moderate', $$$: 'premium', $$$$: 'luxury' };
+
+// Same thresholds as the Service `ratingTier` virtual
+const RATING_TIERS = [
+  { key: 'excellent', min: 4.5 },
+  { key: 'very-good', min: 4 },
+  { key: 'good', min: 3.5 },
+  { key: 'average', min: 3 },
+  { key: 'poor', min: 0 }
+];
+
+const STAY_AMENITIES = Object.keys(Stay.schema.obj.amenities);
+
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'rating', 'distance'];
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+const DEFAULT_MAP_LIMIT = 100;
+const MAX_BOOKABLE_CANDIDATES = 1000; // Listings checked for capacity per dated search
+const MAX_MAP_LIMIT = 200;
+
+const createSearchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// ============================================================
+// DERIVED FIELDS
+// ============================================================
+
+const minOf = (path) => ({ $min: { $ifNull: [path, []] } });
+
+// Lowest bookable price per listing type (null when the listing has none)
+const fromPriceExpression = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$serviceType', 'Activity'] }, then: { $ifNull: ['$discountedPrice', '$price'] } },
+      { case: { $eq: ['$serviceType', 'Stay'] }, then: '$pricePerNight' },
+      { case: { $eq: ['$serviceType', 'Transportation'] }, then: '$basePrice' },
+      { case: { $eq: ['$serviceType', 'Dining'] }, then: minOf('$menuItems.price') },
+      { case: { $eq: ['$serviceType', 'WellnessSpa'] }, then: minOf('$servicesOffered.price') },
+      { case: { $eq: ['$serviceType', 'Shopping'] }, then: minOf('$products.price') }
+    ],
+    default: null
+  }
+};
+
+const priceBandExpression = {
+  $switch: {
+    branches: [
+      ...PRICE_BANDS.filter(band => band.max !== Infinity).map(band => ({
+        case: { $and: [{ $ne: ['$fromPrice', null] }, { $lt: ['$fromPrice', band.max] }] },
+        then: band.key
+      })),
+      { case: { $ne: ['$fromPrice', null] }, then: PRICE_BANDS[PRICE_BANDS.length - 1].key },
+      ...Object.entries(PRICE_BAND_BY_RANGE).map(([range, key]) => ({
+        case: { $eq: ['$priceRange', range] },
+        then: key
+      }))
+    ],
+    default: null
+  }
+};
+
+const ratingTierExpression = {
+  $switch: {
+    branches: [
+      { case: { $lte: [{ $ifNull: ['$totalReviews', 0] }, 0] }, then: 'no-reviews' },
+      ...RATING_TIERS.map(tier => ({ case: { $gte: ['$averageRating', tier.min] }, then: tier.key }))
+    ],
+    default: 'poor'
+  }
+};
+
+// Haversine distance from the search point, in km
+const distanceExpression = (lat, lng) => {
+  const toRadians = (value) => ({ $degreesToRadians: value });
+  const dLat = { $subtract: [toRadians('$coordinates.latitude'), toRadians(lat)] };
+  const dLng = { $subtract: [toRadians('$coordinates.longitude'), toRadians(lng)] };
+  const sinSquared = (value) => ({ $pow: [{ $sin: { $divide: [value, 2] } }, 2] });
+
+  return {
+    $cond: [
+      { $and: [{ $isNumber: '$coordinates.latitude' }, { $isNumber: '$coordinates.longitude' }] },
+      {
+        $multiply: [2 * EARTH_RADIUS_KM, {
+          $asin: {
+            $sqrt: {
+              $add: [
+                sinSquared(dLat),
+                { $multiply: [{ $cos: toRadians(lat) }, { $cos: toRadians('$coordinates.latitude') }, sinSquared(dLng)] }
+              ]
+            }
+          }
+        }]
+      },
+      null
+    ]
+  };
+};
+
+// ============================================================
+// QUERY PARSING
+// ============================================================
+
+const parseServiceTypes = (query) => {
+  const serviceTypes = toList(query.serviceType || query.type);
+  const invalidType = serviceTypes.find(type => !SERVICE_TYPES.includes(type));
+  if (invalidType) {
+    throw createSearchError(`Unknown service type "${invalidType}". Use one of: ${SERVICE_TYPES.join(', ')}`);
+  }
+  return serviceTypes;
+};
+
+const parsePage = (query, defaultLimit, maxLimit) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit)
+});
+
+/**
+ * Optional date (range), time and party size -> availability request, or null when no date is given
+ */
+const parseAvailability = (query) => {
+  const date = query.date || query.startDate;
+  const guests = query.guests ?? query.numPeople;
+  if (!date) {
+    if (query.endDate || query.time) throw createSearchError('date is required with endDate or time');
+    if (guests !== undefined) throw createSearchError('date is required to search by party size');
+    return null;
+  }
+
+  const day = availabilityService.toDay(date);
+  if (!day) throw createSearchError('Invalid date');
+  const today = availabilityService.toDay(new Date());
+  if (day < today) throw createSearchError('date must be today or later');
+
+  let endDate = null;
+  if (query.endDate) {
+    endDate = availabilityService.toDay(query.endDate);
+    if (!endDate) throw createSearchError('Invalid endDate');
+    if (endDate <= day) throw createSearchError('endDate must be after date');
+  }
+
+  if (query.time && !availabilityService.normalizeTime(query.time)) throw createSearchError('Invalid time');
+
+  const numPeople = guests === undefined ? 1 : parseInt(guests, 10);
+  if (!(numPeople >= 1)) throw createSearchError('guests must be a positive number');
+
+  return { date: day, startDate: day, endDate, time: query.time || '', numPeople };
+};
+
+/**
+ * Bookable units of the listings matching `filter` for the request (see availabilityService).
+ * `candidates` narrows the listings checked further, after fromPrice/priceBand/ratingTier are derived;
+ * at most MAX_BOOKABLE_CANDIDATES listings are checked, best rated first.
+ * @returns {{ units: Map, truncated }} service id -> units; truncated when more listings matched than were checked
+ */
+const findBookable = async (filter, availability, candidates = {}) => {
+  const listings = await Service.aggregate([
+    { $match: filter },
+    ...summaryStages(),
+    { $match: candidates },
+    { $sort: { averageRating: -1, totalReviews: -1, _id: 1 } },
+    { $limit: MAX_BOOKABLE_CANDIDATES + 1 },
+    { $project: { reviews: 0, images: 0, description: 0, menuItems: 0, products: 0, ratingDistribution: 0 } }
+  ]);
+  const truncated = listings.length > MAX_BOOKABLE_CANDIDATES;
+
+  try {
+    const units = await availabilityService.findBookableUnits(listings.slice(0, MAX_BOOKABLE_CANDIDATES), availability);
+    return { units, truncated };
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) throw createSearchError(error.message);
+    throw error;
+  }
+};
+
+const bookableIds = (bookable) => Array.from(bookable.keys()).map(id => new mongoose.Types.ObjectId(id));
+
+// Rooms/options/slots that can take the request, shown with each result
+const attachAvailability = (results, bookable) => {
+  if (!bookable) return results;
+  return results.map(result => ({
+    ...result,
+    availability: (bookable.get(result._id.toString()) || []).map(unit => ({
+      unitKey: unit.unitKey,
+      label: unit.label,
+      date: unit.date.toISOString().split('T')[0],
+      startTime: unit.startTime,
+      endTime: unit.endTime,
+      remaining: unit.remaining
+    }))
+  }));
+};
+
+/**
+ * Query string -> validated search options
+ */
+const parseSearchQuery = (query = {}) => {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  const serviceTypes = parseServiceTypes(query);
+
+  const priceBands = toList(query.priceBand);
+  const invalidBand = priceBands.find(band => !PRICE_BANDS.some(item => item.key === band));
+  if (invalidBand) throw createSearchError(`Unknown price band "${invalidBand}"`);
+
+  const ratingTiers = toList(query.ratingTier);
+  const invalidTier = ratingTiers.find(tier => tier !== 'no-reviews' && !RATING_TIERS.some(item => item.key === tier));
+  if (invalidTier) throw createSearchError(`Unknown rating tier "${invalidTier}"`);
+
+  const amenities = toList(query.amenities);
+  const invalidAmenity = amenities.find(amenity => !STAY_AMENITIES.includes(amenity));
+  if (invalidAmenity) throw createSearchError(`Unknown amenity "${invalidAmenity}"`);
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  const minRating = toNumber(query.minRating);
+  const lat = toNumber(query.lat);
+  const lng = toNumber(query.lng);
+  if ([minPrice, maxPrice, minRating, lat, lng].some(Number.isNaN)) {
+    throw createSearchError('minPrice, maxPrice, minRating, lat and lng must be numbers');
+  }
+  if ((lat === null) !== (lng === null)) throw createSearchError('lat and lng must be given together');
+  if (lat !== null && (Math.abs(lat) > 90 || Math.abs(lng) > 180)) throw createSearchError('Invalid coordinates');
+
+  const sort = query.sort || (q ? 'relevance' : 'rating');
+  if (!SORTS.includes(sort)) throw createSearchError(`Unknown sort "${sort}". Use one of: ${SORTS.join(', ')}`);
+  if (sort === 'distance' && lat === null) throw createSearchError('lat and lng are required to sort by distance');
+  if (sort === 'relevance' && !q) throw createSearchError('q is required to sort by relevance');
+
+  const { page, limit } = parsePage(query, DEFAULT_LIMIT, MAX_LIMIT);
+
+  return {
+    q,
+    serviceTypes,
+    islands: toList(query.island),
+    priceBands,
+    minPrice,
+    maxPrice,
+    ratingTiers,
+    minRating,
+    amenities,
+    cuisines: toList(query.cuisine),
+    categories: toList(query.category),
+    point: lat !== null ? { lat, lng } : null,
+    availability: parseAvailability(query),
+    sort,
+    page,
+    limit
+  };
+};
+
+const UNFACETED_FILTERS = ['price', 'minRating'];
+
+/**
+ * One $match clause per facet, so each facet can be counted without its own filter
+ */
+const buildFilters = (options) => {
+  const filters = {};
+
+  if (options.serviceTypes.length > 0) filters.serviceType = { serviceType: { $in: options.serviceTypes } };
+  if (options.islands.length > 0) filters.island = { island: { $in: options.islands } };
+  if (options.priceBands.length > 0) filters.priceBand = { priceBand: { $in: options.priceBands } };
+  if (options.ratingTiers.length > 0) filters.ratingTier = { ratingTier: { $in: options.ratingTiers } };
+  if (options.cuisines.length > 0) filters.cuisine = { cuisineTypes: { $in: options.cuisines } };
+  if (options.categories.length > 0) filters.category = { category: { $in: options.categories } };
+  if (options.amenities.length > 0) {
+    filters.amenities = Object.fromEntries(options.amenities.map(amenity => [`amenities.${amenity}`, true]));
+  }
+
+  // Not faceted (UNFACETED_FILTERS), always applied
+  const price = {};
+  if (options.minPrice !== null) price.$gte = options.minPrice;
+  if (options.maxPrice !== null) price.$lte = options.maxPrice;
+  if (Object.keys(price).length > 0) filters.price = { fromPrice: price };
+  if (options.minRating !== null) filters.minRating = { averageRating: { $gte: options.minRating } };
+
+  return filters;
+};
+
+const matchExcept = (filters, facet) => {
+  const clauses = Object.entries(filters)
+    .filter(([name]) => name !== facet)
+    .map(([, clause]) => clause);
+  return { $match: clauses.length > 0 ? { $and: clauses } : {} };
+};
+
+/**
+ * Listings that can show up in the results or any facet count: every filter but at most one facet
+ */
+const matchFacetCandidates = (filters) => {
+  const facets = Object.keys(filters).filter(name => !UNFACETED_FILTERS.includes(name));
+  if (facets.length < 2) return matchExcept(filters, facets[0]);
+
+  const always = UNFACETED_FILTERS.filter(name => filters[name]).map(name => filters[name]);
+  const faceted = Object.fromEntries(facets.map(name => [name, filters[name]]));
+  return {
+    $match: {
+      $and: [...always, { $or: facets.map(facet => matchExcept(faceted, facet).$match) }]
+    }
+  };
+};
+
+const SORT_STAGES = {
+  relevance: { score: -1, averageRating: -1, _id: 1 },
+  price_asc: { hasPrice: -1, fromPrice: 1, _id: 1 },
+  price_desc: { hasPrice: -1, fromPrice: -1, _id: 1 },
+  rating: { averageRating: -1, totalReviews: -1, _id: 1 },
+  distance: { hasDistance: -1, distanceKm: 1, _id: 1 }
+};
+
+// Summary fields returned per result (type-specific ones are absent on other types)
+const RESULT_FIELDS = [
+  'serviceType', 'name', 'description', 'location', 'island', 'coordinates', 'images', 'vendor',
+  'averageRating', 'totalReviews', 'fromPrice', 'priceBand', 'ratingTier',
+  'category', 'type', 'propertyType', 'pricingType', 'pricingModel', 'cuisineTypes', 'priceRange', 'spaType', 'storeType'
+];
+
+const countBy = (field) => [
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+const groupBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// ============================================================
+// SEARCH
+// ============================================================
+
+/**
+ * Search active listings of every type
+ * @param {Object} query - q, serviceType, island, priceBand, minPrice, maxPrice, ratingTier, minRating,
+ *   amenities, cuisine, category, lat, lng, date, endDate, time, guests, sort, page, limit
+ *   (list filters are comma separated)
+ * @returns {{ results, facets, pagination, sort, truncated }} truncated when a dated search had too many
+ *   listings to check them all for capacity
+ */
+const search = async (query) => {
+  const options = parseSearchQuery(query);
+  const filters = buildFilters(options);
+
+  const baseMatch = { status: 'active' };
+  if (options.q) baseMatch.$text = { $search: options.q };
+
+  // With a date: only listings with capacity left (facets count those too)
+  const bookable = options.availability
+    ? await findBookable(baseMatch, options.availability, matchFacetCandidates(filters).$match)
+    : null;
+  if (bookable) baseMatch._id = { $in: bookableIds(bookable.units) };
+
+  const derivedFields = {
+    fromPrice: fromPriceExpression,
+    ratingTier: ratingTierExpression
+  };
+  if (options.q) derivedFields.score = { $meta: 'textScore' };
+  if (options.point) derivedFields.distanceKm = distanceExpression(options.point.lat, options.point.lng);
+
+  const skip = (options.page - 1) * options.limit;
+  const projection = Object.fromEntries(RESULT_FIELDS.map(field => [field, 1]));
+  if (options.q) projection.score = 1;
+  if (options.point) projection.distanceKm = { $round: ['$distanceKm', 2] };
+
+  const [result] = await Service.aggregate([
+    { $match: baseMatch },
+    { $addFields: derivedFields },
+    {
+      $addFields: {
+        priceBand: priceBandExpression,
+        hasPrice: { $cond: [{ $eq: [{ $ifNull: ['$fromPrice', null] }, null] }, 0, 1] },
+        ...(options.point && { hasDistance: { $cond: [{ $eq: ['$distanceKm', null] }, 0, 1] } })
+      }
+    },
+    {
+      $facet: {
+        results: [
+          matchExcept(filters),
+          { $sort: SORT_STAGES[options.sort] },
+          { $skip: skip },
+          { $limit: options.limit },
+          { $project: projection }
+        ],
+        total: [matchExcept(filters), { $count: 'count' }],
+        serviceType: [matchExcept(filters, 'serviceType'), ...groupBy('serviceType')],
+        island: [matchExcept(filters, 'island'), ...groupBy('island')],
+        priceBand: [matchExcept(filters, 'priceBand'), ...groupBy('priceBand')],
+        ratingTier: [matchExcept(filters, 'ratingTier'), ...groupBy('ratingTier')],
+        cuisine: [matchExcept(filters, 'cuisine'), ...countBy('cuisineTypes')],
+        category: [matchExcept(filters, 'category'), ...groupBy('category')],
+        amenities: [
+          matchExcept(filters, 'amenities'),
+          { $match: { serviceType: 'Stay' } },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(STAY_AMENITIES.map(amenity => [
+                amenity,
+                { $sum: { $cond: [{ $eq: [`$amenities.${amenity}`, true] }, 1, 0] } }
+              ]))
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const toCounts = (buckets) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+  const amenityCounts = result.amenities[0] || {};
+
+  return {
+    results: attachAvailability(result.results, bookable?.units),
+    facets: {
+      serviceType: toCounts(result.serviceType),
+      island: toCounts(result.island),
+      priceBand: toCounts(result.priceBand),
+      ratingTier: toCounts(result.ratingTier),
+      cuisine: toCounts(result.cuisine),
+      category: toCounts(result.category),
+      amenities: STAY_AMENITIES
+        .map(amenity => ({ value: amenity, count: amenityCounts[amenity] || 0 }))
+        .filter(bucket => bucket.count > 0)
+        .sort((a, b) => b.count - a.count)
+    },
+    pagination: {
+      total,
+      page: options.page,
+      limit: options.limit,
+      pages: Math.ceil(total / options.limit)
+    },
+    sort: options.sort,
+    truncated: !!bookable?.truncated
+  };
+};
+
+// ============================================================
+// GEOSPATIAL
+// ============================================================
+
+// fromPrice, ratingTier and priceBand for map and near-me results
+const summaryStages = () => [
+  { $addFields: { fromPrice: fromPriceExpression, ratingTier: ratingTierExpression } },
+  { $addFields: { priceBand: priceBandExpression } }
+];
+
+const geoFilter = (query) => {
+  const serviceTypes = parseServiceTypes(query);
+  const islands = toList(query.island);
+
+  const filter = { status: 'active' };
+  if (serviceTypes.length > 0) filter.serviceType = { $in: serviceTypes };
+  if (islands.length > 0) filter.island = { $in: islands };
+  return filter;
+};
+
+/**
+ * Where a near-me search starts: lat/lng, or a stay's street address (?stayId=, "from my villa")
+ */
+const resolveOrigin = async (query) => {
+  if (query.stayId) {
+    if (!mongoose.Types.ObjectId.isValid(query.stayId)) throw createSearchError('Invalid stay ID');
+
+    const stay = await Stay.findById(query.stayId).select('name geoLocation addressDetails.geoLocation').lean();
+    if (!stay) throw createSearchError('Stay not found', 404);
+
+    const point = stay.addressDetails?.geoLocation?.coordinates?.length === 2
+      ? stay.addressDetails.geoLocation
+      : stay.geoLocation;
+    if (point?.coordinates?.length !== 2) throw createSearchError('This stay has no map location');
+
+    return { point, stay: { _id: stay._id, name: stay.name } };
+  }
+
+  const latitude = toNumber(query.lat);
+  const longitude = toNumber(query.lng);
+  if (!isValidCoordinate(latitude, longitude)) {
+    throw createSearchError('Valid lat and lng (or a stayId) are required');
+  }
+  return { point: { type: 'Point', coordinates: [longitude, latitude] }, stay: null };
+};
+
+/**
+ * Active listings within a radius, nearest first
+ * @param {Object} query - lat & lng | stayId, radiusKm (default 10, max 100), serviceType, island,
+ *   date, endDate, time, guests, page, limit
+ * @returns {{ results, origin, radiusKm, pagination, truncated }}
+ */
+const findNearby = async (query) => {
+  const radiusKm = query.radiusKm === undefined ? DEFAULT_RADIUS_KM : toNumber(query.radiusKm);
+  if (!(radiusKm > 0) || radiusKm > MAX_RADIUS_KM) {
+    throw createSearchError(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+  }
+
+  const filter = geoFilter(query);
+  const { page, limit } = parsePage(query, DEFAULT_LIMIT, MAX_LIMIT);
+  const origin = await resolveOrigin(query);
+  if (origin.stay) filter._id = { $ne: origin.stay._id };
+
+  const availability = parseAvailability(query);
+  const bookable = availability
+    ? await findBookable({
+      ...filter,
+      geoLocation: { $geoWithin: { $centerSphere: [origin.point.coordinates, radiusKm / EARTH_RADIUS_KM] } }
+    }, availability)
+    : null;
+  if (bookable) filter._id = { ...filter._id, $in: bookableIds(bookable.units) };
+
+  const projection = Object.fromEntries(RESULT_FIELDS.map(field => [field, 1]));
+  projection.distanceKm = { $round: ['$distanceKm', 2] };
+
+  const [result] = await Service.aggregate([
+    {
+      $geoNear: {
+        near: origin.point,
+        key: 'geoLocation',
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001, // metres -> km
+        maxDistance: radiusKm * 1000,
+        spherical: true,
+        query: filter
+      }
+    },
+    {
+      $facet: {
+        results: [{ $skip: (page - 1) * limit }, { $limit: limit }, ...summaryStages(), { $project: projection }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const [longitude, latitude] = origin.point.coordinates;
+
+  return {
+    results: attachAvailability(result.results, bookable?.units),
+    origin: { latitude, longitude, stay: origin.stay },
+    radiusKm,
+    pagination: { total, page, limit, pages: Math.ceil(total / limit) },
+    truncated: !!bookable?.truncated
+  };
+};
+
+/**
+ * Active listings inside a map viewport, best rated first
+ * @param {Object} query - swLat, swLng, neLat, neLng, serviceType, island, date, endDate, time, guests,
+ *   limit (default 100, max 200)
+ * @returns {{ results, total, truncated }}
+ */
+const findWithinBounds = async (query) => {
+  const [swLat, swLng, neLat, neLng] = ['swLat', 'swLng', 'neLat', 'neLng'].map(key => toNumber(query[key]));
+  if (!isValidCoordinate(swLat, swLng) || !isValidCoordinate(neLat, neLng)) {
+    throw createSearchError('swLat, swLng, neLat and neLng are required');
+  }
+  if (swLat >= neLat || swLng >= neLng) {
+    throw createSearchError('The south-west corner must be below and left of the north-east corner');
+  }
+
+  const filter = geoFilter(query);
+  const { limit } = parsePage(query, DEFAULT_MAP_LIMIT, MAX_MAP_LIMIT);
+
+  filter.geoLocation = {
+    $geoWithin: {
+      $geometry: {
+        type: 'Polygon',
+        coordinates: [[[swLng, swLat], [neLng, swLat], [neLng, neLat], [swLng, neLat], [swLng, swLat]]]
+      }
+    }
+  };
+
+  const availability = parseAvailability(query);
+  const bookable = availability ? await findBookable(filter, availability) : null;
+  if (bookable) filter._id = { $in: bookableIds(bookable.units) };
+
+  const projection = Object.fromEntries([...RESULT_FIELDS, 'geoLocation'].map(field => [field, 1]));
+
+  const [result] = await Service.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        results: [
+          { $sort: { averageRating: -1, totalReviews: -1, _id: 1 } },
+          { $limit: limit },
+          ...summaryStages(),
+          { $project: projection }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    results: attachAvailability(result.results, bookable?.units),
+    total,
+    truncated: total > result.results.length || !!bookable?.truncated
+  };
+};
+
+module.exports = {
+  SERVICE_TYPES,
+  PRICE_BANDS,
+  RESULT_FIELDS,
+  summaryStages,
+  parseSearchQuery,
+  search,
+  findNearby,
+  findWithinBounds
+};
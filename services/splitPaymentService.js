@@ -0,0 +1,750 @@
+// services/splitPaymentService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const SplitPayment = require('../models/SplitPayment');
+const Cart = require('../models/Cart');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const pricingService = require('./pricingService');
+const currencyService = require('./currencyService');
+const holdService = require('./holdService');
+const availabilityService = require('./availabilityService');
+const ledgerService = require('./ledgerService');
+const invoiceService = require('./invoiceService');
+const { sendSplitPaymentInviteEmail, sendSplitPaymentCancelledEmail } = require('../controllers/emailService');
+
+const DEFAULT_DEADLINE_HOURS = parseInt(process.env.SPLIT_PAYMENT_DEADLINE_HOURS, 10) || 48;
+const MAX_DEADLINE_DAYS = 7;
+const MIN_SHARE_AMOUNT = 0.5; // Stripe's minimum charge
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Same mapping as the cart checkout webhook
+const SERVICE_TYPE_MAP = {
+  'Activity': 'Activity',
+  'WellnessSpa': 'Activity',
+  'Spa': 'Activity',
+  'Stay': 'Stay',
+  'Transportation': 'Transportation',
+  'Dining': 'Dining'
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createSplitError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const paymentLinkFor = (share) => `${process.env.FRONTEND_URL}/split-pay/${share.token}`;
+
+// Even shares to the cent; the first shares absorb the leftover cents
+const splitEvenly = (total, count) => {
+  const cents = Math.round(total * 100);
+  const base = Math.floor(cents / count);
+  const leftover = cents - base * count;
+  return Array.from({ length: count }, (_, index) => (base + (index < leftover ? 1 : 0)) / 100);
+};
+
+const cartItemFilter = (cartItemId) => [{ 'item._id': new mongoose.Types.ObjectId(cartItemId) }];
+
+/**
+ * Put the cart item back to a normal, unheld item (split cancelled or expired)
+ */
+const resetCartItem = async (split) => {
+  try {
+    await Cart.updateOne(
+      { _id: split.cart },
+      {
+        $set: {
+          'items.$[item].multiUser': false,
+          'items.$[item].userPayments': {},
+          'items.$[item].status': 'reserved',
+          'items.$[item].heldUntil': null
+        }
+      },
+      { arrayFilters: cartItemFilter(split.cartItem) }
+    );
+  } catch (error) {
+    console.error('Error resetting split cart item:', error.message);
+  }
+};
+
+/**
+ * Refund a share through Stripe
+ * @param {Number} amount - USD to refund; the whole remaining share when omitted
+ * @returns {Object} { id, amount, chargedAmount, status }
+ */
+const refundShare = async (split, share, amount, reason, idempotencyKey) => {
+  const remaining = roundCurrency(share.amount - (share.refundedAmount || 0));
+  const refundAmount = amount === undefined ? remaining : Math.min(roundCurrency(amount), remaining);
+  const chargedAmount = currencyService.convertFromUSD(refundAmount, share.exchangeRate || 1);
+
+  const refund = await stripe.refunds.create({
+    payment_intent: share.paymentIntentId,
+    // Leaving the amount out refunds whatever is left on the charge, avoiding rounding leftovers
+    ...(refundAmount < remaining && { amount: currencyService.toMinorUnits(chargedAmount) }),
+    reason: 'requested_by_customer',
+    metadata: {
+      splitPaymentId: split._id.toString(),
+      shareId: share._id.toString(),
+      reason: (reason || '').substring(0, 450)
+    }
+  }, idempotencyKey ? { idempotencyKey } : undefined);
+
+  share.refundedAmount = roundCurrency((share.refundedAmount || 0) + refundAmount);
+  share.stripeRefundId = refund.id;
+  if (share.refundedAmount >= share.amount) {
+    share.status = 'refunded';
+  }
+
+  return { id: refund.id, amount: refundAmount, chargedAmount, status: refund.status };
+};
+
+/**
+ * Start a split payment for one of the organizer's cart items
+ * @param {String} organizerId
+ * @param {Object} request - { cartItemId, payees: [{ email, name, amount? }], deadline?, organizerAmount? }
+ *   The organizer pays a share too. Amounts are either all given (and add up to the total) or all left out (even split).
+ * @returns {Object} SplitPayment document
+ */
+const createSplitPayment = async (organizerId, { cartItemId, payees = [], deadline, organizerAmount }) => {
+  if (!cartItemId || !mongoose.Types.ObjectId.isValid(cartItemId)) {
+    throw createSplitError('A valid cartItemId is required.');
+  }
+  if (!Array.isArray(payees) || payees.length === 0) {
+    throw createSplitError('Invite at least one payee.');
+  }
+
+  const organizer = await User.findById(organizerId).select('name email');
+  if (!organizer) {
+    throw createSplitError('Organizer not found.', 404);
+  }
+
+  const emails = [organizer.email, ...payees.map(payee => payee.email)].map(email => (email || '').trim().toLowerCase());
+  const invalidEmail = emails.slice(1).find(email => !EMAIL_PATTERN.test(email));
+  if (invalidEmail !== undefined) {
+    throw createSplitError(`Invalid payee email: ${invalidEmail || '(empty)'}`);
+  }
+  if (new Set(emails).size !== emails.length) {
+    throw createSplitError('Each payee needs a different email address.');
+  }
+
+  const cart = await Cart.findOne({ user: organizerId });
+  const item = cart ? cart.items.id(cartItemId) : null;
+  if (!item) {
+    throw createSplitError('Cart item not found.', 404);
+  }
+  if (item.multiUser && await SplitPayment.exists({ cart: cart._id, cartItem: cartItemId, status: 'collecting' })) {
+    throw createSplitError('This item is already being paid as a group.', 409);
+  }
+
+  // Deadline: before the service starts and within MAX_DEADLINE_DAYS
+  const now = new Date();
+  const serviceDate = item.startDate || item.selectedDate;
+  const latest = new Date(Math.min(
+    now.getTime() + MAX_DEADLINE_DAYS * 24 * 60 * 60 * 1000,
+    serviceDate ? new Date(serviceDate).getTime() : Infinity
+  ));
+  const payBy = deadline
+    ? new Date(deadline)
+    : new Date(Math.min(now.getTime() + DEFAULT_DEADLINE_HOURS * 60 * 60 * 1000, latest.getTime()));
+  if (isNaN(payBy.getTime()) || payBy <= now) {
+    throw createSplitError('The deadline must be in the future.');
+  }
+  if (payBy > latest) {
+    throw createSplitError(`The deadline must be before the booking date and within ${MAX_DEADLINE_DAYS} days.`);
+  }
+
+  // Price server-side, like a normal checkout
+  const quoted = await pricingService.quoteCart([item]);
+  const quote = quoted.items[0];
+  item.totalPrice = quote.totalPrice;
+  item.priceBreakdown = quote.priceBreakdown;
+  item.priceLastUpdated = now;
+
+  const people = [
+    { name: organizer.name, email: emails[0], user: organizer._id, amount: organizerAmount },
+    ...payees.map((payee, index) => ({ name: payee.name, email: emails[index + 1], amount: payee.amount }))
+  ];
+  const given = people.filter(person => person.amount !== undefined && person.amount !== null && person.amount !== '');
+  let amounts;
+  if (given.length === 0) {
+    amounts = splitEvenly(quote.totalPrice, people.length);
+  } else if (given.length === people.length) {
+    amounts = people.map(person => roundCurrency(Number(person.amount) || 0));
+    const sum = roundCurrency(amounts.reduce((total, amount) => total + amount, 0));
+    if (Math.abs(sum - quote.totalPrice) >= 0.01) {
+      throw createSplitError(`Shares add up to ${sum.toFixed(2)} but the total is ${quote.totalPrice.toFixed(2)}.`);
+    }
+  } else {
+    throw createSplitError('Give an amount for every share (including organizerAmount) or for none.');
+  }
+  if (amounts.some(amount => amount < MIN_SHARE_AMOUNT)) {
+    throw createSplitError(`Each share must be at least $${MIN_SHARE_AMOUNT.toFixed(2)}.`);
+  }
+
+  // Hold the capacity until the deadline; a sold-out item fails here with 409
+  const [hold] = await holdService.createCartHolds({ items: [item], userId: organizerId, expiresAt: payBy });
+
+  let split;
+  try {
+    split = await SplitPayment.create({
+      organizer: organizerId,
+      cart: cart._id,
+      cartItem: String(item._id),
+      item: item.toObject({ flattenMaps: true }),
+      service: item.service,
+      serviceName: quote.service.name,
+      totalAmount: quote.totalPrice,
+      shares: people.map((person, index) => ({
+        name: person.name,
+        email: person.email,
+        user: person.user || null,
+        amount: amounts[index],
+        token: crypto.randomBytes(24).toString('hex')
+      })),
+      deadline: payBy,
+      hold: hold ? hold._id : null
+    });
+  } catch (error) {
+    await holdService.releaseCartHolds([hold].filter(Boolean));
+    throw error;
+  }
+
+  item.multiUser = true;
+  item.userPayments = new Map(split.shares.map(share => [share._id.toString(), 0]));
+  item.status = 'held';
+  item.heldUntil = payBy;
+  cart.totalCartPrice = cart.items.reduce((sum, cartItem) => sum + (cartItem.totalPrice || 0), 0);
+  await cart.save();
+
+  for (const share of split.shares) {
+    try {
+      await sendSplitPaymentInviteEmail(share.email, {
+        payeeName: share.name,
+        organizerName: organizer.name,
+        serviceName: split.serviceName,
+        shareAmount: share.amount,
+        totalAmount: split.totalAmount,
+        deadline: split.deadline,
+        paymentLink: paymentLinkFor(share)
+      });
+    } catch (emailError) {
+      // The organizer can still share the links from their dashboard
+      console.error(`Split payment invite to ${share.email} failed:`, emailError.message);
+    }
+  }
+
+  return split;
+};
+
+/**
+ * Split payment and share behind a payment link
+ */
+const findShare = async (token) => {
+  const split = token ? await SplitPayment.findOne({ 'shares.token': token }) : null;
+  const share = split ? split.shares.find(entry => entry.token === token) : null;
+  if (!share) {
+    throw createSplitError('Payment link not found.', 404);
+  }
+  return { split, share };
+};
+
+/**
+ * What a payee sees on their payment link (other payees' emails and links are not shown)
+ */
+const toShareView = (split, share) => ({
+  serviceName: split.serviceName,
+  serviceType: split.item.serviceType,
+  date: split.item.startDate || split.item.selectedDate,
+  endDate: split.item.endDate,
+  numPeople: split.item.numPeople,
+  totalAmount: split.totalAmount,
+  amountPaid: split.amountPaid,
+  status: split.status,
+  deadline: split.deadline,
+  share: { _id: share._id, name: share.name, amount: share.amount, status: share.status, paidAt: share.paidAt },
+  shares: split.shares.map(entry => ({ name: entry.name, amount: entry.amount, status: entry.status }))
+});
+
+/**
+ * What the organizer sees: every share with its payment link
+ */
+const toOrganizerView = (split) => {
+  const view = split.toObject();
+  view.shares = view.shares.map(({ token, ...share }) => ({ ...share, paymentLink: paymentLinkFor({ token }) }));
+  return view;
+};
+
+const getShare = async (token) => {
+  const { split, share } = await findShare(token);
+  return toShareView(split, share);
+};
+
+/**
+ * Payment intent for one share, in the payee's currency
+ * @param {String} token - Payment link token
+ * @param {Object} options - { currency }
+ */
+const createSharePaymentIntent = async (token, { currency } = {}) => {
+  const { split, share } = await findShare(token);
+
+  if (split.status !== 'collecting') {
+    throw createSplitError(`This group booking is ${split.status} and no longer accepts payments.`, 409);
+  }
+  if (split.deadline <= new Date()) {
+    throw createSplitError('The payment deadline for this group booking has passed.', 409);
+  }
+  if (share.status !== 'invited') {
+    throw createSplitError('This share has already been paid.', 409);
+  }
+
+  const fx = await currencyService.getRate(currency);
+  const chargedAmount = currencyService.convertFromUSD(share.amount, fx.rate);
+
+  // A payee reopening their link gets the same intent back unless they changed currency
+  if (share.paymentIntentId) {
+    const existing = await stripe.paymentIntents.retrieve(share.paymentIntentId);
+    if (['processing', 'succeeded'].includes(existing.status)) {
+      throw createSplitError('Your payment for this share is already being processed.', 409);
+    }
+    if (REUSABLE_INTENT_STATUSES.includes(existing.status) && existing.currency === fx.currency.toLowerCase()) {
+      return {
+        clientSecret: existing.client_secret,
+        paymentIntentId: existing.id,
+        amount: share.amount,
+        currency: fx.currency,
+        exchangeRate: share.exchangeRate,
+        amountDueInCurrency: share.chargedAmount,
+        deadline: split.deadline
+      };
+    }
+    if (existing.status !== 'canceled') {
+      await stripe.paymentIntents.cancel(existing.id);
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: currencyService.toMinorUnits(chargedAmount),
+    currency: fx.currency.toLowerCase(),
+    automatic_payment_methods: { enabled: true },
+    receipt_email: share.email,
+    metadata: {
+      bookingType: 'split',
+      splitPaymentId: split._id.toString(),
+      shareId: share._id.toString(),
+      currency: fx.currency,
+      exchangeRate: fx.rate.toString()
+    }
+  });
+
+  await SplitPayment.updateOne(
+    { _id: split._id, 'shares._id': share._id },
+    {
+      $set: {
+        'shares.$.paymentIntentId': paymentIntent.id,
+        'shares.$.currency': fx.currency,
+        'shares.$.exchangeRate': fx.rate,
+        'shares.$.chargedAmount': chargedAmount
+      }
+    }
+  );
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    amount: share.amount,
+    currency: fx.currency,
+    exchangeRate: fx.rate,
+    amountDueInCurrency: chargedAmount,
+    deadline: split.deadline
+  };
+};
+
+/**
+ * Booking for a fully funded split, built like a cart checkout booking
+ */
+const buildBookingData = (split, serviceDoc, allocations) => {
+  const item = split.item;
+  const rawDoc = serviceDoc.toObject();
+  const serviceType = SERVICE_TYPE_MAP[item.serviceType] || 'Activity';
+  const listingPricing = pricingService.toBookingPricing(item.priceBreakdown, split.totalAmount);
+  const serviceDate = new Date(item.selectedDate || item.startDate || Date.now());
+
+  const bookingData = {
+    customer: split.organizer,
+    service: split.service,
+    vendor: rawDoc.vendor || rawDoc.host,
+    serviceType,
+    status: 'confirmed',
+    cartItem: split.cartItem,
+    splitPayment: split._id,
+    passengers: {
+      adults: item.numPeople || 1,
+      children: 0,
+      infants: 0,
+      total: item.numPeople || 1
+    },
+    pricing: { ...listingPricing, totalAmount: split.totalAmount },
+    payment: {
+      method: 'credit-card',
+      status: 'completed',
+      paymentGateway: 'stripe',
+      paidAt: new Date()
+    },
+    scheduledDateTime: serviceDate,
+    inventory: { allocations },
+    ...(item.notes && { notes: item.notes })
+  };
+
+  switch (serviceType) {
+    case 'Stay': {
+      const checkIn = new Date(item.startDate || item.selectedDate);
+      const checkOut = item.endDate ? new Date(item.endDate) : new Date(checkIn.getTime() + 24 * 60 * 60 * 1000);
+      bookingData.stayDetails = {
+        checkIn,
+        checkOut,
+        nights: Math.max(1, Math.ceil((checkOut - checkIn) / (24 * 60 * 60 * 1000))),
+        roomType: item.room || 'Standard'
+      };
+      if (item.room) bookingData.room = item.room;
+      break;
+    }
+    case 'Transportation':
+      bookingData.category = item.category || 'Airport Transfer';
+      bookingData.transportationDetails = {
+        tripType: 'one-way',
+        pickup: {
+          location: { name: item.pickupLocation || 'Pickup Location', address: item.pickupLocation || '' },
+          date: serviceDate,
+          time: item.selectedTime || '12:00 PM'
+        },
+        dropoff: {
+          location: { name: item.dropoffLocation || 'Dropoff Location', address: item.dropoffLocation || '' }
+        }
+      };
+      if (item.option) bookingData.selectedOption = item.option;
+      break;
+    case 'Activity':
+      bookingData.activityDetails = {
+        date: serviceDate,
+        time: item.selectedTime || 'TBD',
+        duration: item.timeSlot ? `${item.timeSlot.startTime} - ${item.timeSlot.endTime}` : 'TBD'
+      };
+      if (item.timeSlot) bookingData.timeSlot = { startTime: item.timeSlot.startTime, endTime: item.timeSlot.endTime };
+      if (item.option) bookingData.selectedOption = item.option;
+      break;
+    case 'Dining':
+      bookingData.diningDetails = {
+        reservationDate: serviceDate,
+        reservationTime: item.selectedTime || '7:00 PM',
+        partySize: item.numPeople || 1
+      };
+      break;
+  }
+
+  return bookingData;
+};
+
+/**
+ * Cancel a split that is still collecting: paid shares are refunded, unpaid ones cancelled,
+ * the held capacity is released and the cart item goes back to normal
+ * @param {Object} split - SplitPayment document
+ * @param {Object} options - { status: 'cancelled'|'expired', reason }
+ * @returns {Object|null} The cancelled split, or null if it was no longer collecting
+ */
+const cancelSplit = async (split, { status = 'cancelled', reason }) => {
+  const claimed = await SplitPayment.findOneAndUpdate(
+    { _id: split._id, status: 'collecting' },
+    { $set: { status, cancelledAt: new Date(), cancelReason: reason } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const refunded = {};
+  for (const share of claimed.shares) {
+    if (share.status === 'paid') {
+      try {
+        const refund = await refundShare(claimed, share, undefined, reason, `split-cancel-${share._id}`);
+        refunded[share._id.toString()] = refund.amount;
+      } catch (refundError) {
+        // Left as 'paid' so the refund shows up for follow-up
+        console.error(`Refund of split share ${share._id} failed:`, refundError.message);
+      }
+    } else if (share.status === 'invited') {
+      share.status = 'cancelled';
+      if (share.paymentIntentId) {
+        try {
+          await stripe.paymentIntents.cancel(share.paymentIntentId);
+        } catch (cancelError) {
+          // Already paid or cancelled; a late payment is refunded when its webhook arrives
+          console.error(`Could not cancel payment intent ${share.paymentIntentId}:`, cancelError.message);
+        }
+      }
+    }
+  }
+  await claimed.save();
+
+  if (claimed.hold) {
+    await holdService.releaseCartHolds([{ _id: claimed.hold }]);
+  }
+  await resetCartItem(claimed);
+
+  for (const share of claimed.shares) {
+    try {
+      await sendSplitPaymentCancelledEmail(share.email, {
+        payeeName: share.name,
+        serviceName: claimed.serviceName,
+        refundAmount: refunded[share._id.toString()] || 0,
+        reason
+      });
+    } catch (emailError) {
+      console.error(`Split payment cancellation email to ${share.email} failed:`, emailError.message);
+    }
+  }
+
+  return claimed;
+};
+
+/**
+ * Book a split once every share is paid. If the booking can't be made (the item sold out
+ * after its hold lapsed) the split is cancelled and everyone refunded.
+ * @returns {Object|null} The booking
+ */
+const fundSplit = async (split) => {
+  const claimed = await SplitPayment.findOneAndUpdate(
+    { _id: split._id, status: 'collecting' },
+    { $set: { status: 'funded', fundedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let booking;
+  let hold;
+  try {
+    const serviceDoc = await Service.findById(claimed.service);
+    if (!serviceDoc) {
+      throw new Error('Service not found');
+    }
+
+    hold = claimed.hold ? await holdService.convertHoldById(claimed.hold) : null;
+    const allocations = hold ? hold.allocations : await availabilityService.reserve(serviceDoc, {
+      optionId: claimed.item.option,
+      serviceName: claimed.item.serviceName,
+      date: claimed.item.selectedDate,
+      startDate: claimed.item.startDate || claimed.item.selectedDate,
+      endDate: claimed.item.endDate,
+      time: claimed.item.selectedTime,
+      timeSlot: claimed.item.timeSlot,
+      numPeople: claimed.item.numPeople
+    });
+
+    try {
+      booking = await Booking.create(buildBookingData(claimed, serviceDoc, allocations));
+    } catch (createError) {
+      await availabilityService.releaseAllocations(allocations);
+      throw createError;
+    }
+  } catch (error) {
+    console.error(`Could not book funded split payment ${claimed._id}:`, error.message);
+    await SplitPayment.updateOne({ _id: claimed._id }, { $set: { status: 'collecting', fundedAt: null } });
+    await cancelSplit(claimed, { reason: 'The booking could not be confirmed, so every payment has been refunded.' });
+    return null;
+  }
+
+  // The group is booked: a failed follow-up is logged, never refunded
+  const logFailure = (step) => (error) =>
+    console.error(`Split payment ${claimed._id} booked as ${booking._id} but ${step} failed:`, error.message);
+
+  claimed.booking = booking._id;
+  await claimed.save().catch(logFailure('linking the booking'));
+
+  await ledgerService.recordBookingCapture(booking).catch(logFailure('recording the capture'));
+  if (hold) {
+    hold.booking = booking._id;
+    await hold.save().catch(logFailure('linking the hold'));
+  }
+
+  const cart = await Cart.findById(claimed.cart).catch(logFailure('loading the cart'));
+  if (cart) {
+    cart.items = cart.items.filter(item => item._id.toString() !== claimed.cartItem);
+    cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+    await cart.save().catch(logFailure('removing the cart item'));
+  }
+
+  await invoiceService.issueBookingInvoice(booking._id, { notify: true }).catch(logFailure('issuing the invoice'));
+
+  console.log(`Split payment ${claimed._id} fully funded: booking ${booking._id}`);
+  return booking;
+};
+
+/**
+ * payment_intent.succeeded for a share. Books the group when the last share comes in;
+ * a share paid after the split was cancelled or expired is refunded straight away.
+ * @returns {Object} Webhook result summary
+ */
+const recordSharePayment = async (paymentIntent) => {
+  const { splitPaymentId, shareId } = paymentIntent.metadata;
+  const split = await SplitPayment.findById(splitPaymentId);
+  const share = split ? split.shares.id(shareId) : null;
+  if (!share) {
+    throw new Error(`Split payment share ${splitPaymentId}/${shareId} not found`);
+  }
+
+  const result = { booking_type: 'split', split_payment_id: splitPaymentId, share_id: shareId };
+  if (share.status === 'paid' || share.status === 'refunded') {
+    return { ...result, booking_status: 'duplicate' };
+  }
+
+  const payment = {
+    'shares.$.status': 'paid',
+    'shares.$.paidAt': new Date(),
+    'shares.$.paymentIntentId': paymentIntent.id,
+    'shares.$.currency': (paymentIntent.metadata.currency || currencyService.BASE_CURRENCY).toUpperCase(),
+    'shares.$.exchangeRate': parseFloat(paymentIntent.metadata.exchangeRate) || 1,
+    'shares.$.chargedAmount': paymentIntent.amount / 100
+  };
+
+  const updated = await SplitPayment.findOneAndUpdate(
+    { _id: split._id, status: 'collecting', shares: { $elemMatch: { _id: share._id, status: 'invited' } } },
+    { $set: payment, $inc: { amountPaid: share.amount } },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Cancelled or expired before this payment landed: give the money back
+    const late = await SplitPayment.findOneAndUpdate(
+      { _id: split._id, shares: { $elemMatch: { _id: share._id, status: { $in: ['invited', 'cancelled'] } } } },
+      { $set: payment },
+      { new: true }
+    );
+    if (!late) {
+      return { ...result, booking_status: 'duplicate' };
+    }
+    const lateShare = late.shares.id(shareId);
+    await refundShare(late, lateShare, undefined, `Group booking ${late.status}`, `split-late-${shareId}`);
+    await late.save();
+    return { ...result, booking_status: 'refunded' };
+  }
+
+  await Cart.updateOne(
+    { _id: updated.cart },
+    { $set: { [`items.$[item].userPayments.${shareId}`]: share.amount } },
+    { arrayFilters: cartItemFilter(updated.cartItem) }
+  ).catch(error => console.error('Error updating cart userPayments:', error.message));
+
+  if (!updated.shares.every(entry => entry.status === 'paid')) {
+    return { ...result, booking_status: 'share_paid' };
+  }
+
+  const booking = await fundSplit(updated);
+  return { ...result, booking_status: booking ? 'created' : 'failed', booking_id: booking ? booking._id : null };
+};
+
+/**
+ * Organizer cancels their group booking before it is funded
+ */
+const cancelByOrganizer = async (organizerId, splitId, reason) => {
+  const split = mongoose.Types.ObjectId.isValid(splitId)
+    ? await SplitPayment.findOne({ _id: splitId, organizer: organizerId })
+    : null;
+  if (!split) {
+    throw createSplitError('Split payment not found.', 404);
+  }
+  if (split.status !== 'collecting') {
+    throw createSplitError(`A ${split.status} split payment cannot be cancelled.`, 409);
+  }
+
+  const cancelled = await cancelSplit(split, { reason: reason || 'The organizer cancelled the group booking.' });
+  if (!cancelled) {
+    throw createSplitError('This split payment was funded or cancelled in the meantime.', 409);
+  }
+  return cancelled;
+};
+
+/**
+ * Spread a refund of a funded split booking over the shares, in proportion to what each paid
+ * @param {Number} amount - USD
+ * @returns {Array} [{ id, amount, chargedAmount, status }] one entry per Stripe refund
+ */
+const refundBookingShares = async (splitId, amount, reason, idempotencyKey) => {
+  const split = await SplitPayment.findById(splitId);
+  if (!split) {
+    throw createSplitError('Split payment not found.', 404);
+  }
+
+  const shares = split.shares.filter(share => share.status === 'paid' && share.amount > (share.refundedAmount || 0));
+  const refundable = shares.reduce((sum, share) => sum + share.amount - (share.refundedAmount || 0), 0);
+  const totalCents = Math.round(Math.min(amount, refundable) * 100);
+
+  const refunds = [];
+  let centsLeft = totalCents;
+  for (let index = 0; index < shares.length && centsLeft > 0; index++) {
+    const share = shares[index];
+    const remaining = share.amount - (share.refundedAmount || 0);
+    const cents = index === shares.length - 1
+      ? centsLeft
+      : Math.min(centsLeft, Math.round(totalCents * remaining / refundable));
+    centsLeft -= cents;
+    if (cents <= 0) continue;
+
+    refunds.push(await refundShare(
+      split,
+      share,
+      cents / 100,
+      reason,
+      idempotencyKey ? `${idempotencyKey}-${share._id}` : undefined
+    ));
+  }
+
+  await split.save();
+  return refunds;
+};
+
+/**
+ * Scheduled job: cancel splits not fully funded by their deadline and refund the shares paid
+ */
+const expireOverdueSplits = async () => {
+  const overdue = await SplitPayment.find({ status: 'collecting', deadline: { $lte: new Date() } });
+  let expired = 0;
+
+  for (const split of overdue) {
+    const result = await cancelSplit(split, {
+      status: 'expired',
+      reason: 'Not every share was paid by the deadline, so the group booking was cancelled.'
+    });
+    if (result) expired++;
+  }
+
+  if (expired > 0) {
+    console.log(`Expired ${expired} unfunded split payment(s)`);
+  }
+  return expired;
+};
+
+/**
+ * The organizer's split payments, newest first
+ */
+const getOrganizerSplits = async (organizerId, { status } = {}) => {
+  const query = { organizer: organizerId };
+  if (status) query.status = status;
+
+  const splits = await SplitPayment.find(query).sort({ createdAt: -1 });
+  return splits.map(toOrganizerView);
+};
+
+module.exports = {
+  createSplitPayment,
+  getShare,
+  createSharePaymentIntent,
+  recordSharePayment,
+  cancelByOrganizer,
+  refundBookingShares,
+  expireOverdueSplits,
+  getOrganizerSplits,
+  toOrganizerView
+};
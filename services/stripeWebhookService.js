@@ -0,0 +1,1010 @@
+// services/stripeWebhookService.js
+const ProcessedWebhookEvent = require('../models/ProcessedWebhookEvent');
+const { createBookingFromPayment } = require('../controllers/bookingController');
+const referralService = require('./referralService');
+const availabilityService = require('./availabilityService');
+const holdService = require('./holdService');
+const ledgerService = require('./ledgerService');
+const creditService = require('./creditService');
+const giftCardService = require('./giftCardService');
+const promotionService = require('./promotionService');
+const checkoutService = require('./checkoutService');
+const pricingService = require('./pricingService');
+const currencyService = require('./currencyService');
+const splitPaymentService = require('./splitPaymentService');
+const depositService = require('./depositService');
+const disputeService = require('./disputeService');
+const invoiceService = require('./invoiceService');
+const refundService = require('./refundService');
+
+// A 'processing' row older than this is assumed to belong to a crashed worker
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+/**
+ * Currency the card was charged in and the rate used to convert the USD amounts
+ */
+const chargeCurrencyOf = (paymentIntent) => ({
+  currency: (paymentIntent.metadata.currency || paymentIntent.currency || currencyService.BASE_CURRENCY).toUpperCase(),
+  exchangeRate: parseFloat(paymentIntent.metadata.exchangeRate) || 1
+});
+
+/**
+ * Customer IP, browser and waiver acceptance recorded at checkout (evidence if the charge is disputed)
+ */
+const checkoutContextOf = (paymentIntent) => ({
+  customerIP: paymentIntent.metadata.customerIP || undefined,
+  userAgent: paymentIntent.metadata.userAgent || undefined,
+  waiverAcceptedAt: paymentIntent.metadata.waiversAcceptedAt ? new Date(paymentIntent.metadata.waiversAcceptedAt) : undefined
+});
+
+/**
+ * Invoice the checkout and send the confirmation email; a failure here never fails the booking
+ */
+const issueInvoice = async (paymentIntent) => {
+  try {
+    await invoiceService.issueCheckoutInvoice(paymentIntent.id, { email: paymentIntent.receipt_email });
+  } catch (error) {
+    console.error(`Invoice for payment ${paymentIntent.id} failed:`, error.message);
+  }
+};
+
+/**
+ * Create one booking per item of a paid cart checkout
+ */
+const handleCartCheckout = async (paymentIntent) => {
+  console.log('\n==========================================');
+  console.log('🎉 WEBHOOK: CART CHECKOUT - START');
+  console.log('==========================================');
+  console.log('Timestamp:', new Date().toISOString());
+  console.log('Payment Intent ID:', paymentIntent.id);
+  console.log('Payment Amount:', `$${paymentIntent.amount / 100}`);
+  console.log('Payment Status:', paymentIntent.status);
+  
+  const Cart = require('../models/Cart');
+  const Booking = require('../models/Booking');
+  const Service = require('../models/Service');
+  
+  const userId = paymentIntent.metadata.userId !== 'guest' ? paymentIntent.metadata.userId : null;
+  const cartId = paymentIntent.metadata.cartId;
+  const guestName = paymentIntent.metadata.guestName;
+  const guestEmail = paymentIntent.metadata.guestEmail || paymentIntent.metadata.contactEmail;
+  const itemCount = parseInt(paymentIntent.metadata.itemCount);
+  
+  console.log('📋 Metadata:');
+  console.log('   - User ID:', userId || 'guest');
+  console.log('   - Cart ID:', cartId);
+  console.log('   - Item Count:', itemCount);
+  console.log('   - Guest Name:', guestName);
+  console.log('   - Guest Email:', guestEmail);
+
+  // Fetch cart items from database
+  let cartItems = [];
+  
+  if (userId && cartId !== 'guest_cart') {
+    console.log('\n🔍 Fetching cart from database...');
+    console.log('   - Cart ID:', cartId);
+    
+    try {
+      const cart = await Cart.findById(cartId).populate('items.service');
+      
+      if (!cart) {
+        console.error('❌ Cart not found in database!');
+        throw new Error('Cart not found in database');
+      }
+      
+      console.log('✅ Cart found!');
+      console.log('   - Items in cart:', cart.items.length);
+      console.log('   - Total cart price:', `$${cart.totalCartPrice}`);
+      
+      // Items being paid as a group are booked by services/splitPaymentService.js
+      cartItems = cart.items.filter(item => !item.multiUser).map((item, index) => {
+        console.log(`   Item ${index + 1}:`, {
+          id: item._id,
+          serviceId: item.service._id,
+          type: item.serviceType,
+          price: item.totalPrice
+        });
+        
+        return {
+          _id: item._id,
+          serviceId: item.service._id,
+          serviceType: item.serviceType,
+          category: item.category,
+          selectedDate: item.selectedDate,
+          startDate: item.startDate,
+          endDate: item.endDate,
+          selectedTime: item.selectedTime,
+          timeSlot: item.timeSlot,
+          numPeople: item.numPeople,
+          totalPrice: item.totalPrice,
+          priceBreakdown: item.priceBreakdown || {
+            basePrice: item.totalPrice,
+            fees: 0,
+            taxes: 0,
+            discounts: 0
+          },
+          optionId: item.option,
+          roomId: item.room,
+          notes: item.notes,
+          pickupLocation: item.pickupLocation,
+          dropoffLocation: item.dropoffLocation,
+          serviceName: item.serviceName
+        };
+      });
+    } catch (cartError) {
+      console.error('❌ Error fetching cart:', cartError);
+      throw cartError;
+    }
+  } else {
+    console.log('\n👤 Processing guest cart from metadata');
+    const guestItems = JSON.parse(paymentIntent.metadata.guestItems);
+    console.log('   - Guest items count:', guestItems.length);
+    
+    for (const item of guestItems) {
+      const service = await Service.findById(item.sid);
+      if (service) {
+        console.log(`   ✅ Service found: ${service.name}`);
+        cartItems.push({
+          _id: item.id,
+          serviceId: item.sid,
+          serviceType: item.type,
+          totalPrice: item.price,
+          numPeople: 1,
+          priceBreakdown: {
+            basePrice: item.price,
+            fees: 0,
+            taxes: 0,
+            discounts: 0
+          }
+        });
+      } else {
+        console.log(`   ❌ Service not found: ${item.sid}`);
+      }
+    }
+  }
+
+  if (cartItems.length === 0) {
+    console.error('❌ No items found in cart!');
+    throw new Error('No items found in cart');
+  }
+
+  // Spread the Caicos Credits discount over the items in proportion to their price
+  const creditsApplied = parseInt(paymentIntent.metadata.creditsApplied, 10) || 0;
+  const creditAmount = parseFloat(paymentIntent.metadata.creditAmount) || 0;
+  const cartTotal = cartItems.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+  const creditShares = cartItems.map(() => ({ credits: 0, amount: 0 }));
+  if (creditsApplied > 0 && cartTotal > 0) {
+    let creditsLeft = creditsApplied;
+    cartItems.forEach((item, index) => {
+      const credits = index === cartItems.length - 1
+        ? creditsLeft
+        : Math.min(creditsLeft, Math.floor(creditsApplied * (item.totalPrice || 0) / cartTotal));
+      creditsLeft -= credits;
+      creditShares[index] = {
+        credits,
+        amount: Math.round(creditAmount * (credits / creditsApplied) * 100) / 100
+      };
+    });
+  }
+
+  // Promotion discount lines were worked out per item when the checkout was priced
+  const redemptions = await promotionService.getRedemptions(paymentIntent.id);
+  const promotionLines = cartItems.map((item, index) => promotionService.discountLinesFor(redemptions, {
+    index,
+    cartItem: item._id ? String(item._id) : null
+  }));
+  const netPrices = cartItems.map((item, index) => Math.max(0,
+    (item.totalPrice || 0) - promotionLines[index].reduce((sum, line) => sum + line.amount, 0)
+  ));
+  const netTotal = netPrices.reduce((sum, price) => sum + price, 0);
+
+  // Spread the loyalty tier discount over what is left after promotions, to the cent
+  const loyaltyTier = paymentIntent.metadata.loyaltyTier || null;
+  const loyaltyDiscountCents = Math.round((parseFloat(paymentIntent.metadata.loyaltyDiscount) || 0) * 100);
+  const loyaltyShares = cartItems.map(() => 0);
+  if (loyaltyDiscountCents > 0 && netTotal > 0) {
+    let centsLeft = loyaltyDiscountCents;
+    cartItems.forEach((item, index) => {
+      const cents = index === cartItems.length - 1
+        ? centsLeft
+        : Math.min(centsLeft, Math.floor(loyaltyDiscountCents * netPrices[index] / netTotal));
+      centsLeft -= cents;
+      loyaltyShares[index] = cents / 100;
+    });
+  }
+
+  // Gift card cents per item were worked out when the checkout was priced
+  const giftCardId = paymentIntent.metadata.giftCardId || null;
+  const giftCardCents = JSON.parse(paymentIntent.metadata.giftCardShares || '[]');
+  const giftCardShares = cartItems.map((item, index) => (giftCardCents[index] || 0) / 100);
+
+  const { currency, exchangeRate } = chargeCurrencyOf(paymentIntent);
+
+  console.log(`\n📦 Processing ${cartItems.length} cart items...`);
+  const createdBookingIds = [];
+  const successfulItemIds = [];
+  const failedItems = [];
+  const refundedItems = await refundService.getRefundedCartItems(paymentIntent.id);
+
+  // Create individual booking for EACH cart item
+  for (let i = 0; i < cartItems.length; i++) {
+    const item = cartItems[i];
+    console.log(`\n${'='.repeat(50)}`);
+    console.log(`📝 ITEM ${i + 1}/${cartItems.length}`);
+    console.log(`${'='.repeat(50)}`);
+    console.log('Service ID:', item.serviceId);
+    console.log('Service Type:', item.serviceType);
+    console.log('Total Price:', `$${item.totalPrice}`);
+    
+try {
+  // Replays of a partially processed event must not book the same item twice
+  if (item._id) {
+    const existingBooking = await Booking.findOne({
+      'payment.transactionId': paymentIntent.id,
+      cartItem: String(item._id)
+    });
+    if (existingBooking) {
+      console.log('↩️  Booking already exists for this item:', existingBooking._id);
+      createdBookingIds.push(existingBooking._id);
+      successfulItemIds.push(item._id);
+      continue;
+    }
+  }
+
+  // Refunded by an earlier run of this event that could not book it
+  if (refundedItems.includes(String(item._id || i))) {
+    console.log('↩️  Item was already refunded');
+    failedItems.push({ item, index: i, error: 'Refunded by an earlier attempt' });
+    continue;
+  }
+
+  // Fetch the service to get vendor info
+  console.log('🔍 Fetching service details...');
+  const serviceDoc = await Service.findById(item.serviceId);
+  
+  if (!serviceDoc) {
+    console.error('❌ Service not found:', item.serviceId);
+    failedItems.push({ item, index: i, error: 'Service not found' });
+    continue;
+  }
+
+  console.log('✅ Service found:', serviceDoc.name);
+  
+  // ✅ FIX: Access the raw document to get the host field
+  const rawDoc = serviceDoc.toObject(); // Convert to plain JavaScript object
+  const vendorId = rawDoc.vendor || rawDoc.host || serviceDoc.vendor || serviceDoc.host;
+  
+  console.log('🔍 Vendor/Host check:');
+  console.log('   - Raw doc host:', rawDoc.host);
+  console.log('   - Final vendorId:', vendorId);
+  
+  if (!vendorId) {
+    console.error('❌ Vendor not found for service');
+    failedItems.push({ item, index: i, error: 'Vendor not found' });
+    continue;
+  }
+
+  console.log('✅ Vendor/Host ID found:', vendorId);
+
+  // Rest of your booking creation code...
+  const serviceTypeMap = {
+    'Activity': 'Activity',
+    'WellnessSpa': 'Activity',
+    'Spa': 'Activity',
+    'Stay': 'Stay',
+    'Transportation': 'Transportation',
+    'Dining': 'Dining'
+  };
+
+  const mappedServiceType = serviceTypeMap[item.serviceType] || 'Activity';
+  console.log('📊 Mapped Service Type:', item.serviceType, '→', mappedServiceType);
+
+  // Listing fees, taxes and length-of-stay discounts come from the quote stored on the cart item
+  const listingPricing = pricingService.toBookingPricing(item.priceBreakdown, item.totalPrice);
+
+  // Build base booking data with ALL required fields
+  const bookingData = {
+    customer: userId,
+    service: item.serviceId,
+    cartItem: item._id ? String(item._id) : null,
+    vendor: vendorId, // ✅ Now this will have the correct value!
+    serviceType: mappedServiceType,
+    status: 'confirmed',
+    
+    passengers: {
+      adults: item.numPeople || 1,
+      children: 0,
+      infants: 0,
+      total: item.numPeople || 1
+    },
+    
+pricing: {
+  ...listingPricing,
+  discounts: [
+    ...listingPricing.discounts,
+    ...promotionLines[i],
+    ...(loyaltyShares[i] > 0 ? [{ name: `${loyaltyTier} tier`, amount: loyaltyShares[i], type: 'loyalty' }] : [])
+  ],
+  totalAmount: Math.round((netPrices[i] - loyaltyShares[i]) * 100) / 100
+},
+    
+    payment: {
+      method: 'credit-card',
+      status: 'completed',
+      transactionId: paymentIntent.id,
+      paidAt: new Date(),
+      creditsApplied: creditShares[i].credits,
+      creditAmount: creditShares[i].amount,
+      ...(giftCardShares[i] > 0 && { giftCard: giftCardId, giftCardAmount: giftCardShares[i] }),
+      currency,
+      exchangeRate,
+      chargedAmount: currencyService.convertFromUSD(
+        Math.max(0, netPrices[i] - loyaltyShares[i] - creditShares[i].amount - giftCardShares[i]),
+        exchangeRate
+      )
+    },
+    
+    scheduledDateTime: new Date(item.selectedDate || item.startDate || Date.now()),
+    
+    ...checkoutContextOf(paymentIntent),
+    
+    ...((!userId && guestName) && {
+      guestInfo: {
+        name: guestName,
+        email: guestEmail
+      }
+    }),
+    
+    ...(item.notes && {
+      notes: item.notes
+    })
+  };
+
+  console.log('📦 Base booking data prepared');
+  console.log('   - Customer:', bookingData.customer || 'guest');
+  console.log('   - Service:', bookingData.service);
+  console.log('   - Vendor:', bookingData.vendor);
+  console.log('   - Total:', `$${bookingData.pricing.totalAmount}`);
+
+      // Add service-specific fields
+      switch (mappedServiceType) {
+case 'Stay':
+  console.log('🏨 Adding Stay-specific fields...');
+  const checkInDate = new Date(item.startDate || item.selectedDate);
+  const checkOutDate = item.endDate ? new Date(item.endDate) : new Date(checkInDate.getTime() + (7 * 24 * 60 * 60 * 1000)); // Default 7 nights
+  
+  bookingData.stayDetails = {
+    checkIn: checkInDate,
+    checkOut: checkOutDate,
+    nights: item.endDate && item.startDate ? 
+      Math.ceil((new Date(item.endDate) - new Date(item.startDate)) / (1000 * 60 * 60 * 24)) : 7,
+    roomType: item.roomId || 'Standard'
+  };
+          if (item.roomId) {
+            bookingData.room = item.roomId;
+          }
+          console.log('   ✅ Stay details added');
+          break;
+
+        case 'Transportation':
+          console.log('🚗 Adding Transportation-specific fields...');
+          bookingData.category = item.category || 'Airport Transfer';
+          bookingData.transportationDetails = {
+            tripType: 'one-way',
+            pickup: {
+              location: {
+                name: item.pickupLocation || 'Pickup Location',
+                address: item.pickupLocation || ''
+              },
+              date: new Date(item.selectedDate),
+              time: item.selectedTime || '12:00 PM'
+            },
+            dropoff: {
+              location: {
+                name: item.dropoffLocation || 'Dropoff Location',
+                address: item.dropoffLocation || ''
+              }
+            }
+          };
+          if (item.optionId) {
+            bookingData.selectedOption = item.optionId;
+          }
+          console.log('   ✅ Transportation details added');
+          break;
+
+        case 'Activity':
+          console.log('🎯 Adding Activity-specific fields...');
+          bookingData.activityDetails = {
+            date: new Date(item.selectedDate),
+            time: item.selectedTime || 'TBD',
+            duration: item.timeSlot ? 
+              `${item.timeSlot.startTime} - ${item.timeSlot.endTime}` : 'TBD'
+          };
+          if (item.timeSlot) {
+            bookingData.timeSlot = {
+              startTime: item.timeSlot.startTime,
+              endTime: item.timeSlot.endTime
+            };
+          }
+          if (item.optionId) {
+            bookingData.selectedOption = item.optionId;
+          }
+          console.log('   ✅ Activity details added');
+          break;
+
+        case 'Dining':
+          console.log('🍽️ Adding Dining-specific fields...');
+          bookingData.diningDetails = {
+            reservationDate: new Date(item.selectedDate),
+            reservationTime: item.selectedTime || '7:00 PM',
+            partySize: item.numPeople || 1
+          };
+          console.log('   ✅ Dining details added');
+          break;
+      }
+
+      // Convert the checkout hold; if it already expired, reserve again atomically
+      // (a sold-out item is reported as failed)
+      console.log('📅 Converting inventory hold...');
+      const hold = item._id ? await holdService.convertHold(paymentIntent.id, item._id) : null;
+      const allocations = hold ? hold.allocations : await availabilityService.reserve(serviceDoc, {
+        optionId: item.optionId,
+        serviceName: item.serviceName,
+        date: item.selectedDate,
+        startDate: item.startDate || item.selectedDate,
+        endDate: item.endDate,
+        time: item.selectedTime,
+        timeSlot: item.timeSlot,
+        numPeople: item.numPeople
+      });
+      console.log(hold ? '   ✅ Hold converted' : '   ⚠️  No active hold - capacity reserved directly');
+      bookingData.inventory = { allocations };
+
+      console.log('💾 Saving booking to database...');
+      console.log('Booking data:', JSON.stringify(bookingData, null, 2));
+      
+      let booking;
+      try {
+        booking = await Booking.create(bookingData);
+      } catch (createError) {
+        await availabilityService.releaseAllocations(allocations);
+        throw createError;
+      }
+      
+      console.log('✅✅✅ BOOKING CREATED SUCCESSFULLY! ✅✅✅');
+      console.log('   - Booking ID:', booking._id);
+      console.log('   - Booking Number:', booking.bookingId);
+      console.log('   - Status:', booking.status);
+      console.log('   - Service Type:', booking.serviceType);
+      console.log('   - Payment Transaction:', booking.payment.transactionId);
+      
+      createdBookingIds.push(booking._id);
+      await ledgerService.recordBookingCapture(booking);
+
+      if (hold) {
+        hold.booking = booking._id;
+        await hold.save();
+      }
+
+      // Create referral commission if referral code exists
+if (paymentIntent.metadata.referralCode && paymentIntent.metadata.referralCode.trim()) {
+  try {
+    console.log(`💰 Processing referral commission for code: ${paymentIntent.metadata.referralCode}`);
+    const commission = await referralService.createCommissionFromBooking(
+      booking,
+      paymentIntent.metadata.referralCode
+    );
+    if (commission) {
+      console.log(`✅ Commission created: ${commission._id}`);
+    }
+  } catch (commError) {
+    console.error('⚠️  Error creating referral commission:', commError.message);
+    // Don't fail booking if commission creation fails
+  }
+}
+      successfulItemIds.push(item._id);
+      
+    } catch (itemError) {
+      console.error(`\n❌❌❌ ERROR CREATING BOOKING ❌❌❌`);
+      console.error('Item:', item.serviceId);
+      console.error('Error message:', itemError.message);
+      console.error('Error stack:', itemError.stack);
+      
+      if (itemError.errors) {
+        console.error('Validation errors:');
+        Object.keys(itemError.errors).forEach(key => {
+          console.error(`   - ${key}:`, itemError.errors[key].message);
+        });
+      }
+      
+      failedItems.push({ 
+        item, 
+        index: i,
+        error: itemError.message 
+      });
+    }
+  }
+
+  console.log(`\n${'='.repeat(50)}`);
+  console.log('📊 BOOKING SUMMARY');
+  console.log(`${'='.repeat(50)}`);
+  console.log('Total items:', cartItems.length);
+  console.log('Successfully created:', createdBookingIds.length);
+  console.log('Failed:', failedItems.length);
+  
+  if (createdBookingIds.length > 0) {
+    console.log('\n✅ Created booking IDs:');
+    createdBookingIds.forEach((id, idx) => {
+      console.log(`   ${idx + 1}. ${id}`);
+    });
+  }
+
+  if (failedItems.length > 0) {
+    console.log('\n❌ Failed items:');
+    failedItems.forEach((fail, idx) => {
+      console.log(`   ${idx + 1}. Service: ${fail.item.serviceId} - Error: ${fail.error}`);
+    });
+  }
+
+  // Give back capacity still held for items that could not be booked
+  await holdService.releaseHoldsForPaymentIntent(paymentIntent.id);
+  await promotionService.linkBookings(paymentIntent.id, createdBookingIds);
+  if (createdBookingIds.length > 0) {
+    await issueInvoice(paymentIntent);
+  }
+
+  // Cart cleanup
+  if (userId && cartId !== 'guest_cart' && createdBookingIds.length > 0) {
+    try {
+      console.log('\n🧹 Cleaning up cart...');
+      const cart = await Cart.findById(cartId);
+      
+      if (cart) {
+        if (failedItems.length === 0) {
+          cart.items = cart.items.filter(item => item.multiUser);
+          cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+          await cart.save();
+          console.log('✅ Cart completely cleared');
+        } else {
+          cart.items = cart.items.filter(item => 
+            !successfulItemIds.includes(item._id.toString())
+          );
+          cart.totalCartPrice = cart.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+          await cart.save();
+          console.log(`⚠️  Removed ${successfulItemIds.length} items from cart`);
+          console.log(`   - ${cart.items.length} failed items remain`);
+        }
+      }
+    } catch (clearError) {
+      console.error('❌ Error updating cart:', clearError);
+    }
+  }
+
+  // Items that could not be booked are refunded, with their credits and gift card value given back.
+  // If a refund fails the event is dead-lettered so an admin can replay it.
+  const refundErrors = [];
+  let itemsRefunded = 0;
+  let refundedAmount = 0;
+  for (const { item, index, error } of failedItems) {
+    const cartItem = String(item._id || index);
+    const share = { paymentIntentId: paymentIntent.id, cartItem };
+    const cardAmount = Math.round(Math.max(0,
+      netPrices[index] - loyaltyShares[index] - creditShares[index].amount - giftCardShares[index]
+    ) * 100) / 100;
+    try {
+      await creditService.restoreUnbookedItemCredits(userId, creditShares[index].credits, share);
+      await giftCardService.restoreUnbookedItemGiftCard(giftCardId, giftCardShares[index], share);
+      const refund = await refundService.refundUnbookedItem(paymentIntent.id, {
+        cartItem,
+        chargedAmount: currencyService.convertFromUSD(cardAmount, exchangeRate),
+        reason: `Could not be booked: ${error}`
+      });
+      if (refund) {
+        console.log(`💸 Refunded $${cardAmount} for item ${cartItem} (${refund.id})`);
+        itemsRefunded++;
+        refundedAmount += cardAmount;
+      }
+    } catch (refundError) {
+      console.error(`❌ Could not refund item ${cartItem}:`, refundError.message);
+      refundErrors.push(`${cartItem}: ${refundError.message}`);
+    }
+  }
+  if (refundErrors.length > 0) {
+    throw new Error(`Could not refund unbooked cart item(s): ${refundErrors.join('; ')}`);
+  }
+
+  console.log('\n==========================================');
+  console.log('🎉 WEBHOOK: CART CHECKOUT - END');
+  console.log('==========================================\n');
+
+return {
+  booking_status: createdBookingIds.length > 0 ? 'created' : 'failed',
+  booking_type: 'cart',
+  total_items: cartItems.length,
+  bookings_created: createdBookingIds.length,
+  bookings_failed: failedItems.length,
+  booking_ids: createdBookingIds,
+  cart_status: failedItems.length === 0 ? 'cleared' : 'partially_cleared',
+  items_refunded: itemsRefunded,
+  refund_amount: Math.round(refundedAmount * 100) / 100,
+  referral_code_used: paymentIntent.metadata.referralCode || null, // ADD THIS LINE
+  failed_items: failedItems.length > 0 ? failedItems.map(f => f.error) : undefined
+};
+};
+
+/**
+ * Give back the credits, gift card value and promotion uses of a paid single checkout
+ * that could not be booked (refunded by refundService.refundUnbookedCheckout). Safe to repeat.
+ */
+const restoreUnbookedCheckout = async (paymentIntent) => {
+  await creditService.restoreUnbookedCheckoutCredits(paymentIntent.id);
+  await giftCardService.restoreUnbookedItemGiftCard(
+    paymentIntent.metadata.giftCardId,
+    parseFloat(paymentIntent.metadata.giftCardAmount) || 0,
+    { paymentIntentId: paymentIntent.id, cartItem: 'checkout' }
+  );
+  await promotionService.release({ paymentIntentId: paymentIntent.id, redeemed: true });
+};
+
+/**
+ * Create the booking of a paid single-item checkout
+ */
+const handleSingleCheckout = async (paymentIntent) => {
+            console.log("Processing SINGLE item checkout");
+            
+            let bookingDetails;
+
+            // Handle both single and split metadata cases
+            if (paymentIntent.metadata.bookingData) {
+                console.log("Using single metadata field");
+                bookingDetails = JSON.parse(paymentIntent.metadata.bookingData);
+            } else if (paymentIntent.metadata.basicData && paymentIntent.metadata.serviceData) {
+                console.log("Using split metadata fields");
+                const basicData = JSON.parse(paymentIntent.metadata.basicData);
+                const serviceData = JSON.parse(paymentIntent.metadata.serviceData);
+                bookingDetails = { ...basicData, ...serviceData };
+            } else {
+                throw new Error('No valid booking data found in payment intent metadata');
+            }
+
+            bookingDetails.creditsApplied = parseInt(paymentIntent.metadata.creditsApplied, 10) || 0;
+            bookingDetails.creditAmount = parseFloat(paymentIntent.metadata.creditAmount) || 0;
+            bookingDetails.giftCard = paymentIntent.metadata.giftCardId || null;
+            bookingDetails.giftCardAmount = parseFloat(paymentIntent.metadata.giftCardAmount) || 0;
+            bookingDetails.loyaltyTier = paymentIntent.metadata.loyaltyTier || null;
+            bookingDetails.loyaltyDiscount = parseFloat(paymentIntent.metadata.loyaltyDiscount) || 0;
+            Object.assign(bookingDetails, chargeCurrencyOf(paymentIntent));
+            Object.assign(bookingDetails, checkoutContextOf(paymentIntent));
+            bookingDetails.chargedAmount = paymentIntent.amount / 100;
+            // Deposit checkouts: the installments and security deposit go on the saved card later
+            bookingDetails.paymentPlan = depositService.decodePaymentPlan(paymentIntent.metadata.paymentPlan);
+            bookingDetails.savedPaymentMethod = paymentIntent.metadata.savedPaymentMethod || null;
+            bookingDetails.securityDeposit = parseFloat(paymentIntent.metadata.securityDeposit) || 0;
+            if (paymentIntent.metadata.priceLines) {
+                bookingDetails.priceBreakdown = pricingService.decodeBreakdown(paymentIntent.metadata.priceLines);
+            }
+            bookingDetails.promotionDiscounts = promotionService.discountLinesFor(
+                await promotionService.getRedemptions(paymentIntent.id),
+                { index: 0 }
+            );
+
+            console.log("Parsed booking details:", JSON.stringify(bookingDetails, null, 2));
+            
+            // Build contactInfo object if it doesn't exist or is stringified
+            if (!bookingDetails.contactInfo || typeof bookingDetails.contactInfo === 'string') {
+                console.log("Building contactInfo from metadata");
+                bookingDetails.contactInfo = {
+                    firstName: bookingDetails.guestName ? bookingDetails.guestName.split(' ')[0] : '',
+                    lastName: bookingDetails.guestName ? bookingDetails.guestName.split(' ').slice(1).join(' ') : '',
+                    email: bookingDetails.guestEmail
+                };
+            }
+
+            // Validate required fields
+            if (!bookingDetails.category) {
+                throw new Error('Missing category in booking details');
+            }
+            if (!bookingDetails.totalPrice) {
+                throw new Error('Missing totalPrice in booking details');
+            }
+
+            console.log("Calling createBookingFromPayment...");
+
+            // Create a proper response object that captures the result
+            let bookingResult = null;
+            let bookingError = null;
+            let bookingErrorStatus = null;
+
+const mockRes = {
+  status: (code) => ({
+    json: async (data) => {  // ← ADD 'async' HERE - THIS FIXES IT
+      console.log(`Booking creation status ${code}:`, data);
+      if (code >= 200 && code < 300) {
+        bookingResult = data;
+        
+        // Create referral commission if referral code exists
+        if (bookingResult?.data?._id && bookingDetails.referralCode) {
+          try {
+            const trimmedCode = bookingDetails.referralCode.trim();
+            
+            if (trimmedCode) {
+              console.log(`💰 Processing referral commission for code: ${trimmedCode}`);
+              // NOW this works because json() is async
+              const commission = await referralService.createCommissionFromBooking(
+                bookingResult.data,
+                trimmedCode
+              );
+              
+              if (commission) {
+                console.log(`✅ Commission created: $${commission.commissionAmount.toFixed(2)}`);
+              }
+            }
+          } catch (commError) {
+            console.error('⚠️  Error creating referral commission:', commError.message);
+            // Don't fail booking if commission creation fails
+          }
+        }
+        
+        console.log("Booking created successfully:", data.data?._id);
+      } else {
+        bookingError = data;
+        bookingErrorStatus = code;
+        console.log("Booking creation failed:", data.message || data.error);
+      }
+    }
+  })
+};
+
+
+            const mockReq = { 
+                body: { 
+                    bookingDetails, 
+                    paymentIntentId: paymentIntent.id 
+                } 
+            };
+            
+            // Call your existing controller to create the booking
+            await createBookingFromPayment(mockReq, mockRes);
+
+            // Sold out since the checkout started: refunded, as replaying would fail the same way
+            if (bookingError && bookingErrorStatus === 409) {
+                const reason = bookingError.error || bookingError.message;
+                console.error("Webhook booking creation failed, refunding:", reason);
+                const refund = await refundService.refundUnbookedCheckout(paymentIntent.id, `Could not be booked: ${reason}`);
+                await restoreUnbookedCheckout(paymentIntent);
+                console.log(`💸 Refunded checkout ${paymentIntent.id} (${refund.id})`);
+                return {
+                    booking_status: 'refunded',
+                    booking_type: 'single',
+                    refund_id: refund.id,
+                    failed_reason: reason
+                };
+            }
+
+            // Check if booking was created successfully
+            if (bookingError) {
+                console.error("Webhook booking creation failed:", bookingError);
+                // Surface the failure so the event is dead-lettered and can be replayed
+                throw new Error(bookingError.error || bookingError.message || 'Booking creation failed');
+            }
+
+            await promotionService.linkBookings(paymentIntent.id, [bookingResult?.data?._id].filter(Boolean));
+            await issueInvoice(paymentIntent);
+            console.log("Webhook processed successfully");
+return {
+  booking_status: 'created',
+  booking_type: 'single',
+  booking_id: bookingResult?.data?._id,
+  referral_code_used: bookingDetails.referralCode || null // ADD THIS LINE
+};
+};
+
+/**
+ * payment_intent.succeeded - turn the paid checkout into bookings
+ */
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  console.log(`Payment succeeded: ${paymentIntent.id}`);
+  console.log("Raw metadata:", paymentIntent.metadata);
+
+  // A single checkout refunded because it could not be booked stays refunded when the event is replayed
+  if (!paymentIntent.metadata.bookingType) {
+    const refund = await refundService.getUnbookedCheckoutRefund(paymentIntent.id);
+    if (refund) {
+      await restoreUnbookedCheckout(paymentIntent);
+      return { booking_status: 'refunded', booking_type: 'single', refund_id: refund.id };
+    }
+  }
+
+  // Credits, gift card balance and promotion uses given back by an earlier failed attempt are taken again
+  await creditService.confirmCheckoutSpend(paymentIntent.id);
+  await giftCardService.confirmCheckoutRedemption(paymentIntent.id);
+  await promotionService.confirm(paymentIntent.id);
+
+  if (paymentIntent.metadata.bookingType === 'cart') {
+    return handleCartCheckout(paymentIntent);
+  }
+  if (paymentIntent.metadata.bookingType === 'split') {
+    return splitPaymentService.recordSharePayment(paymentIntent);
+  }
+  if (paymentIntent.metadata.bookingType === 'installment') {
+    return depositService.recordInstallmentPayment(paymentIntent);
+  }
+  if (paymentIntent.metadata.bookingType === 'booking_change') {
+    // Charged off-session and recorded on the booking when the change was applied
+    return { booking_change: 'charged', booking_id: paymentIntent.metadata.bookingId };
+  }
+  if (paymentIntent.metadata.bookingType === 'gift_card') {
+    return giftCardService.recordPurchasePayment(paymentIntent);
+  }
+  if (paymentIntent.metadata.bookingType === 'security_deposit') {
+    const booking = await depositService.recordSecurityDepositCapture(paymentIntent);
+    return { security_deposit: 'captured', booking_id: booking._id };
+  }
+  return handleSingleCheckout(paymentIntent);
+};
+
+/**
+ * payment_intent.payment_failed / payment_intent.canceled - free held capacity
+ * and give back the Caicos Credits, gift card balance and promotion uses applied to the checkout.
+ * A cancelled gift card purchase is never issued (a failed one can still be retried).
+ */
+const handlePaymentIntentClosed = async (event) => {
+  const paymentIntent = event.data.object;
+  console.log(`Payment ${event.type === 'payment_intent.canceled' ? 'canceled' : 'failed'}: ${paymentIntent.id}`);
+
+  const released = await checkoutService.releaseCheckout(paymentIntent.id);
+  console.log(`Released ${released.holds_released} inventory hold(s)`);
+
+  const giftCardsCancelled = event.type === 'payment_intent.canceled' && paymentIntent.metadata.bookingType === 'gift_card'
+    ? await giftCardService.cancelPendingPurchase(paymentIntent.id)
+    : 0;
+
+  return {
+    ...released,
+    gift_cards_cancelled: giftCardsCancelled
+  };
+};
+
+/**
+ * charge.dispute.* - keep the dispute in sync; withdrawn and reinstated funds
+ * are taken from or given back to the vendors' settlements
+ */
+const handleDisputeEvent = async (event) => {
+  const stripeDispute = event.data.object;
+  console.log(`Dispute ${stripeDispute.id}: ${event.type} (${stripeDispute.status})`);
+
+  let dispute;
+  if (event.type === 'charge.dispute.funds_withdrawn') {
+    dispute = await disputeService.recordFundsWithdrawn(stripeDispute);
+  } else if (event.type === 'charge.dispute.funds_reinstated') {
+    dispute = await disputeService.recordFundsReinstated(stripeDispute);
+  } else {
+    dispute = await disputeService.syncDispute(stripeDispute);
+  }
+
+  return { dispute_id: dispute._id, status: dispute.status, booking_id: dispute.booking };
+};
+
+/**
+ * Route a verified Stripe event to its handler. Throws when processing fails.
+ */
+const handleEvent = async (event) => {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return handlePaymentIntentSucceeded(event.data.object);
+
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return handlePaymentIntentClosed(event);
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+    case 'charge.dispute.funds_withdrawn':
+    case 'charge.dispute.funds_reinstated':
+      return handleDisputeEvent(event);
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+      return { handled: false };
+  }
+};
+
+/**
+ * Record the event in the ledger and take the processing lock.
+ * @returns {Boolean} false when the event was already handled (or is being handled)
+ */
+const claimEvent = async (event) => {
+  try {
+    await ProcessedWebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      status: 'processing',
+      attempts: 1,
+      payload: event,
+      lockedAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before: only dead-lettered events and abandoned locks may run again
+  const claimed = await ProcessedWebhookEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } }
+  );
+  return !!claimed;
+};
+
+/**
+ * Run the handler for a claimed event and record the outcome in the ledger
+ */
+const runClaimedEvent = async (event) => {
+  try {
+    const result = await handleEvent(event);
+    await ProcessedWebhookEvent.updateOne(
+      { eventId: event.id },
+      { $set: { status: 'processed', processedAt: new Date(), result, lastError: null }, $unset: { lockedAt: 1 } }
+    );
+    return { result };
+  } catch (error) {
+    console.error(`Error processing webhook event ${event.id} (${event.type}):`, error);
+    await ProcessedWebhookEvent.updateOne(
+      { eventId: event.id },
+      { $set: { status: 'failed', failedAt: new Date(), lastError: error.message }, $unset: { lockedAt: 1 } }
+    );
+    return { failed: true, error: error.message };
+  }
+};
+
+/**
+ * Process a Stripe event exactly once
+ * @returns {Object} { duplicate } | { result } | { failed, error }
+ */
+const processEvent = async (event) => {
+  const claimed = await claimEvent(event);
+  if (!claimed) {
+    console.log(`Webhook event ${event.id} already processed - skipping`);
+    return { duplicate: true };
+  }
+
+  return runClaimedEvent(event);
+};
+
+/**
+ * Re-run a dead-lettered event from its stored payload
+ * @param {String} eventId - Stripe event id
+ * @param {String} adminId - Admin who triggered the replay
+ */
+const replayEvent = async (eventId, adminId) => {
+  const record = await ProcessedWebhookEvent.findOneAndUpdate(
+    { eventId, status: 'failed' },
+    {
+      $set: { status: 'processing', lockedAt: new Date() },
+      $inc: { attempts: 1 },
+      $push: { replays: { replayedBy: adminId, replayedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (!record) {
+    const existing = await ProcessedWebhookEvent.findOne({ eventId }).select('status');
+    if (!existing) throw new Error('Webhook event not found');
+    throw new Error(`Only failed events can be replayed (current status: ${existing.status})`);
+  }
+
+  return runClaimedEvent(record.payload);
+};
+
+module.exports = {
+  handleEvent,
+  processEvent,
+  replayEvent
+};
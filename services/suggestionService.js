@@ -0,0 +1,246 @@
+// services/suggestionService.js
+const SearchSuggestion = require('../models/SearchSuggestion');
+const SearchSynonym = require('../models/SearchSynonym');
+const { tokenize, trigrams, editDistance, allowedTypos } = require('../utils/textSearch');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_TOKENS = 5;
+const MAX_TOKEN_LENGTH = 15; // Longest prefix stored in the index
+const MAX_VARIANTS = 6;
+const MAX_CANDIDATES = 300;
+const DEFAULT_GROUP_LIMIT = 5;
+const MAX_GROUP_LIMIT = 10;
+const SYNONYM_CACHE_MS = 60 * 1000;
+
+// Response group for each suggestion type, in display order
+const GROUPS = {
+  listing: 'listings',
+  vendor: 'vendors',
+  island: 'islands',
+  category: 'categories',
+  cuisine: 'cuisines',
+  'info-page': 'pages'
+};
+
+// Seeded by scripts/buildSearchSuggestions.js when no synonyms exist yet; admins edit them from there on
+const DEFAULT_SYNONYMS = [
+  ['provo', 'providenciales', 'pls'],
+  ['grand turk', 'gdt', 'cockburn town'],
+  ['grace bay', 'grace bay beach'],
+  ['turks and caicos', 'tci', 'turks caicos'],
+  ['snorkel', 'snorkeling', 'snorkelling'],
+  ['scuba', 'diving', 'dive'],
+  ['spa', 'wellness', 'massage'],
+  ['restaurant', 'dining', 'eatery'],
+  ['villa', 'vacation rental', 'airbnb'],
+  ['car rental', 'car hire', 'rent a car'],
+  ['taxi', 'cab'],
+  ['bbq', 'barbecue']
+];
+
+const createSuggestionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ============================================================
+// SYNONYMS
+// ============================================================
+
+let synonymCache = null;
+
+const getSynonymGroups = async () => {
+  if (synonymCache && synonymCache.expiresAt > Date.now()) return synonymCache.groups;
+
+  const synonyms = await SearchSynonym.find({ active: true }).select('terms').lean();
+  const groups = synonyms.map(synonym => synonym.terms.map(term => term.split(' ')));
+  synonymCache = { groups, expiresAt: Date.now() + SYNONYM_CACHE_MS };
+  return groups;
+};
+
+// Called after admins edit synonyms (other processes pick changes up within SYNONYM_CACHE_MS)
+const clearSynonymCache = () => {
+  synonymCache = null;
+};
+
+const startsWithAt = (tokens, phrase, index) => phrase.every((word, offset) => tokens[index + offset] === word);
+
+/**
+ * The query tokens plus a variant for every synonym of a whole word/phrase in it
+ * ("provo villa" -> [provo villa], [providenciales villa], [pls villa], [provo vacation rental], ...)
+ */
+const expandQuery = (tokens, groups) => {
+  const variants = [tokens];
+
+  groups.forEach(group => {
+    group.forEach(phrase => {
+      for (let index = 0; index + phrase.length <= tokens.length; index++) {
+        if (!startsWithAt(tokens, phrase, index)) continue;
+        group.filter(other => other !== phrase).forEach(other => {
+          variants.push([...tokens.slice(0, index), ...other, ...tokens.slice(index + phrase.length)]);
+        });
+      }
+    });
+  });
+
+  const seen = new Set();
+  return variants
+    .filter(variant => {
+      const key = variant.join(' ');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_VARIANTS);
+};
+
+// ============================================================
+// MATCHING
+// ============================================================
+
+/**
+ * How well one typed word matches one indexed word (0 = no match).
+ * The last word is still being typed, so a prefix of it counts as fully typed.
+ */
+const matchWord = (token, word, isLast, fuzzy) => {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return isLast ? 0.9 : 0.75;
+
+  const typos = fuzzy ? allowedTypos(token.length) : 0;
+  if (typos === 0) return 0;
+  const distance = Math.min(
+    editDistance(token, word),
+    isLast ? editDistance(token, word.slice(0, token.length)) : Infinity
+  );
+  return distance <= typos ? 0.7 - 0.1 * distance : 0;
+};
+
+const bestMatch = (token, words, isLast, fuzzy) =>
+  words.reduce((best, word) => Math.max(best, matchWord(token, word, isLast, fuzzy)), 0);
+
+/**
+ * Score an entry against one query variant; null unless every word matches the label or keywords
+ * (typos are only allowed in what was typed, synonyms must match as they are)
+ */
+const scoreVariant = (entry, tokens, fuzzy) => {
+  const labelWords = entry.normalized.split(' ');
+  const keywordWords = entry.keywords ? entry.keywords.split(' ') : [];
+
+  let total = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const isLast = i === tokens.length - 1;
+    // Keyword matches (listing location, page tags) rank below label matches
+    const score = Math.max(
+      bestMatch(tokens[i], labelWords, isLast, fuzzy),
+      bestMatch(tokens[i], keywordWords, isLast, fuzzy) * 0.6
+    );
+    if (score === 0) return null;
+    total += score;
+  }
+
+  const phrase = tokens.join(' ');
+  let score = total / tokens.length;
+  if (entry.normalized === phrase) score += 0.5;
+  else if (entry.normalized.startsWith(phrase)) score += 0.3;
+  return score;
+};
+
+const scoreEntry = (entry, variants) => {
+  let best = null;
+  variants.forEach((tokens, index) => {
+    const score = scoreVariant(entry, tokens, index === 0);
+    if (score === null) return;
+    // The query as typed beats its synonyms
+    const adjusted = index === 0 ? score : score * 0.95;
+    if (best === null || adjusted > best) best = adjusted;
+  });
+  if (best === null) return null;
+
+  // Popularity only breaks near-ties
+  return Math.round((best * 10 + Math.log10(1 + Math.max(entry.weight || 0, 0))) * 100) / 100;
+};
+
+// ============================================================
+// SUGGEST
+// ============================================================
+
+const parseTypes = (value) => {
+  if (!value) return Object.keys(GROUPS);
+  const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const invalid = types.find(type => !GROUPS[type]);
+  if (invalid) throw createSuggestionError(`Unknown suggestion type "${invalid}". Use: ${Object.keys(GROUPS).join(', ')}`);
+  return types;
+};
+
+const toSuggestion = (entry, score) => ({
+  type: entry.type,
+  label: entry.label,
+  subtitle: entry.subtitle,
+  ...entry.target,
+  score
+});
+
+/**
+ * Suggest-as-you-type across listings, vendors, islands, activity categories, cuisines and info pages.
+ * Matches word prefixes, tolerates typos and expands admin-defined synonyms.
+ * @param {Object} query - q, types (comma separated), limit (per group)
+ * @returns {{ query, groups: { listings, vendors, islands, categories, cuisines, pages }, total }}
+ */
+const suggest = async (query = {}) => {
+  const q = String(query.q || '').trim();
+  const types = parseTypes(query.types);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_GROUP_LIMIT, 1), MAX_GROUP_LIMIT);
+
+  const groups = Object.fromEntries(types.map(type => [GROUPS[type], []]));
+  const tokens = tokenize(q).slice(0, MAX_QUERY_TOKENS).map(token => token.slice(0, MAX_TOKEN_LENGTH));
+  if (tokens.join('').length < MIN_QUERY_LENGTH) return { query: q, groups, total: 0 };
+
+  const variants = expandQuery(tokens, await getSynonymGroups());
+  const queryTrigrams = [...new Set(variants.flatMap(variant => trigrams(variant.join(' '))))];
+
+  // Candidates: every word is a prefix of an indexed word, or enough shared trigrams to be a typo
+  const candidates = await SearchSuggestion.aggregate([
+    {
+      $match: {
+        active: true,
+        type: { $in: types },
+        $or: [
+          ...variants.map(variant => ({ prefixes: { $all: variant } })),
+          { trigrams: { $in: queryTrigrams } }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        prefixMatch: { $or: variants.map(variant => ({ $setIsSubset: [variant, '$prefixes'] })) },
+        sharedTrigrams: { $size: { $setIntersection: ['$trigrams', queryTrigrams] } }
+      }
+    },
+    { $sort: { prefixMatch: -1, sharedTrigrams: -1, weight: -1 } },
+    { $limit: MAX_CANDIDATES },
+    { $project: { type: 1, label: 1, subtitle: 1, target: 1, normalized: 1, keywords: 1, weight: 1 } }
+  ]);
+
+  candidates
+    .map(entry => ({ entry, score: scoreEntry(entry, variants) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label))
+    .forEach(({ entry, score }) => {
+      const group = groups[GROUPS[entry.type]];
+      if (group.length < limit) group.push(toSuggestion(entry, score));
+    });
+
+  return {
+    query: q,
+    groups,
+    total: Object.values(groups).reduce((sum, group) => sum + group.length, 0)
+  };
+};
+
+module.exports = {
+  GROUPS,
+  DEFAULT_SYNONYMS,
+  suggest,
+  clearSynonymCache
+};
@@ -0,0 +1,161 @@
+// services/surgePricingService.js
+const Booking = require('../models/Booking');
+const { normalizeTime, toDay } = require('./availabilityService');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed', 'in-progress'];
+const ON_ROAD_DRIVER_STATUSES = ['active', 'on-duty'];
+const USABLE_VEHICLE_STATUSES = ['available', 'rented'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toMinutes = (time) => {
+  const normalized = normalizeTime(time);
+  if (!normalized) return null;
+  const [hours, minutes] = normalized.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Windows may wrap midnight (e.g. 22:00-06:00)
+const isWithinWindow = (minutes, start, end) => {
+  if (start === null || end === null) return false;
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Drivers rostered for the pickup time; listings without a driver roster fall back to their usable fleet
+ */
+const countAvailableDrivers = (transportation, dayOfWeek, minutes) => {
+  const drivers = transportation.drivers || [];
+  if (drivers.length === 0) {
+    return (transportation.fleet || []).filter(vehicle => USABLE_VEHICLE_STATUSES.includes(vehicle.status)).length;
+  }
+
+  return drivers.filter(driver => {
+    if (!ON_ROAD_DRIVER_STATUSES.includes(driver.status)) return false;
+    if (!driver.availability || driver.availability.length === 0) return true;
+    return driver.availability.some(slot =>
+      slot.isAvailable !== false &&
+      slot.day === DAY_NAMES[dayOfWeek] &&
+      (!slot.startTime || !slot.endTime || isWithinWindow(minutes, toMinutes(slot.startTime), toMinutes(slot.endTime)))
+    );
+  }).length;
+};
+
+/**
+ * Rides already booked within windowMinutes of the pickup time
+ */
+const countBookedRides = async (transportation, pickupAt, windowMinutes) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  return Booking.countDocuments({
+    service: transportation._id,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    scheduledDateTime: {
+      $gte: new Date(pickupAt.getTime() - windowMs),
+      $lte: new Date(pickupAt.getTime() + windowMs)
+    }
+  });
+};
+
+/**
+ * Surge multiplier and surcharges for a ride
+ * @param {Object} transportation - Transportation listing
+ * @param {Object} options - { date, time } of the pickup
+ * @returns {Object} { multiplier, reason, utilization, night, weekend }
+ */
+const evaluateSurge = async (transportation, { date, time }) => {
+  const day = toDay(date);
+  const result = { multiplier: 1, reason: null, utilization: null, night: false, weekend: false };
+  if (!day) return result;
+
+  const rules = transportation.surgePricing || {};
+  const dayOfWeek = day.getUTCDay();
+  const pickupTime = normalizeTime(time);
+  const minutes = pickupTime ? toMinutes(pickupTime) : null;
+
+  result.weekend = (rules.weekendDays || [0, 6]).includes(dayOfWeek);
+  if (minutes !== null) {
+    result.night = isWithinWindow(minutes, toMinutes(rules.nightStartTime || '22:00'), toMinutes(rules.nightEndTime || '06:00'));
+  }
+
+  // Candidate multipliers; the highest one applies (they do not compound)
+  const candidates = [];
+
+  const manual = transportation.distancePricing?.enabled ? transportation.distancePricing.surgeMultiplier : 1;
+  if (manual > 1) {
+    candidates.push({ multiplier: manual, reason: 'peak pricing' });
+  }
+
+  if (rules.enabled && minutes !== null) {
+    // Booked vs available drivers around the pickup time (same local-time convention as Booking.scheduledDateTime)
+    const pickupAt = new Date(`${day.toISOString().split('T')[0]}T${pickupTime}:00`);
+    const drivers = countAvailableDrivers(transportation, dayOfWeek, minutes);
+    const booked = await countBookedRides(transportation, pickupAt, rules.windowMinutes || 60);
+    result.utilization = drivers > 0 ? roundCurrency(booked / drivers) : (booked > 0 ? 1 : 0);
+
+    const tier = [...(rules.demandTiers || [])]
+      .sort((a, b) => b.utilization - a.utilization)
+      .find(entry => result.utilization >= entry.utilization);
+    if (tier && tier.multiplier > 1) {
+      candidates.push({ multiplier: tier.multiplier, reason: `high demand: ${booked} of ${drivers} drivers booked` });
+    }
+
+    (rules.flightPeaks || [])
+      .filter(peak =>
+        (!peak.daysOfWeek || peak.daysOfWeek.length === 0 || peak.daysOfWeek.includes(dayOfWeek)) &&
+        isWithinWindow(minutes, toMinutes(peak.startTime), toMinutes(peak.endTime))
+      )
+      .forEach(peak => candidates.push({ multiplier: peak.multiplier, reason: peak.name }));
+  }
+
+  const best = candidates.sort((a, b) => b.multiplier - a.multiplier)[0];
+  if (best) {
+    result.multiplier = Math.min(best.multiplier, rules.maxMultiplier || best.multiplier);
+    result.reason = best.reason;
+  }
+
+  return result;
+};
+
+/**
+ * Surcharge lines for a ride's fare, in the pricing engine's line format
+ * @param {Number} fare - Base fare the surge multiplier applies to
+ * @returns {Array} [{ label, type: 'fee', surchargeType, rate?, amount }]
+ */
+const getSurchargeLines = async (transportation, request, fare) => {
+  const surge = await evaluateSurge(transportation, {
+    date: request.startDate || request.selectedDate || request.date,
+    time: request.selectedTime || request.time || request.timeSlot?.startTime
+  });
+  const rules = transportation.surgePricing || {};
+  const lines = [];
+
+  if (surge.multiplier > 1 && fare > 0) {
+    let amount = fare * (surge.multiplier - 1);
+    if (rules.maxSurcharge != null) amount = Math.min(amount, rules.maxSurcharge);
+    lines.push({
+      label: `Surge x${surge.multiplier} (${surge.reason})`,
+      type: 'fee',
+      surchargeType: 'peak',
+      rate: surge.multiplier,
+      amount: roundCurrency(amount)
+    });
+  }
+
+  const { nightSurcharge, weekendSurcharge } = transportation.distancePricing || {};
+  if (surge.night && nightSurcharge > 0) {
+    lines.push({ label: 'Night surcharge', type: 'fee', surchargeType: 'night', amount: nightSurcharge });
+  }
+  if (surge.weekend && weekendSurcharge > 0) {
+    lines.push({ label: 'Weekend surcharge', type: 'fee', surchargeType: 'weekend', amount: weekendSurcharge });
+  }
+
+  return lines;
+};
+
+module.exports = {
+  evaluateSurge,
+  getSurchargeLines
+};
@@ -0,0 +1,170 @@
+// services/taxService.js
+const Booking = require('../models/Booking');
+const TaxRule = require('../models/TaxRule');
+
+// Bookings whose taxes were collected and are still owed
+const REPORTABLE_PAYMENT_STATUSES = ['completed', 'partially-refunded'];
+const REPORT_PERIODS = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const createTaxError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Active rules for a service type and island in force on the date of service
+ */
+const getApplicableRules = async ({ serviceType, island, date }) => {
+  const day = date ? new Date(date) : new Date();
+  const serviceDate = isNaN(day.getTime()) ? new Date() : day;
+
+  const rules = await TaxRule.find({
+    active: true,
+    serviceTypes: serviceType,
+    effectiveFrom: { $lte: serviceDate },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: serviceDate } }]
+  }).sort({ kind: -1, effectiveFrom: 1 }).lean();
+
+  return rules.filter(rule =>
+    !rule.islands || rule.islands.length === 0 ||
+    rule.islands.some(name => island && name.toLowerCase() === island.toLowerCase())
+  );
+};
+
+/**
+ * Price lines for a set of rules, in the pricing engine's line format
+ * @param {Array} rules - Rules of one kind ('fee' rules first, then 'tax' rules on the new subtotal)
+ * @param {Object} basis - { amount, nights, people, quantity }
+ * @returns {Array} [{ label, type, rate?, amount, code, inclusive? }]
+ */
+const buildLines = (rules, { amount, nights = 1, people = 1, quantity = 1 }) => {
+  // Inclusive percentages are backed out of the price together, so they add up to what was charged
+  const inclusivePercent = rules
+    .filter(rule => rule.inclusive && rule.calculation === 'percentage')
+    .reduce((sum, rule) => sum + rule.rate, 0);
+
+  return rules.map(rule => {
+    let charge;
+    switch (rule.calculation) {
+      case 'per_night':
+        charge = rule.rate * nights * quantity;
+        break;
+      case 'per_person':
+        charge = rule.rate * people * quantity;
+        break;
+      case 'per_booking':
+        charge = rule.rate * quantity;
+        break;
+      default:
+        charge = rule.inclusive
+          ? amount * rule.rate / (100 + inclusivePercent)
+          : amount * rule.rate / 100;
+    }
+
+    return {
+      label: rule.calculation === 'percentage' ? `${rule.name} (${rule.rate}%)` : rule.name,
+      type: rule.kind,
+      ...(rule.calculation === 'percentage' && { rate: rule.rate }),
+      amount: roundCurrency(charge),
+      code: rule.code,
+      ...(rule.inclusive && { inclusive: true })
+    };
+  }).filter(line => line.amount > 0);
+};
+
+/**
+ * Taxes collected on paid bookings, by period, tax code and service type
+ * @param {Object} options - { startDate, endDate, groupBy: day|month|year, serviceType }
+ */
+const getLiabilityReport = async ({ startDate, endDate, groupBy = 'month', serviceType }) => {
+  const from = new Date(startDate);
+  const to = new Date(endDate);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+    throw createTaxError('A valid startDate and endDate are required.');
+  }
+  if (!REPORT_PERIODS[groupBy]) {
+    throw createTaxError(`groupBy must be one of: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+  }
+
+  const match = {
+    'payment.status': { $in: REPORTABLE_PAYMENT_STATUSES },
+    'payment.paidAt': { $gte: from, $lte: to },
+    status: { $ne: 'cancelled' },
+    'pricing.taxes.0': { $exists: true }
+  };
+  if (serviceType) match.serviceType = serviceType;
+
+  const rows = await Booking.aggregate([
+    { $match: match },
+    { $unwind: '$pricing.taxes' },
+    {
+      $lookup: {
+        from: 'services',
+        localField: 'service',
+        foreignField: '_id',
+        pipeline: [{ $project: { island: 1 } }],
+        as: 'listing'
+      }
+    },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: REPORT_PERIODS[groupBy], date: '$payment.paidAt' } },
+          code: { $ifNull: ['$pricing.taxes.code', '$pricing.taxes.name'] },
+          serviceType: '$serviceType',
+          island: { $ifNull: [{ $arrayElemAt: ['$listing.island', 0] }, 'Unknown'] },
+          inclusive: { $ifNull: ['$pricing.taxes.inclusive', false] }
+        },
+        name: { $first: '$pricing.taxes.name' },
+        amount: { $sum: '$pricing.taxes.amount' },
+        taxableSales: { $sum: '$pricing.subtotal' },
+        bookings: { $addToSet: '$_id' }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.code': 1, '_id.serviceType': 1 } }
+  ]);
+
+  const lines = rows.map(row => ({
+    period: row._id.period,
+    code: row._id.code,
+    name: row.name,
+    serviceType: row._id.serviceType,
+    island: row._id.island,
+    inclusive: row._id.inclusive,
+    bookings: row.bookings.length,
+    taxableSales: roundCurrency(row.taxableSales),
+    amount: roundCurrency(row.amount)
+  }));
+
+  // Liability per tax code over the whole period
+  const totalsByCode = {};
+  lines.forEach(line => {
+    if (!totalsByCode[line.code]) {
+      totalsByCode[line.code] = { code: line.code, name: line.name, bookings: 0, amount: 0 };
+    }
+    totalsByCode[line.code].bookings += line.bookings;
+    totalsByCode[line.code].amount = roundCurrency(totalsByCode[line.code].amount + line.amount);
+  });
+
+  return {
+    startDate: from,
+    endDate: to,
+    groupBy,
+    lines,
+    totals: Object.values(totalsByCode),
+    totalLiability: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0))
+  };
+};
+
+module.exports = {
+  getApplicableRules,
+  buildLines,
+  getLiabilityReport
+};
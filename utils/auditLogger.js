@@ -0,0 +1,21 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an admin action in the audit log (never throws)
+exports.logAuditAction = async (userId, action, resource, details, req) => {
+  try {
+    const auditLog = new AuditLog({
+      userId,
+      userName: req.user?.name || 'Unknown',
+      action,
+      resource,
+      details,
+      ipAddress: req.ip || req.connection?.remoteAddress || 'Unknown',
+      userAgent: req.get('User-Agent') || 'Unknown',
+      timestamp: new Date()
+    });
+    
+    await auditLog.save();
+  } catch (error) {
+    console.error('Error logging audit action:', error);
+  }
+};
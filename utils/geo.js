@@ -0,0 +1,69 @@
+const EARTH_RADIUS_KM = 6371;
+const EARTH_RADIUS_MILES = 3958.8;
+
+const isValidCoordinate = (latitude, longitude) =>
+  typeof latitude === 'number' && typeof longitude === 'number' &&
+  Number.isFinite(latitude) && Number.isFinite(longitude) &&
+  Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+exports.EARTH_RADIUS_KM = EARTH_RADIUS_KM;
+exports.EARTH_RADIUS_MILES = EARTH_RADIUS_MILES;
+exports.isValidCoordinate = isValidCoordinate;
+
+// { latitude, longitude } -> GeoJSON Point (longitude first), or null when missing/out of range
+exports.toGeoPoint = (coordinates) => {
+  // Request bodies may carry numeric strings, which Mongoose casts on the coordinates themselves
+  const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+  const latitude = toNumber(coordinates?.latitude);
+  const longitude = toNumber(coordinates?.longitude);
+  if (!isValidCoordinate(latitude, longitude)) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Great-circle distance between two { latitude, longitude } points
+const haversine = (from, to, radius) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * radius * Math.asin(Math.sqrt(a));
+};
+
+exports.distanceKm = (from, to) => haversine(from, to, EARTH_RADIUS_KM);
+exports.distanceMiles = (from, to) => haversine(from, to, EARTH_RADIUS_MILES);
+
+/**
+ * Apply to an update query the GeoJSON point for the { latitude, longitude } it sets at `path`
+ * (query middleware; the point is unset when the new coordinates are invalid)
+ */
+exports.syncGeoPointOnUpdate = (query, path, geoPath) => {
+  const update = query.getUpdate() || {};
+  // Plain bodies and $set (the timestamps plugin may add a $set next to a plain body)
+  const set = { ...update, ...update.$set };
+  const getIn = (keys) => keys.reduce((value, key) => value?.[key], set);
+
+  const coordinates = set[path] || getIn(path.split('.')) || (set[`${path}.latitude`] !== undefined && {
+    latitude: set[`${path}.latitude`],
+    longitude: set[`${path}.longitude`]
+  });
+  if (!coordinates) return;
+
+  const point = exports.toGeoPoint(coordinates);
+
+  // The update replaces the object holding the point (e.g. all of addressDetails): write it in there,
+  // setting both the object and a path inside it is a conflict in MongoDB
+  const keys = geoPath.split('.');
+  const parent = keys.length > 1 ? getIn(keys.slice(0, -1)) : null;
+  if (parent && typeof parent === 'object') {
+    if (point) parent[keys[keys.length - 1]] = point;
+    else delete parent[keys[keys.length - 1]];
+    return;
+  }
+
+  if (point) {
+    query.set(geoPath, point);
+  } else {
+    query.setUpdate({ ...update, $unset: { ...update.$unset, [geoPath]: 1 } });
+  }
+};
@@ -0,0 +1,50 @@
+const MAX_PREFIX_LENGTH = 15;
+
+// Lowercase, strip accents and punctuation, collapse spaces ("Café  Grace-Bay!" -> "cafe grace bay")
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+exports.normalize = normalize;
+exports.tokenize = tokenize;
+
+// Edge n-grams of every word: "grace bay" -> g, gr, gra, grac, grace, b, ba, bay
+exports.prefixGrams = (text) => [...new Set(
+  tokenize(text).flatMap(word =>
+    Array.from({ length: Math.min(word.length, MAX_PREFIX_LENGTH) }, (_, i) => word.slice(0, i + 1))
+  )
+)];
+
+// Trigrams of every word, padded so short words and word starts count: "bay" -> "  b", " ba", "bay", "ay "
+exports.trigrams = (text) => [...new Set(
+  tokenize(text).flatMap(word => {
+    const padded = `  ${word} `;
+    return Array.from({ length: padded.length - 2 }, (_, i) => padded.slice(i, i + 3));
+  })
+)];
+
+// Edit distance (insert, delete, substitute, swap adjacent letters)
+exports.editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos tolerated in a word of this length
+exports.allowedTypos = (length) => (length <= 2 ? 0 : length <= 5 ? 1 : 2);